@@ -111,12 +111,12 @@ function dealCards() {
   });
   cards.splice(0, cards.length);
 
-  // Generate the cards in a random order.
-  let offs = 0.0;
-  shuffle(cardDescriptors).forEach(card => {
-    cards.push(app.spawnImage(Wams.predefined.items.image(card_back_path, {
-      x:        345 - offs,
-      y:        300 - offs,
+  // Generate the cards in a random order, and slide them out of the deck one
+  // after the other.
+  shuffle(cardDescriptors).forEach((card, i) => {
+    const item = app.spawnImage(Wams.predefined.items.image(card_back_path, {
+      x:        515,
+      y:        300,
       width:    140,
       height:   190,
       type:     'card',
@@ -126,8 +126,11 @@ function dealCards() {
       onclick:  flipCard,
       ondrag:   Wams.predefined.drag,
       onrotate: Wams.predefined.rotate,
-    })));
-    offs += 0.2;
+    }));
+    const offs = i * 0.2;
+    const duration = 300 + (i * 15);
+    item.animateTo({ x: 345 - offs, y: 300 - offs }, { duration });
+    cards.push(item);
   });
 }
 
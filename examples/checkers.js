@@ -29,6 +29,9 @@ function squareSequence(x, y, colour) {
 }
 
 const BASE = 256;
+
+// Tokens snap to the squares of the board when they are dropped.
+const SNAP = { grid: WIDTH, origin: { x: BASE, y: BASE } };
 for (let i = 0; i < 10; i += 1) {
   for (let j = 0; j < 10; j += 1) {
     const colour = (i + j) % 2 === 0 ? 'white' : 'black';
@@ -57,6 +60,7 @@ for (let i = 0; i < 10; i += 1) {
           height: HEIGHT,
           type:   'green-token',
           ondrag: Wams.predefined.drag,
+          snap:   SNAP,
         }));
       } else if (i > 5) {
         app.spawnImage(Wams.predefined.items.image('chips/Blue_border.png', {
@@ -65,6 +69,7 @@ for (let i = 0; i < 10; i += 1) {
           height: HEIGHT,
           type:   'white-token',
           ondrag: Wams.predefined.drag,
+          snap:   SNAP,
         }));
       }
     }
@@ -44,6 +44,16 @@ window.addEventListener(
     view.model = model;
 
     ctrl.connect();
+
+    /*
+     * Expose a minimal API so that scripts running on the page (e.g. in
+     * elements spawned by the application) can exchange custom messages with
+     * the application.
+     */
+    window.wams = Object.freeze({
+      on:   ctrl.on.bind(ctrl),
+      send: ctrl.send.bind(ctrl),
+    });
   },
   {
     capture: false,
@@ -15,8 +15,12 @@ const io = require('socket.io-client');
 const {
   constants,
   DataReporter,
+  DispatchReporter,
+  getCodec,
+  JsonCodec,
   TouchReporter,
   IdStamper,
+  isValidEventName,
   Message,
   NOP,
 } = require('../shared.js');
@@ -85,6 +89,29 @@ class ClientController {
      */
     this.renderScheduled = false;
 
+    /**
+     * Handlers for custom messages from the application, by message name.
+     *
+     * @type {Map.<string, function[]>}
+     */
+    this.dispatchHandlers = new Map();
+
+    /**
+     * Whether the Interactor or input forwarding has been set up. This only
+     * needs to happen once, even if the connection is lost and resumed.
+     *
+     * @type {boolean}
+     */
+    this.interactorReady = false;
+
+    /**
+     * The codec chosen by the server, with which messages are decoded when
+     * they arrive, and with which gestures and pointer events are encoded.
+     *
+     * @type {module:shared.codecs.Codec}
+     */
+    this.codec = JsonCodec;
+
     /**
      * Bound reference to the render method, for use as a callback.
      *
@@ -113,15 +140,20 @@ class ClientController {
   [symbols.attachListeners]() {
     const listeners = {
       // For the server to inform about changes to the model
-      [Message.ADD_ELEMENT]: (data) => this.handle('addElement',   data),
-      [Message.ADD_IMAGE]:   (data) => this.handle('addImage',     data),
-      [Message.ADD_ITEM]:    (data) => this.handle('addItem',      data),
-      [Message.ADD_SHADOW]:  (data) => this.handle('addShadow',    data),
-      [Message.RM_ITEM]:     (data) => this.handle('removeItem',   data),
-      [Message.RM_SHADOW]:   (data) => this.handle('removeShadow', data),
-      [Message.UD_ITEM]:     (data) => this.handle('updateItem',   data),
-      [Message.UD_SHADOW]:   (data) => this.handle('updateShadow', data),
-      [Message.UD_VIEW]:     (data) => this.handle('updateView',   data),
+      [Message.ADD_ELEMENT]:  (data) => this.handle('addElement',   data),
+      [Message.ADD_IMAGE]:    (data) => this.handle('addImage',     data),
+      [Message.ADD_ITEM]:     (data) => this.handle('addItem',      data),
+      [Message.ADD_SHADOW]:   (data) => this.handle('addShadow',    data),
+      [Message.BATCH]:        ({ data }) => this.applyBatch(data, listeners),
+      [Message.RM_ITEM]:      (data) => this.handle('removeItem',   data),
+      [Message.RM_SHADOW]:    (data) => this.handle('removeShadow', data),
+      [Message.UD_ITEM]:      (data) => this.handle('updateItem',   data),
+      [Message.UD_POINTERS]:  ({ data }) => this.handle('updatePointers', data),
+      [Message.UD_SELECTION]: ({ data }) => {
+        this.handle('updateSelection', data);
+      },
+      [Message.UD_SHADOW]:    (data) => this.handle('updateShadow', data),
+      [Message.UD_VIEW]:      (data) => this.handle('updateView',   data),
 
       // For hopefully occasional extra adjustments to objects in the model.
       [Message.RM_ATTRS]:   ({ data }) => this.handle('removeAttributes', data),
@@ -136,6 +168,7 @@ class ClientController {
       // User event related
       [Message.CLICK]:     NOP,
       [Message.RESIZE]:    NOP,
+      [Message.SELECT]:    NOP,
       [Message.SWIPE]:     NOP,
       [Message.TRACK]:     NOP,
       [Message.TRANSFORM]: NOP,
@@ -144,13 +177,30 @@ class ClientController {
       [Message.POINTER]: NOP,
       [Message.BLUR]:    NOP,
 
+      // Custom messages defined by the application
+      [Message.DISPATCH]: (data) => this.dispatch(data),
+
       // TODO: This could be more... elegant...
       [Message.FULL]: () => {
         document.body.innerHTML = 'WAMS is full! :(';
       },
     };
 
-    Object.entries(listeners).forEach(([p, v]) => this.socket.on(p, v));
+    Object.entries(listeners).forEach(([p, v]) => {
+      if (Message.ENCODED.includes(p)) {
+        this.socket.on(p, (data) => v(this.codec.decode(data)));
+      } else {
+        this.socket.on(p, v);
+      }
+    });
+
+    // The server refuses connections to the namespaces of rooms which do not
+    // exist.
+    this.socket.on('error', (error) => {
+      if (error === 'Invalid namespace') {
+        document.body.innerHTML = 'There is no such room! :(';
+      }
+    });
 
     // Keep the view size up to date.
     window.addEventListener('resize', this.resize.bind(this), false);
@@ -164,17 +214,22 @@ class ClientController {
   }
 
   /**
-   * Establishes a socket.io connection with the server, using the global WAMS
-   * namespace. Connections should be non-persistent over disconnects, (i.e., no
-   * reconnections), as this was the cause of many bugs.
+   * Establishes a socket.io connection with the server, using the namespace of
+   * the room requested in the page URL, or the global WAMS namespace if no room
+   * was requested. If the connection is lost, socket.io will reconnect using
+   * the session token provided by the server, so that the server can give this
+   * client its old view back. Every (re)connection is followed by a full state
+   * report from the server, which replaces the contents of the model.
    *
    * This internal routine should be called automatically upon ClientController
    * instantiation.
    */
   connect() {
-    this.socket = io.connect(constants.NS_WAMS, {
+    const room = new URLSearchParams(window.location.search).get('room');
+    const namespace = room ? `${constants.NS_WAMS}/${room}` : constants.NS_WAMS;
+    this.socket = io.connect(namespace, {
       autoConnect:  false,
-      reconnection: false,
+      reconnection: true,
     });
     this[symbols.attachListeners]();
     window.requestAnimationFrame(this.render_fn);
@@ -182,19 +237,48 @@ class ClientController {
   }
 
   /**
-   * Renders a frame.
+   * Renders a frame. If the view still has pointers to fade out, another frame
+   * is scheduled straight away.
    *
    * @alias [@@render]
    * @memberof module:client.ClientController
    */
   [symbols.render]() {
     if (this.renderScheduled) {
-      this.view.draw();
-      this.renderScheduled = false;
+      this.renderScheduled = this.view.draw();
     }
     window.requestAnimationFrame(this.render_fn);
   }
 
+  /**
+   * Apply a batch of messages from the server, in order. The whole batch is
+   * applied before the next frame is drawn, so the changes appear together.
+   *
+   * @param {module:server.PublishScheduler.BatchedMessage[]} messages - The
+   * type and data of each message in the batch.
+   * @param {Object.<string, function>} listeners - The listener for each type
+   * of message. Messages without a listener are ignored.
+   */
+  applyBatch(messages, listeners) {
+    messages.forEach(({ type, data }) => {
+      if (listeners.hasOwnProperty(type)) listeners[type](data);
+    });
+    this.scheduleRender();
+  }
+
+  /**
+   * Delivers a custom message from the application to the handlers registered
+   * for it. Messages without a valid name are ignored.
+   *
+   * @param {module:shared.DispatchReporter} data - The message.
+   */
+  dispatch(data) {
+    if (data != null && isValidEventName(data.event)) {
+      const handlers = this.dispatchHandlers.get(data.event) || [];
+      handlers.forEach(handler => handler(data.payload));
+    }
+  }
+
   /**
    * Generates a function for forwarding the given message to the server.
    *
@@ -209,7 +293,7 @@ class ClientController {
   forward(message) {
     function do_forward(data) {
       const dreport = new DataReporter({ data });
-      new Message(message, dreport).emitWith(this.socket);
+      new Message(message, dreport).emitWith(this.socket, this.codec);
     }
     return do_forward.bind(this);
   }
@@ -227,6 +311,20 @@ class ClientController {
     this.scheduleRender();
   }
 
+  /**
+   * Register a handler for custom messages with the given name, sent by the
+   * application using either view.send() or app.broadcast().
+   *
+   * @param {string} event - Name of the message.
+   * @param {function} handler - Receives the payload of each message.
+   */
+  on(event, handler) {
+    if (!this.dispatchHandlers.has(event)) {
+      this.dispatchHandlers.set(event, []);
+    }
+    this.dispatchHandlers.get(event).push(handler);
+  }
+
   /**
    * For responding to window resizing by the user. Resizes the canvas to fit
    * the new window size, and reports the change to the server so it can be
@@ -255,6 +353,49 @@ class ClientController {
     this.renderScheduled = true;
   }
 
+  /**
+   * Show the selection rectangle while the user is drawing it, and once it is
+   * finished, ask the server to select the items within it.
+   *
+   * @param {object} data - Data from the Select gesture.
+   * @param {string} data.phase - 'move' while drawing, 'end' once finished, or
+   * 'start' or 'cancel' if the rectangle was abandoned.
+   * @param {module:shared.Point2D} data.initial - Where drawing began.
+   * @param {module:shared.Point2D} data.centroid - The opposite corner.
+   */
+  select({ phase, initial, centroid }) {
+    if (phase === 'move') {
+      this.view.selectionArea = { from: initial, to: centroid };
+    } else {
+      this.view.selectionArea = null;
+    }
+    if (phase === 'end') {
+      const dreport = new DataReporter({
+        data: { from: initial, to: centroid },
+      });
+      new Message(Message.SELECT, dreport).emitWith(this.socket);
+    }
+    this.scheduleRender();
+  }
+
+  /**
+   * Send a custom message to the application, where it will be emitted as a
+   * 'client:<name>' event.
+   *
+   * @throws TypeError
+   *
+   * @param {string} event - Name of the message.
+   * @param {*} [payload=null] - Data to send along, must be serializable as
+   * JSON.
+   */
+  send(event, payload = null) {
+    if (!isValidEventName(event)) {
+      throw new TypeError(`Invalid message name: ${event}`);
+    }
+    const dreport = new DispatchReporter({ event, payload });
+    new Message(Message.DISPATCH, dreport).emitWith(this.socket);
+  }
+
   /**
    * As this object will be instantiated on page load, and will generate a view
    * before communication lines with the server have been opened, the view will
@@ -262,16 +403,30 @@ class ClientController {
    * from the server which contains the current state of the model, and forwards
    * this data to the view so that it can correctly render the model.
    *
+   * The session token in the data is attached to the socket, so that it will
+   * be presented to the server if the connection needs to be reestablished. If
+   * the session could not be resumed, (e.g. it expired), the server assigns a
+   * new view, and the page is reloaded to start over cleanly.
+   *
    * @param {module:shared.FullStateReporter} data - All the information
    * necessary to initially synchronize this client's model with the server's
    * model.
    */
   setup(data) {
+    if (this.view.id != null && this.view.id !== data.id) {
+      window.location.reload();
+      return;
+    }
     IdStamper.cloneId(this.view, data.id);
+    this.socket.query = { session: data.session };
+    this.codec = getCodec(data.codec);
 
     this.canvas.style.backgroundColor = data.color;
     this.model.setup(data);
-    this.setupInteractor(data.useServerGestures);
+    if (!this.interactorReady) {
+      this.setupInteractor(data.useServerGestures, data.telepointers);
+      this.interactorReady = true;
+    }
 
     // Need to tell the model what the view looks like once setup is complete.
     new Message(Message.LAYOUT, this.view).emitWith(this.socket);
@@ -286,17 +441,21 @@ class ClientController {
    *
    * @param {boolean} [useServerGestures=false] Whether to use server-side
    * gestures. Default is to use client-side gestures.
+   * @param {boolean} [telepointers=false] Whether the workspace shows
+   * telepointers, in which case every movement of the pointers is tracked so
+   * that the server can tell the other views about it.
    */
-  setupInteractor(useServerGestures = false) {
+  setupInteractor(useServerGestures = false, telepointers = false) {
     if (useServerGestures) {
       this.setupInputForwarding();
     } else {
       new Interactor({
+        select:    (data) => this.select(data),
         swipe:     this.forward(Message.SWIPE),
         tap:       this.forward(Message.CLICK),
         track:     this.forward(Message.TRACK),
         transform: this.forward(Message.TRANSFORM),
-      });
+      }, { trackMoves: telepointers });
     }
   }
 
@@ -352,7 +511,7 @@ class ClientController {
         clientX:    event.clientX,
         clientY:    event.clientY,
       }];
-      new Message(Message.POINTER, treport).emitWith(this.socket);
+      new Message(Message.POINTER, treport).emitWith(this.socket, this.codec);
     });
   }
 
@@ -369,7 +528,7 @@ class ClientController {
           clientX:    event.clientX,
           clientY:    event.clientY,
         }];
-        new Message(Message.POINTER, treport).emitWith(this.socket);
+        new Message(Message.POINTER, treport).emitWith(this.socket, this.codec);
       }
     });
   }
@@ -389,7 +548,7 @@ class ClientController {
             clientY:    touch.clientY,
           };
         });
-      new Message(Message.POINTER, treport).emitWith(this.socket);
+      new Message(Message.POINTER, treport).emitWith(this.socket, this.codec);
     });
   }
 }
@@ -53,6 +53,14 @@ class ClientModel {
      */
     this.shadows = new Map();
 
+    /**
+     * The items selected by each view, by view id, along with the bounds of
+     * their hitboxes, for highlighting.
+     *
+     * @type {Map.<number, Object[]>}
+     */
+    this.selections = new Map();
+
     /**
      * The view data for this user.
      *
@@ -61,6 +69,15 @@ class ClientModel {
     this.view = null;
   }
 
+  /**
+   * Remove all the items, shadows, and selections from the model.
+   */
+  clear() {
+    Array.from(this.itemOrder).forEach(item => this.removeItem(item));
+    this.shadows.clear();
+    this.selections.clear();
+  }
+
   /**
    * Generate and store an item of the given type.
    *
@@ -69,8 +86,8 @@ class ClientModel {
    */
   addObject(class_fn, values) {
     const object = new class_fn(values);
-    this.itemOrder.push(object);
     this.items.set(object.id, object);
+    this.placeItem(object);
   }
 
   /**
@@ -119,6 +136,7 @@ class ClientModel {
    */
   removeItem(item) {
     const obj = this.items.get(item.id);
+    if (obj == null) return false;
     if (obj.hasOwnProperty('tagname')) {
       document.body.removeChild(obj.element);
     }
@@ -138,9 +156,28 @@ class ClientModel {
     return this.shadows.delete(shadow.id);
   }
 
+  /**
+   * Move an item to its place in the render order, according to its
+   * stackOrder. Also adjusts the stacking of any HTML elements, as they are not
+   * rendered on the canvas.
+   *
+   * @param {module:client.ClientItem} item - The item to place.
+   */
+  placeItem(item) {
+    removeById(this.itemOrder, item);
+    const index = this.itemOrder.findIndex(o => {
+      return o.stackOrder > item.stackOrder;
+    });
+    this.itemOrder.splice(index < 0 ? this.itemOrder.length : index, 0, item);
+    this.itemOrder.forEach((o, i) => {
+      if (o.element) o.element.style.zIndex = i;
+    });
+  }
+
   /**
    * Set up the internal copy of the model according to the data provided by the
-   * server.
+   * server. Anything already in the model is discarded first, so that the model
+   * can be set up again after resuming a lost connection.
    *
    * @param {module:shared.FullStateReporter} data - The data from the server
    *       detailing the current state of the model.  See REQUIRED_DATA. If any
@@ -151,7 +188,9 @@ class ClientModel {
     REQUIRED_DATA.forEach(d => {
       if (!data.hasOwnProperty(d)) throw `setup requires: ${d}`;
     });
+    this.clear();
     data.views.forEach(v => v.id !== this.view.id && this.addShadow(v));
+    (data.selections || []).forEach(s => this.updateSelection(s));
     data.items.reverse().forEach(o => {
       if (o.hasOwnProperty('src')) {
         this.addImage(o);
@@ -212,7 +251,8 @@ class ClientModel {
    * array which contains the object to update.
    * @param {( module:shared.Item | module:shared.View )} data - Data with which
    * an object in the container will be updated.  Note that the object is
-   * located using an 'id' field on this data object.
+   * located using an 'id' field on this data object. Only the properties in
+   * the data are changed, as the server only sends those which have changed.
    */
   update(container, data) {
     if (this[container].has(data.id)) {
@@ -230,6 +270,38 @@ class ClientModel {
    */
   updateItem(data) {
     this.update('items', data);
+    if (data.hasOwnProperty('stackOrder') && this.items.has(data.id)) {
+      this.placeItem(this.items.get(data.id));
+    }
+  }
+
+  /**
+   * Update where the user of a 'shadow' view is pointing. Pointers of views
+   * that are not known are ignored.
+   *
+   * @param {object} data
+   * @param {number} data.id - Id of the view.
+   * @param {module:shared.Point2D[]} data.points - Positions of the pointers,
+   * in workspace coordinates.
+   */
+  updatePointers({ id, points }) {
+    if (this.shadows.has(id)) this.shadows.get(id).setPointers(points);
+  }
+
+  /**
+   * Update the items selected by a view.
+   *
+   * @param {object} data
+   * @param {number} data.id - Id of the view.
+   * @param {Object[]} data.items - The id and hitbox bounds of each selected
+   * item.
+   */
+  updateSelection({ id, items }) {
+    if (items.length > 0) {
+      this.selections.set(id, items);
+    } else {
+      this.selections.delete(id);
+    }
   }
 
   /**
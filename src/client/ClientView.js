@@ -10,7 +10,7 @@
 
 'use strict';
 
-const { View } = require('../shared.js');
+const { colours, View } = require('../shared.js');
 
 // Data fields to write for status indicator text.
 const STATUS_KEYS = Object.freeze([
@@ -22,13 +22,19 @@ const STATUS_KEYS = Object.freeze([
   'scale',
 ]);
 
+// Width of the highlights around selected items, in pixels on the screen.
+const SELECTION_WIDTH = 3;
+
 // Mark these methods as intended only for internal use.
 const symbols = Object.freeze({
-  align:        Symbol('align'),
-  drawItems:    Symbol('drawItems'),
-  drawShadows:  Symbol('drawShadows'),
-  drawStatus:   Symbol('drawStatus'),
-  wipe:         Symbol('wipe'),
+  align:             Symbol('align'),
+  drawItems:         Symbol('drawItems'),
+  drawPointers:      Symbol('drawPointers'),
+  drawSelectionArea: Symbol('drawSelectionArea'),
+  drawSelections:    Symbol('drawSelections'),
+  drawShadows:       Symbol('drawShadows'),
+  drawStatus:        Symbol('drawStatus'),
+  wipe:              Symbol('wipe'),
 });
 
 /**
@@ -73,6 +79,14 @@ class ClientView extends View {
      * @memberof module:client.ClientView
      */
     this.id = null;
+
+    /**
+     * The selection rectangle being drawn by the user, if there is one, in
+     * view coordinates.
+     *
+     * @type {?{from: module:shared.Point2D, to: module:shared.Point2D}}
+     */
+    this.selectionArea = null;
   }
 
   /**
@@ -102,6 +116,69 @@ class ClientView extends View {
     this.model.itemOrder.forEach(o => o.draw(this.context, this));
   }
 
+  /**
+   * Renders the pointers of all the other views.
+   *
+   * @alias [@@drawPointers]
+   * @memberof module:client.ClientView
+   *
+   * @return {boolean} Whether any pointers are still visible.
+   */
+  [symbols.drawPointers]() {
+    let visible = false;
+    this.model.shadows.forEach(v => {
+      if (v.drawPointers(this.context, this.scale)) visible = true;
+    });
+    return visible;
+  }
+
+  /**
+   * Renders the selection rectangle being drawn by the user, if there is one.
+   *
+   * @alias [@@drawSelectionArea]
+   * @memberof module:client.ClientView
+   */
+  [symbols.drawSelectionArea]() {
+    if (this.selectionArea == null) return;
+    const { from, to } = this.selectionArea;
+
+    this.context.save();
+    this.context.setTransform(1, 0, 0, 1, 0, 0);
+    this.context.strokeStyle = colours[this.id % colours.length];
+    this.context.lineWidth = 1;
+    this.context.setLineDash([6, 4]);
+    this.context.strokeRect(from.x, from.y, to.x - from.x, to.y - from.y);
+    this.context.restore();
+  }
+
+  /**
+   * Renders highlights around the items selected by each view, in the colour
+   * of the view.
+   *
+   * @alias [@@drawSelections]
+   * @memberof module:client.ClientView
+   */
+  [symbols.drawSelections]() {
+    this.model.selections.forEach((selected, id) => {
+      this.context.save();
+      this.context.strokeStyle = colours[id % colours.length];
+      selected.forEach(({ id: itemId, bounds }) => {
+        const item = this.model.items.get(itemId);
+        if (item == null || bounds == null) return;
+
+        this.context.save();
+        this.context.translate(item.x, item.y);
+        this.context.rotate(-item.rotation);
+        this.context.scale(item.scale, item.scale);
+        const { x, y, width, height } = bounds;
+        this.context.lineWidth = SELECTION_WIDTH / (this.scale * item.scale);
+        this.context.strokeRect(x, y, width, height);
+        this.context.restore();
+      });
+      this.context.restore();
+    });
+  }
+
   /**
    * Renders outlines of all the other views.
    *
@@ -149,15 +226,22 @@ class ClientView extends View {
 
   /**
    * Fully render the current state of the system.
+   *
+   * @return {boolean} Whether another render is needed soon, because the
+   * pointers of other views are still visible and may need to fade out.
    */
   draw() {
     this.context.save();
     this[symbols.wipe]();
     this[symbols.align]();
     this[symbols.drawItems]();
+    this[symbols.drawSelections]();
     this[symbols.drawShadows]();
+    const pointing = this[symbols.drawPointers]();
+    this[symbols.drawSelectionArea]();
     this[symbols.drawStatus]();
     this.context.restore();
+    return pointing;
   }
 
   /**
@@ -14,6 +14,7 @@
 const Westures = require('westures');
 
 const { NOP } = require('../shared.js');
+const Select = require('./Select.js');
 const Transform = require('./Transform.js');
 
 /**
@@ -25,6 +26,10 @@ const Transform = require('./Transform.js');
  *
  * Currently, the Interactor makes use of the Westures library.
  *
+ * While a selection rectangle is being drawn, only 'select' and 'track' data
+ * are reported, so that the rectangle can be drawn without also moving
+ * whatever is underneath it.
+ *
  * @memberof module:client
  *
  * @see {@link https://mvanderkamp.github.io/westures/}
@@ -32,18 +37,24 @@ const Transform = require('./Transform.js');
  * @param {Object} handlers - Object with keys as the names gestures and values
  *    as the corresponding function for handling that gesture when it is
  *    recognized.
+ * @param {Function} [handlers.select=NOP]
  * @param {Function} [handlers.swipe=NOP]
  * @param {Function} [handlers.tap=NOP]
  * @param {Function} [handlers.track=NOP]
  * @param {Function} [handlers.transform=NOP]
+ * @param {Object} [options={}]
+ * @param {boolean} [options.trackMoves=false] - Whether to report every
+ *    movement of the pointers to the track handler, not just when they start
+ *    and end.
  */
 class Interactor {
-  constructor(handlers = {}) {
+  constructor(handlers = {}, options = {}) {
     /**
      * Object holding the handlers, so they can be dynamically referenced by
      * name.
      *
      * @type {Object}
+     * @property {Function} [select=NOP]
      * @property {Function} [swipe=NOP]
      * @property {Function} [tap=NOP]
      * @property {Function} [track=NOP]
@@ -51,6 +62,20 @@ class Interactor {
      */
     this.handlers = { ...Interactor.DEFAULT_HANDLERS, ...handlers };
 
+    /**
+     * Whether to report every movement of the pointers to the track handler.
+     *
+     * @type {boolean}
+     */
+    this.trackMoves = Boolean(options.trackMoves);
+
+    /**
+     * The gesture for drawing selection rectangles.
+     *
+     * @type {module:client.Select}
+     */
+    this.selector = new Select();
+
     // Begin listening activities immediately.
     this.bindRegions();
     window.addEventListener('wheel', this.wheel.bind(this), false);
@@ -65,15 +90,22 @@ class Interactor {
     const swipe     = new Westures.Swipe();
     const swivel    = new Westures.Swivel({ enableKey: 'ctrlKey' });
     const tap       = new Westures.Tap();
-    const track     = new Westures.Track(['start', 'end']);
+    const phases    = ['start', 'end'].concat(this.trackMoves ? ['move'] : []);
+    const track     = new Westures.Track(phases);
     const transform = new Transform();
 
+    /*
+     * The order matters: gestures added before the selector are still muted
+     * when a selection rectangle is finished, and those added after it are
+     * already muted when one is started.
+     */
     const region = new Westures.Region(document.body);
-    region.addGesture(document.body, tap,       this.forward('tap'));
-    region.addGesture(document.body, swipe,     this.forward('swipe'));
-    region.addGesture(document.body, swivel,    this.swivel());
-    region.addGesture(document.body, transform, this.forward('transform'));
-    region.addGesture(document.body, track,     this.forward('track'));
+    region.addGesture(document.body, tap,           this.forward('tap'));
+    region.addGesture(document.body, swipe,         this.forward('swipe'));
+    region.addGesture(document.body, this.selector, this.forward('select'));
+    region.addGesture(document.body, swivel,        this.swivel());
+    region.addGesture(document.body, transform,     this.forward('transform'));
+    region.addGesture(document.body, track,         this.forward('track'));
   }
 
   /**
@@ -81,6 +113,7 @@ class Interactor {
    */
   swivel() {
     function do_swivel({ rotation, pivot }) {
+      if (this.selector.selecting) return;
       this.handlers.transform({
         centroid: pivot,
         delta:    { rotation },
@@ -90,7 +123,9 @@ class Interactor {
   }
 
   /**
-   * Generates a function that forwards the appropriate gesture and data.
+   * Generates a function that forwards the appropriate gesture and data. Track
+   * data is always forwarded, marked with whether a selection rectangle is
+   * being drawn, so that nothing is grabbed by the pointer drawing it.
    *
    * @param {string} gesture - name of a gesture to forward.
    *
@@ -99,7 +134,12 @@ class Interactor {
    */
   forward(gesture) {
     function do_forward(data) {
-      this.handlers[gesture](data);
+      const { selecting } = this.selector;
+      if (gesture === 'track') {
+        this.handlers.track({ ...data, selecting });
+      } else if (!selecting || gesture === 'select') {
+        this.handlers[gesture](data);
+      }
     }
     return do_forward.bind(this);
   }
@@ -124,6 +164,7 @@ class Interactor {
  * @type {object}
  */
 Interactor.DEFAULT_HANDLERS = Object.freeze({
+  select:    NOP,
   swipe:     NOP,
   tap:       NOP,
   track:     NOP,
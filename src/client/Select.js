@@ -0,0 +1,168 @@
+/*
+ * WAMS - An API for Multi-Surface Environments
+ *
+ * Author: Michael van der Kamp
+ */
+
+'use strict';
+
+const Westures = require('westures');
+
+/**
+ * The Select class is a custom Westures gesture for drawing a selection
+ * rectangle. A single pointer starts drawing the rectangle if it is held still
+ * for a moment before it moves (a long press), or straight away if the
+ * 'enableKey' is held down when it touches down (e.g. a shift-drag).
+ *
+ * The gesture reports the corner where the rectangle began as 'initial', and
+ * the opposite corner as 'centroid', whenever the pointer moves and when it is
+ * lifted. If another pointer touches down, or the input is cancelled, the
+ * rectangle is abandoned, which is reported in the 'start' or 'cancel' phase.
+ *
+ * @memberof module:client
+ *
+ * @param {Object} [options={}]
+ * @param {number} [options.delay=600] - How long, in milliseconds, the pointer
+ * must be held still to start drawing the rectangle.
+ * @param {number} [options.tolerance=10] - How far, in pixels, the pointer may
+ * move while it is being held still.
+ * @param {string} [options.enableKey='shiftKey'] - If this key is pressed when
+ * the pointer touches down, the rectangle is drawn without waiting.
+ */
+class Select extends Westures.Gesture {
+  constructor(options = {}) {
+    super('select');
+    const settings = { ...Select.DEFAULTS, ...options };
+
+    /**
+     * How long the pointer must be held still to start drawing.
+     *
+     * @type {number}
+     */
+    this.delay = settings.delay;
+
+    /**
+     * How far the pointer may move while being held still.
+     *
+     * @type {number}
+     */
+    this.tolerance = settings.tolerance;
+
+    /**
+     * The key which starts drawing straight away.
+     *
+     * @type {string}
+     */
+    this.enableKey = settings.enableKey;
+
+    /**
+     * Where the pointer touched down, or null if the current gesture will not
+     * draw a rectangle.
+     *
+     * @type {?westures.Point2D}
+     */
+    this.initial = null;
+
+    /**
+     * Where the pointer was last seen while drawing.
+     *
+     * @type {?westures.Point2D}
+     */
+    this.latest = null;
+
+    /**
+     * When the pointer touched down, as reported by Date.now().
+     *
+     * @type {number}
+     */
+    this.startTime = 0;
+
+    /**
+     * Whether a rectangle is being drawn.
+     *
+     * @type {boolean}
+     */
+    this.selecting = false;
+  }
+
+  /**
+   * Stop drawing, and forget about the current gesture.
+   *
+   * @return {?object} Data reporting that the rectangle was abandoned, or null
+   * if none was being drawn.
+   */
+  reset() {
+    const abandoned = this.selecting ? { initial: null } : null;
+    this.initial = null;
+    this.latest = null;
+    this.selecting = false;
+    return abandoned;
+  }
+
+  /**
+   * Hook for the 'start' phase.
+   *
+   * @param {State} state
+   */
+  start(state) {
+    const abandoned = this.reset();
+    if (state.active.length === 1) {
+      this.initial = state.centroid;
+      this.latest = state.centroid;
+      this.startTime = Date.now();
+      this.selecting = Boolean(state.event && state.event[this.enableKey]);
+    }
+    return abandoned;
+  }
+
+  /**
+   * Hook for the 'move' phase.
+   *
+   * @param {State} state
+   */
+  move(state) {
+    if (this.initial == null) return null;
+
+    if (!this.selecting) {
+      const held = Date.now() - this.startTime >= this.delay;
+      const moved = this.initial.distanceTo(state.centroid) > this.tolerance;
+      if (moved && !held) this.reset();
+      if (!moved || !held) return null;
+      this.selecting = true;
+    }
+
+    this.latest = state.centroid;
+    return { initial: this.initial };
+  }
+
+  /**
+   * Hook for the 'end' phase.
+   */
+  end() {
+    const result = this.selecting
+      ? { initial: this.initial, centroid: this.latest }
+      : null;
+    this.reset();
+    return result;
+  }
+
+  /**
+   * Hook for the 'cancel' phase.
+   */
+  cancel() {
+    return this.reset();
+  }
+}
+
+/**
+ * The default options for a Select gesture.
+ *
+ * @type {object}
+ */
+Select.DEFAULTS = Object.freeze({
+  delay:     600,
+  tolerance: 10,
+  enableKey: 'shiftKey',
+});
+
+module.exports = Select;
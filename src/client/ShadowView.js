@@ -29,9 +29,20 @@ const symbols = Object.freeze({
   marker:   Symbol('marker'),
 });
 
+// How long pointers stay visible after they stop moving, in milliseconds.
+const POINTER_IDLE_TIME = 2000;
+
+// How long it takes pointers to fade out, in milliseconds.
+const POINTER_FADE_TIME = 500;
+
+// Radius of the drawn pointers, in pixels on the screen.
+const POINTER_RADIUS = 8;
+
 /**
  * The ShadowView class exposes a simple draw() function which renders a shadowy
- * outline of the view onto the canvas.
+ * outline of the view onto the canvas. If the workspace shows telepointers,
+ * the shadow also knows where the user of the view is pointing, and can draw
+ * those pointers with drawPointers().
  *
  * @extends module:shared.View
  * @memberof module:client
@@ -43,6 +54,20 @@ class ShadowView extends View {
   constructor(values) {
     super(values);
     IdStamper.cloneId(this, values.id);
+
+    /**
+     * Where the user of the view is pointing, in workspace coordinates.
+     *
+     * @type {module:shared.Point2D[]}
+     */
+    this.pointers = [];
+
+    /**
+     * When the pointers begin to fade out, as reported by Date.now().
+     *
+     * @type {number}
+     */
+    this.pointersFadeAt = 0;
   }
 
   /**
@@ -63,6 +88,55 @@ class ShadowView extends View {
     context.restore();
   }
 
+  /**
+   * Render the pointers of this view, fading them out once they have been idle
+   * for a while.
+   *
+   * @param {CanvasRenderingContext2D} context - context on which to draw.
+   * @param {number} [scale=1] - Scale of the view being drawn on, so that the
+   * pointers can be drawn the same size no matter how far it is zoomed.
+   * @param {number} [now=Date.now()] - The current time.
+   *
+   * @return {boolean} Whether the pointers are still visible, in which case
+   * they should be drawn again soon so that they can finish fading out.
+   */
+  drawPointers(context, scale = 1, now = Date.now()) {
+    const elapsed = now - this.pointersFadeAt;
+    const alpha = Math.min(1, 1 - (elapsed / POINTER_FADE_TIME));
+    if (alpha <= 0 || this.pointers.length === 0) return false;
+
+    context.save();
+    context.globalAlpha = alpha;
+    context.fillStyle = colours[this.id % colours.length];
+    context.strokeStyle = 'white';
+    context.lineWidth = 2 / scale;
+    this.pointers.forEach(({ x, y }) => {
+      context.beginPath();
+      context.arc(x, y, POINTER_RADIUS / scale, 0, 2 * Math.PI);
+      context.fill();
+      context.stroke();
+    });
+    context.restore();
+    return true;
+  }
+
+  /**
+   * Set where the user of this view is pointing. If they have stopped pointing
+   * the pointers are left where they were, but start fading out immediately.
+   *
+   * @param {module:shared.Point2D[]} points - Positions of the pointers, in
+   * workspace coordinates.
+   * @param {number} [now=Date.now()] - The current time.
+   */
+  setPointers(points, now = Date.now()) {
+    if (points.length > 0) {
+      this.pointers = points;
+      this.pointersFadeAt = now + POINTER_IDLE_TIME;
+    } else {
+      this.pointersFadeAt = Math.min(this.pointersFadeAt, now);
+    }
+  }
+
   /**
    * Aligns the drawing context so the outline will be rendered in the correct
    * location with the correct orientation.
@@ -26,21 +26,31 @@
 
 'use strict';
 
+const Animatable = require('./mixins/Animatable.js');
+const Concealable = require('./mixins/Concealable.js');
 const Hittable = require('./mixins/Hittable.js');
 const Identifiable = require('./mixins/Identifiable.js');
 const Interactable = require('./mixins/Interactable.js');
 const Lockable = require('./mixins/Lockable.js');
 const Locker = require('./mixins/Locker.js');
+const Ownable = require('./mixins/Ownable.js');
 const Publishable = require('./mixins/Publishable.js');
+const Snappable = require('./mixins/Snappable.js');
+const Stackable = require('./mixins/Stackable.js');
 const Transformable2D = require('./mixins/Transformable2D.js');
 
 module.exports = {
+  Animatable,
+  Concealable,
   Hittable,
   Identifiable,
   Interactable,
   Locker,
   Lockable,
+  Ownable,
   Publishable,
+  Snappable,
+  Stackable,
   Transformable2D,
 };
 
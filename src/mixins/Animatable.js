@@ -0,0 +1,308 @@
+/*
+ * WAMS - An API for Multi-Surface Environments
+ *
+ * Author: Michael van der Kamp
+ */
+
+'use strict';
+
+// Mark these properties and methods as intended for internal use only.
+const symbols = Object.freeze({
+  animation: Symbol('animation'),
+  frame:     Symbol('frame'),
+  run:       Symbol('run'),
+  settle:    Symbol('settle'),
+});
+
+/**
+ * The amount of time between frames of an animation, in milliseconds. Roughly
+ * 60 frames per second, to match the rate at which gestures are evaluated.
+ *
+ * @inner
+ * @memberof module:mixins.Animatable
+ *
+ * @type {number}
+ */
+const FRAME_INTERVAL = 1000 / 60;
+
+/**
+ * Easing functions which can be named when starting an animation. Each maps
+ * the fraction of the duration that has elapsed onto the fraction of the
+ * distance that should have been covered.
+ *
+ * @memberof module:mixins.Animatable
+ *
+ * @type {object}
+ */
+const EASINGS = Object.freeze({
+  linear:    (t) => t,
+  easeIn:    (t) => t * t,
+  easeOut:   (t) => t * (2 - t),
+  easeInOut: (t) => {
+    return t < 0.5 ? 2 * t * t : ((4 - (2 * t)) * t) - 1;
+  },
+});
+
+/**
+ * The greatest friction a glide may have. A friction of 1 or more would never
+ * slow the glide down, so larger values are clamped to this one.
+ *
+ * @inner
+ * @memberof module:mixins.Animatable
+ *
+ * @type {number}
+ */
+const MAX_FRICTION = 0.99;
+
+/**
+ * The speed, in pixels per millisecond, below which a glide comes to a stop.
+ *
+ * @inner
+ * @memberof module:mixins.Animatable
+ *
+ * @type {number}
+ */
+const MIN_SPEED = 0.01;
+
+/**
+ * The properties which can be animated.
+ *
+ * @inner
+ * @memberof module:mixins.Animatable
+ *
+ * @type {string[]}
+ */
+const PROPERTIES = Object.freeze(['x', 'y', 'rotation', 'scale']);
+
+/**
+ * Reflect a position along one axis back inside the given range, reversing the
+ * velocity along that axis if it had left the range.
+ *
+ * @inner
+ * @memberof module:mixins.Animatable
+ *
+ * @param {number} position
+ * @param {number} velocity
+ * @param {number} min
+ * @param {number} max
+ *
+ * @return {number[]} The reflected position and velocity.
+ */
+function bounce(position, velocity, min, max) {
+  if (position < min) return [Math.min((2 * min) - position, max), -velocity];
+  if (position > max) return [Math.max((2 * max) - position, min), -velocity];
+  return [position, velocity];
+}
+
+/**
+ * The Animatable mixin allows a Transformable2D to be moved smoothly to a new
+ * position, rotation, and scale over a period of time. Each frame is applied
+ * using `moveTo()`, so classes which publish their transformations will publish
+ * every frame.
+ *
+ * The transformable can also be set gliding with a given velocity, gradually
+ * slowing down due to friction, as if it had been flicked.
+ *
+ * Only one animation runs at a time: starting a new animation cancels the one
+ * in progress, as does locking the animatable, so that users can grab items
+ * out of the air.
+ *
+ * @memberof module:mixins
+ *
+ * @mixin
+ */
+const Animatable = (superclass) => class Animatable extends superclass {
+  /**
+   * The animation currently in progress, if any.
+   *
+   * @name [@@animation]
+   * @type {?object}
+   * @default undefined
+   * @memberof module:mixins.Animatable
+   */
+
+  /**
+   * Animate the transformable to the given state. Properties which are not
+   * given keep their current value.
+   *
+   * @memberof module:mixins.Animatable
+   *
+   * @param {object} target - The state to animate to.
+   * @param {number} [target.x] - The x coordinate to move to.
+   * @param {number} [target.y] - The y coordinate to move to.
+   * @param {number} [target.rotation] - The rotation to end at, in radians.
+   * @param {number} [target.scale] - The scale to end at.
+   * @param {object} [options]
+   * @param {number} [options.duration=400] - How long the animation should
+   * take, in milliseconds.
+   * @param {(string|function)} [options.easing='easeInOut'] - The name of one
+   * of the EASINGS, or an easing function of your own.
+   *
+   * @throws TypeError
+   *
+   * @return {Promise<boolean>} Resolves once the animation has stopped, with
+   * true if it ran to completion or false if it was cancelled.
+   */
+  animateTo(target = {}, { duration = 400, easing = 'easeInOut' } = {}) {
+    const ease = typeof easing === 'function' ? easing : EASINGS[easing];
+    if (typeof ease !== 'function') {
+      throw new TypeError(`Unknown easing: ${easing}`);
+    }
+
+    const start = {};
+    const end = {};
+    PROPERTIES.forEach(p => {
+      start[p] = this[p];
+      end[p] = Number.isFinite(target[p]) ? target[p] : this[p];
+    });
+
+    return this[symbols.run]((elapsed) => {
+      const t = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+      this[symbols.frame](start, end, ease(t));
+      return t === 1;
+    });
+  }
+
+  /**
+   * Cancel the animation in progress, if there is one. The transformable is
+   * left wherever the animation had gotten to.
+   *
+   * @memberof module:mixins.Animatable
+   */
+  cancelAnimation() {
+    this[symbols.settle](false);
+  }
+
+  /**
+   * Set the transformable gliding with the given velocity. The glide slows
+   * down due to friction, and stops once it is barely moving.
+   *
+   * @memberof module:mixins.Animatable
+   *
+   * @param {object} velocity - The starting velocity.
+   * @param {number} velocity.x - Pixels per millisecond along the x axis.
+   * @param {number} velocity.y - Pixels per millisecond along the y axis.
+   * Components which are not finite numbers are treated as zero.
+   * @param {object} [options]
+   * @param {number} [options.friction=0.95] - The fraction of its velocity
+   * that the transformable keeps every sixtieth of a second. Clamped between 0
+   * and 0.99, so that every glide comes to a stop. Values which are not
+   * numbers are replaced by the default.
+   * @param {object} [options.bounds] - If provided, a rectangle with 'x', 'y',
+   * 'width', and 'height' properties, off of whose edges the transformable will
+   * bounce.
+   *
+   * @return {Promise<boolean>} Resolves once the glide has stopped, with true
+   * if it came to rest on its own or false if it was cancelled.
+   */
+  glide(velocity, { friction = 0.95, bounds = null } = {}) {
+    let vx = Number.isFinite(velocity.x) ? velocity.x : 0;
+    let vy = Number.isFinite(velocity.y) ? velocity.y : 0;
+    const kept = typeof friction === 'number' && !Number.isNaN(friction)
+      ? Math.max(0, Math.min(MAX_FRICTION, friction))
+      : 0.95;
+
+    return this[symbols.run]((elapsed, dt) => {
+      let x = this.x + (vx * dt);
+      let y = this.y + (vy * dt);
+      if (bounds) {
+        [x, vx] = bounce(x, vx, bounds.x, bounds.x + bounds.width);
+        [y, vy] = bounce(y, vy, bounds.y, bounds.y + bounds.height);
+      }
+      this.moveTo(x, y);
+
+      const decay = kept ** (dt / FRAME_INTERVAL);
+      vx *= decay;
+      vy *= decay;
+      return Math.hypot(vx, vy) < MIN_SPEED;
+    });
+  }
+
+  /**
+   * Checks whether this animatable is currently being animated.
+   *
+   * @memberof module:mixins.Animatable
+   *
+   * @return {boolean} True if an animation is in progress, false otherwise.
+   */
+  isAnimating() {
+    return Boolean(this[symbols.animation]);
+  }
+
+  /*
+   * Cancel any animation in progress before locking.
+   *
+   * @override
+   */
+  lock(locker) {
+    this.cancelAnimation();
+    super.lock(locker);
+  }
+
+  /**
+   * Apply a single frame of an animation.
+   *
+   * @alias [@@frame]
+   * @memberof module:mixins.Animatable
+   *
+   * @param {object} start - The state at the start of the animation.
+   * @param {object} end - The state at the end of the animation.
+   * @param {number} progress - The eased fraction of the animation completed.
+   */
+  [symbols.frame](start, end, progress) {
+    const at = (p) => start[p] + ((end[p] - start[p]) * progress);
+    this.rotation = at('rotation');
+    this.scale = at('scale');
+    this.moveTo(at('x'), at('y'));
+  }
+
+  /**
+   * Run an animation, cancelling any animation already in progress.
+   *
+   * @alias [@@run]
+   * @memberof module:mixins.Animatable
+   *
+   * @param {function} frame - Applies a single frame. Receives the time since
+   * the animation began and the time since the previous frame, in
+   * milliseconds, and returns true once the animation is complete.
+   *
+   * @return {Promise<boolean>} Resolves once the animation has stopped, with
+   * true if it ran to completion or false if it was cancelled.
+   */
+  [symbols.run](frame) {
+    this.cancelAnimation();
+
+    return new Promise(resolve => {
+      const began = Date.now();
+      let last = began;
+      const timer = setInterval(() => {
+        const now = Date.now();
+        const complete = frame(now - began, now - last);
+        last = now;
+        if (complete) this[symbols.settle](true);
+      }, FRAME_INTERVAL);
+      this[symbols.animation] = { timer, resolve };
+    });
+  }
+
+  /**
+   * Stop the animation in progress, if there is one, and resolve its promise.
+   *
+   * @alias [@@settle]
+   * @memberof module:mixins.Animatable
+   *
+   * @param {boolean} completed - Whether the animation ran to completion.
+   */
+  [symbols.settle](completed) {
+    const animation = this[symbols.animation];
+    if (animation) {
+      clearInterval(animation.timer);
+      this[symbols.animation] = null;
+      animation.resolve(completed);
+    }
+  }
+};
+
+Animatable.EASINGS = EASINGS;
+
+module.exports = Animatable;
@@ -0,0 +1,336 @@
+/*
+ * WAMS - An API for Multi-Surface Environments
+ *
+ * Author: Michael van der Kamp
+ */
+
+'use strict';
+
+const { Message } = require('../shared.js');
+
+// Mark these properties as intended for internal use only.
+const symbols = Object.freeze({
+  managed:  Symbol('managed'),
+  seen:     Symbol('seen'),
+  separate: Symbol('separate'),
+  stale:    Symbol('stale'),
+  sync:     Symbol('sync'),
+  views:    Symbol('views'),
+});
+
+/**
+ * The Concealable mixin allows an item to be hidden from some of the views, for
+ * example to keep the cards in a player's hand private. To conceal an item,
+ * give it a 'visibleTo' property, which is either a list of the ids of the
+ * views that may see the item, or a predicate which receives a view and
+ * reports whether it may see the item.
+ *
+ * Views which may not see a concealed item are not told about it at all,
+ * unless it has a 'publicSrc', in which case they are shown that image instead,
+ * such as the back of a card. Views which may see it are shown its
+ * 'privateSrc', if it has one, or its 'src' otherwise.
+ *
+ * Visibility is checked again whenever a message about the item is sent, so a
+ * predicate may depend on where the item is. Views which may no longer see the
+ * item are told to remove it, and views which now may see it are told to add
+ * it.
+ *
+ * If the workspace uses interest management, a view is only told about an item
+ * once the item comes within its viewport, and updates about the item are only
+ * sent to views whose viewports it is within. Views keep the items which leave
+ * their viewports, and are brought up to date when the items come back into
+ * view.
+ *
+ * Classes using this mixin must have 'namespace' and 'workspace' properties,
+ * and implement `emitAdditionTo(emitter, appearance)` and `getBounds()`.
+ * Classes whose instances may have a 'publicSrc' must also implement
+ * `emitAppearanceTo(emitter, appearance)`.
+ *
+ * @memberof module:mixins
+ *
+ * @mixin
+ */
+const Concealable = (superclass) => class Concealable extends superclass {
+  /**
+   * The views which may see the item: either a list of view ids, or a
+   * predicate which receives a view. If it is not set, every view may see the
+   * item.
+   *
+   * @name visibleTo
+   * @type {?(number[]|function)}
+   * @default undefined
+   * @memberof module:mixins.Concealable
+   */
+
+  /**
+   * How the item appears to each view that has been told about it, by view id,
+   * or null if every view has been told about it and sees it in full.
+   *
+   * @name [@@seen]
+   * @type {?Map.<number, string>}
+   * @default undefined
+   * @memberof module:mixins.Concealable
+   */
+
+  /**
+   * The ids of the views which have been told about the item, but which have
+   * missed updates about it while it was out of their viewports.
+   *
+   * @name [@@stale]
+   * @type {?Set.<number>}
+   * @default undefined
+   * @memberof module:mixins.Concealable
+   */
+
+  /**
+   * Find out how the item appears to the given view.
+   *
+   * @memberof module:mixins.Concealable
+   *
+   * @param {module:server.ServerView} view
+   *
+   * @return {?string} 'private' if the view may see the item in full, 'public'
+   * if it is shown the public image, or null if the item is hidden from it.
+   */
+  appearanceTo(view) {
+    if (this.isVisibleTo(view)) return 'private';
+    if (this.publicSrc != null) return 'public';
+    return null;
+  }
+
+  /**
+   * Make sure that the given view knows about the item and is up to date with
+   * it, if the item is within its viewport.
+   *
+   * @memberof module:mixins.Concealable
+   *
+   * @param {module:server.ServerView} view
+   */
+  catchUp(view) {
+    this[symbols.sync]();
+    const stale = this[symbols.stale];
+    if (stale != null && stale.has(view.id) && this.isInViewOf(view)) {
+      stale.delete(view.id);
+      this.emitBatched(new Message(Message.UD_ITEM, this), view.socket);
+    }
+  }
+
+  /**
+   * Inform the views which may see the item about its existence.
+   *
+   * @memberof module:mixins.Concealable
+   */
+  emitAddition() {
+    if (this[symbols.separate]()) {
+      this[symbols.seen] = new Map();
+      this[symbols.sync]();
+    } else {
+      this[symbols.seen] = null;
+      this.emitAdditionTo(this.namespace, 'private');
+    }
+  }
+
+  /**
+   * Emit an update about the item to the views which may see it and whose
+   * viewports it is within. Views which were skipped are brought up to date
+   * with a full report once the item is back in view.
+   *
+   * @memberof module:mixins.Concealable
+   *
+   * @param {function} emit - Receives an emitter and how the item appears to
+   * the views it reaches, and emits the update with it.
+   */
+  emitUpdate(emit) {
+    if (!this[symbols.managed]()) {
+      this.emitVisibly(emit);
+      return;
+    }
+
+    this[symbols.sync]();
+    const seen = this[symbols.seen];
+    if (this[symbols.stale] == null) this[symbols.stale] = new Set();
+    const stale = this[symbols.stale];
+    const bounds = this.getBounds();
+    this[symbols.views]().forEach(view => {
+      if (!seen.has(view.id)) return;
+      if (!this.isInViewOf(view, bounds)) {
+        stale.add(view.id);
+      } else if (stale.delete(view.id)) {
+        this.emitBatched(new Message(Message.UD_ITEM, this), view.socket);
+      } else {
+        emit(view.socket, seen.get(view.id));
+      }
+    });
+  }
+
+  /**
+   * Emit a message about the item to the views which may see it. If the item
+   * is not concealed, the message is simply emitted to the whole namespace.
+   *
+   * @memberof module:mixins.Concealable
+   *
+   * @param {function} emit - Receives an emitter and how the item appears to
+   * the views it reaches, and emits the message with it.
+   */
+  emitVisibly(emit) {
+    this[symbols.sync]();
+    const seen = this[symbols.seen];
+    if (seen == null) {
+      emit(this.namespace, 'private');
+    } else {
+      this[symbols.views]().forEach(view => {
+        if (seen.has(view.id)) emit(view.socket, seen.get(view.id));
+      });
+    }
+  }
+
+  /**
+   * @memberof module:mixins.Concealable
+   *
+   * @return {boolean} Whether the item is concealed from any views.
+   */
+  isConcealed() {
+    return this.visibleTo != null;
+  }
+
+  /**
+   * @memberof module:mixins.Concealable
+   *
+   * @param {module:server.ServerView} view
+   * @param {?module:server.SpatialIndex.Bounds} [bounds=this.getBounds()] -
+   * The bounds of the item, if they are already known.
+   *
+   * @return {boolean} Whether the item is within the viewport of the given
+   * view. Always true if the workspace does not use interest management.
+   */
+  isInViewOf(view, bounds = this.getBounds()) {
+    return !this[symbols.managed]() || view.canSee(bounds);
+  }
+
+  /**
+   * @memberof module:mixins.Concealable
+   *
+   * @param {module:server.ServerView} view
+   *
+   * @return {boolean} Whether the given view may see the item in full.
+   */
+  isVisibleTo(view) {
+    if (!this.isConcealed()) return true;
+    if (Array.isArray(this.visibleTo)) return this.visibleTo.includes(view.id);
+    return Boolean(this.visibleTo(view));
+  }
+
+  /**
+   * Record that the given view is being told about the item as part of a full
+   * state report.
+   *
+   * @memberof module:mixins.Concealable
+   *
+   * @param {module:server.ServerView} view
+   *
+   * @return {?string} How the item appears to the view, or null if it should
+   * not be reported to the view.
+   */
+  revealTo(view) {
+    this[symbols.sync]();
+    const appearance = this.isInViewOf(view) ? this.appearanceTo(view) : null;
+    if (this[symbols.stale] != null) this[symbols.stale].delete(view.id);
+    const seen = this[symbols.seen];
+    if (seen != null) {
+      if (appearance) {
+        seen.set(view.id, appearance);
+      } else {
+        seen.delete(view.id);
+      }
+    }
+    return appearance;
+  }
+
+  /**
+   * Change which views may see the item, and bring them up to date.
+   *
+   * @memberof module:mixins.Concealable
+   *
+   * @param {?(number[]|function)} visibleTo - View ids or predicate, or null to
+   * show the item to every view.
+   */
+  setVisibility(visibleTo) {
+    this.visibleTo = visibleTo;
+    this[symbols.sync]();
+  }
+
+  /**
+   * @alias [@@managed]
+   * @memberof module:mixins.Concealable
+   *
+   * @return {boolean} Whether the workspace uses interest management.
+   */
+  [symbols.managed]() {
+    const { workspace } = this;
+    return Boolean(workspace && workspace.settings.interestManagement);
+  }
+
+  /**
+   * @alias [@@separate]
+   * @memberof module:mixins.Concealable
+   *
+   * @return {boolean} Whether the views must be told about the item separately,
+   * because it is concealed or the workspace uses interest management.
+   */
+  [symbols.separate]() {
+    return this.isConcealed() || this[symbols.managed]();
+  }
+
+  /**
+   * Bring each view up to date with how the item should now appear to it,
+   * adding, removing, or changing the appearance of the item as needed.
+   *
+   * @alias [@@sync]
+   * @memberof module:mixins.Concealable
+   */
+  [symbols.sync]() {
+    const previous = this[symbols.seen];
+    if (previous == null && !this[symbols.separate]()) return;
+
+    const seen = new Map();
+    const bounds = this.getBounds();
+    this[symbols.views]().forEach(view => {
+      const before = previous == null
+        ? 'private'
+        : previous.get(view.id) || null;
+      let after = this.appearanceTo(view);
+      // Views are only told about the item once it comes into view.
+      if (before == null && !this.isInViewOf(view, bounds)) after = null;
+      if (after) seen.set(view.id, after);
+
+      if (before === after) return;
+      if (after == null) {
+        this.emitBatched(new Message(Message.RM_ITEM, this), view.socket);
+      } else if (before == null) {
+        this.emitAdditionTo(view.socket, after);
+      } else {
+        this.emitAppearanceTo(view.socket, after);
+      }
+    });
+    this[symbols.seen] = this[symbols.separate]() ? seen : null;
+
+    const stale = this[symbols.stale];
+    if (stale != null) {
+      stale.forEach(id => {
+        if (!seen.has(id)) stale.delete(id);
+      });
+    }
+  }
+
+  /**
+   * @alias [@@views]
+   * @memberof module:mixins.Concealable
+   *
+   * @return {module:server.ServerView[]} The views of the connected clients.
+   */
+  [symbols.views]() {
+    return this.workspace ? this.workspace.views : [];
+  }
+};
+
+module.exports = Concealable;
@@ -8,6 +8,8 @@
 
 const { Point2D } = require('../shared.js');
 const Interactable = require('./Interactable.js');
+const Ownable = require('./Ownable.js');
+const Snap = require('./Snappable.js');
 
 /**
  * The Hitbox interface is used by the Hittable mixin. If a Hitbox is attached
@@ -44,41 +46,141 @@ const Interactable = require('./Interactable.js');
  * The purpose of the Hittable mixin is simply to provide functionality for
  * interacting with the 'hitbox' property.
  *
+ * Hittables are also Snappable, so they can be made to snap into place when
+ * they are dropped, and Ownable, so that what views may do with them can be
+ * restricted.
+ *
  * @memberof module:mixins
  *
  * @mixin
  * @mixes module:mixins.Interactable
+ * @mixes module:mixins.Ownable
+ * @mixes module:mixins.Snappable
  */
-const Hittable = (sclass) => class Hittable extends Interactable(sclass) {
-  /**
-   * The hitbox for this Hittable instance. If it is null, hit detection will
-   * always return a falsy value.
-   *
-   * @name hitbox
-   * @type {?module:shared.Hitbox}
-   * @default undefined
-   * @memberof module:mixins.Hittable
-   */
+const Hittable = (sclass) => {
+  return class Hittable extends Ownable(Snap(Interactable(sclass))) {
+    /**
+     * The hitbox for this Hittable instance. If it is null, hit detection will
+     * always return a falsy value. If the hitbox of an item in a workspace is
+     * replaced, call `workspace.reindexItem(item)` so that hit detection uses
+     * the new bounds.
+     *
+     * @name hitbox
+     * @type {?module:shared.Hitbox}
+     * @default undefined
+     * @memberof module:mixins.Hittable
+     */
+
+    /**
+     * Checks whether a point with the given x,y coordinates is contained by
+     * this item.
+     *
+     * @memberof module:mixins.Hittable
+     *
+     * @param {number} px - x coordinate of the point to check.
+     * @param {number} py - y coordinate of the point to check.
+     *
+     * @return {boolean} True if the (x,y) point is located inside this Item.
+     * False otherwise.
+     */
+    containsPoint(px, py) {
+      const point = new Point2D(px, py)
+        .minus(this)
+        .divideBy(this.scale)
+        .rotate(this.rotation);
+      return this.hitbox && this.hitbox.contains(point);
+    }
+
+    /**
+     * Find the axis-aligned bounding box of this item, in workspace
+     * coordinates.
+     *
+     * @memberof module:mixins.Hittable
+     *
+     * @return {?{x: number, y: number, width: number, height: number}} The
+     * bounding box of the transformed hitbox, an empty box at the position of
+     * the item if it has no hitbox, or null if the bounds of its hitbox are
+     * not known.
+     */
+    getBounds() {
+      if (this.hitbox == null) {
+        return { x: this.x, y: this.y, width: 0, height: 0 };
+      }
+      const bounds = this.getHitboxBounds();
+      if (bounds == null) return null;
+
+      const { x, y, width, height } = bounds;
+      const corners = [
+        new Point2D(x, y),
+        new Point2D(x + width, y),
+        new Point2D(x + width, y + height),
+        new Point2D(x, y + height),
+      ].map(p => {
+        return p.rotate(-this.rotation)
+          .multiplyBy(this.scale)
+          .add(this);
+      });
+      const xs = corners.map(p => p.x);
+      const ys = corners.map(p => p.y);
+      const left = Math.min(...xs);
+      const top = Math.min(...ys);
+      return {
+        x:      left,
+        y:      top,
+        width:  Math.max(...xs) - left,
+        height: Math.max(...ys) - top,
+      };
+    }
+
+    /**
+     * Find the centre of this item, in workspace coordinates.
+     *
+     * @memberof module:mixins.Hittable
+     *
+     * @return {module:shared.Point2D} The centre of the bounds of the hitbox,
+     * or the position of the item if its hitbox has no known bounds.
+     */
+    getCentre() {
+      const bounds = this.getHitboxBounds();
+      if (bounds == null) return new Point2D(this.x, this.y);
+      const { x, y, width, height } = bounds;
+      return new Point2D(x + (width / 2), y + (height / 2))
+        .rotate(-this.rotation)
+        .multiplyBy(this.scale)
+        .add(this);
+    }
 
-  /**
-   * Checks whether a point with the given x,y coordinates is contained by
-   * this item.
-   *
-   * @memberof module:mixins.Hittable
-   *
-   * @param {number} px - x coordinate of the point to check.
-   * @param {number} py - y coordinate of the point to check.
-   *
-   * @return {boolean} True if the (x,y) point is located inside this Item.
-   * False otherwise.
-   */
-  containsPoint(px, py) {
-    const point = new Point2D(px, py)
-      .minus(this)
-      .divideBy(this.scale)
-      .rotate(this.rotation);
-    return this.hitbox && this.hitbox.contains(point);
-  }
+    /**
+     * Find the bounding box of the hitbox, in the item's own coordinates. The
+     * bounds are known for Rectangle and Polygon2D hitboxes.
+     *
+     * @memberof module:mixins.Hittable
+     *
+     * @return {?{x: number, y: number, width: number, height: number}} The
+     * bounding box, or null if it is not known.
+     */
+    getHitboxBounds() {
+      const { hitbox } = this;
+      if (hitbox == null) return null;
+      if (Array.isArray(hitbox.points)) {
+        const xs = hitbox.points.map(p => p.x);
+        const ys = hitbox.points.map(p => p.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return {
+          x,
+          y,
+          width:  Math.max(...xs) - x,
+          height: Math.max(...ys) - y,
+        };
+      }
+      if (hitbox.width != null && hitbox.height != null) {
+        const { x = 0, y = 0, width, height } = hitbox;
+        return { x, y, width, height };
+      }
+      return null;
+    }
+  };
 };
 
 module.exports = Hittable;
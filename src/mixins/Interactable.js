@@ -6,31 +6,70 @@
 
 'use strict';
 
+const Animate = require('./Animatable.js');
 const Lock = require('./Lockable.js');
 const Publish = require('./Publishable.js');
 const Transform = require('./Transformable2D.js');
 
+// Mark these methods as intended for internal use only.
+const symbols = Object.freeze({
+  animate:   Symbol('animate'),
+  record:    Symbol('record'),
+  state:     Symbol('state'),
+  transform: Symbol('transform'),
+});
+
 /**
- * This mixin combines the Transformable2D, Lockable, and Publishable mixins to
- * produce an object that can be interacted with by a WAMS application.
+ * This mixin combines the Transformable2D, Lockable, Publishable, and
+ * Animatable mixins to produce an object that can be interacted with by a WAMS
+ * application.
+ *
+ * If the interactable belongs to a workspace (see the Stackable mixin), all
+ * transformations are recorded in the history of that workspace so that they
+ * can be undone. An animation or glide is recorded as a single change once it
+ * stops, rather than frame by frame, alongside the changes being made when it
+ * started. The spatial index of the workspace is also
+ * brought up to date after every transformation, so that hit detection finds
+ * the interactable where it now is.
  *
  * @memberof module:mixins
  *
  * @mixin
+ * @mixes module:mixins.Animatable
  * @mixes module:mixins.Lockable
  * @mixes module:mixins.Publishable
  * @mixes module:mixins.Transformable2D
  */
 const Interactable = (superclass) => {
-  return class Interactable extends Publish(Lock(Transform(superclass))) {
+  const Base = Animate(Publish(Lock(Transform(superclass))));
+  return class Interactable extends Base {
+    /*
+     * Animate the transformable to the given state, recording the whole
+     * animation as one change once it stops.
+     *
+     * @override
+     */
+    animateTo(target, options) {
+      return this[symbols.animate](() => super.animateTo(target, options));
+    }
+
+    /*
+     * Set the transformable gliding, recording the whole glide as one change
+     * once it stops.
+     *
+     * @override
+     */
+    glide(velocity, options) {
+      return this[symbols.animate](() => super.glide(velocity, options));
+    }
+
     /*
      * Move the transformable by the given amounts.
      *
      * @override
      */
     moveBy(dx, dy) {
-      super.moveBy(dx, dy);
-      this.publish();
+      this[symbols.transform](() => super.moveBy(dx, dy));
     }
 
     /*
@@ -39,8 +78,24 @@ const Interactable = (superclass) => {
      * @override
      */
     moveTo(x, y) {
-      super.moveTo(x, y);
-      this.publish();
+      this[symbols.transform](() => super.moveTo(x, y));
+    }
+
+    /**
+     * Record a change to this interactable in the history of the workspace to
+     * which it belongs. Does nothing if it does not belong to a workspace.
+     *
+     * @memberof module:mixins.Interactable
+     *
+     * @param {string} key - Which aspect of the interactable was changed.
+     * @param {*} before - The state before the change.
+     * @param {*} after - The state after the change.
+     * @param {function} apply - Restores the interactable to a given state.
+     */
+    recordChange(key, before, after, apply) {
+      if (this.workspace) {
+        this.workspace.history.record(this, key, before, after, apply);
+      }
     }
 
     /*
@@ -50,8 +105,7 @@ const Interactable = (superclass) => {
      * @override
      */
     rotateBy(radians, px, py) {
-      super.rotateBy(radians, px, py);
-      this.publish();
+      this[symbols.transform](() => super.rotateBy(radians, px, py));
     }
 
     /*
@@ -60,11 +114,80 @@ const Interactable = (superclass) => {
      * @override
      */
     scaleBy(ds, mx, my, delta_fn) {
-      super.scaleBy(ds, mx, my, delta_fn);
+      this[symbols.transform](() => super.scaleBy(ds, mx, my, delta_fn));
+    }
+
+    /**
+     * Start an animation, and record it as a single change once it stops.
+     *
+     * @alias [@@animate]
+     * @memberof module:mixins.Interactable
+     *
+     * @param {function} fn - Starts the animation, returning its promise.
+     *
+     * @return {Promise<boolean>} The promise of the animation.
+     */
+    [symbols.animate](fn) {
+      const before = this[symbols.state]();
+      const history = this.workspace ? this.workspace.history : null;
+      const context = history ? history.capture() : null;
+      return fn().then(completed => {
+        if (history) {
+          history.resume(context, () => this[symbols.record](before));
+        } else {
+          this[symbols.record](before);
+        }
+        return completed;
+      });
+    }
+
+    /**
+     * Apply a transformation, then publish and record the change.
+     *
+     * @alias [@@transform]
+     * @memberof module:mixins.Interactable
+     *
+     * @param {function} fn - Applies the transformation.
+     */
+    [symbols.transform](fn) {
+      const before = this[symbols.state]();
+      fn();
       this.publish();
+      if (this.workspace) this.workspace.reindexItem(this);
+      if (!this.isAnimating()) this[symbols.record](before);
+    }
+
+    /**
+     * Record a transformation of the interactable, from the given state to its
+     * current state.
+     *
+     * @alias [@@record]
+     * @memberof module:mixins.Interactable
+     *
+     * @param {object} before - The state before the transformation.
+     */
+    [symbols.record](before) {
+      this.recordChange('transform', before, this[symbols.state](), (state) => {
+        Object.assign(this, state);
+        this.publish();
+        if (this.workspace) this.workspace.reindexItem(this);
+      });
+    }
+
+    /**
+     * Capture the current transformation state of the interactable.
+     *
+     * @alias [@@state]
+     * @memberof module:mixins.Interactable
+     *
+     * @return {object} The 'x', 'y', 'rotation', and 'scale' of the
+     * interactable.
+     */
+    [symbols.state]() {
+      const { x, y, rotation, scale } = this;
+      return { x, y, rotation, scale };
     }
   };
 };
 
 module.exports = Interactable;
-
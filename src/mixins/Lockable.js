@@ -7,12 +7,17 @@
 'use strict';
 
 const locked = Symbol.for('locked');
-const holder = Symbol.for('holder');
+const holders = Symbol.for('holders');
 
 /**
  * The Lockable mixin allows a class to enable itself to be locked and unlocked,
  * with the default being unlocked.
  *
+ * Normally only one holder can lock a Lockable at a time. If the Lockable has a
+ * truthy 'sharedLock' property, any number of holders can lock it at once, for
+ * example so that people on different devices can stretch the same item
+ * between them.
+ *
  * @memberof module:mixins
  *
  * @mixin
@@ -28,14 +33,64 @@ const Lockable = (superclass) => class Lockable extends superclass {
    */
 
   /**
-   * If the Lockable is locked, stores a reference to the holder of the lock.
+   * Whether several holders may lock this Lockable at the same time.
    *
-   * @name [@@holder]
-   * @type {?module:mixins.Locker}
+   * @name sharedLock
+   * @type {?boolean}
+   * @default undefined
+   * @memberof module:mixins.Lockable
+   */
+
+  /**
+   * If the Lockable is locked, stores references to the holders of the lock,
+   * in the order that they obtained it.
+   *
+   * @name [@@holders]
+   * @type {?module:mixins.Locker[]}
    * @default undefined
    * @memberof module:mixins.Lockable
    */
 
+  /**
+   * The first holder of the lock on this Lockable, if it is locked.
+   *
+   * @memberof module:mixins.Lockable
+   *
+   * @type {?module:mixins.Locker}
+   */
+  get lockHolder() {
+    return this.lockHolders[0] || null;
+  }
+
+  /**
+   * All the holders of the lock on this Lockable.
+   *
+   * @memberof module:mixins.Lockable
+   *
+   * @type {module:mixins.Locker[]}
+   */
+  get lockHolders() {
+    return this[holders] ? this[holders].slice() : [];
+  }
+
+  /**
+   * Checks whether the given locker may lock this lockable, either because it
+   * is unlocked, or because its lock is shared and the locker does not already
+   * hold it.
+   *
+   * @memberof module:mixins.Lockable
+   *
+   * @param {module:mixins.Locker} locker - The would-be holder of the lock.
+   *
+   * @return {boolean} True if the locker may lock the item, false otherwise.
+   */
+  isFreeFor(locker) {
+    if (!this.isLocked()) return true;
+    return Boolean(this.sharedLock) &&
+      locker != null &&
+      !this.lockHolders.includes(locker);
+  }
+
   /**
    * Checks whether this lockable is locked.
    *
@@ -48,28 +103,35 @@ const Lockable = (superclass) => class Lockable extends superclass {
   }
 
   /**
-   * Lock this item.
+   * Lock this item. If the lock is shared, the locker joins the existing
+   * holders, otherwise it replaces them.
    *
    * @memberof module:mixins.Lockable
    *
    * @param {module:mixins.Locker} locker - The holder of the lock.
    */
   lock(locker) {
+    const current = this.sharedLock ? this.lockHolders : [];
     this[locked] = true;
-    this[holder] = locker;
+    this[holders] = locker == null ? current : current.concat([locker]);
   }
 
   /**
-   * Unlock this item.
+   * Unlock this item. If the lock is shared and a locker is given, only that
+   * locker lets go, and the item stays locked by the remaining holders.
    *
    * @memberof module:mixins.Lockable
+   *
+   * @param {module:mixins.Locker} [locker] - The holder letting go.
    */
-  unlock() {
-    this[locked] = false;
-    if (this[holder] && this[holder].lockedItem === this) {
-      this[holder].clearLockedItem();
-      this[holder] = null;
-    }
+  unlock(locker) {
+    const current = this.lockHolders;
+    const released = locker == null || !this.sharedLock ? current : [locker];
+    released.forEach(h => {
+      if (h && h.lockedItem === this) h.clearLockedItem();
+    });
+    this[holders] = current.filter(h => !released.includes(h));
+    this[locked] = this[holders].length > 0;
   }
 };
 
@@ -57,8 +57,8 @@ const Locker = (superclass) => class Locker extends superclass {
    * @param {module:mixins.Lockable} item - The item to lock down.
    */
   obtainLockOnItem(item) {
-    if (!item.isLocked()) {
-      if (this[lockedItem]) this[lockedItem].unlock();
+    if (item.isFreeFor(this)) {
+      if (this[lockedItem]) this[lockedItem].unlock(this);
       this[lockedItem] = item;
       item.lock(this);
     }
@@ -70,7 +70,7 @@ const Locker = (superclass) => class Locker extends superclass {
    * @memberof module:mixins.Locker
    */
   releaseLockedItem() {
-    if (this[lockedItem]) this[lockedItem].unlock();
+    if (this[lockedItem]) this[lockedItem].unlock(this);
     this[lockedItem] = null;
   }
 };
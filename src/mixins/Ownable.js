@@ -0,0 +1,206 @@
+/*
+ * WAMS - An API for Multi-Surface Environments
+ *
+ * Author: Michael van der Kamp
+ */
+
+'use strict';
+
+/**
+ * The actions which can be permitted or denied.
+ *
+ * @inner
+ * @memberof module:mixins.Ownable
+ *
+ * @type {string[]}
+ */
+const ACTIONS = Object.freeze([
+  'move',
+  'rotate',
+  'scale',
+  'click',
+  'remove',
+]);
+
+/**
+ * The named rules which can be given for an action.
+ *
+ * @inner
+ * @memberof module:mixins.Ownable
+ *
+ * @type {string[]}
+ */
+const RULES = Object.freeze([
+  'anyone',
+  'owner',
+  'nobody',
+]);
+
+/**
+ * Checks that the given rule is a predicate or one of the named rules.
+ *
+ * @inner
+ * @memberof module:mixins.Ownable
+ *
+ * @param {*} rule - The rule to check.
+ *
+ * @return {boolean} True if the rule is valid.
+ */
+function isValidRule(rule) {
+  return typeof rule === 'function' || RULES.includes(rule);
+}
+
+/**
+ * Checks that the given permissions are either a single valid rule, or an
+ * object with a valid rule for some of the actions.
+ *
+ * @inner
+ * @memberof module:mixins.Ownable
+ *
+ * @throws TypeError
+ *
+ * @param {*} permissions - The permissions to check.
+ */
+function checkPermissions(permissions) {
+  if (permissions == null || isValidRule(permissions)) return;
+  if (typeof permissions !== 'object' || Array.isArray(permissions)) {
+    throw new TypeError(`Unknown permission rule: ${permissions}`);
+  }
+  Object.entries(permissions).forEach(([action, rule]) => {
+    if (!ACTIONS.includes(action)) {
+      throw new TypeError(`Unknown action: ${action}`);
+    }
+    if (rule != null && !isValidRule(rule)) {
+      throw new TypeError(`Unknown permission rule: ${rule}`);
+    }
+  });
+}
+
+/**
+ * Describes who may perform an action on an item. One of:
+ *
+ * - 'anyone': Every view may perform the action.
+ * - 'owner': Only views matching the item's owner may perform the action.
+ * - 'nobody': No view may perform the action.
+ * - A function, which receives the view, the action, and the item, and returns
+ *   whether the view may perform the action.
+ *
+ * @typedef {(string|function)} PermissionRule
+ * @memberof module:mixins.Ownable
+ */
+
+/**
+ * The Ownable mixin allows an item to belong to a view, and to restrict what
+ * other views may do with it. The 'owner' of an item is either the id of a
+ * view, or a role. A view matches a role if its 'role' property is the same.
+ *
+ * The 'permissions' of an item describe who may 'move', 'rotate', 'scale',
+ * 'click', or 'remove' it. It can be a single rule, used for every action, or
+ * an object with a rule for each action. Actions without a rule may be
+ * performed by the owner only, if the item has one, or by anyone otherwise.
+ * The permissions are checked when the item is constructed, and when they are
+ * changed with setPermissions(). Unknown rules deny everyone.
+ *
+ * When a view is denied an action, the item's 'ondenied' handler is called, if
+ * it has one, with an event naming the 'view' and the 'action', so that the
+ * application can give feedback.
+ *
+ * @memberof module:mixins
+ *
+ * @mixin
+ */
+const Ownable = (superclass) => class Ownable extends superclass {
+  constructor(...args) {
+    super(...args);
+    checkPermissions(this.permissions);
+  }
+
+  /**
+   * The id or role of the view which owns the item.
+   *
+   * @name owner
+   * @type {?(number|string)}
+   * @default undefined
+   * @memberof module:mixins.Ownable
+   */
+
+  /**
+   * Who may perform each action on the item.
+   *
+   * @name permissions
+   * @type {?(module:mixins.Ownable.PermissionRule|Object.<string,
+   * module:mixins.Ownable.PermissionRule>)}
+   * @default undefined
+   * @memberof module:mixins.Ownable
+   */
+
+  /**
+   * Tell the item that the given view was denied the given action, by calling
+   * its 'ondenied' handler.
+   *
+   * @memberof module:mixins.Ownable
+   *
+   * @param {module:server.ServerView} view - The view that was denied.
+   * @param {string} action - The action it was denied.
+   */
+  deny(view, action) {
+    if (this.ondenied) this.ondenied({ target: this, view, action });
+  }
+
+  /**
+   * @memberof module:mixins.Ownable
+   *
+   * @param {module:server.ServerView} view
+   *
+   * @return {boolean} Whether the given view owns the item.
+   */
+  isOwnedBy(view) {
+    if (this.owner == null) return false;
+    return this.owner === view.id || this.owner === view.role;
+  }
+
+  /**
+   * Check whether the given view may perform the given action on the item.
+   *
+   * @memberof module:mixins.Ownable
+   *
+   * @throws TypeError
+   *
+   * @param {module:server.ServerView} view
+   * @param {string} action - 'move', 'rotate', 'scale', 'click', or 'remove'.
+   *
+   * @return {boolean} Whether the action is permitted. Always false if the
+   * rule for the action is unknown.
+   */
+  permits(view, action) {
+    if (!ACTIONS.includes(action)) {
+      throw new TypeError(`Unknown action: ${action}`);
+    }
+
+    let rule = this.permissions;
+    if (rule != null && typeof rule === 'object') rule = rule[action];
+    if (rule == null) rule = this.owner == null ? 'anyone' : 'owner';
+
+    if (typeof rule === 'function') return Boolean(rule(view, action, this));
+    if (rule === 'anyone') return true;
+    if (rule === 'owner') return this.isOwnedBy(view);
+    return false;
+  }
+
+  /**
+   * Set who may perform each action on the item.
+   *
+   * @memberof module:mixins.Ownable
+   *
+   * @throws TypeError
+   *
+   * @param {?(module:mixins.Ownable.PermissionRule|Object.<string,
+   * module:mixins.Ownable.PermissionRule>)} permissions - The new permissions.
+   */
+  setPermissions(permissions) {
+    checkPermissions(permissions);
+    this.permissions = permissions;
+  }
+};
+
+module.exports = Ownable;
@@ -7,8 +7,11 @@
 'use strict';
 
 const symbols = Object.freeze({
-  scheduled: Symbol('scheduled'),
+  dirty:     Symbol('dirty'),
   emit:      Symbol('emit'),
+  published: Symbol('published'),
+  scheduled: Symbol('scheduled'),
+  track:     Symbol('track'),
 });
 
 /**
@@ -21,6 +24,15 @@ const symbols = Object.freeze({
  * is ensure that the publication will not be sent until all transformations
  * relating to an event have been applied.
  *
+ * The mixin also keeps track of which core properties have changed since the
+ * last publication, so that only those need to be emitted. Classes using this
+ * mixin must therefore be Reporters, and their `emitPublication()` should emit
+ * the properties returned by `collectChanges()`.
+ *
+ * If the object belongs to a workspace, messages emitted with `emitBatched()`
+ * are sent to the clients in a single batch along with the messages of the
+ * other objects in the workspace.
+ *
  * @memberof module:mixins
  *
  * @mixin
@@ -35,6 +47,80 @@ const Publishable = (superclass) => class Publishable extends superclass {
    * @memberof module:mixins.Publishable
    */
 
+  /**
+   * The core properties which have changed since the last publication.
+   *
+   * @name [@@dirty]
+   * @type {?Set.<string>}
+   * @default undefined
+   * @memberof module:mixins.Publishable
+   */
+
+  /**
+   * A report of the object as of the last publication.
+   *
+   * @name [@@published]
+   * @type {?Object}
+   * @default undefined
+   * @memberof module:mixins.Publishable
+   */
+
+  /**
+   * Emit a message about this object to every view except the given one, as
+   * part of the next batch if the object belongs to a workspace, or straight
+   * away otherwise.
+   *
+   * @memberof module:mixins.Publishable
+   *
+   * @param {module:shared.Message} message - The message to emit.
+   * @param {module:server.ServerView} sender - The view whose client should
+   * not receive the message.
+   */
+  broadcastBatched(message, sender) {
+    const scheduler = this.workspace ? this.workspace.scheduler : null;
+    if (scheduler) {
+      scheduler.broadcast(message, sender);
+    } else {
+      message.emitWith(sender.socket.broadcast);
+    }
+  }
+
+  /**
+   * Emit a message about this object with the given emitter, as part of the
+   * next batch if the object belongs to a workspace, or straight away
+   * otherwise.
+   *
+   * @memberof module:mixins.Publishable
+   *
+   * @param {module:shared.Message} message - The message to emit.
+   * @param {Emitter} emitter - The namespace or socket with which to emit it.
+   */
+  emitBatched(message, emitter) {
+    const scheduler = this.workspace ? this.workspace.scheduler : null;
+    if (scheduler) {
+      scheduler.emit(message, emitter);
+    } else {
+      message.emitWith(emitter);
+    }
+  }
+
+  /**
+   * Find the core properties which have changed since the last publication,
+   * and mark them as published. If there has not been a publication yet, all
+   * the core properties are considered to have changed.
+   *
+   * @memberof module:mixins.Publishable
+   *
+   * @return {string[]} The core properties to publish.
+   */
+  collectChanges() {
+    this[symbols.track]();
+    const changes = Array.from(this[symbols.dirty]);
+    this[symbols.dirty].clear();
+    this[symbols.published] = this.report();
+    return changes;
+  }
+
   /**
    * Schedule a publication of this object for the end of this turn of the
    * node.js event loop. This will have the effect of making sure that the
@@ -47,6 +133,7 @@ const Publishable = (superclass) => class Publishable extends superclass {
    * @memberof module:mixins.Publishable
    */
   publish() {
+    this[symbols.track]();
     if (!this[symbols.scheduled]) {
       this[symbols.scheduled] = true;
       setImmediate(this[symbols.emit].bind(this));
@@ -66,6 +153,23 @@ const Publishable = (superclass) => class Publishable extends superclass {
     this.emitPublication();
   }
 
+  /**
+   * Note which core properties differ from the last publication. This is done
+   * whenever a publication is requested, so that a property which is changed
+   * and then changed back before the publication is sent is still published.
+   * Otherwise clients which were told about the object in between would be
+   * left with the intermediate value.
+   *
+   * @alias [@@track]
+   * @memberof module:mixins.Publishable
+   */
+  [symbols.track]() {
+    if (this[symbols.dirty] == null) this[symbols.dirty] = new Set();
+    this.changedSince(this[symbols.published]).forEach(p => {
+      this[symbols.dirty].add(p);
+    });
+  }
+
   /**
    * Emit the publication of this object.
    *
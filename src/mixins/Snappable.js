@@ -0,0 +1,177 @@
+/*
+ * WAMS - An API for Multi-Surface Environments
+ *
+ * Author: Michael van der Kamp
+ */
+
+'use strict';
+
+// Mark these properties as intended for internal use only.
+const symbols = Object.freeze({
+  free: Symbol('free'),
+});
+
+/**
+ * Describes how a Snappable should snap into place. Either 'grid' or 'targets'
+ * should be provided.
+ *
+ * @typedef {Object} SnapSettings
+ * @memberof module:mixins.Snappable
+ *
+ * @property {number} [grid] - Spacing of a square grid, the points of which the
+ * snappable will snap to.
+ * @property {{x: number, y: number}} [origin={x: 0, y: 0}] - A point on the
+ * grid.
+ * @property {Object[]} [targets] - Items or points with 'x' and 'y' properties,
+ * the closest of which the snappable will snap to.
+ * @property {number} [radius=Infinity] - How close the snappable must be to a
+ * target in order to snap to it.
+ * @property {boolean} [live=false] - Whether to snap while being dragged,
+ * instead of only when dropped.
+ */
+
+/**
+ * Locate the point of the grid that is closest to the given point.
+ *
+ * @inner
+ * @memberof module:mixins.Snappable
+ *
+ * @param {{x: number, y: number}} point
+ * @param {module:mixins.Snappable.SnapSettings} settings
+ *
+ * @return {{x: number, y: number}} The closest grid point.
+ */
+function nearestGridPoint({ x, y }, { grid, origin = { x: 0, y: 0 } }) {
+  return {
+    x: origin.x + (Math.round((x - origin.x) / grid) * grid),
+    y: origin.y + (Math.round((y - origin.y) / grid) * grid),
+  };
+}
+
+/**
+ * Locate the target closest to the given point.
+ *
+ * @inner
+ * @memberof module:mixins.Snappable
+ *
+ * @param {{x: number, y: number}} point
+ * @param {module:mixins.Snappable.SnapSettings} settings
+ *
+ * @return {?Object} The closest target within the radius, or null if there is
+ * none.
+ */
+function nearestTarget(point, { targets, radius = Infinity }) {
+  let nearest = null;
+  let best = radius;
+  targets.forEach(target => {
+    if (target === point) return;
+    const distance = Math.hypot(target.x - point.x, target.y - point.y);
+    if (distance <= best) {
+      nearest = target;
+      best = distance;
+    }
+  });
+  return nearest;
+}
+
+/**
+ * The Snappable mixin allows an item to snap into place when it is dropped,
+ * either onto the points of a grid or onto the closest of a set of targets. To
+ * make an item snap, give it a 'snap' property describing how it should snap.
+ *
+ * Whenever the item snaps into place after being dropped, its 'onsnap' handler
+ * is called, if it has one, with an event whose 'snapTarget' is the grid point,
+ * item, or point that it snapped to.
+ *
+ * Snapping moves the item using `moveTo()`, so the change is published and
+ * recorded as usual.
+ *
+ * @memberof module:mixins
+ *
+ * @mixin
+ */
+const Snappable = (superclass) => class Snappable extends superclass {
+  /**
+   * Describes how the item should snap into place. If it is not set, the item
+   * will not snap.
+   *
+   * @name snap
+   * @type {?module:mixins.Snappable.SnapSettings}
+   * @default undefined
+   * @memberof module:mixins.Snappable
+   */
+
+  /**
+   * Where the item would be if live snapping had not been applied.
+   *
+   * @name [@@free]
+   * @type {?{x: number, y: number}}
+   * @default undefined
+   * @memberof module:mixins.Snappable
+   */
+
+  /**
+   * Find where the item should snap to from where it is now.
+   *
+   * @memberof module:mixins.Snappable
+   *
+   * @return {?Object} The grid point, item, or point to snap to, or null if
+   * the item should stay where it is.
+   */
+  findSnapTarget() {
+    if (this.snap == null) return null;
+    if (this.snap.grid > 0) return nearestGridPoint(this, this.snap);
+    if (Array.isArray(this.snap.targets)) return nearestTarget(this, this.snap);
+    return null;
+  }
+
+  /*
+   * Forget about any live snapping when grabbed.
+   *
+   * @override
+   */
+  lock(locker) {
+    this[symbols.free] = null;
+    super.lock(locker);
+  }
+
+  /**
+   * Apply a movement while live snapping. The movement is applied to where the
+   * item would be without snapping, so that it can be dragged out of place,
+   * then the item snaps into place.
+   *
+   * @memberof module:mixins.Snappable
+   *
+   * @param {function} fn - Applies the movement.
+   */
+  moveSnapped(fn) {
+    const free = this[symbols.free];
+    if (free) this.moveTo(free.x, free.y);
+    fn();
+    this[symbols.free] = { x: this.x, y: this.y };
+    this.snapIntoPlace(false);
+  }
+
+  /**
+   * Move the item onto its snap target, if it has one.
+   *
+   * @memberof module:mixins.Snappable
+   *
+   * @param {boolean} [notify=true] - Whether to call the 'onsnap' handler.
+   *
+   * @return {?Object} The grid point, item, or point that the item snapped to,
+   * or null if it did not snap.
+   */
+  snapIntoPlace(notify = true) {
+    const snapTarget = this.findSnapTarget();
+    if (snapTarget == null) return null;
+
+    this.moveTo(snapTarget.x, snapTarget.y);
+    if (notify && this.onsnap) {
+      this.onsnap({ target: this, snapTarget, x: this.x, y: this.y });
+    }
+    return snapTarget;
+  }
+};
+
+module.exports = Snappable;
@@ -0,0 +1,92 @@
+/*
+ * WAMS - An API for Multi-Surface Environments
+ *
+ * Author: Michael van der Kamp
+ */
+
+'use strict';
+
+/**
+ * The Stackable mixin allows an item to adjust its position in the stacking
+ * order of the workspace to which it belongs. The position is described by a
+ * 'z' value, where 0 is the very back of the stack and higher values are closer
+ * to the front.
+ *
+ * The actual stacking order is maintained by the workspace, so that the order
+ * used for hit detection on the server always matches the render order on the
+ * clients. A Stackable that has not been spawned into a workspace will report a
+ * z value of 0 and ignore any requests to change its position.
+ *
+ * Clients are not told the z value, as they may only know about some of the
+ * items. Instead the workspace gives each item a `stackOrder` which only
+ * changes when the item itself is moved, and clients render items in order of
+ * their stackOrder.
+ *
+ * @memberof module:mixins
+ *
+ * @mixin
+ */
+const Stackable = (superclass) => class Stackable extends superclass {
+  /**
+   * The workspace to which this Stackable belongs. Assigned by the workspace
+   * when the Stackable is spawned.
+   *
+   * @name workspace
+   * @type {?module:server.WorkSpace}
+   * @default undefined
+   * @memberof module:mixins.Stackable
+   */
+
+  /**
+   * The position of this Stackable in the stacking order. 0 is the back.
+   *
+   * @memberof module:mixins.Stackable
+   *
+   * @type {number}
+   */
+  get z() {
+    return this.workspace ? this.workspace.getItemZ(this) : 0;
+  }
+
+  set z(value) {
+    if (this.workspace) this.workspace.reorderItem(this, value);
+  }
+
+  /**
+   * Move this Stackable to the very front of the stacking order.
+   *
+   * @memberof module:mixins.Stackable
+   */
+  bringToFront() {
+    this.z = Infinity;
+  }
+
+  /**
+   * Move this Stackable one step closer to the back of the stacking order.
+   *
+   * @memberof module:mixins.Stackable
+   */
+  lower() {
+    this.z = this.z - 1;
+  }
+
+  /**
+   * Move this Stackable one step closer to the front of the stacking order.
+   *
+   * @memberof module:mixins.Stackable
+   */
+  raise() {
+    this.z = this.z + 1;
+  }
+
+  /**
+   * Move this Stackable to the very back of the stacking order.
+   *
+   * @memberof module:mixins.Stackable
+   */
+  sendToBack() {
+    this.z = 0;
+  }
+};
+
+module.exports = Stackable;
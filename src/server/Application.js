@@ -11,16 +11,18 @@
 'use strict';
 
 // External modules
+const { execFileSync } = require('child_process');
 const http = require('http');
+const https = require('https');
 const os = require('os');
 const IO = require('socket.io');
 
 // Local classes, etc
 const { constants } = require('../shared.js');
+const RestApi = require('./RestApi.js');
+const Room = require('./Room.js');
 const Router = require('./Router.js');
 const Switchboard = require('./Switchboard.js');
-const WorkSpace = require('./WorkSpace.js');
-const MessageHandler = require('./MessageHandler.js');
 
 /**
  * @inner
@@ -42,119 +44,245 @@ function getLocalIP() {
   return ipaddr;
 }
 
+/**
+ * Generate a self-signed certificate for use during development. Requires the
+ * 'openssl' command line tool, which writes both the key and the certificate to
+ * its output. Browsers will warn about the certificate, but will allow it to be
+ * accepted.
+ *
+ * @inner
+ * @memberof module:server.Application
+ *
+ * @returns {object} The 'key' and 'cert' to use for an HTTPS server.
+ */
+function createSelfSignedCertificate() {
+  const pem = execFileSync('openssl', [
+    'req', '-x509', '-nodes',
+    '-newkey', 'rsa:2048',
+    '-days', '365',
+    '-subj', '/CN=wams',
+    '-keyout', '-',
+    '-out', '-',
+  ], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+  const block = (label) => {
+    const begin = pem.indexOf(`-----BEGIN ${label}-----`);
+    const end = `-----END ${label}-----`;
+    return pem.slice(begin, pem.indexOf(end, begin) + end.length);
+  };
+  return { key: block('PRIVATE KEY'), cert: block('CERTIFICATE') };
+}
+
+/**
+ * Create the server over which the application will be delivered.
+ *
+ * @inner
+ * @memberof module:server.Application
+ *
+ * @param {object} settings - The settings of the application.
+ * @param {module:server.Router} router - Route handler to use.
+ *
+ * @returns {http.Server|https.Server} An HTTPS server if the settings ask for
+ * one, or an HTTP server otherwise.
+ */
+function createServer(settings, router) {
+  if (!settings.https) return http.createServer(router);
+
+  const options = settings.https === true
+    ? createSelfSignedCertificate()
+    : settings.https;
+  return https.createServer(options, router);
+}
+
+/**
+ * Room names must be usable in URLs and socket.io namespaces without escaping.
+ *
+ * @inner
+ * @memberof module:server.Application
+ *
+ * @type {RegExp}
+ */
+const ROOM_NAME = /^[\w-]+$/u;
+
 /**
  * This module defines the API endpoint.
  *
+ * The Application is itself the default room, so all the methods of a Room can
+ * be called directly on the Application. Additional, independent rooms can be
+ * created with createRoom(). Clients choose a room by visiting either
+ * '/room/<name>' or '/?room=<name>', and a list of the available rooms is
+ * served as JSON from '/rooms'. Connections to rooms which do not exist are
+ * refused by socket.io with an 'Invalid namespace' error, as no namespace is
+ * ever made for them.
+ *
  * @memberof module:server
+ * @extends module:server.Room
  *
  * @param {object} [settings={}] - Settings data to be forwarded to the server.
+ * @param {(object|boolean)} [settings.https] - Options for serving the
+ * application over HTTPS, for example { key, cert }, as accepted by
+ * https.createServer(). If true, a self-signed certificate is generated, which
+ * is only suitable for development. If not provided, HTTP is used.
+ * @param {number} [settings.redirectPort] - If provided along with
+ * settings.https, a plain HTTP server listening on this port will redirect
+ * all requests to the HTTPS server.
  * @param {module:server.Router} [router=Router()] - Route handler to use.
  */
-class Application {
+class Application extends Room {
   constructor(settings = {}, router = Router()) {
+    const server = createServer(settings, router);
+    const io = IO(server);
+    super(null, io.of(constants.NS_WAMS), settings);
+
     /**
      * HTTP server for sending and receiving data.
      *
      * @type {http.Server}
      */
-    this.server = http.createServer(router);
+    this.server = server;
 
     /**
-     * Socket.io namespace in which to operate.
+     * Server which redirects HTTP requests to the HTTPS server, if requested in
+     * the settings. Created when the application starts listening.
      *
-     * @type {Namespace}
-     * @see {@link https://socket.io/docs/server-api/}
+     * @type {?http.Server}
      */
-    this.namespace = IO(this.server).of(constants.NS_WAMS);
+    this.redirectServer = null;
 
     /**
-     * The main model. The buck stops here.
+     * Route handler used by the server.
      *
-     * @type {module:server.WorkSpace}
+     * @type {module:server.Router}
      */
-    this.workspace = new WorkSpace(settings, this.namespace);
+    this.router = router;
 
     /**
-     * The MessageHandler responds to messages.
+     * Socket.io server, from which the namespaces of the rooms are obtained.
      *
-     * @type {module:server.MessageHandler}
+     * @type {Server}
+     * @see {@link https://socket.io/docs/server-api/}
      */
-    this.messageHandler = new MessageHandler(this.workspace);
+    this.io = io;
 
     /**
-     * The switchboard allows communication with clients
+     * The settings given to the Application, used as defaults for the settings
+     * of each room.
      *
-     * @type {module:server.Switchboard}
+     * @type {object}
      */
-    this.switchboard = new Switchboard(
-      this.workspace,
-      this.messageHandler,
-      this.namespace,
-      settings,
-    );
+    this.settings = settings;
+
+    /**
+     * The additional rooms hosted by this Application, by name.
+     *
+     * @type {Map.<string, module:server.Room>}
+     */
+    this.rooms = new Map();
+
+    router.get('/rooms', (req, res) => res.json(this.reportRooms()));
   }
 
   /**
-   * Start the server on the given hostname and port.
+   * Shut down every room of this Application, then stop the server.
    *
-   * @param {number} [port=9000] - Valid port number on which to listen.
-   * @param {string} [host=getLocalIP()] - IP address or hostname on which to
-   * listen.
-   * @see module:server.Application~getLocalIP
+   * @override
+   *
+   * @param {function} [callback] - Called once the server has stopped.
    */
-  listen(port = Switchboard.DEFAULTS.port, host = getLocalIP()) {
-    this.server.listen(port, host, () => {
-      console.info('Listening on', this.server.address());
-    });
+  close(callback) {
+    this.rooms.forEach(room => room.close());
+    super.close();
+    if (this.redirectServer) this.redirectServer.close();
+    this.io.close(callback);
   }
 
   /**
-   * Register a layout callback.
+   * Create a new room, isolated from all the other rooms of this Application.
+   *
+   * @param {string} name - Name of the room. Must consist only of letters,
+   * digits, underscores, and hyphens.
+   * @param {object} [settings={}] - Settings for the room. Any settings not
+   * provided are taken from the settings of the Application.
    *
-   * @param {function} callback - Layout handler to trigger when a user
-   * connects.
+   * @return {module:server.Room} The new room.
    */
-  onlayout(callback) {
-    this.messageHandler.onlayout = callback;
+  createRoom(name, settings = {}) {
+    if (typeof name !== 'string' || !ROOM_NAME.test(name)) {
+      throw new TypeError(`Invalid room name: ${name}`);
+    }
+    if (this.rooms.has(name)) {
+      throw new Error(`Room already exists: ${name}`);
+    }
+
+    const namespace = this.io.of(`${constants.NS_WAMS}/${name}`);
+    const room = new Room(name, namespace, { ...this.settings, ...settings });
+    this.rooms.set(name, room);
+    return room;
   }
 
   /**
-   * Remove the given item from the workspace.
+   * @param {string} name - Name of the room to get.
    *
-   * @param {module:server.ServerItem} item - Item to remove.
+   * @return {?module:server.Room} The room with the given name, or null if
+   * there is no such room.
    */
-  removeItem(item) {
-    this.workspace.removeItem(item);
+  getRoom(name) {
+    return this.rooms.get(name) || null;
   }
 
   /**
-   * Spawn a new element with the given values in the workspace.
+   * Start the server on the given hostname and port. If HTTPS is in use and a
+   * redirect port was given in the settings, also start redirecting HTTP
+   * requests on that port.
    *
-   * @param {Object} values - Data describing the element to spawn.
-   * @return {module:server.ServerElement} The newly spawned element.
+   * @param {number} [port=9000] - Valid port number on which to listen.
+   * @param {string} [host=getLocalIP()] - IP address or hostname on which to
+   * listen.
+   * @see module:server.Application~getLocalIP
    */
-  spawnElement(values) {
-    return this.workspace.spawnElement(values);
+  listen(port = Switchboard.DEFAULTS.port, host = getLocalIP()) {
+    this.server.listen(port, host, () => {
+      console.info('Listening on', this.server.address());
+    });
+
+    const { https: secure, redirectPort } = this.settings;
+    if (secure && redirectPort != null) {
+      this.redirectServer = http.createServer((req, res) => {
+        const hostname = (req.headers.host || host).replace(/:\d+$/u, '');
+        res.writeHead(301, {
+          Location: `https://${hostname}:${port}${req.url}`,
+        });
+        res.end();
+      });
+      this.redirectServer.listen(redirectPort, host, () => {
+        console.info('Redirecting from', this.redirectServer.address());
+      });
+    }
   }
 
   /**
-   * Spawn a new image with the given values in the workspace.
-   *
-   * @param {Object} values - Data describing the image to spawn.
-   * @return {module:server.ServerImage} The newly spawned image.
+   * @return {object[]} Descriptions of the rooms created with createRoom().
    */
-  spawnImage(values) {
-    return this.workspace.spawnImage(values);
+  reportRooms() {
+    return Array.from(this.rooms.values()).map(room => room.report());
   }
 
   /**
-   * Spawn a new item with the given values in the workspace.
+   * Serve a JSON REST API for controlling the workspaces of this application
+   * remotely. The API is not served unless this method is called with a
+   * token.
+   *
+   * @see module:server.RestApi
    *
-   * @param {Object} itemdata - Data describing the item to spawn.
-   * @return {module:server.ServerItem} The newly spawned item.
+   * @param {string} token - The secret which requests to the API must carry as
+   * a bearer token. If missing, the API is not served.
+   * @param {string} [path='/api'] - Route path at which to serve the API.
    */
-  spawnItem(values) {
-    return this.workspace.spawnItem(values);
+  serveRestApi(token, path = '/api') {
+    if (typeof token !== 'string' || token.length === 0) {
+      console.warn('Not serving the REST API, as no token was given.');
+      return;
+    }
+    this.router.use(path, RestApi(this, token));
   }
 }
 
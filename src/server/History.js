@@ -0,0 +1,364 @@
+/*
+ * WAMS - An API for Multi-Surface Environments
+ *
+ * Author: Michael van der Kamp
+ */
+
+'use strict';
+
+/**
+ * A single reversible change, recorded in the History.
+ *
+ * @typedef {Object} Change
+ * @memberof module:server.History
+ *
+ * @property {Object} target - The object that was changed.
+ * @property {string} key - Describes which aspect of the target was changed.
+ * Consecutive changes to the same aspect of the same target within a group
+ * are merged together.
+ * @property {*} before - The state before the change.
+ * @property {*} after - The state after the change.
+ * @property {function} apply - Receives either 'before' or 'after', and
+ * restores the target to that state.
+ */
+
+/**
+ * A group of changes which are undone and redone together.
+ *
+ * @typedef {Object} Group
+ * @memberof module:server.History
+ *
+ * @property {?Object} actor - The view responsible for the changes, or null if
+ * the changes were made by the application itself.
+ * @property {module:server.History.Change[]} changes - The changes, in the
+ * order in which they were made.
+ */
+
+/**
+ * The circumstances in which changes were being made at some point, so that
+ * changes made later can be recorded alongside them.
+ *
+ * @typedef {Object} Context
+ * @memberof module:server.History
+ *
+ * @property {?Object} actor - The actor on whose behalf changes were made.
+ * @property {?module:server.History.Group} group - The group the actor had
+ * open, or null if it had none or nothing had been recorded in it yet.
+ */
+
+/**
+ * The History keeps track of changes made to the items in a workspace, so that
+ * they can be undone and redone.
+ *
+ * Changes are collected into groups. While an actor (i.e. a view) has a group
+ * open, all changes made on behalf of that actor are added to that group. This
+ * is used to treat a whole gesture, from the first touch down to the last touch
+ * up, as a single step. Changes made outside of an open group are grouped
+ * together if they are made by the same actor during the same turn of the
+ * event loop.
+ *
+ * @memberof module:server
+ *
+ * @param {number} [limit=100] - The maximum number of groups to remember for
+ * each actor.
+ */
+class History {
+  constructor(limit = History.DEFAULTS.limit) {
+    /**
+     * The maximum number of groups to remember for each actor, so that a busy
+     * actor cannot push the groups of others out of the history.
+     *
+     * @type {number}
+     */
+    this.limit = limit;
+
+    /**
+     * Groups which can be undone, from oldest to newest.
+     *
+     * @type {module:server.History.Group[]}
+     */
+    this.done = [];
+
+    /**
+     * Groups which have been undone and can be redone, from oldest to newest.
+     *
+     * @type {module:server.History.Group[]}
+     */
+    this.undone = [];
+
+    /**
+     * The actor on whose behalf changes are currently being made.
+     *
+     * @type {?Object}
+     */
+    this.actor = null;
+
+    /**
+     * Groups which have been explicitly opened, by actor. The value is null
+     * until the first change is recorded, so that empty groups are never
+     * stored.
+     *
+     * @type {Map.<Object, ?module:server.History.Group>}
+     */
+    this.open = new Map();
+
+    /**
+     * The group collecting changes made outside of an open group during the
+     * current turn of the event loop.
+     *
+     * @type {?module:server.History.Group}
+     */
+    this.pending = null;
+
+    /**
+     * The group into which changes are being recorded by resume(), if any.
+     *
+     * @type {?module:server.History.Group}
+     */
+    this.resumed = null;
+
+    /**
+     * Whether changes are currently being undone or redone. No changes are
+     * recorded while this is true.
+     *
+     * @type {boolean}
+     */
+    this.replaying = false;
+  }
+
+  /**
+   * Open a group for the given actor. All changes made on behalf of the actor
+   * will be recorded in this group until it is closed.
+   *
+   * @param {Object} actor
+   */
+  beginGroup(actor) {
+    this.open.set(actor, null);
+  }
+
+  /**
+   * Capture the actor on whose behalf changes are currently being made, and the
+   * group it has open, if any. Passing the result to resume() later, such as
+   * once an animation has stopped, records further changes alongside them.
+   *
+   * @return {module:server.History.Context}
+   */
+  capture() {
+    const actor = this.actor;
+    return { actor, group: actor ? this.open.get(actor) || null : null };
+  }
+
+  /**
+   * Close the open group for the given actor, if there is one.
+   *
+   * @param {Object} actor
+   */
+  endGroup(actor) {
+    this.open.delete(actor);
+  }
+
+  /**
+   * Forget all the groups belonging to the given actor, which is gone for good,
+   * so that the history does not keep growing as actors come and go.
+   *
+   * @param {Object} actor
+   */
+  forget(actor) {
+    this.done = this.done.filter(g => g.actor !== actor);
+    this.undone = this.undone.filter(g => g.actor !== actor);
+    this.open.delete(actor);
+    if (this.pending && this.pending.actor === actor) this.pending = null;
+  }
+
+  /**
+   * Locate the group into which a change made right now should be recorded,
+   * creating it if necessary.
+   *
+   * @return {module:server.History.Group}
+   */
+  currentGroup() {
+    if (this.resumed) return this.resumed;
+
+    const actor = this.actor;
+    if (actor && this.open.has(actor)) {
+      if (!this.open.get(actor)) this.open.set(actor, this.push(actor));
+      return this.open.get(actor);
+    }
+
+    if (!this.pending || this.pending.actor !== actor) {
+      const group = this.push(actor);
+      this.pending = group;
+      setImmediate(() => {
+        if (this.pending === group) this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Perform the given function on behalf of the given actor, so that all
+   * changes it makes are attributed to that actor.
+   *
+   * @param {?Object} actor
+   * @param {function} fn
+   *
+   * @return {*} The return value of fn.
+   */
+  perform(actor, fn) {
+    const previous = this.actor;
+    this.actor = actor;
+    try {
+      return fn();
+    } finally {
+      this.actor = previous;
+    }
+  }
+
+  /**
+   * Start a new group for the given actor. Anything the actor had undone can
+   * no longer be redone. If the actor has reached the limit, its oldest group
+   * is forgotten.
+   *
+   * @param {?Object} actor
+   *
+   * @return {module:server.History.Group} The new group.
+   */
+  push(actor) {
+    const group = { actor, changes: [] };
+    this.done.push(group);
+    const own = this.done.filter(g => g.actor === actor);
+    if (own.length > this.limit) this.done.splice(this.done.indexOf(own[0]), 1);
+    this.undone = this.undone.filter(g => g.actor !== actor);
+    return group;
+  }
+
+  /**
+   * Record a change.
+   *
+   * @param {Object} target - The object that was changed.
+   * @param {string} key - Which aspect of the object was changed.
+   * @param {*} before - The state before the change.
+   * @param {*} after - The state after the change.
+   * @param {function} apply - Restores the target to a given state.
+   */
+  record(target, key, before, after, apply) {
+    if (this.replaying || before === after) return;
+
+    const { changes } = this.currentGroup();
+    const last = changes[changes.length - 1];
+    if (last && last.target === target && last.key === key) {
+      last.after = after;
+    } else {
+      changes.push({ target, key, before, after, apply });
+    }
+  }
+
+  /**
+   * Apply the given function without recording any changes.
+   *
+   * @param {function} fn
+   */
+  replay(fn) {
+    const previous = this.replaying;
+    this.replaying = true;
+    try {
+      fn();
+    } finally {
+      this.replaying = previous;
+    }
+  }
+
+  /**
+   * Perform the given function in a context captured earlier, so that all
+   * changes it makes are attributed to the captured actor, and recorded in the
+   * captured group if that group can still be undone.
+   *
+   * @param {module:server.History.Context} context - Captured by capture().
+   * @param {function} fn
+   *
+   * @return {*} The return value of fn.
+   */
+  resume({ actor, group }, fn) {
+    const previous = this.resumed;
+    this.resumed = this.done.includes(group) ? group : null;
+    try {
+      return this.perform(actor, fn);
+    } finally {
+      this.resumed = previous;
+    }
+  }
+
+  /**
+   * Take the most recent group belonging to the given actor out of the given
+   * stack.
+   *
+   * @param {module:server.History.Group[]} stack
+   * @param {Object} [actor] - If not provided, the most recent group of any
+   * actor is taken.
+   *
+   * @return {?module:server.History.Group}
+   */
+  take(stack, actor) {
+    for (let i = stack.length - 1; i >= 0; --i) {
+      if (actor == null || stack[i].actor === actor) {
+        const [group] = stack.splice(i, 1);
+        if (this.pending === group) this.pending = null;
+        if (this.open.get(group.actor) === group) {
+          this.open.set(group.actor, null);
+        }
+        return group;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Undo the most recent group of changes made by the given actor.
+   *
+   * @param {Object} [actor] - If not provided, the most recent group of changes
+   * made by anyone is undone.
+   *
+   * @return {boolean} true if anything was undone, false otherwise.
+   */
+  undo(actor) {
+    const group = this.take(this.done, actor);
+    if (!group) return false;
+
+    this.replay(() => {
+      const changes = Array.from(group.changes).reverse();
+      changes.forEach(c => c.apply(c.before));
+    });
+    this.undone.push(group);
+    return true;
+  }
+
+  /**
+   * Redo the most recently undone group of changes made by the given actor.
+   *
+   * @param {Object} [actor] - If not provided, the most recently undone group
+   * of changes made by anyone is redone.
+   *
+   * @return {boolean} true if anything was redone, false otherwise.
+   */
+  redo(actor) {
+    const group = this.take(this.undone, actor);
+    if (!group) return false;
+
+    this.replay(() => {
+      group.changes.forEach(c => c.apply(c.after));
+    });
+    this.done.push(group);
+    return true;
+  }
+}
+
+/**
+ * The default values for a History.
+ *
+ * @type {object}
+ */
+History.DEFAULTS = Object.freeze({
+  limit: 100,
+});
+
+module.exports = History;
@@ -6,10 +6,103 @@
 
 'use strict';
 
+const { Point2D } = require('../shared.js');
+
+/**
+ * The number of recent positions of a dragged item to remember, for measuring
+ * its velocity when it is released.
+ *
+ * @inner
+ * @memberof module:server.MessageHandler
+ *
+ * @type {number}
+ */
+const MOTION_SAMPLES = 10;
+
+/**
+ * Only movement during this many milliseconds before the release of an item
+ * counts towards its release velocity. If the item had been held still for
+ * longer than this, it will not glide at all.
+ *
+ * @inner
+ * @memberof module:server.MessageHandler
+ *
+ * @type {number}
+ */
+const RELEASE_WINDOW = 100;
+
+/**
+ * Call the named handler of the given target, if it has one.
+ *
+ * @inner
+ * @memberof module:server.MessageHandler
+ *
+ * @param {Object} target - The object whose handler should be called.
+ * @param {string} name - The name of the handler, e.g. 'ondrop'.
+ * @param {object} event - The event to pass along. Its 'target' will be set.
+ */
+function trigger(target, name, event) {
+  if (target[name]) target[name]({ ...event, target });
+}
+
+/**
+ * Calculate the signed difference between two angles, in the range -PI to PI.
+ *
+ * @inner
+ * @memberof module:server.MessageHandler
+ *
+ * @param {number} a - Angle in radians.
+ * @param {number} b - Angle in radians.
+ *
+ * @return {number} The change in angle from b to a.
+ */
+function angularMinus(a, b) {
+  let diff = a - b;
+  if (diff < -Math.PI) diff += 2 * Math.PI;
+  if (diff > Math.PI) diff -= 2 * Math.PI;
+  return diff;
+}
+
 /**
  * The MessageHandler logs listeners that are attached by the user and receives
  * messages from clients, which it then uses to call the appropriate listener.
  *
+ * Items with an 'inertia' property keep moving when they are released from a
+ * drag, gliding with the velocity they were released at until friction brings
+ * them to a stop. The property can be `true`, or an object with the following
+ * optional properties:
+ *
+ * - friction: The fraction of its velocity that the item keeps every sixtieth
+ *   of a second. Default is 0.95.
+ * - bounce: Whether the item should bounce off of the edges of the workspace,
+ *   if the workspace has 'bounds' set. Default is false.
+ *
+ * Items can also be dragged and dropped onto one another. When a view grabs an
+ * item, the item's 'ondragstart' handler is called. Items with a truthy
+ * 'dropTarget' property have their 'ondragenter' and 'ondragleave' handlers
+ * called as dragged items move over and off of them. When the item is
+ * released, the 'ondrop' handlers of both the drop target it was over (if any)
+ * and the item are called, followed by the 'ondragend' handler of the item. The
+ * events name the dragged 'item' and the 'dropTarget', as well as the usual
+ * 'target', 'view', 'x', and 'y'.
+ *
+ * Items with an owner or permissions are only moved, rotated, scaled, or
+ * clicked on behalf of views that are permitted to do so. The first time in a
+ * gesture that a view is denied an action, the item's 'ondenied' handler is
+ * called.
+ *
+ * Items with a 'sharedLock' can be held by several views at once. Each holder's
+ * translation then counts as its share of the movement of the centroid of all
+ * the holders' pointers, so that the translations are summed, while moving
+ * relative to the other holders pinches and rotates the item, as though all
+ * the pointers were on the same device.
+ *
+ * Views can also select several items, by drawing a selection rectangle. When
+ * a view manipulates one of the items in its selection, every selected item is
+ * moved, rotated, and scaled along with it, around the centre of the
+ * selection. Only the item that was grabbed glides and is dropped when it is
+ * released.
+ *
  * @memberof module:server
  *
  * @param {module:server.WorkSpace} workspace - the model used when responding
@@ -30,10 +123,43 @@ class MessageHandler {
      * @type {function}
      */
     this.onlayout = null;
+
+    /**
+     * Recent positions of the items with inertia being dragged by each view,
+     * for measuring their velocity when they are released.
+     *
+     * @type {Map.<Object, Object[]>}
+     */
+    this.motion = new Map();
+
+    /**
+     * The items being dragged by each view, along with where they were last
+     * dragged to and the drop target they were over.
+     *
+     * @type {Map.<Object, Object>}
+     */
+    this.drags = new Map();
+
+    /**
+     * The actions each view has been denied during its current gesture, so
+     * that items are only told about each denial once.
+     *
+     * @type {Map.<Object, Set.<string>>}
+     */
+    this.denials = new Map();
+
+    /**
+     * Where each view holding an item with a shared lock is holding it, in
+     * workspace coordinates, for combining the gestures of the holders.
+     *
+     * @type {Map.<Object, module:shared.Point2D>}
+     */
+    this.holds = new Map();
   }
 
   /**
-   * Handle a message for the given gesture.
+   * Handle a message for the given gesture. Any changes made by the handlers
+   * are recorded in the history on behalf of the view.
    *
    * @param {string} gesture
    */
@@ -44,12 +170,51 @@ class MessageHandler {
         const { centroid } = data;
         const { x, y } = view.transformPoint(centroid.x, centroid.y);
         const event = { view, target, x, y };
-        this[gesture](event, data);
+        this.workspace.history.perform(view, () => this[gesture](event, data));
       }
     }
     return do_gesture.bind(this);
   }
 
+  /**
+   * Let go of whatever the view is holding, without letting it glide or snap
+   * into place, and close the view's group in the history. Used when a gesture
+   * turns out to be drawing a selection rectangle.
+   *
+   * @param {module:server.ServerView} view
+   */
+  abandon(view) {
+    this.motion.delete(view);
+    this.workspace.history.perform(view, () => this.dragEnd(view));
+    this.workspace.releaseLock(view);
+    this.workspace.history.endGroup(view);
+  }
+
+  /**
+   * Forget everything kept about the given view, whose client has
+   * disconnected. A drag it was in the middle of is cancelled: the item is not
+   * dropped, but the drop target it was over is left and its 'ondragend'
+   * handler is still called, so that applications can release any state they
+   * keep for the drag.
+   *
+   * @param {module:server.ServerView} view
+   */
+  cleanup(view) {
+    const drag = this.drags.get(view);
+    if (drag != null) {
+      const { item, over, x, y } = drag;
+      const event = { view, item, dropTarget: null, x, y };
+      this.workspace.history.perform(view, () => {
+        if (over) trigger(over, 'ondragleave', event);
+        trigger(item, 'ondragend', event);
+      });
+    }
+    this.motion.delete(view);
+    this.drags.delete(view);
+    this.denials.delete(view);
+    this.holds.delete(view);
+  }
+
   /**
    * Apply a click event
    *
@@ -60,17 +225,128 @@ class MessageHandler {
 
     if (typeof target.containsPoint === 'function' &&
       target.containsPoint(x, y)) {
-      if (target.onclick) target.onclick(event);
+      if (target.onclick && this.permits(event.view, target, 'click')) {
+        target.onclick(event);
+      }
     } else {
-      const target = this.workspace.findFreeItemByCoordinates(x, y) ||
-        event.view;
-      if (target.onclick) target.onclick({ ...event, target });
+      const { view } = event;
+      const target = this.workspace.findFreeItemByCoordinates(x, y, view) ||
+        view;
+      if (target.onclick && this.permits(view, target, 'click')) {
+        target.onclick({ ...event, target });
+      }
+    }
+  }
+
+  /**
+   * Combine the transformation made by a view holding an item with a shared
+   * lock with where the other holders are holding it. The translation becomes
+   * the view's share of the movement of the centroid of all the holders, and
+   * the change in the spread and angle of the holders about their centroid is
+   * added to the view's own scale and rotation.
+   *
+   * @param {object} event - The transformation event.
+   * @param {object} delta - The change reported by the view.
+   *
+   * @return {{delta: object, pivot: object}} The combined change, and the event
+   * to scale and rotate with, which is centred on the holders' centroid.
+   */
+  combine(event, delta) {
+    const { view, target, x, y } = event;
+    const current = new Point2D(x, y);
+    const previous = this.holds.get(view) || current;
+    this.holds.set(view, current);
+
+    const others = target.lockHolders
+      .filter(h => h !== view && this.holds.has(h))
+      .map(h => this.holds.get(h));
+    if (others.length === 0) return { delta, pivot: event };
+
+    const before = others.concat([previous]);
+    const after = others.concat([current]);
+    const from = Point2D.midpoint(before);
+    const to = Point2D.midpoint(after);
+    const spread = from.averageDistanceTo(before);
+    const turn = before.reduce((sum, p, i) => {
+      return sum + angularMinus(to.angleTo(after[i]), from.angleTo(p));
+    }, 0) / after.length;
+
+    const combined = {
+      ...delta,
+      scale:    (delta.scale || 1) *
+        (spread > 0 ? to.averageDistanceTo(after) / spread : 1),
+      rotation: (delta.rotation || 0) + turn,
+    };
+    if (delta.hasOwnProperty('translation')) {
+      const { translation } = delta;
+      combined.translation = {
+        x: translation.x / after.length,
+        y: translation.y / after.length,
+      };
+    }
+    return { delta: combined, pivot: { ...event, x: from.x, y: from.y } };
+  }
+
+  /**
+   * Check whether the view may perform the given action on the target. If it
+   * may not, the target is told, unless it has already been told during the
+   * current gesture.
+   *
+   * @param {module:server.ServerView} view - The view performing the action.
+   * @param {Object} target - The item or view being acted upon.
+   * @param {string} action - 'move', 'rotate', 'scale', or 'click'.
+   *
+   * @return {boolean} Whether the action is permitted.
+   */
+  permits(view, target, action) {
+    if (typeof target.permits !== 'function') return true;
+    if (target.permits(view, action)) return true;
+
+    if (!this.denials.has(view)) this.denials.set(view, new Set());
+    const denied = this.denials.get(view);
+    if (!denied.has(action)) {
+      denied.add(action);
+      target.deny(view, action);
     }
+    return false;
+  }
+
+  /**
+   * Select the items within the rectangle drawn by the view, replacing its
+   * selection, and emit a 'select' event. Anything grabbed before the gesture
+   * turned out to be a selection is let go.
+   *
+   * @param {Object} data
+   * @param {module:shared.Point2D} data.from - The corner where the view began
+   * drawing the rectangle, in view coordinates.
+   * @param {module:shared.Point2D} data.to - The opposite corner, in view
+   * coordinates.
+   * @param {module:server.ServerView} view - Origin of select request.
+   */
+  select({ from, to }, view) {
+    this.abandon(view);
+    const corners = [from, { x: to.x, y: from.y }, to, { x: from.x, y: to.y }]
+      .map(({ x, y }) => view.transformPoint(x, y));
+    const items = this.workspace.findItemsInArea(corners, view);
+    view.select(items);
+    this.workspace.events.emit('select', items, view);
+  }
+
+  /**
+   * @param {module:server.ServerView} view
+   * @param {Object} target - The item or view being manipulated by the view.
+   *
+   * @return {Object[]} The selection of the view, if it includes the target,
+   * or else just the target.
+   */
+  selectionOf(view, target) {
+    return view.selection.includes(target) ? view.selection : [target];
   }
 
   /**
    * Performs locking and unlocking based on the phase and number of active
-   * points.
+   * points. Also opens and closes the group in the history, so that all the
+   * changes made during the gesture can be undone as one.
    *
    * @param {Object} data
    * @param {module:shared.Point2D[]} data.active - Currently active contact
@@ -78,13 +354,35 @@ class MessageHandler {
    * @param {module:shared.Point2D} data.centroid - Centroid of active contact
    * points.
    * @param {string} data.phase - 'start', 'move', or 'end', the gesture phase.
+   * @param {boolean} [data.selecting=false] - Whether the gesture is drawing a
+   * selection rectangle, in which case nothing is grabbed.
    * @param {module:server.ServerView} view - Origin of track request.
    */
-  track({ active, centroid, phase }, view) {
-    if (phase === 'start' && view.lockedItem == null) {
+  track({ active, centroid, phase, selecting }, view) {
+    if (selecting) {
+      this.abandon(view);
+    } else if (phase === 'start' && view.lockedItem == null) {
+      this.motion.delete(view);
+      this.denials.delete(view);
+      this.workspace.history.beginGroup(view);
       this.workspace.obtainLock(centroid.x, centroid.y, view);
+      this.workspace.history.perform(view, () => {
+        this.dragStart(view, centroid);
+      });
     } else if (phase === 'end' && active.length === 0) {
-      view.releaseLockedItem();
+      const target = view.lockedItem;
+      const velocity = this.releaseVelocity(view);
+      this.workspace.history.perform(view, () => this.dragEnd(view));
+      this.workspace.releaseLock(view);
+      const held = target != null && target.isLocked();
+      if (velocity && !held) {
+        this.workspace.history.perform(view, () => {
+          this.glide(target, velocity);
+        });
+      } else if (target && target.snap && !held) {
+        this.workspace.history.perform(view, () => target.snapIntoPlace());
+      }
+      this.workspace.history.endGroup(view);
     }
   }
 
@@ -96,19 +394,32 @@ class MessageHandler {
    * @param {object} data
    */
   transform(event, data) {
-    const { delta } = data;
+    let { delta } = data;
+    let pivot = event;
 
-    if (delta.hasOwnProperty('scale')) {
-      this.scale(event, delta);
+    if (event.target.sharedLock) {
+      ({ delta, pivot } = this.combine(event, delta));
     }
 
-    if (delta.hasOwnProperty('rotation')) {
-      this.rotate(event, delta);
+    const targets = this.selectionOf(event.view, event.target);
+    if (targets.length > 1) {
+      const { x, y } = Point2D.midpoint(targets.map(t => t.getCentre()));
+      pivot = { ...pivot, x, y };
     }
 
-    if (delta.hasOwnProperty('translation')) {
-      this.drag(event, delta);
-    }
+    targets.forEach(target => {
+      if (delta.hasOwnProperty('scale')) {
+        this.scale({ ...pivot, target }, delta);
+      }
+
+      if (delta.hasOwnProperty('rotation')) {
+        this.rotate({ ...pivot, target }, delta);
+      }
+
+      if (delta.hasOwnProperty('translation')) {
+        this.drag({ ...event, target }, delta);
+      }
+    });
   }
 
   /**
@@ -118,7 +429,10 @@ class MessageHandler {
    * @param {object} scale
    */
   scale(event, { scale }) {
-    if (event.target.onscale) event.target.onscale({ ...event, scale });
+    const { target, view } = event;
+    if (target.onscale && this.permits(view, target, 'scale')) {
+      target.onscale({ ...event, scale });
+    }
   }
 
   /**
@@ -128,7 +442,10 @@ class MessageHandler {
    * @param {object} rotation
    */
   rotate(event, { rotation }) {
-    if (event.target.onrotate) event.target.onrotate({ ...event, rotation });
+    const { target, view } = event;
+    if (target.onrotate && this.permits(view, target, 'rotate')) {
+      target.onrotate({ ...event, rotation });
+    }
   }
 
   /**
@@ -139,13 +456,147 @@ class MessageHandler {
    */
   drag(event, { translation }) {
     const d = event.view.transformPointChange(translation.x, translation.y);
-    if (event.target.ondrag) event.target.ondrag({
-      ...event,
-      dx: d.x,
-      dy: d.y,
+    const { target } = event;
+    if (!this.permits(event.view, target, 'move')) return;
+    if (target.ondrag) {
+      const ondrag = () => target.ondrag({ ...event, dx: d.x, dy: d.y });
+      if (target.snap && target.snap.live) {
+        target.moveSnapped(ondrag);
+      } else {
+        ondrag();
+      }
+    }
+    if (target === event.view.lockedItem) {
+      if (target.inertia) this.recordMotion(event.view, target);
+      if (this.drags.has(event.view)) this.dragOver(event);
+    }
+  }
+
+  /**
+   * Note the start of a drag, if the view has locked an item.
+   *
+   * @param {module:server.ServerView} view - The view that started dragging.
+   * @param {module:shared.Point2D} centroid - Where the view started dragging.
+   */
+  dragStart(view, centroid) {
+    const item = view.lockedItem;
+    this.drags.delete(view);
+    this.holds.delete(view);
+    if (item == null || item === view) return;
+
+    const { x, y } = view.transformPoint(centroid.x, centroid.y);
+    this.drags.set(view, { item, x, y, over: null });
+    if (item.sharedLock) this.holds.set(view, new Point2D(x, y));
+    trigger(item, 'ondragstart', { view, item, x, y });
+  }
+
+  /**
+   * Keep track of the drop target that a dragged item is over, informing drop
+   * targets as the item enters and leaves them.
+   *
+   * @param {object} event - The drag event.
+   */
+  dragOver({ view, x, y }) {
+    const drag = this.drags.get(view);
+    const over = this.workspace.findDropTarget(x, y, drag.item, view) || null;
+    Object.assign(drag, { x, y });
+    if (over !== drag.over) {
+      const event = { view, item: drag.item, x, y };
+      if (drag.over) trigger(drag.over, 'ondragleave', event);
+      drag.over = over;
+      if (over) trigger(over, 'ondragenter', event);
+    }
+  }
+
+  /**
+   * Finish the drag of the view, if there is one, dropping the item onto
+   * whatever drop target it was last dragged over.
+   *
+   * @param {module:server.ServerView} view - The view releasing its item.
+   */
+  dragEnd(view) {
+    const drag = this.drags.get(view);
+    this.holds.delete(view);
+    if (drag == null) return;
+    this.drags.delete(view);
+
+    const { item, x, y } = drag;
+    const dropTarget = this.workspace.findDropTarget(x, y, item, view) || null;
+    const event = { view, item, dropTarget, x, y };
+    if (drag.over && drag.over !== dropTarget) {
+      trigger(drag.over, 'ondragleave', event);
+    }
+    if (dropTarget) {
+      trigger(dropTarget, 'ondrop', event);
+      trigger(item, 'ondrop', event);
+    }
+    trigger(item, 'ondragend', event);
+  }
+
+  /**
+   * Set a released item gliding, according to its 'inertia' property. If the
+   * item glides to a stop, it then snaps into place. Both are recorded in the
+   * history alongside the gesture which released the item, unless that gesture
+   * has since been undone.
+   *
+   * @param {module:server.ServerItem} item - The released item.
+   * @param {object} velocity - The velocity at which the item was released.
+   *
+   * @return {Promise} Resolves once the item has stopped, and snapped into
+   * place if it was going to.
+   */
+  glide(item, velocity) {
+    const { friction, bounce } = item.inertia === true ? {} : item.inertia;
+    const bounds = bounce ? this.workspace.settings.bounds : null;
+    const { history } = this.workspace;
+    const context = history.capture();
+    return item.glide(velocity, { friction, bounds }).then(completed => {
+      if (completed && item.snap) {
+        history.resume(context, () => item.snapIntoPlace());
+      }
     });
   }
 
+  /**
+   * Remember the current position of the item being dragged by the given view.
+   *
+   * @param {module:server.ServerView} view - The view dragging the item.
+   * @param {module:server.ServerItem} item - The item being dragged.
+   */
+  recordMotion(view, item) {
+    if (!this.motion.has(view)) this.motion.set(view, []);
+    const samples = this.motion.get(view);
+    samples.push({ x: item.x, y: item.y, time: Date.now() });
+    if (samples.length > MOTION_SAMPLES) samples.shift();
+  }
+
+  /**
+   * Measure the velocity of the item the given view is releasing, from its
+   * recent positions, and forget those positions.
+   *
+   * @param {module:server.ServerView} view - The view releasing the item.
+   *
+   * @return {?object} The velocity, in pixels per millisecond along the x and
+   * y axes, or null if the item was not moving.
+   */
+  releaseVelocity(view) {
+    const samples = this.motion.get(view) || [];
+    this.motion.delete(view);
+
+    const now = Date.now();
+    const recent = samples.filter(s => now - s.time <= RELEASE_WINDOW);
+    if (recent.length < 2) return null;
+
+    const first = recent[0];
+    const last = recent[recent.length - 1];
+    const elapsed = last.time - first.time;
+    if (elapsed <= 0) return null;
+    return {
+      x: (last.x - first.x) / elapsed,
+      y: (last.y - first.y) / elapsed,
+    };
+  }
+
   /**
    * Apply a swipe event
    *
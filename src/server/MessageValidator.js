@@ -0,0 +1,315 @@
+/*
+ * WAMS - An API for Multi-Surface Environments
+ *
+ * Author: Michael van der Kamp
+ */
+
+'use strict';
+
+const { constants, Message } = require('../shared.js');
+const PHASE = require('../gestures/PHASE.js');
+
+/**
+ * A description of the values acceptable in some part of a message.
+ *
+ * @typedef {Object} Schema
+ * @memberof module:server.MessageValidator
+ *
+ * @property {string} type - One of 'any', 'array', 'boolean', 'number',
+ * 'object', or 'string'.
+ * @property {(boolean|function)} [optional=false] - Whether the value may be
+ * missing, or a function which receives the object holding the value and
+ * decides. Missing values are left out of the sanitized data.
+ * @property {number} [min=-Infinity] - The least acceptable number. Numbers
+ * below it are clamped.
+ * @property {number} [max=Infinity] - The greatest acceptable number. Numbers
+ * above it are clamped.
+ * @property {number} [maxLength=Infinity] - The greatest acceptable length of a
+ * string or array.
+ * @property {string[]} [values] - The acceptable values of a string.
+ * @property {module:server.MessageValidator.Schema} [items] - The schema of
+ * each element of an array.
+ * @property {Object.<string, module:server.MessageValidator.Schema>}
+ * [properties] - The schema of each property of an object. Properties which
+ * are not listed are removed.
+ */
+
+/**
+ * The outcome of validating a message.
+ *
+ * @typedef {Object} Result
+ * @memberof module:server.MessageValidator
+ *
+ * @property {?Object} data - The sanitized data, or null if it was rejected.
+ * Data which only had to be corrected is still returned, along with the
+ * problems found with it.
+ * @property {string[]} problems - A description of each value which had to be
+ * corrected, and of the reason for rejecting the data, if it was rejected.
+ */
+
+/**
+ * The greatest distance from the origin accepted for a coordinate or a size,
+ * in pixels.
+ *
+ * @inner
+ * @memberof module:server.MessageValidator
+ *
+ * @type {number}
+ */
+const MAX_COORDINATE = 1e6;
+
+/**
+ * The most pointers accepted in a single event or gesture.
+ *
+ * @inner
+ * @memberof module:server.MessageValidator
+ *
+ * @type {number}
+ */
+const MAX_POINTERS = 32;
+
+/**
+ * The longest name accepted for a custom message.
+ *
+ * @inner
+ * @memberof module:server.MessageValidator
+ *
+ * @type {number}
+ */
+const MAX_NAME_LENGTH = 256;
+
+/**
+ * The least change in scale accepted from a single transformation. The
+ * greatest is its inverse.
+ *
+ * @inner
+ * @memberof module:server.MessageValidator
+ *
+ * @type {number}
+ */
+const MIN_SCALE = 0.01;
+
+/*
+ * Schemas for the values which appear in many messages.
+ */
+const ANGLE = {
+  type: 'number',
+  min:  -constants.ROTATE_360,
+  max:  constants.ROTATE_360,
+};
+const COORDINATE = {
+  type: 'number',
+  min:  -MAX_COORDINATE,
+  max:  MAX_COORDINATE,
+};
+const FLAG = { type: 'boolean' };
+const POINT = { type: 'object', properties: { x: COORDINATE, y: COORDINATE } };
+const SIZE = { type: 'number', min: 0, max: MAX_COORDINATE };
+const VIEW = { type: 'object', properties: { width: SIZE, height: SIZE } };
+
+/**
+ * Build the schema of a message sent with a DataReporter.
+ *
+ * @inner
+ * @memberof module:server.MessageValidator
+ *
+ * @param {Object.<string, module:server.MessageValidator.Schema>} properties -
+ * The schema of each property of the reported data.
+ *
+ * @return {module:server.MessageValidator.Schema} The schema of the message.
+ */
+function dataOf(properties) {
+  return {
+    type:       'object',
+    properties: { data: { type: 'object', properties } },
+  };
+}
+
+/**
+ * Check the given value against the given schema.
+ *
+ * @inner
+ * @memberof module:server.MessageValidator
+ *
+ * @throws TypeError - If the value must be rejected.
+ *
+ * @param {module:server.MessageValidator.Schema} schema
+ * @param {*} value
+ * @param {string} path - Where the value is in the message.
+ * @param {string[]} problems - Receives a description of each value which had
+ * to be corrected.
+ *
+ * @return {*} The sanitized value.
+ */
+function sanitize(schema, value, path, problems) {
+  if (schema.type === 'any') return value;
+  if (value == null) throw new TypeError(`${path} is missing`);
+
+  if (schema.type === 'array') {
+    if (!Array.isArray(value)) throw new TypeError(`${path} is not an array`);
+    if (value.length > schema.maxLength) {
+      throw new TypeError(`${path} is too long`);
+    }
+    return value.map((item, i) => {
+      return sanitize(schema.items, item, `${path}[${i}]`, problems);
+    });
+  }
+
+  if (schema.type === 'object') {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      throw new TypeError(`${path} is not an object`);
+    }
+    const result = {};
+    Object.entries(schema.properties).forEach(([key, property]) => {
+      const optional = typeof property.optional === 'function'
+        ? property.optional(value)
+        : property.optional;
+      if (value[key] == null && optional) return;
+      result[key] = sanitize(property, value[key], `${path}.${key}`, problems);
+    });
+    return result;
+  }
+
+  if (typeof value !== schema.type) {
+    throw new TypeError(`${path} is not a ${schema.type}`);
+  }
+
+  if (schema.type === 'number') {
+    if (!Number.isFinite(value)) throw new TypeError(`${path} is not finite`);
+    const { min = -Infinity, max = Infinity } = schema;
+    const clamped = Math.min(Math.max(value, min), max);
+    if (clamped !== value) problems.push(`${path} is out of range`);
+    return clamped;
+  }
+
+  if (schema.type === 'string') {
+    if (value.length > schema.maxLength) {
+      throw new TypeError(`${path} is too long`);
+    }
+    if (schema.values && !schema.values.includes(value)) {
+      throw new TypeError(`${path} is not an accepted value`);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * The MessageValidator checks the data received from clients against a schema
+ * declared for each type of message, so that malformed data never reaches the
+ * workspace. Only the properties listed in the schema are kept, and numbers out
+ * of range are clamped into it. Data which cannot be corrected, such as values
+ * of the wrong type or arrays which are too long, is rejected outright, as are
+ * messages of types which clients should not send.
+ *
+ * @memberof module:server
+ *
+ * @param {Object.<string, module:server.MessageValidator.Schema>}
+ * [schemas=MessageValidator.SCHEMAS] - The schema for each type of message
+ * accepted from clients.
+ */
+class MessageValidator {
+  constructor(schemas = MessageValidator.SCHEMAS) {
+    /**
+     * The schema for each type of message accepted from clients.
+     *
+     * @type {Object.<string, module:server.MessageValidator.Schema>}
+     */
+    this.schemas = schemas;
+  }
+
+  /**
+   * Check the data received with a message against the schema for its type.
+   *
+   * @param {string} type - The type of the message.
+   * @param {*} data - The data received with the message.
+   *
+   * @return {module:server.MessageValidator.Result} The sanitized data, and
+   * the problems found with it.
+   */
+  validate(type, data) {
+    if (!this.schemas.hasOwnProperty(type)) {
+      return { data: null, problems: [`${type} is not accepted from clients`] };
+    }
+
+    const problems = [];
+    try {
+      const sanitized = sanitize(this.schemas[type], data, 'data', problems);
+      return { data: sanitized, problems };
+    } catch (err) {
+      problems.push(err.message);
+      return { data: null, problems };
+    }
+  }
+}
+
+/**
+ * The schemas of the messages which clients send.
+ *
+ * @type {Object.<string, module:server.MessageValidator.Schema>}
+ */
+MessageValidator.SCHEMAS = Object.freeze({
+  [Message.BLUR]:     { type: 'object', properties: {} },
+  [Message.CLICK]:    dataOf({ centroid: POINT }),
+  [Message.DISPATCH]: {
+    type:       'object',
+    properties: {
+      event:   { type: 'string', maxLength: MAX_NAME_LENGTH },
+      payload: { type: 'any' },
+    },
+  },
+  [Message.LAYOUT]:   VIEW,
+  [Message.POINTER]:  {
+    type:       'object',
+    properties: {
+      type:           { type: 'string', values: Object.keys(PHASE) },
+      changedTouches: {
+        type:      'array',
+        maxLength: MAX_POINTERS,
+        items:     {
+          type:       'object',
+          properties: {
+            identifier: { type: 'number' },
+            clientX:    COORDINATE,
+            clientY:    COORDINATE,
+          },
+        },
+      },
+      ctrlKey:  FLAG,
+      altKey:   FLAG,
+      shiftKey: FLAG,
+      metaKey:  FLAG,
+    },
+  },
+  [Message.RESIZE]:   VIEW,
+  [Message.SELECT]:   dataOf({ from: POINT, to: POINT }),
+  [Message.SWIPE]:    dataOf({
+    centroid:  POINT,
+    velocity:  { type: 'number', min: 0, max: MAX_COORDINATE },
+    direction: ANGLE,
+  }),
+  [Message.TRACK]:    dataOf({
+    active:    { type: 'array', maxLength: MAX_POINTERS, items: POINT },
+    centroid:  { ...POINT, optional: data => data.phase !== 'start' },
+    phase:     { type: 'string', values: ['start', 'move', 'end', 'cancel'] },
+    selecting: { ...FLAG, optional: true },
+  }),
+  [Message.TRANSFORM]: dataOf({
+    centroid: POINT,
+    delta:    {
+      type:       'object',
+      properties: {
+        rotation:    { ...ANGLE, optional: true },
+        scale:       {
+          type:     'number',
+          min:      MIN_SCALE,
+          max:      1 / MIN_SCALE,
+          optional: true,
+        },
+        translation: { ...POINT, optional: true },
+      },
+    },
+  }),
+});
+
+module.exports = MessageValidator;
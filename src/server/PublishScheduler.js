@@ -0,0 +1,175 @@
+/*
+ * WAMS - An API for Multi-Surface Environments
+ *
+ * Author: Michael van der Kamp
+ */
+
+'use strict';
+
+const { DataReporter, JsonCodec, Message } = require('../shared.js');
+
+/**
+ * A message waiting to be sent as part of a batch.
+ *
+ * @typedef {Object} BatchedMessage
+ * @memberof module:server.PublishScheduler
+ *
+ * @property {string} type - The type of the message.
+ * @property {Object} data - The report that the message would have emitted.
+ */
+
+/**
+ * The PublishScheduler collects the messages describing changes to the items
+ * and views of a workspace, and sends them to each client as a single batch at
+ * the end of each turn of the event loop. A gesture applied to many items at
+ * once therefore results in one message per client, rather than one per item.
+ *
+ * The messages are reported as soon as they are emitted, so each one describes
+ * the state at that moment, and the clients receive them in the order in which
+ * they were emitted. The recipients of each message are also decided straight
+ * away, so a client which connects before the batch is sent does not receive
+ * messages about changes which its full state report already includes.
+ *
+ * @memberof module:server
+ *
+ * @param {Namespace} namespace - Socket.io namespace of the workspace.
+ * @param {module:server.ServerView[]} views - The views of the workspace. The
+ * scheduler keeps this list, so that it stays up to date as views are added
+ * and removed.
+ * @param {module:shared.codecs.Codec} [codec=JsonCodec] - The codec with which
+ * to encode the batches.
+ */
+class PublishScheduler {
+  constructor(namespace, views, codec = JsonCodec) {
+    /**
+     * Socket.io namespace of the workspace. Messages emitted with it are sent
+     * to every view.
+     *
+     * @type {Namespace}
+     */
+    this.namespace = namespace;
+
+    /**
+     * The views of the workspace, whose sockets receive the batches.
+     *
+     * @type {module:server.ServerView[]}
+     */
+    this.views = views;
+
+    /**
+     * The codec with which to encode the batches.
+     *
+     * @type {module:shared.codecs.Codec}
+     */
+    this.codec = codec;
+
+    /**
+     * The messages waiting to be sent to each socket.
+     *
+     * @type {Map.<Socket, module:server.PublishScheduler.BatchedMessage[]>}
+     */
+    this.batches = new Map();
+
+    /**
+     * Whether the batches have been scheduled to be sent.
+     *
+     * @type {boolean}
+     */
+    this.scheduled = false;
+  }
+
+  /**
+   * Add the given message to the batch of every client except that of the
+   * given view.
+   *
+   * @param {module:shared.Message} message - The message to send.
+   * @param {module:server.ServerView} sender - The view whose client should
+   * not receive the message.
+   */
+  broadcast(message, sender) {
+    const others = this.views.filter(v => v !== sender);
+    this.queue(message, others.map(v => v.socket));
+  }
+
+  /**
+   * Add the given message to the batch of each client that the given emitter
+   * would reach. Messages for other emitters are emitted straight away.
+   *
+   * @param {module:shared.Message} message - The message to send.
+   * @param {Emitter} emitter - The namespace or the socket of a view.
+   */
+  emit(message, emitter) {
+    const recipients = this.recipientsOf(emitter);
+    if (recipients == null) {
+      message.emitWith(emitter);
+    } else {
+      this.queue(message, recipients);
+    }
+  }
+
+  /**
+   * Send each client its batch of messages.
+   */
+  flush() {
+    this.scheduled = false;
+    const batches = this.batches;
+    this.batches = new Map();
+    batches.forEach((messages, socket) => {
+      const dreport = new DataReporter({ data: messages });
+      new Message(Message.BATCH, dreport).emitWith(socket, this.codec);
+    });
+  }
+
+  /**
+   * Add the given message to the batches of the given sockets, and schedule
+   * the batches to be sent.
+   *
+   * @param {module:shared.Message} message - The message to send.
+   * @param {Socket[]} sockets - The sockets which should receive it.
+   */
+  queue(message, sockets) {
+    let batched = null;
+    message.emitWith({
+      emit: (type, data) => {
+        batched = { type, data };
+      },
+    });
+    sockets.forEach(socket => {
+      if (!this.batches.has(socket)) this.batches.set(socket, []);
+      this.batches.get(socket).push(batched);
+    });
+    this.schedule();
+  }
+
+  /**
+   * Find the sockets which the given emitter would reach.
+   *
+   * Note that the broadcast channel of a socket cannot be told apart from the
+   * socket itself, as socket.io returns the same object for both. Use
+   * broadcast() instead.
+   *
+   * @param {Emitter} emitter
+   *
+   * @return {?Socket[]} The sockets of the views which the emitter would reach,
+   * or null if it is not the namespace or the socket of a view.
+   */
+  recipientsOf(emitter) {
+    const sockets = this.views.map(v => v.socket);
+    if (emitter === this.namespace) return sockets;
+    if (sockets.includes(emitter)) return [emitter];
+    return null;
+  }
+
+  /**
+   * Schedule the batches to be sent at the end of this turn of the event loop,
+   * if they have not been already.
+   */
+  schedule() {
+    if (!this.scheduled) {
+      this.scheduled = true;
+      setImmediate(() => this.flush());
+    }
+  }
+}
+
+module.exports = PublishScheduler;
@@ -0,0 +1,416 @@
+/*
+ * WAMS - An API for Multi-Surface Environments
+ *
+ * Author: Michael van der Kamp
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const express = require('express');
+
+const items = require('../predefined/items.js');
+const ServerElement = require('./ServerElement.js');
+const ServerImage = require('./ServerImage.js');
+
+/**
+ * The keys of an image descriptor which hold a source.
+ *
+ * @inner
+ * @memberof module:server.RestApi
+ *
+ * @type {string[]}
+ */
+const SOURCE_KEYS = Object.freeze(['src', 'privateSrc', 'publicSrc']);
+
+/**
+ * The spawn routine of the workspace to use for the output of each of the
+ * predefined item factories.
+ *
+ * @inner
+ * @memberof module:server.RestApi
+ *
+ * @type {object}
+ */
+const SPAWNERS = Object.freeze({
+  element:        'spawnElement',
+  image:          'spawnImage',
+  polygon:        'spawnItem',
+  rectangle:      'spawnItem',
+  square:         'spawnItem',
+});
+
+/**
+ * The keys which the values produced by each of the predefined item factories
+ * may hold. Anything else, such as 'visibleTo', 'owner', 'permissions', or
+ * 'id', may not be set through the API.
+ *
+ * @inner
+ * @memberof module:server.RestApi
+ *
+ * @type {object}
+ */
+const DESCRIPTOR_KEYS = (() => {
+  const common = ['x', 'y', 'rotation', 'scale', 'width', 'height', 'type'];
+  const shape = [...common, 'hitbox', 'sequence'];
+  return Object.freeze({
+    element:    Object.freeze([...common, 'hitbox', 'tagname', 'attributes']),
+    image:      Object.freeze([...common, 'hitbox', ...SOURCE_KEYS]),
+    polygon:    Object.freeze(shape),
+    rectangle:  Object.freeze(shape),
+    square:     Object.freeze(shape),
+  });
+})();
+
+/**
+ * The tags which elements spawned through the API may use.
+ *
+ * @inner
+ * @memberof module:server.RestApi
+ *
+ * @type {string[]}
+ */
+const TAGNAMES = Object.freeze([
+  'audio',
+  'canvas',
+  'div',
+  'iframe',
+  'img',
+  'p',
+  'span',
+  'video',
+]);
+
+/**
+ * The attributes which may be set on elements through the API. Anything that
+ * could inject markup or script, such as 'innerHTML' or event handlers like
+ * 'onload', is deliberately absent.
+ *
+ * @inner
+ * @memberof module:server.RestApi
+ *
+ * @type {string[]}
+ */
+const ATTRIBUTES = Object.freeze([
+  'alt',
+  'className',
+  'height',
+  'id',
+  'src',
+  'style',
+  'title',
+  'width',
+]);
+
+/**
+ * Matches URLs which run script or embed content rather than naming a
+ * resource.
+ *
+ * @inner
+ * @memberof module:server.RestApi
+ *
+ * @type {RegExp}
+ */
+const UNSAFE_URL = /^\s*(javascript|vbscript|data):/iu;
+
+/**
+ * Checks that the request carries the token of the API as a bearer token. The
+ * comparison takes the same time no matter how much of the token matches.
+ *
+ * @inner
+ * @memberof module:server.RestApi
+ *
+ * @param {express.Request} req - The request to check.
+ * @param {string} token - The token of the API.
+ *
+ * @return {boolean} True if the request is authorized.
+ */
+function isAuthorized(req, token) {
+  const header = req.get('Authorization') || '';
+  const given = Buffer.from(header.replace(/^Bearer /u, ''));
+  const expected = Buffer.from(token);
+  return header.startsWith('Bearer ') &&
+    given.length === expected.length &&
+    crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Checks that the given value is a string naming a resource, rather than a URL
+ * that runs script.
+ *
+ * @inner
+ * @memberof module:server.RestApi
+ *
+ * @param {*} src - The value to check.
+ *
+ * @return {boolean} True if the value is a safe source.
+ */
+function isSafeSource(src) {
+  return typeof src === 'string' && !UNSAFE_URL.test(src);
+}
+
+/**
+ * Checks that the given value is an object of allowed attributes with string
+ * or numeric values, and with safe sources.
+ *
+ * @inner
+ * @memberof module:server.RestApi
+ *
+ * @param {*} attributes - The value to check.
+ *
+ * @return {boolean} True if the attributes may be set.
+ */
+function isSafeAttributes(attributes) {
+  if (attributes == null || typeof attributes !== 'object' ||
+    Array.isArray(attributes)) {
+    return false;
+  }
+  return Object.entries(attributes).every(([k, v]) => {
+    if (!ATTRIBUTES.includes(k)) return false;
+    if (k === 'src') return isSafeSource(v);
+    return typeof v === 'string' || Number.isFinite(v);
+  });
+}
+
+/**
+ * Checks that the values produced by a predefined item factory are safe to
+ * spawn: they may only hold the keys allowed for the factory, elements must use
+ * an allowed tag and allowed attributes, and every source of an image must be
+ * safe.
+ *
+ * @inner
+ * @memberof module:server.RestApi
+ *
+ * @param {string} factory - The name of the factory.
+ * @param {object} values - The values it produced.
+ *
+ * @return {boolean} True if the values may be spawned.
+ */
+function isSafeItem(factory, values) {
+  if (!Object.keys(values).every(k => DESCRIPTOR_KEYS[factory].includes(k))) {
+    return false;
+  }
+  if (factory === 'image') {
+    return isSafeSource(values.src) && SOURCE_KEYS.every(k => {
+      return values[k] == null || isSafeSource(values[k]);
+    });
+  }
+  if (factory === 'element') {
+    return ('tagname' in values ? TAGNAMES.includes(values.tagname) : true) &&
+      (!('attributes' in values) || isSafeAttributes(values.attributes));
+  }
+  return true;
+}
+
+/**
+ * Calls the named predefined item factory with the given arguments. Arguments
+ * of the wrong type can make a factory throw, which is reported the same way as
+ * a factory that produces nothing.
+ *
+ * @inner
+ * @memberof module:server.RestApi
+ *
+ * @param {string} factory - The name of the factory.
+ * @param {Array} args - The arguments to pass to it.
+ *
+ * @return {?object} The values produced, or null if the factory failed.
+ */
+function spawnValues(factory, args) {
+  try {
+    return items[factory](...args);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Checks that all of the given keys of the body, where present, are finite
+ * numbers.
+ *
+ * @inner
+ * @memberof module:server.RestApi
+ *
+ * @param {object} body - The parsed body of a request.
+ * @param {string[]} keys - The keys to check.
+ *
+ * @return {boolean} True if all the present keys hold finite numbers.
+ */
+function hasFiniteNumbers(body, keys) {
+  return keys.every(k => !(k in body) || Number.isFinite(body[k]));
+}
+
+/**
+ * Checks that the body of a PATCH request describes a valid change to the
+ * given item.
+ *
+ * @inner
+ * @memberof module:server.RestApi
+ *
+ * @param {module:server.ServerItem} item - The item to change.
+ * @param {object} body - The parsed body of the request.
+ *
+ * @return {?string} A description of the problem, or null if there is none.
+ */
+function checkChanges(item, body) {
+  const numeric = ['x', 'y', 'rotation', 'scale', 'z'];
+  if (!hasFiniteNumbers(body, numeric) || body.scale <= 0) {
+    return 'Expected finite numeric values.';
+  }
+  if ('attributes' in body) {
+    if (!(item instanceof ServerElement)) return 'Not an element.';
+    if (!isSafeAttributes(body.attributes)) return 'Unsupported attributes.';
+  }
+  if ('src' in body) {
+    if (!(item instanceof ServerImage)) return 'Not an image.';
+    if (!isSafeSource(body.src)) return 'Unsupported source.';
+  }
+  return null;
+}
+
+/**
+ * Apply the changes described by the body of a PATCH request to the given
+ * item. Positions, rotations, and scales are absolute. The body must already
+ * have been checked with checkChanges().
+ *
+ * @inner
+ * @memberof module:server.RestApi
+ *
+ * @param {module:server.ServerItem} item - The item to change.
+ * @param {object} body - The parsed body of the request.
+ */
+function applyChanges(item, body) {
+  const { x, y, rotation, scale, z, attributes, src } = body;
+  if ('x' in body || 'y' in body) item.moveTo(x, y);
+  if ('rotation' in body) item.rotateBy(item.rotation - rotation);
+  if ('scale' in body) item.scaleBy(scale / item.scale);
+  if ('z' in body) item.z = z;
+  if ('attributes' in body) item.setAttributes(attributes);
+  if ('src' in body) item.setImage(src);
+}
+
+/**
+ * Creates a JSON REST API for controlling the workspaces of the given
+ * application from outside of the Node process, for example from a control
+ * panel. All changes are made through the usual methods, so they are published
+ * to the clients as normal.
+ *
+ * Every request must carry the token given to the API in an 'Authorization'
+ * header, as in `Authorization: Bearer <token>`, or it is refused with a 401.
+ *
+ * Requests act on the default room, unless a 'room' query parameter is given.
+ * The following routes are provided, relative to where the API is mounted:
+ *
+ * - GET /items: Reports of all the items.
+ * - GET /items/:id: Report of a single item.
+ * - GET /views: Reports of all the views.
+ * - POST /items: Spawn an item using one of the predefined item factories. The
+ *   body names the factory and the arguments to pass to it, e.g. `{"factory":
+ *   "square", "args": [0, 0, 100, "red"]}`. The 'wrappedElement' factory is
+ *   not available, as it would allow arbitrary HTML.
+ * - PATCH /items/:id: Change the 'x', 'y', 'rotation', 'scale', or 'z' of an
+ *   item, the 'attributes' of an element, or the 'src' of an image.
+ * - DELETE /items/:id: Remove an item.
+ *
+ * Elements may only use a limited set of tags and attributes, and sources may
+ * not be 'javascript:' or 'data:' URLs, so that the API cannot be used to run
+ * script in the browsers of the clients. Items spawned through the API may not
+ * be given an owner, permissions, or restricted visibility.
+ *
+ * @memberof module:server
+ *
+ * @throws TypeError
+ *
+ * @param {module:server.Application} app - The application to control.
+ * @param {string} token - The secret which requests must carry.
+ *
+ * @return {express.Router} The routes of the API.
+ */
+function RestApi(app, token) {
+  if (typeof token !== 'string' || token.length === 0) {
+    throw new TypeError('A token is required to serve the REST API.');
+  }
+
+  const api = express.Router();
+
+  api.use((req, res, next) => {
+    if (!isAuthorized(req, token)) {
+      return res.status(401).json({ error: 'Unauthorized.' });
+    }
+    return next();
+  });
+
+  api.use(express.json());
+
+  api.use((req, res, next) => {
+    const { room } = req.query;
+    req.room = room == null ? app : app.getRoom(room);
+    if (req.room == null) {
+      return res.status(404).json({ error: `No such room: ${room}` });
+    }
+    return next();
+  });
+
+  api.param('id', (req, res, next, id) => {
+    req.item = req.room.workspace.findItemById(Number(id));
+    if (req.item == null) {
+      return res.status(404).json({ error: `No such item: ${id}` });
+    }
+    return next();
+  });
+
+  api.get('/items', (req, res) => {
+    res.json(req.room.workspace.reportItems());
+  });
+
+  api.get('/items/:id', (req, res) => {
+    res.json(req.room.workspace.reportItem(req.item));
+  });
+
+  api.get('/views', (req, res) => {
+    res.json(req.room.switchboard.group.reportViews());
+  });
+
+  api.post('/items', (req, res) => {
+    const { factory, args = [] } = req.body;
+    if (!SPAWNERS.hasOwnProperty(factory) || !Array.isArray(args)) {
+      res.status(400).json({ error: 'Expected a factory name and arguments.' });
+      return;
+    }
+
+    const values = spawnValues(factory, args);
+    if (values == null) {
+      res.status(400).json({ error: `Invalid arguments for ${factory}.` });
+      return;
+    }
+    if (!isSafeItem(factory, values)) {
+      res.status(400).json({ error: `Unsupported values for ${factory}.` });
+      return;
+    }
+
+    const item = req.room[SPAWNERS[factory]](values);
+    res.status(201).json(req.room.workspace.reportItem(item));
+  });
+
+  api.patch('/items/:id', (req, res) => {
+    const error = checkChanges(req.item, req.body);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+
+    applyChanges(req.item, req.body);
+    res.json(req.room.workspace.reportItem(req.item));
+  });
+
+  api.delete('/items/:id', (req, res) => {
+    if (!req.room.removeItem(req.item)) {
+      res.status(404).json({ error: `No such item: ${req.item.id}` });
+      return;
+    }
+    res.status(204).end();
+  });
+
+  return api;
+}
+
+module.exports = RestApi;
@@ -0,0 +1,268 @@
+/*
+ * WAMS - An API for Multi-Surface Environments
+ *
+ * Author: Michael van der Kamp
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+
+const {
+  DispatchReporter,
+  isValidEventName,
+  Message,
+} = require('../shared.js');
+const Switchboard = require('./Switchboard.js');
+const Ticker = require('./Ticker.js');
+const WorkSpace = require('./WorkSpace.js');
+const MessageHandler = require('./MessageHandler.js');
+
+/**
+ * A Room is a single, isolated session hosted by an Application. Each room has
+ * its own workspace, view group, and message handler, and communicates with its
+ * clients over its own socket.io namespace. Items spawned in one room are never
+ * seen by the clients of any other room.
+ *
+ * Rooms should be created using Application#createRoom(). The Application is
+ * itself the default room, which clients join if they do not ask for any room
+ * in particular.
+ *
+ * A Room is an EventEmitter, announcing the following events:
+ *
+ * - 'connect' (view, index): A client connected and was given a view.
+ * - 'layout' (view, index, device, group): A client reported its size, after
+ *   the layout handler (if any) was called.
+ * - 'resize' (view): A client resized its window.
+ * - 'disconnect' (view, index): A client is gone for good. If the client
+ *   loses its connection but resumes its session in time, neither 'disconnect'
+ *   nor 'connect' are emitted.
+ * - 'item-spawned' (item): An item was added to the workspace.
+ * - 'item-removed' (item): An item was removed from the workspace.
+ * - 'lock' (item, view): A view obtained a lock on an item.
+ * - 'unlock' (item, view): A view released its lock on an item.
+ * - 'select' (items, view): A view drew a selection rectangle, selecting the
+ *   given items.
+ * - 'violation' (view, problems): A client sent a message which was malformed
+ *   or could not be handled. The problems describe what was wrong with it.
+ * - 'kick' (view, problems): A client was disconnected for sending more
+ *   malformed messages than the 'maxViolations' setting allows.
+ *
+ * Custom messages sent by clients are emitted as 'client:<name>' events, with
+ * the payload and the view of the sending client as arguments.
+ *
+ * @memberof module:server
+ * @extends EventEmitter
+ *
+ * @param {?string} name - The name of the room. Null for the default room.
+ * @param {Namespace} namespace - Socket.io namespace for communicating with the
+ * clients in this room.
+ * @param {object} [settings={}] - Settings data to be forwarded to the
+ * workspace, switchboard, and ticker of this room.
+ */
+class Room extends EventEmitter {
+  constructor(name, namespace, settings = {}) {
+    super();
+
+    /**
+     * The name of the room.
+     *
+     * @type {?string}
+     */
+    this.name = name;
+
+    /**
+     * Socket.io namespace in which to operate.
+     *
+     * @type {Namespace}
+     * @see {@link https://socket.io/docs/server-api/}
+     */
+    this.namespace = namespace;
+
+    /**
+     * The main model. The buck stops here.
+     *
+     * @type {module:server.WorkSpace}
+     */
+    this.workspace = new WorkSpace(settings, this.namespace, this);
+
+    /**
+     * The MessageHandler responds to messages.
+     *
+     * @type {module:server.MessageHandler}
+     */
+    this.messageHandler = new MessageHandler(this.workspace);
+
+    /**
+     * The switchboard allows communication with clients
+     *
+     * @type {module:server.Switchboard}
+     */
+    this.switchboard = new Switchboard(
+      this.workspace,
+      this.messageHandler,
+      this.namespace,
+      settings,
+    );
+
+    /**
+     * The ticker runs the simulation loop. Use it to pause, resume, or step
+     * through the loop.
+     *
+     * @type {module:server.Ticker}
+     */
+    this.ticker = new Ticker(this.workspace, settings);
+  }
+
+  /**
+   * Send a custom message to all the clients in this room. To send a message to
+   * a single client, use the send() method of its view instead.
+   *
+   * @throws TypeError
+   *
+   * @param {string} event - Name of the message.
+   * @param {*} [payload=null] - Data to send along, must be serializable as
+   * JSON.
+   */
+  broadcast(event, payload = null) {
+    if (!isValidEventName(event)) {
+      throw new TypeError(`Invalid message name: ${event}`);
+    }
+    const dreport = new DispatchReporter({ event, payload });
+    new Message(Message.DISPATCH, dreport).emitWith(this.namespace);
+  }
+
+  /**
+   * Shut the room down. The simulation loop and autosaving are stopped, every
+   * client is disconnected, and every suspended session is discarded.
+   */
+  close() {
+    this.ticker.stop();
+    clearInterval(this.workspace.autosaveTimer);
+    this.switchboard.close();
+  }
+
+  /**
+   * Replace the contents of the workspace with the snapshot saved at the given
+   * path.
+   *
+   * @param {string} path - Path of the snapshot file to load.
+   * @param {function} [reviver] - Receives the values for each item before it
+   * is spawned, and returns the values to use. Useful for reattaching handlers.
+   * @return {Promise<module:server.ServerItem[]>} Resolves with the newly
+   * spawned items.
+   */
+  loadSnapshot(path, reviver) {
+    return this.workspace.loadSnapshot(path, reviver);
+  }
+
+  /**
+   * Register a layout callback.
+   *
+   * @param {function} callback - Layout handler to trigger when a user
+   * connects to this room.
+   */
+  onlayout(callback) {
+    this.messageHandler.onlayout = callback;
+  }
+
+  /**
+   * Register a tick handler, to be called every step of the simulation loop.
+   * The loop starts once the first handler is registered, unless it has been
+   * paused.
+   *
+   * @param {function} callback - Receives the length of the step, in
+   * milliseconds, and the workspace.
+   */
+  ontick(callback) {
+    this.ticker.add(callback);
+  }
+
+  /**
+   * Redo the most recently undone group of changes.
+   *
+   * @param {module:server.ServerView} [view] - If provided, only changes made
+   * by this view will be redone.
+   * @return {boolean} true if anything was redone, false otherwise.
+   */
+  redo(view) {
+    return this.workspace.redo(view);
+  }
+
+  /**
+   * Remove the given item from the workspace.
+   *
+   * @param {module:server.ServerItem} item - Item to remove.
+   * @return {boolean} true if the item was located and removed, false
+   * otherwise.
+   */
+  removeItem(item) {
+    return this.workspace.removeItem(item);
+  }
+
+  /**
+   * @return {object} A description of this room, suitable for listing.
+   */
+  report() {
+    const { connections, suspended } = this.switchboard;
+    return {
+      name:    this.name,
+      clients: connections.filter(c => c != null).length - suspended.size,
+    };
+  }
+
+  /**
+   * Save a snapshot of the workspace to the given path.
+   *
+   * @param {string} path - Path of the file to write.
+   * @return {Promise} Resolves once the snapshot has been written.
+   */
+  saveSnapshot(path) {
+    return this.workspace.saveSnapshot(path);
+  }
+
+  /**
+   * Spawn a new element with the given values in the workspace.
+   *
+   * @param {Object} values - Data describing the element to spawn.
+   * @return {module:server.ServerElement} The newly spawned element.
+   */
+  spawnElement(values) {
+    return this.workspace.spawnElement(values);
+  }
+
+  /**
+   * Spawn a new image with the given values in the workspace.
+   *
+   * @param {Object} values - Data describing the image to spawn.
+   * @return {module:server.ServerImage} The newly spawned image.
+   */
+  spawnImage(values) {
+    return this.workspace.spawnImage(values);
+  }
+
+  /**
+   * Spawn a new item with the given values in the workspace.
+   *
+   * @param {Object} itemdata - Data describing the item to spawn.
+   * @return {module:server.ServerItem} The newly spawned item.
+   */
+  spawnItem(values) {
+    return this.workspace.spawnItem(values);
+  }
+
+  /**
+   * Undo the most recent group of changes. A group consists of all the changes
+   * made by a view during a single gesture, or all the changes made by the
+   * application during a single turn of the event loop.
+   *
+   * @param {module:server.ServerView} [view] - If provided, only changes made
+   * by this view will be undone, so that each user can undo their own actions.
+   * @return {boolean} true if anything was undone, false otherwise.
+   */
+  undo(view) {
+    return this.workspace.undo(view);
+  }
+}
+
+module.exports = Room;
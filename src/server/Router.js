@@ -28,6 +28,9 @@ function Router() {
   // Establish main routes.
   const view   = path.join(__dirname, '../../dist/view.html');
   app.get('/', (req, res) => res.sendFile(view));
+  app.get('/room/:name', (req, res) => {
+    res.redirect(`/?room=${encodeURIComponent(req.params.name)}`);
+  });
 
   const source = path.join(__dirname, '../../dist/client.js');
   app.get('/client.js', (req, res) => res.sendFile(source));
@@ -10,8 +10,18 @@
 
 'use strict';
 
-const { FullStateReporter, Message, NOP } = require('../shared.js');
+const crypto = require('crypto');
+
+const {
+  FullStateReporter,
+  isValidEventName,
+  Message,
+  NOP,
+} = require('../shared.js');
 const Device = require('./Device.js');
+const MessageValidator = require('./MessageValidator.js');
+
+const VALIDATOR = new MessageValidator();
 
 // Symbols to mark these methods as intended for internal use only.
 const symbols = Object.freeze({
@@ -35,9 +45,12 @@ const symbols = Object.freeze({
  * messages from clients.
  * @param {module:server.ServerViewGroup} group - The group to which this
  * connection will belong.
+ * @param {module:server.ServerController} [previous] - If provided, the new
+ * connection resumes the session of this earlier, disconnected, controller,
+ * taking over its view, device, and session token.
  */
 class ServerController {
-  constructor(index, socket, workspace, messageHandler, group) {
+  constructor(index, socket, workspace, messageHandler, group, previous) {
     /**
      * The index is an integer identifying the ServerController, which can also
      * be used for locating the ServerController in a collection.
@@ -75,20 +88,49 @@ class ServerController {
      */
     this.group = group;
 
+    /**
+     * Whether this connection resumes an earlier session.
+     *
+     * @type {boolean}
+     */
+    this.resumed = previous != null;
+
+    /**
+     * Token which the client can present to resume its session if its
+     * connection is lost.
+     *
+     * @type {string}
+     */
+    this.session = this.resumed
+      ? previous.session
+      : crypto.randomBytes(16).toString('hex');
+
     /**
      * The view corresponding to the client on the other end of this
      * ServerController.
      *
      * @type {module:server.ServerView}
      */
-    this.view = this.group.spawnView(this.socket);
+    this.view = this.resumed
+      ? this.group.addView(previous.view, this.socket)
+      : this.group.spawnView(this.socket);
 
     /**
      * The device corresponding to the client's device's physical orientation.
      *
      * @type {module:server.Device}
      */
-    this.device = new Device();
+    this.device = this.resumed ? previous.device : new Device();
+    this.workspace.addView(this.view);
+
+    /**
+     * Where each of the client's forwarded pointers is, in workspace
+     * coordinates, by identifier. Only tracked if the workspace shows
+     * telepointers.
+     *
+     * @type {Map.<string, module:shared.Point2D>}
+     */
+    this.pointers = new Map();
 
     /*
      * Automatically begin operations by registering Message listeners and
@@ -108,15 +150,18 @@ class ServerController {
   [symbols.attachListeners]() {
     const listeners = {
       // For the server to inform about changes to the model
-      [Message.ADD_ELEMENT]: NOP,
-      [Message.ADD_IMAGE]:   NOP,
-      [Message.ADD_ITEM]:    NOP,
-      [Message.ADD_SHADOW]:  NOP,
-      [Message.RM_ITEM]:     NOP,
-      [Message.RM_SHADOW]:   NOP,
-      [Message.UD_ITEM]:     NOP,
-      [Message.UD_SHADOW]:   NOP,
-      [Message.UD_VIEW]:     NOP,
+      [Message.ADD_ELEMENT]:  NOP,
+      [Message.ADD_IMAGE]:    NOP,
+      [Message.ADD_ITEM]:     NOP,
+      [Message.ADD_SHADOW]:   NOP,
+      [Message.BATCH]:        NOP,
+      [Message.RM_ITEM]:      NOP,
+      [Message.RM_SHADOW]:    NOP,
+      [Message.UD_ITEM]:      NOP,
+      [Message.UD_POINTERS]:  NOP,
+      [Message.UD_SELECTION]: NOP,
+      [Message.UD_SHADOW]:    NOP,
+      [Message.UD_VIEW]:      NOP,
 
       // For hopefully occasional extra adjustments to objects in the model.
       [Message.RM_ATTRS]:   NOP,
@@ -133,18 +178,42 @@ class ServerController {
       [Message.SWIPE]:     this.messageHandler.handle('swipe', this.view),
       [Message.TRANSFORM]: this.messageHandler.handle('transform', this.view),
       [Message.RESIZE]:    (data) => this.resize(data),
+      [Message.SELECT]:    ({ data }) => {
+        this.messageHandler.select(data, this.view);
+      },
       [Message.TRACK]:     ({ data }) => {
         this.messageHandler.track(data, this.view);
+        this.trackPointers(data);
       },
 
       // Multi-device gesture related
       [Message.POINTER]: (event) => this.pointerEvent(event),
       [Message.BLUR]:    () => {
         this.group.clearInputsFromView(this.view.id);
+        this.pointers.clear();
+        this.updatePointers([]);
       },
+
+      // Custom messages defined by the application
+      [Message.DISPATCH]: (data) => this.dispatch(data),
     };
 
-    Object.entries(listeners).forEach(([p, v]) => this.socket.on(p, v));
+    // Messages which cannot be decoded or which fail validation are dropped,
+    // and count as violations against the client. Errors thrown while handling
+    // a valid message are most likely bugs in the application's handlers, so
+    // they are logged rather than held against the client, and do not bring
+    // down the server.
+    Object.entries(listeners).forEach(([p, v]) => {
+      this.socket.on(p, (data) => {
+        const message = this.receive(p, data);
+        if (message == null) return;
+        try {
+          v(message);
+        } catch (err) {
+          console.error(`Error while handling ${p}:`, err);
+        }
+      });
+    });
   }
 
   /**
@@ -156,9 +225,11 @@ class ServerController {
   [symbols.fullStateReport]() {
     const fsreport = new FullStateReporter({
       ...this.workspace.settings,
-      views: this.group.reportViews(),
-      items: this.workspace.reportItems(),
-      id:    this.view.id,
+      views:      this.group.reportViews(),
+      items:      this.workspace.reportItems(this.view),
+      selections: this.workspace.reportSelections(this.view),
+      id:         this.view.id,
+      session:    this.session,
     });
     new Message(Message.INITIALIZE, fsreport).emitWith(this.socket);
   }
@@ -170,47 +241,125 @@ class ServerController {
    */
   disconnect() {
     this.group.removeView(this.view);
-    this.view.releaseLockedItem();
+    this.workspace.removeView(this.view);
+    this.view.cancelAnimation();
+    this.view.clearSelection();
+    this.view.stopPointing();
+    this.pointers.clear();
+    this.messageHandler.cleanup(this.view);
+    this.workspace.releaseLock(this.view);
     this.socket.disconnect(true);
     return true;
   }
 
+  /**
+   * Announces a custom message from the client as a 'client:<name>' event.
+   * Messages without a valid name are ignored.
+   *
+   * @param {module:shared.DispatchReporter} data - The message.
+   */
+  dispatch(data) {
+    if (data != null && isValidEventName(data.event)) {
+      const { event, payload } = data;
+      this.workspace.events.emit(`client:${event}`, payload, this.view);
+    }
+  }
+
   /**
    * Adjusts the model to accurately reflect the state of the client once it has
    * set itself up, and informs all other views of these changes. Also triggers
-   * a 'layout handler' if one has been registered.
+   * a 'layout handler' if one has been registered, and emits a 'layout' event,
+   * unless this connection resumes an earlier session, in which case the view
+   * is already laid out.
    *
    * @param {module:shared.View} data - Data from the client describing the
    *       state of the window in which it is displayed.
    */
   layout({ width, height }) {
     this.setSize(width, height);
-    if (this.messageHandler.onlayout) {
-      this.messageHandler.onlayout(
-        this.view,
-        this.index,
-        this.device,
-        this.group,
-      );
+    if (!this.resumed) {
+      const args = [this.view, this.index, this.device, this.group];
+      if (this.messageHandler.onlayout) this.messageHandler.onlayout(...args);
+      this.workspace.events.emit('layout', ...args);
     }
     new Message(Message.ADD_SHADOW, this.view).emitWith(this.socket.broadcast);
     new Message(Message.UD_VIEW,    this.view).emitWith(this.socket);
+    this.workspace.catchUp(this.view);
   }
 
   /**
-   * Forwards a PointerEvent to the gesture controller.
+   * Forwards a PointerEvent to the gesture controller. If the workspace shows
+   * telepointers, the other views are also told where the pointers are, until
+   * they are lifted or cancelled.
    *
    * @param {TouchEvent} event - The event to forward.
    */
   pointerEvent(event) {
+    const ended = ['end', 'up', 'cancel'].some(e => event.type.endsWith(e));
     event.source = this.view.id;
     event.changedTouches.forEach(touch => {
       touch.identifier = `${String(this.view.id)}-${touch.identifier}`;
       const { x, y } = this.device.transformPoint(touch.clientX, touch.clientY);
       touch.clientX = x;
       touch.clientY = y;
+      if (ended) {
+        this.pointers.delete(touch.identifier);
+      } else {
+        this.pointers.set(touch.identifier, this.group.transformPoint(x, y));
+      }
     });
     this.group.gestureController.process(event);
+    this.updatePointers(Array.from(this.pointers.values()));
+  }
+
+  /**
+   * Counts a violation against the view, announcing it with a 'violation'
+   * event. Once the view has more violations than the workspace allows, a
+   * 'kick' event is emitted and the client is disconnected.
+   *
+   * @param {string[]} problems - Descriptions of what the client did wrong.
+   *
+   * @return {boolean} true if the client was disconnected, false otherwise.
+   */
+  penalize(problems) {
+    this.view.violations += 1;
+    this.workspace.events.emit('violation', this.view, problems);
+    if (this.view.violations > this.workspace.settings.maxViolations) {
+      this.workspace.events.emit('kick', this.view, problems);
+      this.socket.disconnect(true);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Decodes the data received with a message from the client, if its type is
+   * one which is encoded, and checks it against the schema for its type. Data
+   * which cannot be decoded, or which had to be corrected or rejected, counts
+   * as a violation against the view.
+   *
+   * Data which only had to be corrected, such as a coordinate clamped into
+   * range, is still handled, as dropping it could leave a gesture half done,
+   * with an item locked by a pointer which has already lifted.
+   *
+   * @param {string} type - The type of the message.
+   * @param {*} data - The data received with the message.
+   *
+   * @return {?Object} The sanitized data, or null if it was rejected or the
+   * client was disconnected.
+   */
+  receive(type, data) {
+    let result = null;
+    try {
+      const decoded = Message.ENCODED.includes(type)
+        ? this.workspace.codec.decode(data)
+        : data;
+      result = VALIDATOR.validate(type, decoded);
+    } catch (err) {
+      result = { data: null, problems: [err.message] };
+    }
+    if (result.problems.length === 0) return result.data;
+    return this.penalize(result.problems) ? null : result.data;
   }
 
   /**
@@ -222,7 +371,10 @@ class ServerController {
    */
   resize({ width, height }) {
     this.setSize(width, height);
-    new Message(Message.UD_SHADOW, this.view).emitWith(this.socket.broadcast);
+    const message = new Message(Message.UD_SHADOW, this.view);
+    this.view.broadcastBatched(message, this.view);
+    this.workspace.catchUp(this.view);
+    this.workspace.events.emit('resize', this.view);
   }
 
   /**
@@ -235,6 +387,31 @@ class ServerController {
     this.view.assign({ width, height });
     this.device.assign({ width, height });
   }
+
+  /**
+   * Tells the other views where the client's pointers are being tracked, using
+   * the positions reported with a track gesture.
+   *
+   * @param {object} data - The track gesture data.
+   * @param {module:shared.Point2D[]} data.active - Positions of the pointers,
+   * in view coordinates.
+   */
+  trackPointers({ active }) {
+    this.updatePointers(active.map(({ x, y }) => {
+      return this.view.transformPoint(x, y);
+    }));
+  }
+
+  /**
+   * Tells the other views where the client is pointing, if the workspace shows
+   * telepointers.
+   *
+   * @param {module:shared.Point2D[]} points - Positions of the pointers, in
+   * workspace coordinates.
+   */
+  updatePointers(points) {
+    if (this.workspace.settings.telepointers) this.view.updatePointers(points);
+  }
 }
 
 module.exports = ServerController;
@@ -11,7 +11,14 @@ const {
   Message,
   WamsElement,
 } = require('../shared.js');
-const { Hittable, Identifiable } = require('../mixins.js');
+const {
+  Concealable,
+  Hittable,
+  Identifiable,
+  Stackable,
+} = require('../mixins.js');
+
+const Base = Identifiable(Stackable(Concealable(Hittable(WamsElement))));
 
 /**
  * The ServerElement provides operations for the server to locate and move
@@ -19,17 +26,24 @@ const { Hittable, Identifiable } = require('../mixins.js');
  *
  * @memberof module:server
  * @extends module:shared.WamsElement
+ * @mixes module:mixins.Concealable
  * @mixes module:mixins.Hittable
  * @mixes module:mixins.Identifiable
+ * @mixes module:mixins.Stackable
+ *
+ * @throws TypeError
  *
  * @param {Namespace} namespace - Socket.io namespace for publishing changes.
  * @param {Object} values - User-supplied data detailing the image. Properties
  * on this object that line up with {@link module:shared.Element} members will
  * be stored. Any other properties will be ignored.
  */
-class ServerElement extends Identifiable(Hittable(WamsElement)) {
+class ServerElement extends Base {
   constructor(namespace, values = {}) {
     super(values);
+    if (namespace == null) {
+      throw new TypeError('A namespace is required for publishing updates.');
+    }
 
     /**
      * Socket.io namespace for publishing updates.
@@ -37,19 +51,35 @@ class ServerElement extends Identifiable(Hittable(WamsElement)) {
      * @type {Namespace}
      */
     this.namespace = namespace;
+  }
 
-    // Notify subscribers immediately.
-    new Message(Message.ADD_ELEMENT, this).emitWith(this.namespace);
-    if (values.attributes) {
-      this.setAttributes(values.attributes);
+  /*
+   * Inform subscribers about the existence of the element, including its
+   * attributes.
+   */
+  emitAdditionTo(emitter) {
+    this.emitBatched(new Message(Message.ADD_ELEMENT, this), emitter);
+    if (this.attributes) {
+      const dreport = new DataReporter({
+        data: {
+          id:         this.id,
+          attributes: this.attributes,
+        },
+      });
+      this.emitBatched(new Message(Message.SET_ATTRS, dreport), emitter);
     }
   }
 
   /*
-   * Publish a general notification about the status of the image.
+   * Publish a general notification about the status of the element, including
+   * only the properties which have changed.
    */
   emitPublication() {
-    new Message(Message.UD_ITEM, this).emitWith(this.namespace);
+    const changes = this.collectChanges();
+    if (changes.length === 0) return;
+    this.emitUpdate(emitter => {
+      this.emitBatched(new Message(Message.UD_ITEM, this, changes), emitter);
+    });
   }
 
   /**
@@ -58,16 +88,33 @@ class ServerElement extends Identifiable(Hittable(WamsElement)) {
    * @param {string[]} attributes
    */
   removeAttributes(attributes) {
+    const before = { ...this.attributes };
     attributes.forEach(attr => {
       delete this.attributes[attr];
     });
+    this.recordAttributes(before);
     const dreport = new DataReporter({
       data: {
         id: this.id,
         attributes,
       },
     });
-    new Message(Message.RM_ATTRS, dreport).emitWith(this.namespace);
+    this.emitVisibly(emitter => {
+      this.emitBatched(new Message(Message.RM_ATTRS, dreport), emitter);
+    });
+  }
+
+  /**
+   * Record a change to the attributes of the element in the history.
+   *
+   * @param {object} before - A copy of the attributes before the change.
+   */
+  recordAttributes(before) {
+    this.recordChange('attributes', before, { ...this.attributes }, (state) => {
+      const removed = Object.keys(this.attributes).filter(k => !(k in state));
+      if (removed.length > 0) this.removeAttributes(removed);
+      this.setAttributes(state);
+    });
   }
 
   /**
@@ -76,14 +123,18 @@ class ServerElement extends Identifiable(Hittable(WamsElement)) {
    * @param {object} attributes
    */
   setAttributes(attributes) {
-    this.attributes = Object.assign(this.attributes, attributes);
+    const before = { ...this.attributes };
+    this.attributes = Object.assign(this.attributes || {}, attributes);
+    this.recordAttributes(before);
     const dreport = new DataReporter({
       data: {
         id:  this.id,
         attributes,
       },
     });
-    new Message(Message.SET_ATTRS, dreport).emitWith(this.namespace);
+    this.emitVisibly(emitter => {
+      this.emitBatched(new Message(Message.SET_ATTRS, dreport), emitter);
+    });
   }
 }
 
@@ -11,7 +11,14 @@ const {
   Message,
   WamsImage,
 } = require('../shared.js');
-const { Hittable, Identifiable } = require('../mixins.js');
+const {
+  Concealable,
+  Hittable,
+  Identifiable,
+  Stackable,
+} = require('../mixins.js');
+
+const Base = Identifiable(Stackable(Concealable(Hittable(WamsImage))));
 
 /**
  * The ServerImage provides operations for the server to locate and move images
@@ -19,17 +26,24 @@ const { Hittable, Identifiable } = require('../mixins.js');
  *
  * @memberof module:server
  * @extends module:shared.WamsImage
+ * @mixes module:mixins.Concealable
  * @mixes module:mixins.Hittable
  * @mixes module:mixins.Identifiable
+ * @mixes module:mixins.Stackable
+ *
+ * @throws TypeError
  *
  * @param {Namespace} namespace - Socket.io namespace for publishing changes.
  * @param {Object} values - User-supplied data detailing the image. Properties
  * on this object that line up with {@link module:shared.Image} members will be
  * stored. Any other properties will be ignored.
  */
-class ServerImage extends Identifiable(Hittable(WamsImage)) {
+class ServerImage extends Base {
   constructor(namespace, values = {}) {
     super(values);
+    if (namespace == null) {
+      throw new TypeError('A namespace is required for publishing updates.');
+    }
 
     /**
      * Socket.io namespace for publishing updates.
@@ -37,19 +51,61 @@ class ServerImage extends Identifiable(Hittable(WamsImage)) {
      * @type {Namespace}
      */
     this.namespace = namespace;
+  }
+
+  /**
+   * If the image is concealed, the image shown to the views which may see
+   * it. If it is not set, they are shown 'src'.
+   *
+   * @name privateSrc
+   * @type {?string}
+   * @default undefined
+   * @memberof module:server.ServerImage
+   */
 
-    // Notify subscribers immediately.
-    new Message(Message.ADD_IMAGE, this).emitWith(this.namespace);
-    if (values.src) {
-      this.setImage(values.src);
+  /**
+   * If the image is concealed, the image shown to the views which may not
+   * see it. If it is not set, the image is hidden from them entirely.
+   *
+   * @name publicSrc
+   * @type {?string}
+   * @default undefined
+   * @memberof module:server.ServerImage
+   */
+
+  /*
+   * Inform subscribers about the existence of the image, including its source.
+   */
+  emitAdditionTo(emitter, appearance) {
+    this.emitBatched(new Message(Message.ADD_IMAGE, this), emitter);
+    if (this.srcFor(appearance)) {
+      this.emitAppearanceTo(emitter, appearance);
     }
   }
 
   /*
-   * Publish a general notification about the status of the image.
+   * Inform subscribers about which image to show.
+   */
+  emitAppearanceTo(emitter, appearance) {
+    const dreport = new DataReporter({
+      data: {
+        id:  this.id,
+        src: this.srcFor(appearance),
+      },
+    });
+    this.emitBatched(new Message(Message.SET_IMAGE, dreport), emitter);
+  }
+
+  /*
+   * Publish a general notification about the status of the image, including
+   * only the properties which have changed.
    */
   emitPublication() {
-    new Message(Message.UD_ITEM, this).emitWith(this.namespace);
+    const changes = this.collectChanges();
+    if (changes.length === 0) return;
+    this.emitUpdate(emitter => {
+      this.emitBatched(new Message(Message.UD_ITEM, this, changes), emitter);
+    });
   }
 
   /**
@@ -58,14 +114,24 @@ class ServerImage extends Identifiable(Hittable(WamsImage)) {
    * @param {string} path - The path to the image for this image.
    */
   setImage(path) {
+    this.recordChange('image', this.src, path, (src) => this.setImage(src));
     this.src = path;
-    const dreport = new DataReporter({
-      data: {
-        id:  this.id,
-        src: path,
-      },
+    this.emitVisibly((emitter, appearance) => {
+      this.emitAppearanceTo(emitter, appearance);
     });
-    new Message(Message.SET_IMAGE, dreport).emitWith(this.namespace);
+  }
+
+  /**
+   * @param {string} appearance - How the image appears to a view: 'private' or
+   * 'public'.
+   *
+   * @return {?string} The path of the image to show to a view that sees the
+   * image with the given appearance.
+   */
+  srcFor(appearance) {
+    if (appearance === 'public') return this.publicSrc;
+    if (this.isConcealed() && this.privateSrc) return this.privateSrc;
+    return this.src;
   }
 }
 
@@ -15,7 +15,12 @@ const {
   Item,
   Message,
 } = require('../shared.js');
-const { Hittable, Identifiable } = require('../mixins.js');
+const {
+  Concealable,
+  Hittable,
+  Identifiable,
+  Stackable,
+} = require('../mixins.js');
 
 /**
  * The ServerItem provides operations for the server to locate and move items
@@ -23,17 +28,24 @@ const { Hittable, Identifiable } = require('../mixins.js');
  *
  * @memberof module:server
  * @extends module:shared.Item
+ * @mixes module:mixins.Concealable
  * @mixes module:mixins.Hittable
  * @mixes module:mixins.Identifiable
+ * @mixes module:mixins.Stackable
+ *
+ * @throws TypeError
  *
  * @param {Namespace} namespace - Socket.io namespace for publishing changes.
  * @param {Object} values - User-supplied data detailing the item. Properties on
  * this object that line up with {@link module:shared.Item} members will be
  * stored. Any other properties will be ignored.
  */
-class ServerItem extends Identifiable(Hittable(Item)) {
+class ServerItem extends Identifiable(Stackable(Concealable(Hittable(Item)))) {
   constructor(namespace, values = {}) {
     super(values);
+    if (namespace == null) {
+      throw new TypeError('A namespace is required for publishing updates.');
+    }
 
     /**
      * Socket.io namespace for publishing updates.
@@ -41,19 +53,42 @@ class ServerItem extends Identifiable(Hittable(Item)) {
      * @type {Namespace}
      */
     this.namespace = namespace;
+  }
 
-    // Notify subscribers immediately.
-    new Message(Message.ADD_ITEM, this).emitWith(this.namespace);
-    if (values.sequence) {
-      this.setSequence(values.sequence);
+  /*
+   * Inform subscribers about the existence of the item, including its render
+   * sequence.
+   */
+  emitAdditionTo(emitter) {
+    this.emitBatched(new Message(Message.ADD_ITEM, this), emitter);
+    if (this.sequence) {
+      const message = new Message(Message.SET_RENDER, this.reportSequence());
+      this.emitBatched(message, emitter);
     }
   }
 
   /*
-   * Publish a general notification about the status of the item.
+   * Publish a general notification about the status of the item, including
+   * only the properties which have changed.
    */
   emitPublication() {
-    new Message(Message.UD_ITEM, this).emitWith(this.namespace);
+    const changes = this.collectChanges();
+    if (changes.length === 0) return;
+    this.emitUpdate(emitter => {
+      this.emitBatched(new Message(Message.UD_ITEM, this, changes), emitter);
+    });
+  }
+
+  /**
+   * @return {module:shared.DataReporter} A report of the render sequence.
+   */
+  reportSequence() {
+    return new DataReporter({
+      data: {
+        id:       this.id,
+        sequence: this.sequence,
+      },
+    });
   }
 
   /**
@@ -64,13 +99,10 @@ class ServerItem extends Identifiable(Hittable(Item)) {
    */
   setSequence(sequence) {
     this.sequence = sequence;
-    const dreport = new DataReporter({
-      data: {
-        id: this.id,
-        sequence,
-      },
+    this.emitVisibly(emitter => {
+      const message = new Message(Message.SET_RENDER, this.reportSequence());
+      this.emitBatched(message, emitter);
     });
-    new Message(Message.SET_RENDER, dreport).emitWith(this.namespace);
   }
 }
 
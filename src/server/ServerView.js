@@ -11,18 +11,44 @@
 'use strict';
 
 const {
+  DataReporter,
+  DispatchReporter,
   IdStamper,
+  isValidEventName,
   Message,
   View,
 } = require('../shared.js');
 const { Interactable, Locker } = require('../mixins.js');
+const SpatialIndex = require('./SpatialIndex.js');
 
 const STAMPER = new IdStamper();
 
+/**
+ * The least time between publications of the positions of a view's pointers,
+ * in milliseconds.
+ *
+ * @inner
+ * @memberof module:server.ServerView
+ *
+ * @type {number}
+ */
+const POINTER_INTERVAL = 1000 / 30;
+
+// Symbols to mark these methods as intended for internal use only.
+const symbols = Object.freeze({
+  publishPointers: Symbol('publishPointers'),
+  pointerTimer:    Symbol('pointerTimer'),
+  pointersChanged: Symbol('pointersChanged'),
+});
+
 /**
  * The ServerView provides operations for the server to locate, move, and
  * rescale views.
  *
+ * Each view also has a selection of items, which are moved, rotated, and scaled
+ * together when any one of them is manipulated by the view. The selection is
+ * highlighted on every client.
+ *
  * @memberof module:server
  * @extends module:shared.View
  * @mixes module:mixins.Interactable
@@ -43,6 +69,14 @@ class ServerView extends Locker(Interactable(View)) {
      */
     this.socket = socket;
 
+    /**
+     * The workspace to which this view belongs. Assigned by the workspace when
+     * the client of the view connects. Views are not recorded in its history.
+     *
+     * @type {?module:server.WorkSpace}
+     */
+    this.workspace = null;
+
     /**
      * Id to make the views uniquely identifiable.
      *
@@ -53,6 +87,59 @@ class ServerView extends Locker(Interactable(View)) {
      * @memberof module:server.ServerView
      */
     STAMPER.stampNewId(this);
+
+    /**
+     * The role of the user of this view, if the application gives it one.
+     * Items can be owned by a role, instead of by a single view.
+     *
+     * @type {?string}
+     */
+    this.role = values.role || null;
+
+    /**
+     * Where the user of this view is currently pointing, in workspace
+     * coordinates. Only tracked if the workspace shows telepointers.
+     *
+     * @type {module:shared.Point2D[]}
+     */
+    this.pointers = [];
+
+    /**
+     * The items currently selected by this view. Use select() and
+     * clearSelection() to change the selection, so that the clients are kept up
+     * to date.
+     *
+     * @type {module:server.ServerItem[]}
+     */
+    this.selection = [];
+
+    /**
+     * The number of malformed messages received from the client of this view.
+     * Kept with the view, so that a client cannot clear it by resuming its
+     * session.
+     *
+     * @type {number}
+     */
+    this.violations = 0;
+
+    /**
+     * Timer which delays the next publication of the pointers, while the
+     * publications are being throttled.
+     *
+     * @name [@@pointerTimer]
+     * @type {?Timeout}
+     * @memberof module:server.ServerView
+     */
+    this[symbols.pointerTimer] = null;
+
+    /**
+     * Whether the pointers have changed since they were last published.
+     *
+     * @name [@@pointersChanged]
+     * @type {boolean}
+     * @memberof module:server.ServerView
+     */
+    this[symbols.pointersChanged] = false;
   }
 
   /**
@@ -83,14 +170,62 @@ class ServerView extends Locker(Interactable(View)) {
    */
   get topRight() { return this.transformPoint(this.width, 0); }
 
+  /**
+   * @param {?module:server.SpatialIndex.Bounds} bounds - A rectangle in
+   * workspace coordinates, or null if it is not known.
+   *
+   * @return {boolean} Whether any part of the rectangle is within the viewport
+   * of this view. Rectangles which are not known are assumed to be.
+   */
+  canSee(bounds) {
+    return bounds == null || SpatialIndex.overlaps(bounds, this.getViewport());
+  }
+
+  /**
+   * Deselect all the items selected by this view.
+   */
+  clearSelection() {
+    this.select([]);
+  }
+
   /*
-   * Publish the view, bringing subscribers up to date.
+   * Publish the changes to the view, bringing subscribers up to date.
    *
    * @override
    */
   emitPublication() {
-    new Message(Message.UD_SHADOW, this).emitWith(this.socket.broadcast);
-    new Message(Message.UD_VIEW,   this).emitWith(this.socket);
+    const changes = this.collectChanges();
+    if (changes.length === 0) return;
+    const shadow = new Message(Message.UD_SHADOW, this, changes);
+    this.broadcastBatched(shadow, this);
+    this.emitBatched(new Message(Message.UD_VIEW, this, changes), this.socket);
+    if (this.workspace) this.workspace.catchUp(this);
+  }
+
+  /**
+   * Find the region of the workspace which this view shows. If the view is
+   * rotated, this is the smallest upright rectangle containing the view.
+   *
+   * @return {module:server.SpatialIndex.Bounds} The viewport, in workspace
+   * coordinates.
+   */
+  getViewport() {
+    const corners = [
+      this.topLeft,
+      this.topRight,
+      this.bottomLeft,
+      this.bottomRight,
+    ];
+    const xs = corners.map(p => p.x);
+    const ys = corners.map(p => p.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return {
+      x,
+      y,
+      width:  Math.max(...xs) - x,
+      height: Math.max(...ys) - y,
+    };
   }
 
   /*
@@ -102,6 +237,35 @@ class ServerView extends Locker(Interactable(View)) {
     super.moveBy(-dx, -dy);
   }
 
+  /*
+   * Transformations of views are not recorded in the history of the workspace,
+   * so that undoing a gesture on the items never moves the view of a user.
+   *
+   * @override
+   */
+  recordChange() {}
+
+  /**
+   * Describe the selection of this view, so that clients can highlight it.
+   *
+   * @param {module:server.ServerView} [viewer] - The view to which the
+   * selection is being reported. Items concealed from it are left out.
+   *
+   * @return {object} The id of the view, and the id and hitbox bounds of each
+   * selected item.
+   */
+  reportSelection(viewer) {
+    return {
+      id:    this.id,
+      items: this.selection
+        .filter(item => viewer == null || item.isVisibleTo(viewer))
+        .map(item => ({
+          id:     item.id,
+          bounds: item.getHitboxBounds(),
+        })),
+    };
+  }
+
   /*
    * Rotate the view by the given amount.
    *
@@ -119,6 +283,90 @@ class ServerView extends Locker(Interactable(View)) {
   scaleBy(ds = 1, mx, my) {
     super.scaleBy(ds, mx, my, 'divideBy');
   }
+
+  /**
+   * Select the given items, replacing the current selection, and let every
+   * client know. Each client is only told about the selected items it may see.
+   *
+   * @param {module:server.ServerItem[]} items - The items to select.
+   */
+  select(items) {
+    this.selection = Array.from(new Set(items));
+    const others = this.workspace ? this.workspace.views : [];
+    new Set([this, ...others]).forEach(view => {
+      const dreport = new DataReporter({ data: this.reportSelection(view) });
+      new Message(Message.UD_SELECTION, dreport).emitWith(view.socket);
+    });
+  }
+
+  /**
+   * Send a custom message to the client of this view only. On the client, the
+   * message is delivered to the handlers registered for the event.
+   *
+   * @throws TypeError
+   *
+   * @param {string} event - Name of the message.
+   * @param {*} [payload=null] - Data to send along, must be serializable as
+   * JSON.
+   */
+  send(event, payload = null) {
+    if (!isValidEventName(event)) {
+      throw new TypeError(`Invalid message name: ${event}`);
+    }
+    const dreport = new DispatchReporter({ event, payload });
+    new Message(Message.DISPATCH, dreport).emitWith(this.socket);
+  }
+
+  /**
+   * Set where the user of this view is pointing, and let the other views know.
+   * Publications are throttled, so that at most one is sent every
+   * POINTER_INTERVAL milliseconds, but the latest positions are always sent
+   * eventually.
+   *
+   * @param {module:shared.Point2D[]} points - Positions of the pointers, in
+   * workspace coordinates. Empty if the user has stopped pointing.
+   */
+  updatePointers(points) {
+    this.pointers = points.map(({ x, y }) => ({ x, y }));
+    if (this[symbols.pointerTimer] == null) {
+      this[symbols.publishPointers]();
+    } else {
+      this[symbols.pointersChanged] = true;
+    }
+  }
+
+  /**
+   * Forget where the user of this view is pointing, without publishing
+   * anything, and stop any pending publication. Used once the client has
+   * disconnected.
+   */
+  stopPointing() {
+    clearTimeout(this[symbols.pointerTimer]);
+    this[symbols.pointerTimer] = null;
+    this[symbols.pointersChanged] = false;
+    this.pointers = [];
+  }
+
+  /**
+   * Send the positions of the pointers to the other views, then hold off any
+   * further publications for a little while.
+   *
+   * @alias [@@publishPointers]
+   * @memberof module:server.ServerView
+   */
+  [symbols.publishPointers]() {
+    const dreport = new DataReporter({
+      data: { id: this.id, points: this.pointers },
+    });
+    const message = new Message(Message.UD_POINTERS, dreport);
+    this.broadcastBatched(message, this);
+
+    this[symbols.pointersChanged] = false;
+    this[symbols.pointerTimer] = setTimeout(() => {
+      this[symbols.pointerTimer] = null;
+      if (this[symbols.pointersChanged]) this[symbols.publishPointers]();
+    }, POINTER_INTERVAL);
+  }
 }
 
 module.exports = ServerView;
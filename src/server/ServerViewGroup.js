@@ -46,6 +46,22 @@ class ServerViewGroup extends Locker(Lockable(Transformable2D(View))) {
     this.views = [];
   }
 
+  /**
+   * Add an existing view to the group, for example when a client resumes its
+   * session. The view will publish its changes using the given socket from now
+   * on.
+   *
+   * @param {module:server.ServerView} view - View to add to the group.
+   * @param {Socket} socket - Socket.io socket for publishing changes.
+   *
+   * @return {module:server.ServerView} The view.
+   */
+  addView(view, socket) {
+    view.socket = socket;
+    if (!this.views.includes(view)) this.views.push(view);
+    return view;
+  }
+
   /**
    * Clear the inputs associated with the given view from the gesture
    * controller.
@@ -0,0 +1,378 @@
+/*
+ * WAMS - An API for Multi-Surface Environments
+ *
+ * Author: Michael van der Kamp
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { promisify } = require('util');
+const { CanvasSequence } = require('canvas-sequencer');
+
+const { Polygon2D, Rectangle } = require('../shared.js');
+const ServerElement = require('./ServerElement.js');
+const ServerImage = require('./ServerImage.js');
+const ServerItem = require('./ServerItem.js');
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+
+/**
+ * Functions for capturing the state of a workspace so that it can be written
+ * to disk, and for restoring a workspace from such a capture.
+ *
+ * Only data can be captured: any functions attached to items (e.g. 'onclick'
+ * or 'ondrag' handlers) will not be included, and custom properties must be
+ * serializable as JSON. Handlers can be reattached during restoration by
+ * providing a reviver function. Item Ids are not preserved, as they are stamped
+ * anew when the items are respawned, but references from one item to another
+ * (e.g. the targets of a 'snap') are captured and pointed at the respawned
+ * items.
+ *
+ * Access rules which are functions ('visibleTo' predicates and 'permissions'
+ * checks) cannot be captured either. Rather than leaving the item open to
+ * everyone after restoration, such rules are captured as denying everyone, and
+ * a warning is logged. The reviver should reattach the original rules.
+ *
+ * @namespace Snapshot
+ * @memberof module:server
+ */
+
+/**
+ * Version of the snapshot format written by this module.
+ *
+ * @memberof module:server.Snapshot
+ * @type {number}
+ */
+const VERSION = 1;
+
+/**
+ * Properties of workspace items that should never be written into a snapshot.
+ *
+ * @inner
+ * @memberof module:server.Snapshot
+ * @type {string[]}
+ */
+const EXCLUDED = Object.freeze([
+  'id',
+  'namespace',
+  'workspace',
+]);
+
+/**
+ * Properties of items whose functions grant access, and which must therefore
+ * not be silently dropped.
+ *
+ * @inner
+ * @memberof module:server.Snapshot
+ * @type {string[]}
+ */
+const ACCESS_RULES = Object.freeze([
+  'visibleTo',
+  'permissions',
+]);
+
+/**
+ * Capture a function-valued access rule of an item. The rule is replaced by one
+ * which denies everyone, so that a restored item is never more accessible than
+ * the original.
+ *
+ * @inner
+ * @memberof module:server.Snapshot
+ *
+ * @param {module:server.ServerItem} item - The item being captured.
+ * @param {string} key - 'visibleTo' or 'permissions'.
+ *
+ * @return {*} The rule to capture in place of the item's rule.
+ */
+function captureAccessRule(item, key) {
+  const rule = item[key];
+  const denied = key === 'visibleTo' ? [] : 'nobody';
+  const warn = () => console.warn(
+    `Unable to capture function in '${key}' of item ${item.id},`,
+    'it will deny everyone when restored.'
+  );
+
+  if (typeof rule === 'function') {
+    warn();
+    return denied;
+  }
+  if (key === 'permissions' && rule != null && typeof rule === 'object') {
+    const rules = { ...rule };
+    Object.keys(rules).forEach(action => {
+      if (typeof rules[action] === 'function') {
+        warn();
+        rules[action] = denied;
+      }
+    });
+    return rules;
+  }
+  return rule;
+}
+
+/**
+ * Replaces references to items with their ids while serializing.
+ *
+ * @inner
+ * @memberof module:server.Snapshot
+ *
+ * @param {string} key
+ * @param {*} value
+ *
+ * @return {*} The value to serialize.
+ */
+function replaceItems(key, value) {
+  const isItem = value instanceof ServerItem ||
+    value instanceof ServerImage ||
+    value instanceof ServerElement;
+  return isItem ? { $item: value.id } : value;
+}
+
+/**
+ * Point the references to items in the given value at the respawned items.
+ *
+ * @inner
+ * @memberof module:server.Snapshot
+ *
+ * @param {*} value - A restored value.
+ * @param {Map} respawned - Maps the captured ids to the respawned items.
+ *
+ * @return {*} The value, with references replaced. References to items which
+ * were not respawned become null.
+ */
+function resolveItems(value, respawned) {
+  if (Array.isArray(value)) return value.map(v => resolveItems(v, respawned));
+  if (value == null || Object.getPrototypeOf(value) !== Object.prototype) {
+    return value;
+  }
+  if (value.hasOwnProperty('$item')) return respawned.get(value.$item) || null;
+  Object.keys(value).forEach(key => {
+    value[key] = resolveItems(value[key], respawned);
+  });
+  return value;
+}
+
+/**
+ * The hitbox classes which can be captured and revived.
+ *
+ * @inner
+ * @memberof module:server.Snapshot
+ * @type {object}
+ */
+const HITBOXES = Object.freeze({
+  Polygon2D: {
+    capture: (hitbox) => ({ points: hitbox.points.slice(0, -1) }),
+    revive:  ({ points }) => new Polygon2D(points),
+  },
+  Rectangle: {
+    capture: ({ width, height, x, y }) => ({ width, height, x, y }),
+    revive:  ({ width, height, x, y }) => new Rectangle(width, height, x, y),
+  },
+});
+
+/**
+ * Capture the given hitbox as plain data.
+ *
+ * @inner
+ * @memberof module:server.Snapshot
+ *
+ * @param {?module:shared.Hitbox} hitbox - The hitbox to capture.
+ *
+ * @return {?object} Plain data describing the hitbox, or null if the hitbox is
+ * missing or of an unknown type.
+ */
+function captureHitbox(hitbox) {
+  if (hitbox == null) return null;
+
+  const type = hitbox.constructor.name;
+  if (!HITBOXES.hasOwnProperty(type)) {
+    console.warn('Unable to capture hitbox of unknown type:', type);
+    return null;
+  }
+  return { type, ...HITBOXES[type].capture(hitbox) };
+}
+
+/**
+ * Revive a hitbox from plain data.
+ *
+ * @inner
+ * @memberof module:server.Snapshot
+ *
+ * @param {?object} data - Data produced by captureHitbox().
+ *
+ * @return {?module:shared.Hitbox} The revived hitbox.
+ */
+function reviveHitbox(data) {
+  if (data == null || !HITBOXES.hasOwnProperty(data.type)) return null;
+  return HITBOXES[data.type].revive(data);
+}
+
+/**
+ * Determine which spawn routine of the workspace should be used for the given
+ * item.
+ *
+ * @inner
+ * @memberof module:server.Snapshot
+ *
+ * @param {module:server.ServerItem} item
+ *
+ * @return {string} 'image', 'element', or 'item'.
+ */
+function kindOf(item) {
+  if (item instanceof ServerImage) return 'image';
+  if (item instanceof ServerElement) return 'element';
+  return 'item';
+}
+
+/**
+ * Capture a single item as plain data. All own enumerable properties of the
+ * item are captured, except for functions and internal references. References
+ * to other items are captured as their ids.
+ *
+ * @memberof module:server.Snapshot
+ *
+ * @param {module:server.ServerItem} item - The item to capture.
+ *
+ * @return {object} Plain data describing the item.
+ */
+function captureItem(item) {
+  const values = {};
+  Object.keys(item).forEach(key => {
+    if (ACCESS_RULES.includes(key)) {
+      values[key] = captureAccessRule(item, key);
+    } else if (!EXCLUDED.includes(key) && typeof item[key] !== 'function') {
+      values[key] = item[key];
+    }
+  });
+  values.hitbox = captureHitbox(item.hitbox);
+
+  const data = { kind: kindOf(item), id: item.id, values };
+  return JSON.parse(JSON.stringify(data, replaceItems));
+}
+
+/**
+ * Capture all the items in the given workspace.
+ *
+ * @memberof module:server.Snapshot
+ *
+ * @param {module:server.WorkSpace} workspace - The workspace to capture.
+ *
+ * @return {object} A snapshot of the workspace. Items are listed from back to
+ * front.
+ */
+function capture(workspace) {
+  const items = Array.from(workspace.items).reverse();
+  return {
+    version: VERSION,
+    items:   items.map(captureItem),
+  };
+}
+
+/**
+ * Spawn a single item described by a snapshot.
+ *
+ * @inner
+ * @memberof module:server.Snapshot
+ *
+ * @param {module:server.WorkSpace} workspace - The workspace to spawn into.
+ * @param {string} kind - 'image', 'element', or 'item'.
+ * @param {object} values - The captured values of the item.
+ * @param {function} reviver - See restore().
+ *
+ * @return {module:server.ServerItem} The newly spawned item.
+ */
+function spawn(workspace, kind, values, reviver) {
+  const data = reviver({ ...values, hitbox: reviveHitbox(values.hitbox) });
+  switch (kind) {
+  case 'image':
+    return workspace.spawnImage(data);
+  case 'element':
+    return workspace.spawnElement(data);
+  default:
+    if (data.sequence) data.sequence = new CanvasSequence(data.sequence);
+    return workspace.spawnItem(data);
+  }
+}
+
+/**
+ * Replace the contents of the given workspace with the items described by the
+ * snapshot. The items are spawned through the workspace as usual, so all
+ * connected clients will be informed.
+ *
+ * @memberof module:server.Snapshot
+ *
+ * @param {module:server.WorkSpace} workspace - The workspace to restore into.
+ * @param {object} snapshot - A snapshot produced by capture().
+ * @param {function} [reviver] - Receives the values for each item before it is
+ * spawned, and returns the values to actually use. Useful for reattaching
+ * handlers, for example based on the 'type' of the item.
+ *
+ * @return {module:server.ServerItem[]} The newly spawned items.
+ */
+function restore(workspace, snapshot, reviver = (values) => values) {
+  if (snapshot == null || snapshot.version !== VERSION) {
+    throw new TypeError('Unrecognized snapshot format.');
+  }
+
+  Array.from(workspace.items).forEach(item => workspace.removeItem(item));
+
+  const respawned = new Map();
+  const items = snapshot.items.map(({ kind, id, values }) => {
+    const item = spawn(workspace, kind, values, reviver);
+    respawned.set(id, item);
+    return item;
+  });
+
+  snapshot.items.forEach(({ values }, index) => {
+    const item = items[index];
+    Object.keys(values).forEach(key => {
+      if (key !== 'hitbox') item[key] = resolveItems(item[key], respawned);
+    });
+  });
+
+  return items;
+}
+
+/**
+ * Write a snapshot of the given workspace to disk.
+ *
+ * @memberof module:server.Snapshot
+ *
+ * @param {module:server.WorkSpace} workspace - The workspace to capture.
+ * @param {string} path - Path of the file to write.
+ *
+ * @return {Promise} Resolves once the file has been written, or rejects if the
+ * workspace could not be captured or written.
+ */
+function save(workspace, path) {
+  return Promise.resolve()
+    .then(() => writeFile(path, JSON.stringify(capture(workspace))));
+}
+
+/**
+ * Restore the given workspace from a snapshot on disk.
+ *
+ * @memberof module:server.Snapshot
+ *
+ * @param {module:server.WorkSpace} workspace - The workspace to restore into.
+ * @param {string} path - Path of the file to read.
+ * @param {function} [reviver] - See restore().
+ *
+ * @return {Promise<module:server.ServerItem[]>} Resolves with the newly
+ * spawned items.
+ */
+function load(workspace, path, reviver) {
+  return readFile(path, 'utf8').then(text => {
+    return restore(workspace, JSON.parse(text), reviver);
+  });
+}
+
+module.exports = {
+  VERSION,
+  capture,
+  captureItem,
+  load,
+  restore,
+  save,
+};
@@ -0,0 +1,233 @@
+/*
+ * WAMS - An API for Multi-Surface Environments
+ *
+ * Author: Michael van der Kamp
+ */
+
+'use strict';
+
+/**
+ * An axis-aligned rectangle, in workspace coordinates.
+ *
+ * @typedef {Object} Bounds
+ * @memberof module:server.SpatialIndex
+ *
+ * @property {number} x - The left edge of the rectangle.
+ * @property {number} y - The top edge of the rectangle.
+ * @property {number} width - The width of the rectangle.
+ * @property {number} height - The height of the rectangle.
+ */
+
+/**
+ * The SpatialIndex keeps track of the bounding boxes of the items in a
+ * workspace, so that the items near a point or within a region can be found
+ * without checking every item.
+ *
+ * The workspace is divided into a grid of square cells, and each item is listed
+ * in every cell which its bounding box overlaps. Items whose bounds are not
+ * known, and items so large that they would be listed in too many cells, are
+ * instead kept aside and are always included in the results of a query.
+ *
+ * Queries only compare bounding boxes, so the results are candidates, which
+ * still need to be hit tested precisely.
+ *
+ * @memberof module:server
+ *
+ * @param {number} [cellSize=256] - The width and height of each grid cell.
+ * @param {number} [maxCells=64] - The most cells in which a single item will be
+ * listed.
+ */
+class SpatialIndex {
+  constructor(
+    cellSize = SpatialIndex.DEFAULTS.cellSize,
+    maxCells = SpatialIndex.DEFAULTS.maxCells
+  ) {
+    /**
+     * The width and height of each grid cell.
+     *
+     * @type {number}
+     */
+    this.cellSize = cellSize;
+
+    /**
+     * The most cells in which a single item will be listed.
+     *
+     * @type {number}
+     */
+    this.maxCells = maxCells;
+
+    /**
+     * The items listed in each grid cell, by cell key.
+     *
+     * @type {Map.<string, Set.<Object>>}
+     */
+    this.cells = new Map();
+
+    /**
+     * The bounds of each indexed item, and the keys of the cells in which it
+     * is listed.
+     *
+     * @type {Map.<Object, {bounds: ?module:server.SpatialIndex.Bounds, keys:
+     * string[]}>}
+     */
+    this.entries = new Map();
+
+    /**
+     * Items which are not listed in any cell, and so are always candidates.
+     *
+     * @type {Set.<Object>}
+     */
+    this.unlisted = new Set();
+  }
+
+  /**
+   * Forget about every item.
+   */
+  clear() {
+    this.cells.clear();
+    this.entries.clear();
+    this.unlisted.clear();
+  }
+
+  /**
+   * @param {Object} item
+   *
+   * @return {boolean} Whether the item is in the index.
+   */
+  has(item) {
+    return this.entries.has(item);
+  }
+
+  /**
+   * Find the keys of the cells which the given rectangle overlaps.
+   *
+   * @param {module:server.SpatialIndex.Bounds} rect
+   * @param {number} [limit=Infinity] - If the rectangle overlaps more cells
+   * than this, null is returned instead.
+   *
+   * @return {?string[]} The cell keys.
+   */
+  keysFor(rect, limit = Infinity) {
+    const left = Math.floor(rect.x / this.cellSize);
+    const top = Math.floor(rect.y / this.cellSize);
+    const right = Math.floor((rect.x + rect.width) / this.cellSize);
+    const bottom = Math.floor((rect.y + rect.height) / this.cellSize);
+    const count = (right - left + 1) * (bottom - top + 1);
+    if (!(count <= limit)) return null;
+
+    const keys = [];
+    for (let i = left; i <= right; ++i) {
+      for (let j = top; j <= bottom; ++j) {
+        keys.push(`${i},${j}`);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Find the items whose bounds contain the given point.
+   *
+   * @param {number} x - x coordinate of the point.
+   * @param {number} y - y coordinate of the point.
+   *
+   * @return {Set.<Object>} The candidate items.
+   */
+  queryPoint(x, y) {
+    return this.queryRegion({ x, y, width: 0, height: 0 });
+  }
+
+  /**
+   * Find the items whose bounds overlap the given rectangle.
+   *
+   * @param {module:server.SpatialIndex.Bounds} rect - The region to search.
+   *
+   * @return {Set.<Object>} The candidate items.
+   */
+  queryRegion(rect) {
+    // Rather than visit more cells than are occupied, visit every occupied one.
+    const keys = this.keysFor(rect, this.cells.size) ||
+      Array.from(this.cells.keys());
+    const found = new Set(this.unlisted);
+    keys.forEach(key => {
+      const cell = this.cells.get(key);
+      if (cell == null) return;
+      cell.forEach(item => {
+        const { bounds } = this.entries.get(item);
+        if (SpatialIndex.overlaps(bounds, rect)) found.add(item);
+      });
+    });
+    return found;
+  }
+
+  /**
+   * Remove the given item from the index.
+   *
+   * @param {Object} item
+   */
+  remove(item) {
+    const entry = this.entries.get(item);
+    if (entry == null) return;
+
+    entry.keys.forEach(key => {
+      const cell = this.cells.get(key);
+      cell.delete(item);
+      if (cell.size === 0) this.cells.delete(key);
+    });
+    this.unlisted.delete(item);
+    this.entries.delete(item);
+  }
+
+  /**
+   * Add the given item to the index, or bring its entry up to date if it is
+   * already indexed.
+   *
+   * @param {Object} item
+   * @param {?module:server.SpatialIndex.Bounds} bounds - The bounding box of
+   * the item, or null if it is not known.
+   */
+  update(item, bounds) {
+    this.remove(item);
+
+    const keys = bounds == null ? null : this.keysFor(bounds, this.maxCells);
+    if (keys == null) {
+      this.unlisted.add(item);
+      this.entries.set(item, { bounds, keys: [] });
+      return;
+    }
+
+    keys.forEach(key => {
+      if (!this.cells.has(key)) this.cells.set(key, new Set());
+      this.cells.get(key).add(item);
+    });
+    this.entries.set(item, { bounds, keys });
+  }
+
+  /**
+   * Check whether two rectangles overlap. Rectangles which only touch along an
+   * edge are considered to overlap, to match the hit detection of the
+   * Rectangle hitbox.
+   *
+   * @param {module:server.SpatialIndex.Bounds} a
+   * @param {module:server.SpatialIndex.Bounds} b
+   *
+   * @return {boolean} Whether the rectangles overlap.
+   */
+  static overlaps(a, b) {
+    return a.x <= b.x + b.width &&
+      b.x <= a.x + a.width &&
+      a.y <= b.y + b.height &&
+      b.y <= a.y + a.height;
+  }
+}
+
+/**
+ * The default options for a SpatialIndex.
+ *
+ * @type {object}
+ */
+SpatialIndex.DEFAULTS = Object.freeze({
+  cellSize: 256,
+  maxCells: 64,
+});
+
+module.exports = SpatialIndex;
@@ -45,13 +45,9 @@ function findEmptyIndex(array) {
  * @inner
  * @memberof module:server.Switchboard
  * @param {number} id - ID of the view corresponding to the connection.
- * @param {number} port - Port on which the workspace is listening for the
- * connection.
- * @param {boolean} status - True if this is a new connection, False if this is
- * a disconnection.
+ * @param {string} event - What happened to the connection, e.g. 'connected'.
  */
-function logConnection(id, status) {
-  const event = status ? 'connected' : 'disconnected';
+function logConnection(id, event) {
   console.info('View', id, event, 'to workspace.');
 }
 
@@ -70,6 +66,9 @@ function logConnection(id, status) {
  * @param {Namespace} namespace - Socket.io namespace for publishing changes.
  * @param {Object} settings - User-supplied options, specifying a client limit
  * and workspace settings.
+ * @param {number} [settings.sessionTimeout=30000] - Milliseconds for which the
+ * view of a disconnected client is kept, so that the client can resume its
+ * session if it reconnects. Set to 0 to disable resuming.
  */
 class Switchboard {
   constructor(workspace, messageHandler, namespace, settings = {}) {
@@ -80,6 +79,15 @@ class Switchboard {
      */
     this.clientLimit = settings.clientLimit || Switchboard.DEFAULTS.clientLimit;
 
+    /**
+     * Milliseconds for which a disconnected client can resume its session.
+     *
+     * @type {number}
+     */
+    this.sessionTimeout = settings.hasOwnProperty('sessionTimeout')
+      ? settings.sessionTimeout
+      : Switchboard.DEFAULTS.sessionTimeout;
+
     /**
      * The principle workspace for this server.
      *
@@ -110,6 +118,16 @@ class Switchboard {
      */
     this.connections = [];
 
+    /**
+     * Connections which have been lost but can still be resumed, by session
+     * token. Their position in the connections array is kept until they
+     * expire.
+     *
+     * @type {Map.<string, {controller: module:server.ServerController, timer:
+     * Timeout}>}
+     */
+    this.suspended = new Map();
+
     /**
      * Track the active group.
      *
@@ -126,29 +144,58 @@ class Switchboard {
    *
    * @param {Socket} socket - socket.io socket instance for the new accepted
    * connection.
+   * @param {module:server.ServerController} [previous] - Controller of the
+   * session which this connection resumes, if any.
    */
-  accept(socket) {
-    const index = findEmptyIndex(this.connections);
+  accept(socket, previous) {
+    const index = previous
+      ? previous.index
+      : findEmptyIndex(this.connections);
     const controller = new ServerController(
       index,
       socket,
       this.workspace,
       this.messageHandler,
       this.group,
+      previous,
     );
 
     this.connections[index] = controller;
     socket.on('disconnect', () => this.disconnect(controller));
 
-    logConnection(controller.view.id, true);
+    logConnection(controller.view.id, previous ? 'reconnected' : 'connected');
+    if (!previous) {
+      this.workspace.events.emit('connect', controller.view, index);
+    }
   }
 
   /**
-   * Respond to a new socket.io connection.
+   * Disconnect every client and discard every suspended session, so that no
+   * session timers are left running once the room is shut down.
+   */
+  close() {
+    this.connections.forEach(controller => {
+      if (controller != null && controller.socket.connected) {
+        controller.socket.disconnect(true);
+      }
+    });
+    Array.from(this.suspended.keys()).forEach(session => this.expire(session));
+  }
+
+  /**
+   * Respond to a new socket.io connection. If the client presents the token of
+   * a suspended session, that session is resumed. Otherwise a 'connect' event
+   * is emitted once the connection is accepted.
    *
    * @param {Socket} socket - socket.io socket instance for the new connection.
    */
   connect(socket) {
+    const { session } = socket.handshake.query;
+    if (this.suspended.has(session)) {
+      this.resume(socket, session);
+      return;
+    }
+
     this.namespace.clients((error, clients) => {
       if (error) throw error;
       if (clients.length <= this.clientLimit) {
@@ -160,20 +207,35 @@ class Switchboard {
   }
 
   /**
-   * Disconnect the given connection.
+   * Disconnect the given connection. The session is suspended rather than
+   * discarded, so that the client can resume it if it reconnects in time. The
+   * 'disconnect' event is only emitted once the session is discarded.
    *
    * @param {ServerController} connection - ServerController to disconnect.
    */
   disconnect(controller) {
     if (controller.disconnect()) {
-      this.connections[controller.index] = null;
+      this.workspace.history.endGroup(controller.view);
       new Message(Message.RM_SHADOW, controller.view).emitWith(this.namespace);
-      logConnection(controller.view.id, false);
+      logConnection(controller.view.id, 'disconnected');
+      this.suspend(controller);
     } else {
       console.error('Failed to disconnect:', this);
     }
   }
 
+  /**
+   * Discard the suspended session with the given token.
+   *
+   * @param {string} session - Token of the session to discard.
+   */
+  expire(session) {
+    const { controller, timer } = this.suspended.get(session);
+    clearTimeout(timer);
+    this.suspended.delete(session);
+    this.release(controller);
+  }
+
   /**
    * Reject the connection associated with the given socket.
    *
@@ -185,6 +247,49 @@ class Switchboard {
     socket.disconnect(true);
     console.warn('Rejected incoming connection: client limit reached.');
   }
+
+  /**
+   * Free up the position of the given controller in the connections array,
+   * forget the history of its view, and announce that its view is gone for
+   * good.
+   *
+   * @param {module:server.ServerController} controller
+   */
+  release(controller) {
+    this.connections[controller.index] = null;
+    this.workspace.history.forget(controller.view);
+    this.workspace.events.emit('disconnect', controller.view, controller.index);
+  }
+
+  /**
+   * Resume the suspended session with the given token, using the given socket.
+   *
+   * @param {Socket} socket - socket.io socket instance for the new connection.
+   * @param {string} session - Token of the session to resume.
+   */
+  resume(socket, session) {
+    const { controller, timer } = this.suspended.get(session);
+    clearTimeout(timer);
+    this.suspended.delete(session);
+    this.accept(socket, controller);
+  }
+
+  /**
+   * Suspend the session of the given controller, which has disconnected.
+   *
+   * @param {module:server.ServerController} controller
+   */
+  suspend(controller) {
+    if (this.sessionTimeout > 0) {
+      const timer = setTimeout(() => {
+        this.expire(controller.session);
+      }, this.sessionTimeout);
+      timer.unref();
+      this.suspended.set(controller.session, { controller, timer });
+    } else {
+      this.release(controller);
+    }
+  }
 }
 
 /**
@@ -193,8 +298,9 @@ class Switchboard {
  * @type {object}
  */
 Switchboard.DEFAULTS = Object.freeze({
-  clientLimit: 1000,
-  port:        9000,
+  clientLimit:    1000,
+  port:           9000,
+  sessionTimeout: 30000,
 });
 
 module.exports = Switchboard;
@@ -0,0 +1,196 @@
+/*
+ * WAMS - An API for Multi-Surface Environments
+ *
+ * Author: Michael van der Kamp
+ */
+
+'use strict';
+
+/**
+ * The largest number of steps that will be run to catch up in a single turn of
+ * the event loop. If the loop falls further behind than this, for example
+ * because a handler is slow, the remaining time is dropped rather than letting
+ * the loop spiral further and further behind.
+ *
+ * @inner
+ * @memberof module:server.Ticker
+ *
+ * @type {number}
+ */
+const MAX_CATCH_UP = 5;
+
+/**
+ * The Ticker runs a fixed-timestep simulation loop for a workspace, so that
+ * applications can run logic over time: timers, computer-controlled players,
+ * continuous motion, and so on.
+ *
+ * Every step, each tick handler is called with the length of the step, in
+ * milliseconds, and the workspace. The length is always the same, no matter
+ * how late the timer fires: if the loop falls behind, it runs extra steps to
+ * catch up. All the steps run during a single turn of the event loop, so any
+ * changes they make are published together as usual. Changes made by the
+ * handlers are not recorded in the workspace's history, as they are not steps
+ * that anyone could sensibly undo.
+ *
+ * The loop starts once the first handler is added, unless the ticker has been
+ * paused.
+ *
+ * @memberof module:server
+ *
+ * @param {module:server.WorkSpace} workspace - The workspace passed to the
+ * handlers.
+ * @param {Object} [settings={}] - User-supplied options.
+ * @param {number} [settings.tickRate=60] - Steps per second.
+ */
+class Ticker {
+  constructor(workspace, settings = {}) {
+    /**
+     * The workspace passed to the handlers.
+     *
+     * @type {module:server.WorkSpace}
+     */
+    this.workspace = workspace;
+
+    /**
+     * The length of each step, in milliseconds.
+     *
+     * @type {number}
+     */
+    this.interval = 1000 / (settings.tickRate || Ticker.DEFAULTS.tickRate);
+
+    /**
+     * The tick handlers, in the order they were added.
+     *
+     * @type {function[]}
+     */
+    this.handlers = [];
+
+    /**
+     * Whether the loop has been paused.
+     *
+     * @type {boolean}
+     */
+    this.paused = false;
+
+    /**
+     * The number of steps that have been run.
+     *
+     * @type {number}
+     */
+    this.ticks = 0;
+
+    /**
+     * Timer which drives the loop, while it is running.
+     *
+     * @type {?Timeout}
+     */
+    this.timer = null;
+
+    /**
+     * Time that has passed but has not yet been stepped through, in
+     * milliseconds.
+     *
+     * @type {number}
+     */
+    this.lag = 0;
+
+    /**
+     * When the loop last caught up, as reported by Date.now().
+     *
+     * @type {number}
+     */
+    this.last = 0;
+  }
+
+  /**
+   * Add a tick handler, starting the loop if necessary.
+   *
+   * @param {function} handler - Receives the length of the step in
+   * milliseconds, and the workspace.
+   */
+  add(handler) {
+    this.handlers.push(handler);
+    if (!this.paused) this.start();
+  }
+
+  /**
+   * Run as many steps as are needed to account for the time that has passed
+   * since the loop last caught up.
+   */
+  catchUp() {
+    const now = Date.now();
+    this.lag += now - this.last;
+    this.last = now;
+
+    let steps = 0;
+    while (this.lag >= this.interval && steps < MAX_CATCH_UP) {
+      this.lag -= this.interval;
+      this.step();
+      ++steps;
+    }
+    if (steps === MAX_CATCH_UP) this.lag = 0;
+  }
+
+  /**
+   * Pause the loop. Steps can still be run manually using step().
+   */
+  pause() {
+    this.paused = true;
+    this.stop();
+  }
+
+  /**
+   * Resume the loop after it has been paused. Time that passed while the loop
+   * was paused is not made up for.
+   */
+  resume() {
+    this.paused = false;
+    if (this.handlers.length > 0) this.start();
+  }
+
+  /**
+   * Start the loop, if it is not already running.
+   */
+  start() {
+    if (this.timer) return;
+    this.lag = 0;
+    this.last = Date.now();
+    this.timer = setInterval(() => this.catchUp(), this.interval);
+  }
+
+  /**
+   * Run the given number of steps immediately. Useful for advancing the
+   * simulation manually while the loop is paused.
+   *
+   * @param {number} [count=1] - Number of steps to run.
+   */
+  step(count = 1) {
+    for (let i = 0; i < count; ++i) {
+      ++this.ticks;
+      this.workspace.history.replay(() => {
+        this.handlers.forEach(h => h(this.interval, this.workspace));
+      });
+    }
+  }
+
+  /**
+   * Stop the loop, if it is running.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+/**
+ * The default values for a Ticker.
+ *
+ * @type {object}
+ */
+Ticker.DEFAULTS = Object.freeze({
+  tickRate: 60,
+});
+
+module.exports = Ticker;
@@ -10,13 +10,48 @@
 
 'use strict';
 
+const EventEmitter = require('events');
+
 const {
+  getCodec,
   removeById,
   Message,
+  Polygon2D,
 } = require('../shared.js');
+const History = require('./History.js');
 const ServerElement = require('./ServerElement.js');
 const ServerImage = require('./ServerImage.js');
 const ServerItem = require('./ServerItem.js');
+const PublishScheduler = require('./PublishScheduler.js');
+const Snapshot = require('./Snapshot.js');
+const SpatialIndex = require('./SpatialIndex.js');
+
+/**
+ * The actions which a view performs with an item it has locked. A view may only
+ * lock an item if it is permitted to perform at least one of these.
+ *
+ * @inner
+ * @memberof module:server.WorkSpace
+ *
+ * @type {string[]}
+ */
+const GRAB_ACTIONS = Object.freeze(['move', 'rotate', 'scale']);
+
+/**
+ * Put the given items into stacking order, from front to back. Only the given
+ * items are compared, so that queries of the spatial index do not need to look
+ * at every item in the workspace.
+ *
+ * @inner
+ * @memberof module:server.WorkSpace
+ *
+ * @param {Set.<module:server.ServerItem>} items - The items to order.
+ *
+ * @return {module:server.ServerItem[]} The items, from front to back.
+ */
+function inStackOrder(items) {
+  return Array.from(items).sort((a, b) => b.stackOrder - a.stackOrder);
+}
 
 /**
  * The WorkSpace keeps track of views and items, and can handle events on
@@ -28,10 +63,34 @@ const ServerItem = require('./ServerItem.js');
  * @param {string} [settings.color='gray'] - Background color for the workspace.
  * @param {boolean} [settings.useServerGestures=false] - Whether to use
  * server-side gestures. Default is to use client-side gestures.
+ * @param {boolean} [settings.raiseOnLock=false] - Whether to bring items to the
+ * front of the stacking order when a view obtains a lock on them.
+ * @param {string} [settings.autosave=null] - If provided, a snapshot of the
+ * workspace will periodically be written to this path.
+ * @param {number} [settings.autosaveInterval=60000] - Milliseconds between
+ * autosaves.
+ * @param {number} [settings.historyLimit=100] - The number of steps that each
+ * view can undo.
+ * @param {object} [settings.bounds=null] - If provided, a rectangle with 'x',
+ * 'y', 'width', and 'height' properties marking the edges of the workspace,
+ * off of which gliding items with bouncing inertia will bounce.
+ * @param {boolean} [settings.telepointers=false] - Whether to show every client
+ * where the users of the other views are pointing.
+ * @param {string} [settings.codec='json'] - The name of the codec with which to
+ * encode the frequent messages sent during gestures. Use 'binary' for a compact
+ * binary encoding.
+ * @param {boolean} [settings.interestManagement=false] - Whether to only tell
+ * each view about the items within its viewport. Useful when there are many
+ * items spread across views which each show only a small part of the
+ * workspace.
+ * @param {number} [settings.maxViolations=100] - The number of malformed
+ * messages a client may send before it is disconnected.
  * @param {Namespace} namespace - Socket.io namespace for publishing changes.
+ * @param {EventEmitter} [events=new EventEmitter()] - Emitter on which to
+ * announce lifecycle events, such as the spawning of items.
  */
 class WorkSpace {
-  constructor(settings, namespace) {
+  constructor(settings, namespace, events = new EventEmitter()) {
     /**
      * Configuration settings for the workspace.
      *
@@ -39,6 +98,25 @@ class WorkSpace {
      * @property {string} [color='gray'] - Background color for the workspace.
      * @property {boolean} [settings.useServerGestures=false] - Whether to use
      * server-side gestures. Default is to use client-side gestures.
+     * @property {boolean} [settings.raiseOnLock=false] - Whether to bring items
+     * to the front of the stacking order when a view obtains a lock on them.
+     * @property {string} [settings.autosave=null] - If provided, a snapshot of
+     * the workspace will periodically be written to this path.
+     * @property {number} [settings.autosaveInterval=60000] - Milliseconds
+     * between autosaves.
+     * @property {number} [settings.historyLimit=100] - The number of steps that
+     * each view can undo.
+     * @property {object} [settings.bounds=null] - If provided, a rectangle with
+     * 'x', 'y', 'width', and 'height' properties marking the edges of the
+     * workspace, off of which gliding items with bouncing inertia will bounce.
+     * @property {boolean} [settings.telepointers=false] - Whether to show every
+     * client where the users of the other views are pointing.
+     * @property {string} [settings.codec='json'] - The name of the codec with
+     * which to encode the frequent messages sent during gestures.
+     * @property {boolean} [settings.interestManagement=false] - Whether to only
+     * tell each view about the items within its viewport.
+     * @property {number} [settings.maxViolations=100] - The number of malformed
+     * messages a client may send before it is disconnected.
      */
     this.settings = { ...WorkSpace.DEFAULTS, ...settings };
 
@@ -50,11 +128,131 @@ class WorkSpace {
     this.namespace = namespace;
 
     /**
-     * Track all items in the workspace.
+     * Encodes the batches of changes sent to the clients, and decodes the
+     * gestures and pointer events which they send back.
+     *
+     * @type {module:shared.codecs.Codec}
+     */
+    this.codec = getCodec(this.settings.codec);
+
+    /**
+     * Emitter on which lifecycle events are announced. Usually this is the Room
+     * to which the workspace belongs, so that the events reach the application
+     * code.
+     *
+     * @type {EventEmitter}
+     */
+    this.events = events;
+
+    /**
+     * Track all items in the workspace. The order of this array is the stacking
+     * order of the items, from front to back. That is, the first item in the
+     * array is the one that will be found first by hit detection, and rendered
+     * last by the clients.
      *
      * @type {module:server.ServerItem[]}
      */
     this.items = [];
+
+    /**
+     * The views of the connected clients. Messages about concealed items are
+     * sent to each of these separately.
+     *
+     * @type {module:server.ServerView[]}
+     */
+    this.views = [];
+
+    /**
+     * Batches the messages describing changes to the items and views, so that
+     * each client receives them all at once.
+     *
+     * @type {module:server.PublishScheduler}
+     */
+    this.scheduler = new PublishScheduler(
+      this.namespace,
+      this.views,
+      this.codec,
+    );
+
+    /**
+     * The bounding boxes of the items, so that hit detection only needs to
+     * test the items near the point of interest.
+     *
+     * @type {module:server.SpatialIndex}
+     */
+    this.spatialIndex = new SpatialIndex();
+
+    /**
+     * Records changes to the items, so that they can be undone.
+     *
+     * @type {module:server.History}
+     */
+    this.history = new History(this.settings.historyLimit);
+
+    /**
+     * Timer for periodically saving snapshots, if autosave is enabled.
+     *
+     * @type {?Timeout}
+     */
+    this.autosaveTimer = null;
+    if (this.settings.autosave) {
+      this.autosaveTimer = setInterval(() => {
+        const failed = err => console.error('Autosave failed:', err);
+        try {
+          this.saveSnapshot(this.settings.autosave).catch(failed);
+        } catch (err) {
+          failed(err);
+        }
+      }, this.settings.autosaveInterval);
+      this.autosaveTimer.unref();
+    }
+  }
+
+  /**
+   * Start publishing concealed items to the given view, whose client has
+   * connected, and batching its messages with those of the items.
+   *
+   * @param {module:server.ServerView} view
+   */
+  addView(view) {
+    if (!this.views.includes(view)) this.views.push(view);
+    view.workspace = this;
+  }
+
+  /**
+   * If the workspace uses interest management, bring the given view up to date
+   * with the items in its viewport. Items which the view has not been told
+   * about yet are added, and items whose updates it missed while they were out
+   * of view are reported in full.
+   *
+   * @param {module:server.ServerView} view
+   */
+  catchUp(view) {
+    if (!this.settings.interestManagement || !this.views.includes(view)) return;
+    this.queryRegion(view.getViewport()).forEach(item => item.catchUp(view));
+  }
+
+  /**
+   * Looks for a drop target at the given coordinates, other than the given
+   * item, and returns the first one that it finds.
+   *
+   * @param {number} x - x coordinate at which to look for drop targets.
+   * @param {number} y - y coordinate at which to look for drop targets.
+   * @param {module:server.ServerItem} item - The item being dropped, which will
+   * never be returned.
+   * @param {module:server.ServerView} [view] - If provided, drop targets hidden
+   * from this view are left out.
+   *
+   * @return {?module:server.ServerItem} A drop target at the given
+   * coordinates, or undefined if there is none.
+   */
+  findDropTarget(x, y, item, view) {
+    return this.itemsNear(x, y).find(i => {
+      return i !== item &&
+        i.dropTarget &&
+        (view == null || i.appearanceTo(view) != null) &&
+        i.containsPoint(x, y);
+    });
   }
 
   /**
@@ -63,12 +261,18 @@ class WorkSpace {
    *
    * @param {number} x - x coordinate at which to look for items.
    * @param {number} y - y coordinate at which to look for items.
+   * @param {module:server.ServerView} [view] - If provided, items hidden from
+   * the view are left out, and items with a shared lock that the view could
+   * join are also considered free.
    *
    * @return {?module:server.ServerItem} A free item at the given coordinates,
    * or null if there is none.
    */
-  findFreeItemByCoordinates(x, y) {
-    return this.items.find(i => !i.isLocked() && i.containsPoint(x, y));
+  findFreeItemByCoordinates(x, y, view) {
+    return this.itemsNear(x, y).find(i => {
+      if (view != null && i.appearanceTo(view) == null) return false;
+      return i.isFreeFor(view) && i.containsPoint(x, y);
+    });
   }
 
   /**
@@ -81,11 +285,98 @@ class WorkSpace {
    * null if there is none.
    */
   findItemByCoordinates(x, y) {
-    return this.items.find(i => i.containsPoint(x, y));
+    return this.itemsNear(x, y).find(i => i.containsPoint(x, y));
   }
 
   /**
-   * Gives a lock on the item at (x,y) to the view.
+   * @param {number} id - Id of the item to find.
+   *
+   * @return {?module:server.ServerItem} The item with the given id, or
+   * undefined if there is no such item.
+   */
+  findItemById(id) {
+    return this.items.find(o => o.id === id);
+  }
+
+  /**
+   * Looks for all the items whose centres lie within the given area.
+   *
+   * @param {module:shared.Point2D[]} points - The corners of the area, in
+   * workspace coordinates.
+   * @param {module:server.ServerView} [view] - If provided, items hidden from
+   * this view are left out.
+   *
+   * @return {module:server.ServerItem[]} The items within the area.
+   */
+  findItemsInArea(points, view) {
+    const area = new Polygon2D(points);
+    const xs = area.points.map(p => p.x);
+    const ys = area.points.map(p => p.y);
+    const left = Math.min(...xs);
+    const top = Math.min(...ys);
+    const candidates = this.queryRegion({
+      x:      left,
+      y:      top,
+      width:  Math.max(...xs) - left,
+      height: Math.max(...ys) - top,
+    });
+    return candidates.filter(i => {
+      if (view != null && i.appearanceTo(view) == null) return false;
+      return area.contains(i.getCentre());
+    });
+  }
+
+  /**
+   * Get the position of the given item in the stacking order.
+   *
+   * @param {module:server.ServerItem} item - Item to look up.
+   *
+   * @return {number} The z value of the item, where 0 is the back of the
+   * stacking order, or -1 if the item is not in the workspace.
+   */
+  getItemZ(item) {
+    const index = this.items.indexOf(item);
+    return index < 0 ? index : this.items.length - 1 - index;
+  }
+
+  /**
+   * Find the items whose bounding boxes contain the given point, without hit
+   * testing them precisely.
+   *
+   * @param {number} x - x coordinate of the point.
+   * @param {number} y - y coordinate of the point.
+   *
+   * @return {module:server.ServerItem[]} The items near the point, in
+   * stacking order from front to back.
+   */
+  itemsNear(x, y) {
+    return inStackOrder(this.spatialIndex.queryPoint(x, y));
+  }
+
+  /**
+   * Replace the contents of the workspace with the items in the snapshot saved
+   * at the given path. Connected clients are informed of all the changes.
+   *
+   * @see module:server.Snapshot
+   *
+   * @param {string} path - Path of the snapshot file to load.
+   * @param {function} [reviver] - Receives the values for each item before it
+   * is spawned, and returns the values to use. Useful for reattaching handlers.
+   *
+   * @return {Promise<module:server.ServerItem[]>} Resolves with the newly
+   * spawned items.
+   */
+  loadSnapshot(path, reviver) {
+    return Snapshot.load(this, path, reviver);
+  }
+
+  /**
+   * Gives a lock on the item at (x,y) to the view. If there is no free item
+   * there, the view locks itself. The view also locks itself if it may not
+   * move, rotate, or scale the item, in which case the item is told that the
+   * view was denied a move. Items with a shared lock may be locked by the
+   * view even if other views hold them. Emits a 'lock' event if an item was
+   * locked.
    *
    * @param {number} x - x coordinate at which to look for items.
    * @param {number} y - y coordinate at which to look for items.
@@ -94,40 +385,268 @@ class WorkSpace {
    */
   obtainLock(x, y, view) {
     const p = view.transformPoint(x, y);
-    const item = this.findFreeItemByCoordinates(p.x, p.y) || view;
+    let item = this.findFreeItemByCoordinates(p.x, p.y, view) || view;
+    if (item !== view && !GRAB_ACTIONS.some(a => item.permits(view, a))) {
+      item.deny(view, 'move');
+      item = view;
+    }
     view.obtainLockOnItem(item);
+    if (item !== view && view.lockedItem === item) {
+      if (this.settings.raiseOnLock) item.bringToFront();
+      this.events.emit('lock', item, view);
+    }
+  }
+
+  /**
+   * Find the items whose bounding boxes overlap the given rectangle. Items
+   * whose hitboxes have unknown bounds are always included.
+   *
+   * @param {object} rect - A rectangle with 'x', 'y', 'width', and 'height'
+   * properties, in workspace coordinates.
+   *
+   * @return {module:server.ServerItem[]} The items in the region, in stacking
+   * order from front to back.
+   */
+  queryRegion(rect) {
+    return inStackOrder(this.spatialIndex.queryRegion(rect));
+  }
+
+  /**
+   * Record the addition or removal of the given item in the history.
+   *
+   * @param {module:server.ServerItem} item - Item that was added or removed.
+   * @param {number} before - z value of the item before the change, or -1 if
+   * it was not in the workspace.
+   * @param {number} after - z value of the item after the change, or -1 if it
+   * is no longer in the workspace.
+   */
+  recordPresence(item, before, after) {
+    this.history.record(item, 'presence', before, after, (z) => {
+      if (z < 0) {
+        this.removeItem(item);
+      } else {
+        this.restoreItem(item, z);
+      }
+    });
+  }
+
+  /**
+   * Redo the most recently undone group of changes.
+   *
+   * @param {module:server.ServerView} [view] - If provided, only changes made
+   * by this view will be considered.
+   *
+   * @return {boolean} true if anything was redone, false otherwise.
+   */
+  redo(view) {
+    return this.history.redo(view);
+  }
+
+  /**
+   * Bring the spatial index up to date with the bounds of the given item, if it
+   * is in the workspace. Called whenever the item is transformed. Call it
+   * after replacing the hitbox of an item.
+   *
+   * @param {module:server.ServerItem} item - Item whose bounds may have
+   * changed.
+   */
+  reindexItem(item) {
+    if (this.spatialIndex.has(item)) {
+      this.spatialIndex.update(item, item.getBounds());
+    }
+  }
+
+  /**
+   * Release whatever the given view has locked. Emits an 'unlock' event if the
+   * view had locked an item.
+   *
+   * @param {module:server.ServerView} view - View whose lock to release.
+   */
+  releaseLock(view) {
+    const item = view.lockedItem;
+    view.releaseLockedItem();
+    if (item && item !== view) this.events.emit('unlock', item, view);
   }
 
   /**
    * Remove the given item from the workspace.
    *
    * @param {module:server.ServerItem} item - Item to remove.
+   * @param {module:server.ServerView} [view] - If provided, the view on whose
+   * behalf the item is being removed. The item is only removed if the view is
+   * permitted to remove it.
    *
    * @return {boolean} true if the item was located and removed, false
    * otherwise.
    */
-  removeItem(item) {
+  removeItem(item, view) {
+    if (view != null && !item.permits(view, 'remove')) {
+      item.deny(view, 'remove');
+      return false;
+    }
+
+    const z = this.getItemZ(item);
     if (removeById(this.items, item)) {
+      this.spatialIndex.remove(item);
+      const holders = item.lockHolders;
+      item.cancelAnimation();
       item.unlock();
-      new Message(Message.RM_ITEM, item).emitWith(this.namespace);
+      holders.forEach(holder => this.events.emit('unlock', item, holder));
+      this.views.forEach(v => {
+        if (v.selection.includes(item)) {
+          v.select(v.selection.filter(i => i !== item));
+        }
+      });
+      item.emitVisibly(emitter => {
+        item.emitBatched(new Message(Message.RM_ITEM, item), emitter);
+      });
+      this.recordPresence(item, z, -1);
+      this.events.emit('item-removed', item);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Stop publishing concealed items to the given view, whose client has
+   * disconnected.
+   *
+   * @param {module:server.ServerView} view
+   */
+  removeView(view) {
+    removeById(this.views, view);
+  }
+
+  /**
+   * Move the given item to the given position in the stacking order, and
+   * publish its new stackOrder, so that the render order on the clients which
+   * know about the item matches.
+   *
+   * @param {module:server.ServerItem} item - Item to move.
+   * @param {number} z - The desired z value. Will be clamped to the valid
+   * range, so Infinity will move the item to the front.
+   */
+  reorderItem(item, z) {
+    const current = this.getItemZ(item);
+    if (current < 0) return;
+
+    const target = Math.max(0, Math.min(this.items.length - 1, Math.floor(z)));
+    if (target === current || Number.isNaN(target)) return;
+
+    this.items.splice(this.items.length - 1 - current, 1);
+    this.items.splice(this.items.length - target, 0, item);
+    this.restack(item);
+    item.publish();
+  }
+
+  /**
+   * @param {module:server.ServerItem} item - Item to report.
+   * @param {string} [appearance='private'] - How the item appears to the view
+   * it is being reported to: 'private' or 'public'.
+   *
+   * @return {module:shared.Item} A report of the item, including the data
+   * needed to render it.
+   */
+  reportItem(item, appearance = 'private') {
+    const report = item.report();
+    if (item instanceof ServerImage) {
+      report.src = item.srcFor(appearance);
+    } else if (item instanceof ServerElement) {
+      report.attributes = item.attributes;
+    } else {
+      report.sequence = item.sequence;
     }
+    return report;
   }
 
   /**
+   * @param {module:server.ServerView} [view] - If provided, only the items
+   * which this view may see are reported, as they appear to it.
+   *
    * @return {module:shared.Item[]} Reports of the currently active items.
    */
-  reportItems() {
-    return this.items.map(o => {
-      const report = o.report();
-      if (o instanceof ServerImage) {
-        report.src = o.src;
-      } else if (o instanceof ServerElement) {
-        report.attributes = o.attributes;
-      } else {
-        report.sequence = o.sequence;
-      }
-      return report;
+  reportItems(view) {
+    if (view == null) return this.items.map(o => this.reportItem(o));
+
+    const reports = [];
+    this.items.forEach(o => {
+      const appearance = o.revealTo(view);
+      if (appearance) reports.push(this.reportItem(o, appearance));
     });
+    return reports;
+  }
+
+  /**
+   * @param {module:server.ServerView} [viewer] - The view to which the
+   * selections are being reported. Items concealed from it are left out.
+   *
+   * @return {Object[]} Reports of the selections of the views which have
+   * selected any items.
+   */
+  reportSelections(viewer) {
+    return this.views
+      .filter(v => v.selection.length > 0)
+      .map(v => v.reportSelection(viewer));
+  }
+
+  /**
+   * Return a previously removed item to the workspace, informing the clients.
+   *
+   * @param {module:server.ServerItem} item - Item to restore.
+   * @param {number} [z=Infinity] - Position in the stacking order at which to
+   * restore the item.
+   */
+  restoreItem(item, z = Infinity) {
+    if (this.items.includes(item)) return;
+
+    this.items.unshift(item);
+    this.restack(item);
+    this.spatialIndex.update(item, item.getBounds());
+    item.emitAddition();
+    this.reorderItem(item, z);
+    this.recordPresence(item, -1, this.getItemZ(item));
+    this.events.emit('item-spawned', item);
+  }
+
+  /**
+   * Give the given item a stackOrder between those of the items on either side
+   * of it in the stacking order. If there is no room left between them, every
+   * item is given a new stackOrder, which is published.
+   *
+   * @param {module:server.ServerItem} item - An item in the workspace.
+   */
+  restack(item) {
+    const index = this.items.indexOf(item);
+    const front = this.items[index - 1];
+    const back = this.items[index + 1];
+    if (front == null || back == null) {
+      const [neighbour, step] = front == null ? [back, 1] : [front, -1];
+      item.stackOrder = neighbour == null ? 0 : neighbour.stackOrder + step;
+      return;
+    }
+
+    const middle = (front.stackOrder + back.stackOrder) / 2;
+    if (middle > back.stackOrder && middle < front.stackOrder) {
+      item.stackOrder = middle;
+    } else {
+      this.items.forEach((o, i) => {
+        o.stackOrder = this.items.length - 1 - i;
+        o.publish();
+      });
+    }
+  }
+
+  /**
+   * Save a snapshot of all the items in the workspace to the given path.
+   *
+   * @see module:server.Snapshot
+   *
+   * @param {string} path - Path of the file to write.
+   *
+   * @return {Promise} Resolves once the snapshot has been written.
+   */
+  saveSnapshot(path) {
+    return Snapshot.save(this, path);
   }
 
   /**
@@ -140,7 +659,14 @@ class WorkSpace {
    */
   spawnObject(class_fn, values) {
     const object = new class_fn(this.namespace, values);
+    object.workspace = this;
     this.items.unshift(object);
+    this.restack(object);
+    object.emitAddition();
+    this.spatialIndex.update(object, object.getBounds());
+    if (values.hasOwnProperty('z')) object.z = values.z;
+    this.recordPresence(object, -1, object.z);
+    this.events.emit('item-spawned', object);
     return object;
   }
 
@@ -176,6 +702,18 @@ class WorkSpace {
   spawnItem(values = {}) {
     return this.spawnObject(ServerItem, values);
   }
+
+  /**
+   * Undo the most recent group of changes.
+   *
+   * @param {module:server.ServerView} [view] - If provided, only changes made
+   * by this view will be considered.
+   *
+   * @return {boolean} true if anything was undone, false otherwise.
+   */
+  undo(view) {
+    return this.history.undo(view);
+  }
 }
 
 /**
@@ -184,8 +722,17 @@ class WorkSpace {
  * @type {object}
  */
 WorkSpace.DEFAULTS = Object.freeze({
-  color:             '#dad1e3',
-  useServerGestures: false,
+  autosave:           null,
+  autosaveInterval:   60000,
+  bounds:             null,
+  codec:              'json',
+  color:              '#dad1e3',
+  historyLimit:       100,
+  interestManagement: false,
+  maxViolations:      100,
+  raiseOnLock:        false,
+  telepointers:       false,
+  useServerGestures:  false,
 });
 
 module.exports = WorkSpace;
@@ -22,6 +22,7 @@
 
 'use strict';
 
+const Codecs    = require('./shared/codecs.js');
 const IdStamper = require('./shared/IdStamper.js');
 const Message   = require('./shared/Message.js');
 const Reporters = require('./shared/Reporters.js');
@@ -76,6 +77,7 @@ const colours = [
 module.exports = Object.freeze({
   colours,
   constants,
+  ...Codecs,
   IdStamper,
   Message,
   Point2D,
@@ -28,15 +28,18 @@ const { defineOwnImmutableEnumerableProperty } = require('./utilities.js');
  */
 const TYPES = {
   // For the server to inform about changes to the model
-  /** @const */ ADD_ELEMENT: 'wams-add-element',
-  /** @const */ ADD_IMAGE:   'wams-add-image',
-  /** @const */ ADD_ITEM:    'wams-add-item',
-  /** @const */ ADD_SHADOW:  'wams-add-shadow',
-  /** @const */ RM_ITEM:     'wams-remove-item',
-  /** @const */ RM_SHADOW:   'wams-remove-shadow',
-  /** @const */ UD_ITEM:     'wams-update-item',
-  /** @const */ UD_SHADOW:   'wams-update-shadow',
-  /** @const */ UD_VIEW:     'wams-update-view',
+  /** @const */ ADD_ELEMENT:  'wams-add-element',
+  /** @const */ ADD_IMAGE:    'wams-add-image',
+  /** @const */ ADD_ITEM:     'wams-add-item',
+  /** @const */ ADD_SHADOW:   'wams-add-shadow',
+  /** @const */ BATCH:        'wams-batch',
+  /** @const */ RM_ITEM:      'wams-remove-item',
+  /** @const */ RM_SHADOW:    'wams-remove-shadow',
+  /** @const */ UD_ITEM:      'wams-update-item',
+  /** @const */ UD_POINTERS:  'wams-update-pointers',
+  /** @const */ UD_SELECTION: 'wams-update-selection',
+  /** @const */ UD_SHADOW:    'wams-update-shadow',
+  /** @const */ UD_VIEW:      'wams-update-view',
 
   // For hopefully occasional extra adjustments to objects in the model.
   /** @const */ RM_ATTRS:   'wams-remove-attributes',
@@ -52,6 +55,7 @@ const TYPES = {
   // User event related
   /** @const */ CLICK:      'wams-click',
   /** @const */ RESIZE:     'wams-resize',
+  /** @const */ SELECT:     'wams-select',
   /** @const */ SWIPE:      'wams-swipe',
   /** @const */ TRACK:      'wams-track',
   /** @const */ TRANSFORM:  'wams-transform',
@@ -62,11 +66,32 @@ const TYPES = {
 
   // Page event related
   /** @const */ IMG_LOAD:   'wams-image-loaded',
+
+  // Custom messages defined by the application
+  /** @const */ DISPATCH:   'wams-dispatch',
 };
 Object.freeze(TYPES);
 
 const TYPE_VALUES = Object.freeze(Object.values(TYPES));
 
+/**
+ * The types of messages whose data is encoded with the codec chosen by the
+ * workspace. These are the messages sent most often: batches of updates, and
+ * the gestures and pointer events of the clients. The data of every other type
+ * of message is sent as it is.
+ *
+ * @type {string[]}
+ * @memberof module:shared.Message
+ */
+const ENCODED = Object.freeze([
+  TYPES.BATCH,
+  TYPES.CLICK,
+  TYPES.POINTER,
+  TYPES.SWIPE,
+  TYPES.TRACK,
+  TYPES.TRANSFORM,
+]);
+
 /**
  * The Message class provides a funnel through which data passed between the
  * client and server must flow.
@@ -83,9 +108,11 @@ const TYPE_VALUES = Object.freeze(Object.values(TYPES));
  * message types available on the Message object.
  * @param {module:shared.Reporter} reporter - A Reporter instance, containing
  * the data to be emitted.
+ * @param {string[]} [keys] - If provided, only these core properties of the
+ * reporter are emitted, along with its id.
  */
 class Message {
-  constructor(type, reporter) {
+  constructor(type, reporter, keys) {
     if (!TYPE_VALUES.includes(type)) {
       throw new TypeError('Invalid message type!');
     }
@@ -104,6 +131,14 @@ class Message {
      * @type {module:shared.Reporter}
      */
     this.reporter = reporter;
+
+    /**
+     * The core properties of the reporter to emit, or undefined to emit all of
+     * them.
+     *
+     * @type {?string[]}
+     */
+    this.keys = keys;
   }
 
   /**
@@ -112,9 +147,14 @@ class Message {
    *
    * @param {Emitter} emitter - An object capable of emitting data packets. Must
    * have an 'emit()' function.
+   * @param {module:shared.codecs.Codec} [codec] - If provided, the reported
+   * data is encoded with this codec before it is emitted.
    */
-  emitWith(emitter) {
-    emitter.emit(this.type, this.reporter.report());
+  emitWith(emitter, codec) {
+    const data = this.keys == null
+      ? this.reporter.report()
+      : this.reporter.report(this.keys);
+    emitter.emit(this.type, codec == null ? data : codec.encode(data));
   }
 }
 
@@ -125,6 +165,7 @@ class Message {
 Object.entries(TYPES).forEach(([p, v]) => {
   defineOwnImmutableEnumerableProperty(Message, p, v);
 });
+defineOwnImmutableEnumerableProperty(Message, 'ENCODED', ENCODED);
 
 module.exports = Message;
 
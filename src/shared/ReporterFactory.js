@@ -55,15 +55,32 @@ function ReporterFactory(coreProperties) {
       });
     }
 
+    /**
+     * Find the core properties whose values differ from those in the given
+     * report.
+     *
+     * @param {?Object} previous - An earlier report of this Reporter instance.
+     *
+     * @return {string[]} The core properties which have changed, or all of them
+     * if there is no earlier report.
+     */
+    changedSince(previous) {
+      if (previous == null) return Array.from(KEYS);
+      return KEYS.filter(p => this[p] !== previous[p]);
+    }
+
     /**
      * Provide a report of the data saved in this Reporter instance. Only those
      * instance properties which correspond to core properties will be reported.
      *
+     * @param {string[]} [keys] - If provided, only these core properties will
+     * be reported.
+     *
      * @return {Object} Contains the core properties of this Reporter instance.
      */
-    report() {
+    report(keys = KEYS) {
       const data = {};
-      KEYS.forEach(p => {
+      keys.forEach(p => {
         data[p] = this[p];
       });
       IdStamper.cloneId(data, this.id);
@@ -62,6 +62,20 @@ const Item = ReporterFactory({
    */
   scale: 1,
 
+  /**
+   * Position of the Item in the stacking order, increasing from back to
+   * front. Unlike its index in the stack, it does not change when other items
+   * are added, removed, or moved, so that clients which only know about some
+   * of the items can still put them in order.
+   *
+   * @name stackOrder
+   * @type {number}
+   * @default 0
+   * @memberof module:shared.Item
+   * @instance
+   */
+  stackOrder: 0,
+
   /**
    * Type description of the Item.
    *
@@ -149,6 +163,20 @@ const WamsElement = ReporterFactory({
    */
   scale: 1,
 
+  /**
+   * Position of the WamsElement in the stacking order, increasing from back to
+   * front. Unlike its index in the stack, it does not change when other items
+   * are added, removed, or moved, so that clients which only know about some
+   * of the items can still put them in order.
+   *
+   * @name stackOrder
+   * @type {number}
+   * @default 0
+   * @memberof module:shared.WamsElement
+   * @instance
+   */
+  stackOrder: 0,
+
   /**
    * Type description of the WamsElement.
    *
@@ -247,6 +275,20 @@ const WamsImage = ReporterFactory({
    */
   scale: 1,
 
+  /**
+   * Position of the WamsImage in the stacking order, increasing from back to
+   * front. Unlike its index in the stack, it does not change when other items
+   * are added, removed, or moved, so that clients which only know about some
+   * of the items can still put them in order.
+   *
+   * @name stackOrder
+   * @type {number}
+   * @default 0
+   * @memberof module:shared.WamsImage
+   * @instance
+   */
+  stackOrder: 0,
+
   /**
    * Type description of the WamsImage.
    *
@@ -424,6 +466,40 @@ const FullStateReporter = ReporterFactory({
    */
   id: null,
 
+  /**
+   * Token which the client can present when reconnecting to resume its
+   * session.
+   *
+   * @name session
+   * @type {string}
+   * @default null
+   * @memberof module:shared.FullStateReporter
+   * @instance
+   */
+  session: null,
+
+  /**
+   * The items selected by each view, as reported by the views.
+   *
+   * @name selections
+   * @type {Object[]}
+   * @default []
+   * @memberof module:shared.FullStateReporter
+   * @instance
+   */
+  selections: [],
+
+  /**
+   * Whether to show the pointers of other views.
+   *
+   * @name telepointers
+   * @type {boolean}
+   * @default false
+   * @memberof module:shared.FullStateReporter
+   * @instance
+   */
+  telepointers: false,
+
   /**
    * Whether to use server-side gestures.
    *
@@ -434,6 +510,50 @@ const FullStateReporter = ReporterFactory({
    * @instance
    */
   useServerGestures: false,
+
+  /**
+   * The name of the codec with which the frequent messages sent during
+   * gestures are encoded.
+   *
+   * @name codec
+   * @type {string}
+   * @default 'json'
+   * @memberof module:shared.FullStateReporter
+   * @instance
+   */
+  codec: 'json',
+});
+
+/**
+ * Carries a custom message defined by the application, between the server and
+ * the clients.
+ *
+ * @class DispatchReporter
+ * @memberof module:shared
+ * @extends module:shared.Reporter
+ */
+const DispatchReporter = ReporterFactory({
+  /**
+   * Name of the custom message.
+   *
+   * @name event
+   * @type {string}
+   * @default null
+   * @memberof module:shared.DispatchReporter
+   * @instance
+   */
+  event: null,
+
+  /**
+   * Data accompanying the message. Must be serializable as JSON.
+   *
+   * @name payload
+   * @type {*}
+   * @default null
+   * @memberof module:shared.DispatchReporter
+   * @instance
+   */
+  payload: null,
 });
 
 /**
@@ -515,6 +635,7 @@ module.exports = {
   Item,
   View,
   DataReporter,
+  DispatchReporter,
   FullStateReporter,
   TouchReporter,
   WamsElement,
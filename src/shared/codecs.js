@@ -0,0 +1,649 @@
+/*
+ * Codecs for encoding the data of messages before it is emitted.
+ *
+ * Author: Michael van der Kamp
+ */
+
+'use strict';
+
+const Reporters = require('./Reporters.js');
+
+/**
+ * A codec converts the data of a message into the form in which it is emitted
+ * over the socket, and back again. The data is encoded after it has been
+ * reported, so only the properties whitelisted by the Reporter are ever
+ * encoded.
+ *
+ * The codecs in use are chosen with the 'codec' setting of the workspace, which
+ * is sent to each client as part of the full state report. Only the types of
+ * messages listed in Message.ENCODED are encoded. Additional codecs can be
+ * added to the 'codecs' object, on both the server and the client, and then
+ * chosen by name.
+ *
+ * @namespace codecs
+ * @memberof module:shared
+ */
+
+/**
+ * @typedef {Object} Codec
+ * @memberof module:shared.codecs
+ *
+ * @property {function} encode - Takes the reported data of a message and
+ * returns what should be emitted in its place.
+ * @property {function} decode - Takes received data and returns the data that
+ * was originally reported. Throws a TypeError if the data could not have been
+ * encoded by this codec.
+ */
+
+/**
+ * Tags which begin each encoded value. The format follows MessagePack, and
+ * only uses the subset of it that is needed to represent JSON data.
+ *
+ * @inner
+ * @memberof module:shared.codecs
+ *
+ * @enum {number}
+ */
+const TAGS = Object.freeze({
+  FIXMAP:    0x80,
+  FIXARRAY:  0x90,
+  FIXSTR:    0xa0,
+  NIL:       0xc0,
+  FALSE:     0xc2,
+  TRUE:      0xc3,
+  FLOAT32:   0xca,
+  FLOAT64:   0xcb,
+  UINT8:     0xcc,
+  UINT16:    0xcd,
+  UINT32:    0xce,
+  INT8:      0xd0,
+  INT16:     0xd1,
+  INT32:     0xd2,
+  STR8:      0xd9,
+  STR16:     0xda,
+  STR32:     0xdb,
+  ARRAY16:   0xdc,
+  ARRAY32:   0xdd,
+  MAP16:     0xde,
+  MAP32:     0xdf,
+  NEGFIXINT: 0xe0,
+});
+
+/**
+ * The DataView type and size, in bytes, of the number which follows each tag
+ * that is followed by a number.
+ *
+ * @inner
+ * @memberof module:shared.codecs
+ *
+ * @type {Map.<number, Array>}
+ */
+const NUMBERS = new Map([
+  [TAGS.FLOAT32, ['Float32', 4]],
+  [TAGS.FLOAT64, ['Float64', 8]],
+  [TAGS.UINT8,   ['Uint8', 1]],
+  [TAGS.UINT16,  ['Uint16', 2]],
+  [TAGS.UINT32,  ['Uint32', 4]],
+  [TAGS.INT8,    ['Int8', 1]],
+  [TAGS.INT16,   ['Int16', 2]],
+  [TAGS.INT32,   ['Int32', 4]],
+  [TAGS.STR8,    ['Uint8', 1]],
+  [TAGS.STR16,   ['Uint16', 2]],
+  [TAGS.STR32,   ['Uint32', 4]],
+  [TAGS.ARRAY16, ['Uint16', 2]],
+  [TAGS.ARRAY32, ['Uint32', 4]],
+  [TAGS.MAP16,   ['Uint16', 2]],
+  [TAGS.MAP32,   ['Uint32', 4]],
+]);
+
+/**
+ * The values represented by a tag alone.
+ *
+ * @inner
+ * @memberof module:shared.codecs
+ *
+ * @type {Map.<number, ?boolean>}
+ */
+const CONSTANTS = new Map([
+  [TAGS.NIL,   null],
+  [TAGS.FALSE, false],
+  [TAGS.TRUE,  true],
+]);
+
+/**
+ * The names of the properties reported by the Reporters, along with those of
+ * batched messages and forwarded touches. The binary codec writes these names
+ * as their index in this list, which takes a single byte. The list is built
+ * from the same definitions on the server and the client, so both sides agree
+ * on the indices.
+ *
+ * @inner
+ * @memberof module:shared.codecs
+ *
+ * @type {string[]}
+ */
+const KEYS = Object.freeze(Array.from(new Set([
+  'id',
+  'type',
+  'data',
+  'identifier',
+  'clientX',
+  'clientY',
+  ...[].concat(...Object.values(Reporters).map(R => Object.keys(R.DEFAULTS))),
+])));
+
+/**
+ * The index of each name in KEYS.
+ *
+ * @inner
+ * @memberof module:shared.codecs
+ *
+ * @type {Map.<string, number>}
+ */
+const KEY_INDICES = new Map(KEYS.map((key, index) => [key, index]));
+
+/**
+ * Convert a string into its UTF-8 bytes.
+ *
+ * @inner
+ * @memberof module:shared.codecs
+ *
+ * @param {string} string
+ *
+ * @return {number[]} The bytes of the string.
+ */
+function utf8Encode(string) {
+  const bytes = [];
+  for (let i = 0; i < string.length; ++i) {
+    let code = string.codePointAt(i);
+    if (code > 0xffff) ++i;
+    if (code >= 0xd800 && code <= 0xdfff) code = 0xfffd;
+
+    // Each continuation byte carries six bits of the code point.
+    const continuations = [];
+    let limit = 0x80;
+    while (code >= limit) {
+      continuations.unshift(0x80 + (code % 0x40));
+      code = Math.floor(code / 0x40);
+      limit = continuations.length === 1 ? 0x20 : limit / 2;
+    }
+    const lead = continuations.length === 0
+      ? 0
+      : 0x100 - (0x100 / (2 ** (continuations.length + 1)));
+    bytes.push(lead + code, ...continuations);
+  }
+  return bytes;
+}
+
+/**
+ * Convert UTF-8 bytes back into a string.
+ *
+ * @inner
+ * @memberof module:shared.codecs
+ *
+ * @param {Uint8Array} bytes
+ *
+ * @return {string} The decoded string.
+ */
+function utf8Decode(bytes) {
+  const codes = [];
+  let i = 0;
+  while (i < bytes.length) {
+    const lead = bytes[i++];
+    // The number of leading ones in the first byte of a character tells how
+    // many continuation bytes follow it.
+    let count = 0;
+    while (count < 3 && lead >= 0x100 - (0x40 / (2 ** count))) ++count;
+
+    let code = count === 0 ? lead : lead % (0x40 / (2 ** count));
+    for (let j = 0; j < count; ++j) {
+      code = (code * 0x40) + (bytes[i++] % 0x40);
+    }
+    codes.push(code);
+  }
+
+  // Build the string in chunks, to stay within the limits on arguments.
+  let string = '';
+  for (let j = 0; j < codes.length; j += 4096) {
+    string += String.fromCodePoint(...codes.slice(j, j + 4096));
+  }
+  return string;
+}
+
+/**
+ * The state of an encoding in progress.
+ *
+ * @typedef {Object} EncoderState
+ * @memberof module:shared.codecs
+ *
+ * @property {Uint8Array} bytes - The buffer into which bytes are written.
+ * @property {DataView} view - A view of the buffer, for writing numbers.
+ * @property {number} length - The number of bytes written so far.
+ */
+
+/**
+ * Make room for the given number of bytes at the end of the buffer, growing it
+ * if necessary.
+ *
+ * @inner
+ * @memberof module:shared.codecs
+ *
+ * @param {module:shared.codecs.EncoderState} state
+ * @param {number} count
+ *
+ * @return {number} The offset at which to write the bytes.
+ */
+function reserve(state, count) {
+  const offset = state.length;
+  if (offset + count > state.bytes.length) {
+    let size = state.bytes.length * 2;
+    while (offset + count > size) size *= 2;
+    const bytes = new Uint8Array(size);
+    bytes.set(state.bytes);
+    state.bytes = bytes;
+    state.view = new DataView(bytes.buffer);
+  }
+  state.length += count;
+  return offset;
+}
+
+/**
+ * Write a single byte.
+ *
+ * @inner
+ * @memberof module:shared.codecs
+ *
+ * @param {module:shared.codecs.EncoderState} state
+ * @param {number} byte
+ */
+function writeByte(state, byte) {
+  const offset = reserve(state, 1);
+  state.bytes[offset] = byte;
+}
+
+/**
+ * Write a tag followed by a number of the type which that tag calls for.
+ *
+ * @inner
+ * @memberof module:shared.codecs
+ *
+ * @param {module:shared.codecs.EncoderState} state
+ * @param {number} tag
+ * @param {number} value
+ */
+function writeTagged(state, tag, value) {
+  const [type, size] = NUMBERS.get(tag);
+  const offset = reserve(state, 1 + size);
+  state.bytes[offset] = tag;
+  state.view[`set${type}`](offset + 1, value);
+}
+
+/**
+ * Write the header of a string, array, or map.
+ *
+ * @inner
+ * @memberof module:shared.codecs
+ *
+ * @param {module:shared.codecs.EncoderState} state
+ * @param {number} length - The length of the value.
+ * @param {number} fix - The tag of the short form.
+ * @param {number} fixLimit - The lengths below this fit in the short form.
+ * @param {number[]} tags - The tags of the 8, 16, and 32 bit forms, or null
+ * where there is no such form.
+ */
+function writeHeader(state, length, fix, fixLimit, tags) {
+  if (length < fixLimit) {
+    writeByte(state, fix + length);
+  } else if (tags[0] != null && length <= 0xff) {
+    writeTagged(state, tags[0], length);
+  } else if (length <= 0xffff) {
+    writeTagged(state, tags[1], length);
+  } else {
+    writeTagged(state, tags[2], length);
+  }
+}
+
+/**
+ * Write the given integer in as few bytes as possible.
+ *
+ * @inner
+ * @memberof module:shared.codecs
+ *
+ * @param {module:shared.codecs.EncoderState} state
+ * @param {number} value - An integer between -2^31 and 2^32 - 1.
+ */
+function encodeInteger(state, value) {
+  if (value >= 0) {
+    if (value < 0x80) {
+      writeByte(state, value);
+    } else if (value <= 0xff) {
+      writeTagged(state, TAGS.UINT8, value);
+    } else if (value <= 0xffff) {
+      writeTagged(state, TAGS.UINT16, value);
+    } else {
+      writeTagged(state, TAGS.UINT32, value);
+    }
+  } else if (value >= -0x20) {
+    writeByte(state, 0x100 + value);
+  } else if (value >= -0x80) {
+    writeTagged(state, TAGS.INT8, value);
+  } else if (value >= -0x8000) {
+    writeTagged(state, TAGS.INT16, value);
+  } else {
+    writeTagged(state, TAGS.INT32, value);
+  }
+}
+
+/**
+ * Write the given number. Integers take as few bytes as they can, and other
+ * numbers are written with single precision if that loses nothing.
+ *
+ * @inner
+ * @memberof module:shared.codecs
+ *
+ * @param {module:shared.codecs.EncoderState} state
+ * @param {number} value
+ */
+function encodeNumber(state, value) {
+  if (Number.isInteger(value) && value >= -0x80000000 && value <= 0xffffffff) {
+    encodeInteger(state, value);
+  } else if (Math.fround(value) === value) {
+    writeTagged(state, TAGS.FLOAT32, value);
+  } else {
+    writeTagged(state, TAGS.FLOAT64, value);
+  }
+}
+
+/**
+ * Write the given string.
+ *
+ * @inner
+ * @memberof module:shared.codecs
+ *
+ * @param {module:shared.codecs.EncoderState} state
+ * @param {string} value
+ */
+function encodeString(state, value) {
+  const utf8 = utf8Encode(value);
+  writeHeader(state, utf8.length, TAGS.FIXSTR, 32, [
+    TAGS.STR8,
+    TAGS.STR16,
+    TAGS.STR32,
+  ]);
+  const offset = reserve(state, utf8.length);
+  state.bytes.set(utf8, offset);
+}
+
+/**
+ * Write the given value. Values are treated the same way as by
+ * JSON.stringify(): object properties which are undefined or functions are
+ * left out, and such values in arrays become null.
+ *
+ * @inner
+ * @memberof module:shared.codecs
+ *
+ * @param {module:shared.codecs.EncoderState} state
+ * @param {*} value
+ */
+function encodeValue(state, value) {
+  if (value != null && typeof value.toJSON === 'function') {
+    value = value.toJSON();
+  }
+
+  if (typeof value === 'number') {
+    encodeNumber(state, value);
+  } else if (typeof value === 'string') {
+    encodeString(state, value);
+  } else if (typeof value === 'boolean') {
+    writeByte(state, value ? TAGS.TRUE : TAGS.FALSE);
+  } else if (Array.isArray(value)) {
+    writeHeader(state, value.length, TAGS.FIXARRAY, 16, [
+      null,
+      TAGS.ARRAY16,
+      TAGS.ARRAY32,
+    ]);
+    value.forEach(element => encodeValue(state, element));
+  } else if (value != null && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => {
+      const type = typeof value[key];
+      return type !== 'undefined' && type !== 'function';
+    });
+    writeHeader(state, keys.length, TAGS.FIXMAP, 16, [
+      null,
+      TAGS.MAP16,
+      TAGS.MAP32,
+    ]);
+    keys.forEach(key => {
+      if (KEY_INDICES.has(key)) {
+        encodeInteger(state, KEY_INDICES.get(key));
+      } else {
+        encodeString(state, key);
+      }
+      encodeValue(state, value[key]);
+    });
+  } else {
+    writeByte(state, TAGS.NIL);
+  }
+}
+
+/**
+ * The state of a decoding in progress.
+ *
+ * @typedef {Object} DecoderState
+ * @memberof module:shared.codecs
+ *
+ * @property {Uint8Array} bytes - The encoded bytes.
+ * @property {DataView} view - A view of the bytes, for reading numbers.
+ * @property {number} offset - The index of the next byte to read.
+ */
+
+/**
+ * Read the given number of bytes.
+ *
+ * @inner
+ * @memberof module:shared.codecs
+ *
+ * @throws TypeError
+ *
+ * @param {module:shared.codecs.DecoderState} state
+ * @param {number} count
+ *
+ * @return {number} The offset of the first of the bytes.
+ */
+function consume(state, count) {
+  const offset = state.offset;
+  if (offset + count > state.bytes.length) {
+    throw new TypeError('Encoded data ended unexpectedly.');
+  }
+  state.offset += count;
+  return offset;
+}
+
+/**
+ * Read the number which follows the given tag.
+ *
+ * @inner
+ * @memberof module:shared.codecs
+ *
+ * @param {module:shared.codecs.DecoderState} state
+ * @param {number} tag
+ *
+ * @return {number}
+ */
+function readTagged(state, tag) {
+  const [type, size] = NUMBERS.get(tag);
+  return state.view[`get${type}`](consume(state, size));
+}
+
+/**
+ * What a tag says about the value which it begins. Either the value itself is
+ * known, or it is a string, array, or map of a known length which follows.
+ *
+ * @typedef {Object} Header
+ * @memberof module:shared.codecs
+ *
+ * @property {?string} kind - 'string', 'array', 'map', or null if the value is
+ * already known.
+ * @property {number} [length] - In bytes for a string, otherwise in elements.
+ * @property {*} [value] - The value, if it is already known.
+ */
+
+/**
+ * Read the next tag, and whatever number follows it.
+ *
+ * @inner
+ * @memberof module:shared.codecs
+ *
+ * @throws TypeError
+ *
+ * @param {module:shared.codecs.DecoderState} state
+ *
+ * @return {module:shared.codecs.Header}
+ */
+function readHeader(state) {
+  const tag = state.bytes[consume(state, 1)];
+  if (tag < TAGS.FIXMAP) return { kind: null, value: tag };
+  if (tag < TAGS.FIXARRAY) return { kind: 'map', length: tag - TAGS.FIXMAP };
+  if (tag < TAGS.FIXSTR) return { kind: 'array', length: tag - TAGS.FIXARRAY };
+  if (tag < TAGS.NIL) return { kind: 'string', length: tag - TAGS.FIXSTR };
+  if (tag >= TAGS.NEGFIXINT) return { kind: null, value: tag - 0x100 };
+  if (CONSTANTS.has(tag)) return { kind: null, value: CONSTANTS.get(tag) };
+  if (!NUMBERS.has(tag)) {
+    throw new TypeError(`Unsupported tag in encoded data: ${tag}`);
+  }
+
+  const number = readTagged(state, tag);
+  if (tag >= TAGS.MAP16) return { kind: 'map', length: number };
+  if (tag >= TAGS.ARRAY16) return { kind: 'array', length: number };
+  if (tag >= TAGS.STR8) return { kind: 'string', length: number };
+  return { kind: null, value: number };
+}
+
+/**
+ * Read the next value.
+ *
+ * @inner
+ * @memberof module:shared.codecs
+ *
+ * @throws TypeError
+ *
+ * @param {module:shared.codecs.DecoderState} state
+ *
+ * @return {*}
+ */
+function decodeValue(state) {
+  const { kind, length, value } = readHeader(state);
+
+  if (kind === 'string') {
+    const offset = consume(state, length);
+    return utf8Decode(state.bytes.subarray(offset, offset + length));
+  }
+
+  if (kind === 'array') {
+    const array = [];
+    for (let i = 0; i < length; ++i) array.push(decodeValue(state));
+    return array;
+  }
+
+  if (kind === 'map') {
+    const map = {};
+    for (let i = 0; i < length; ++i) {
+      let key = decodeValue(state);
+      if (typeof key === 'number') {
+        if (!(key < KEYS.length)) {
+          throw new TypeError(`Unknown key in encoded data: ${key}`);
+        }
+        key = KEYS[key];
+      }
+      map[key] = decodeValue(state);
+    }
+    return map;
+  }
+
+  return value;
+}
+
+/**
+ * Leaves the data as it is, for socket.io to send as JSON. This is the default
+ * codec.
+ *
+ * @memberof module:shared.codecs
+ *
+ * @type {module:shared.codecs.Codec}
+ */
+const JsonCodec = Object.freeze({
+  encode: (data) => data,
+  decode: (data) => data,
+});
+
+/**
+ * Encodes the data in a compact binary format, as an ArrayBuffer, which is
+ * sent by socket.io as a binary attachment. On the receiving end, socket.io
+ * delivers it as an ArrayBuffer in browsers and as a Buffer in node, both of
+ * which can be decoded. Numbers take as few bytes as they can without losing
+ * precision, and the names of reported properties take a single byte, which
+ * makes this codec well suited to the frequent small updates sent during
+ * gestures.
+ *
+ * @memberof module:shared.codecs
+ *
+ * @type {module:shared.codecs.Codec}
+ */
+const BinaryCodec = Object.freeze({
+  encode(data) {
+    const bytes = new Uint8Array(256);
+    const state = { bytes, view: new DataView(bytes.buffer), length: 0 };
+    encodeValue(state, data);
+    return state.bytes.buffer.slice(0, state.length);
+  },
+
+  decode(data) {
+    let bytes = null;
+    if (data instanceof ArrayBuffer) {
+      bytes = new Uint8Array(data);
+    } else if (ArrayBuffer.isView(data)) {
+      bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    } else {
+      throw new TypeError('Expected binary data');
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    return decodeValue({ bytes, view, offset: 0 });
+  },
+});
+
+/**
+ * The available codecs, by name.
+ *
+ * @memberof module:shared.codecs
+ *
+ * @type {Object.<string, module:shared.codecs.Codec>}
+ */
+const codecs = {
+  binary: BinaryCodec,
+  json:   JsonCodec,
+};
+
+/**
+ * Look up a codec by name.
+ *
+ * @memberof module:shared.codecs
+ *
+ * @throws TypeError
+ *
+ * @param {string} [name='json'] - The name of the codec.
+ *
+ * @return {module:shared.codecs.Codec} The codec with the given name.
+ */
+function getCodec(name = 'json') {
+  if (!Object.prototype.hasOwnProperty.call(codecs, name)) {
+    throw new TypeError(`Unknown codec: ${name}`);
+  }
+  return codecs[name];
+}
+
+module.exports = {
+  BinaryCodec,
+  codecs,
+  getCodec,
+  JsonCodec,
+};
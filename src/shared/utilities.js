@@ -31,6 +31,20 @@ function defineOwnImmutableEnumerableProperty(obj, prop, val) {
   });
 }
 
+/**
+ * Checks whether the given value can be used as the name of a custom message
+ * sent between the application and its clients.
+ *
+ * @memberof module:shared.utilities
+ *
+ * @param {*} event - The value to check.
+ *
+ * @return {boolean} True if event is a non-empty string, false otherwise.
+ */
+function isValidEventName(event) {
+  return typeof event === 'string' && event.length > 0;
+}
+
 /**
  * Plain, simple NOP definition. If there's a faster NOP, redefine it here.
  *
@@ -59,6 +73,7 @@ function removeById(array, item) {
 
 module.exports = Object.freeze({
   defineOwnImmutableEnumerableProperty,
+  isValidEventName,
   NOP,
   removeById,
 });
@@ -115,6 +115,32 @@ describe('ClientModel', () => {
       });
     });
 
+    describe('placeItem(item)', () => {
+      let model;
+      beforeAll(() => {
+        model = new ClientModel();
+        model.addItem({ x: 1, y: 1, id: 60, stackOrder: 2 });
+        model.addItem({ x: 2, y: 2, id: 61, stackOrder: 0 });
+        model.addItem({ x: 3, y: 3, id: 62, stackOrder: 1 });
+      });
+
+      test('Orders the items by their stackOrder', () => {
+        expect(model.itemOrder.map(i => i.id)).toEqual([61, 62, 60]);
+      });
+
+      test('Moves items when their stackOrder is updated', () => {
+        model.updateItem({ id: 60, stackOrder: -1 });
+        expect(model.itemOrder.map(i => i.id)).toEqual([60, 61, 62]);
+        model.updateItem({ id: 61, stackOrder: 1.5 });
+        expect(model.itemOrder.map(i => i.id)).toEqual([60, 62, 61]);
+      });
+
+      test('Does not move items for other updates', () => {
+        model.updateItem({ id: 60, x: 5 });
+        expect(model.itemOrder.map(i => i.id)).toEqual([60, 62, 61]);
+      });
+    });
+
     describe('setup(data)', () => {
       let data;
       beforeAll(() => {
@@ -161,6 +187,22 @@ describe('ClientModel', () => {
           expect(t).toMatchObject(i);
         });
       });
+
+      test('Restores the selections of the views', () => {
+        const selections = [{ id: 44, items: [{ id: 50, bounds: null }] }];
+        cm.setup({ ...data, selections });
+        expect(cm.selections.get(44)).toEqual(selections[0].items);
+        cm.setup(data);
+        expect(cm.selections.size).toBe(0);
+      });
+
+      test('Replaces the contents of the model when repeated', () => {
+        cm.setup({ ...data, items: [{ x: 3, y: 4, id: 91 }], views: [] });
+        expect(Array.from(cm.items.keys())).toEqual([91]);
+        expect(cm.itemOrder).toHaveLength(1);
+        expect(cm.shadows.size).toBe(0);
+        cm.setup(data);
+      });
     });
 
     describe('updateItem(data)', () => {
@@ -187,6 +229,14 @@ describe('ClientModel', () => {
         expect(i.x).toBe(data.x);
         expect(i.y).toBe(data.y);
       });
+
+      test('Leaves alone the values which are not provided', () => {
+        cm.updateItem({ id: item.id, rotation: 2 });
+        const i = cm.items.get(item.id);
+        expect(i.x).toBe(data.x);
+        expect(i.y).toBe(data.y);
+        expect(i.rotation).toBe(2);
+      });
     });
 
     describe('updateShadow(data)', () => {
@@ -214,6 +264,33 @@ describe('ClientModel', () => {
         expect(s.y).toBe(data.y);
       });
     });
+
+    describe('updateSelection(data)', () => {
+      test('Stores the selection of the view', () => {
+        const items = [{ id: 5, bounds: null }];
+        cm.updateSelection({ id: 3, items });
+        expect(cm.selections.get(3)).toBe(items);
+      });
+
+      test('Forgets empty selections', () => {
+        cm.updateSelection({ id: 3, items: [{ id: 5, bounds: null }] });
+        cm.updateSelection({ id: 3, items: [] });
+        expect(cm.selections.has(3)).toBe(false);
+      });
+    });
+
+    describe('updatePointers(data)', () => {
+      test('Sets the pointers of the shadow', () => {
+        cm.addShadow(shadow);
+        const points = [{ x: 1, y: 2 }];
+        cm.updatePointers({ id: shadow.id, points });
+        expect(cm.shadows.get(shadow.id).pointers).toEqual(points);
+      });
+
+      test('Ignores unknown views', () => {
+        expect(() => cm.updatePointers({ id: 999, points: [] })).not.toThrow();
+      });
+    });
   });
 });
 
@@ -72,6 +72,29 @@ describe('ClientView', () => {
           expect(s.draw).toHaveBeenCalledTimes(1);
         });
       });
+
+      test('Highlights the selected items', () => {
+        const bounds = { x: 0, y: 0, width: 10, height: 20 };
+        model.updateSelection({ id: 44, items: [{ id: 50, bounds }] });
+        context.strokeRect.mockClear();
+        cv.draw();
+        expect(context.strokeRect).toHaveBeenCalledWith(0, 0, 10, 20);
+        model.updateSelection({ id: 44, items: [] });
+      });
+
+      test('Draws the selection rectangle being drawn', () => {
+        cv.selectionArea = { from: { x: 5, y: 5 }, to: { x: 25, y: 15 } };
+        context.strokeRect.mockClear();
+        cv.draw();
+        expect(context.strokeRect).toHaveBeenCalledWith(5, 5, 20, 10);
+        cv.selectionArea = null;
+      });
+
+      test('Reports whether any pointers are still visible', () => {
+        expect(cv.draw()).toBe(false);
+        model.shadows.get(44).setPointers([{ x: 1, y: 1 }]);
+        expect(cv.draw()).toBe(true);
+      });
     });
 
     describe('resizeToFillWindow()', () => {
@@ -48,6 +48,25 @@ describe('Interactor', () => {
     );
   });
 
+  describe('forward(gesture)', () => {
+    test('Marks track data with whether a selection is being drawn', () => {
+      const itr = new Interactor({ track: handlers.track });
+      itr.selector.selecting = true;
+      itr.forward('track')({ phase: 'start' });
+      expect(handlers.track).toHaveBeenLastCalledWith({
+        phase:     'start',
+        selecting: true,
+      });
+    });
+
+    test('Mutes other gestures while a selection is being drawn', () => {
+      const itr = new Interactor({ tap: handlers.tap });
+      itr.selector.selecting = true;
+      itr.forward('tap')({});
+      expect(handlers.tap).not.toHaveBeenCalled();
+    });
+  });
+
   describe('tap', () => {
     let itr;
     beforeEach(() => {
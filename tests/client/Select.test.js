@@ -0,0 +1,64 @@
+/*
+ * Test suite for the Select gesture.
+ */
+
+'use strict';
+
+const { Point2D } = require('westures');
+const Select = require('client/Select.js');
+
+describe('Select', () => {
+  let select, now;
+  beforeEach(() => {
+    now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    select = new Select();
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+  });
+
+  function state(x, y, event = {}, count = 1) {
+    return {
+      active:   new Array(count).fill(null),
+      centroid: new Point2D(x, y),
+      event,
+    };
+  }
+
+  test('Starts drawing after a long press', () => {
+    select.start(state(10, 10));
+    now += 100;
+    expect(select.move(state(11, 10))).toBeNull();
+    now += Select.DEFAULTS.delay;
+    expect(select.move(state(50, 60))).toEqual({ initial: { x: 10, y: 10 } });
+    expect(select.end(state(50, 60))).toEqual({
+      initial:  { x: 10, y: 10 },
+      centroid: { x: 50, y: 60 },
+    });
+  });
+
+  test('Does not draw if the pointer moves before the delay', () => {
+    select.start(state(10, 10));
+    now += 100;
+    expect(select.move(state(50, 10))).toBeNull();
+    now += Select.DEFAULTS.delay;
+    expect(select.move(state(90, 10))).toBeNull();
+    expect(select.end(state(90, 10))).toBeNull();
+  });
+
+  test('Starts drawing straight away with the enable key', () => {
+    select.start(state(10, 10, { shiftKey: true }));
+    expect(select.selecting).toBe(true);
+    expect(select.move(state(50, 10))).toEqual({ initial: { x: 10, y: 10 } });
+  });
+
+  test('Abandons the rectangle if another pointer touches down', () => {
+    select.start(state(10, 10, { shiftKey: true }));
+    select.move(state(50, 10));
+    expect(select.start(state(50, 10, {}, 2))).toEqual({ initial: null });
+    expect(select.selecting).toBe(false);
+    expect(select.end(state(50, 10))).toBeNull();
+  });
+});
@@ -47,5 +47,45 @@ describe('ShadowView', () => {
       expect(ctx.strokeRect).toHaveBeenCalled();
     });
   });
+
+  describe('drawPointers(context, scale, now)', () => {
+    let sv, ctx;
+    beforeEach(() => {
+      sv = new ShadowView(view);
+      ctx = new CanvasRenderingContext2D();
+    });
+
+    test('Draws nothing if the view is not pointing', () => {
+      expect(sv.drawPointers(ctx, 1, 0)).toBe(false);
+      expect(ctx.arc).not.toHaveBeenCalled();
+    });
+
+    test('Draws each pointer', () => {
+      sv.setPointers([{ x: 10, y: 20 }, { x: 30, y: 40 }], 0);
+      expect(sv.drawPointers(ctx, 1, 0)).toBe(true);
+      expect(ctx.arc).toHaveBeenCalledTimes(2);
+      expect(ctx.arc).toHaveBeenCalledWith(10, 20, 8, 0, 2 * Math.PI);
+    });
+
+    test('Draws pointers the same size no matter the scale', () => {
+      sv.setPointers([{ x: 10, y: 20 }], 0);
+      sv.drawPointers(ctx, 2, 0);
+      expect(ctx.arc).toHaveBeenCalledWith(10, 20, 4, 0, 2 * Math.PI);
+    });
+
+    test('Fades out pointers that have been idle', () => {
+      sv.setPointers([{ x: 10, y: 20 }], 0);
+      expect(sv.drawPointers(ctx, 1, 2250)).toBe(true);
+      expect(ctx.globalAlpha).toBeCloseTo(0.5);
+      expect(sv.drawPointers(ctx, 1, 3000)).toBe(false);
+    });
+
+    test('Fades out straight away once the view stops pointing', () => {
+      sv.setPointers([{ x: 10, y: 20 }], 0);
+      sv.setPointers([], 100);
+      expect(sv.drawPointers(ctx, 1, 350)).toBe(true);
+      expect(sv.drawPointers(ctx, 1, 600)).toBe(false);
+    });
+  });
 });
 
@@ -0,0 +1,176 @@
+/*
+ * Test suite for the Animatable mixin.
+ */
+
+'use strict';
+
+const Animatable = require('mixins/Animatable.js');
+const Lockable = require('mixins/Lockable.js');
+const Transformable2D = require('mixins/Transformable2D.js');
+
+class Base {
+  constructor() {
+    this.x = 0;
+    this.y = 0;
+    this.rotation = 0;
+    this.scale = 1;
+  }
+}
+
+class TestAnimatable extends Animatable(Lockable(Transformable2D(Base))) {}
+
+describe('Animatable', () => {
+  let obj, now;
+  beforeEach(() => {
+    jest.useFakeTimers();
+    now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    obj = new TestAnimatable();
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+  });
+
+  function advance(ms) {
+    for (let i = 0; i < ms; ++i) {
+      now += 1;
+      jest.advanceTimersByTime(1);
+    }
+  }
+
+  test('"instanceof" operator works', () => {
+    expect(getPrototypeChainNamesOf(obj)).toContain('Animatable');
+  });
+
+  describe('animateTo(target, options)', () => {
+    test('Moves gradually to the target', () => {
+      obj.animateTo({ x: 100, y: 50 }, { duration: 100, easing: 'linear' });
+      expect(obj.isAnimating()).toBe(true);
+      advance(50);
+      expect(obj.x).toBeGreaterThan(0);
+      expect(obj.x).toBeLessThan(100);
+      advance(60);
+      expect(obj).toMatchObject({ x: 100, y: 50, rotation: 0, scale: 1 });
+      expect(obj.isAnimating()).toBe(false);
+    });
+
+    test('Animates rotation and scale', () => {
+      obj.animateTo({ rotation: 2, scale: 3 }, { duration: 100 });
+      advance(100);
+      expect(obj).toMatchObject({ x: 0, y: 0, rotation: 2, scale: 3 });
+    });
+
+    test('Applies the easing function', () => {
+      const easing = jest.fn(() => 0.25);
+      obj.animateTo({ x: 100 }, { duration: 100, easing });
+      advance(20);
+      expect(easing).toHaveBeenCalled();
+      expect(obj.x).toBe(25);
+    });
+
+    test('Resolves with true once complete', () => {
+      const done = obj.animateTo({ x: 10 }, { duration: 100 });
+      advance(100);
+      return expect(done).resolves.toBe(true);
+    });
+
+    test('Cancels an animation already in progress', () => {
+      const first = obj.animateTo({ x: 10 }, { duration: 100 });
+      obj.animateTo({ y: 10 }, { duration: 100 });
+      advance(120);
+      expect(obj).toMatchObject({ y: 10 });
+      expect(obj.x).toBeLessThan(10);
+      return expect(first).resolves.toBe(false);
+    });
+
+    test('Throws on an unknown easing', () => {
+      expect(() => obj.animateTo({ x: 10 }, { easing: 'bounce' }))
+        .toThrow(TypeError);
+    });
+  });
+
+  describe('glide(velocity, options)', () => {
+    test('Keeps moving, slowing down until it stops', () => {
+      const done = obj.glide({ x: 1, y: -0.5 });
+      advance(100);
+      const { x, y } = obj;
+      expect(x).toBeGreaterThan(0);
+      expect(y).toBeLessThan(0);
+      advance(100);
+      expect(obj.x - x).toBeLessThan(x);
+      advance(5000);
+      expect(obj.isAnimating()).toBe(false);
+      return expect(done).resolves.toBe(true);
+    });
+
+    test('Stops sooner with more friction', () => {
+      const other = new TestAnimatable();
+      obj.glide({ x: 1, y: 0 }, { friction: 0.9 });
+      other.glide({ x: 1, y: 0 }, { friction: 0.5 });
+      advance(5000);
+      expect(other.x).toBeLessThan(obj.x);
+    });
+
+    test('Clamps the friction so that the glide always stops', () => {
+      const done = Promise.all([1, Infinity, -0.5, NaN, '2'].map(friction => {
+        const other = new TestAnimatable();
+        return other.glide({ x: 1, y: 0 }, { friction });
+      }));
+      advance(60000);
+      return expect(done).resolves.toEqual([true, true, true, true, true]);
+    });
+
+    test('Ignores velocities which are not finite', () => {
+      const done = obj.glide({ x: NaN, y: Infinity });
+      advance(100);
+      expect(obj.x).toBe(0);
+      expect(obj.y).toBe(0);
+      expect(obj.isAnimating()).toBe(false);
+      return expect(done).resolves.toBe(true);
+    });
+
+    test('Bounces off the edges of the bounds', () => {
+      const bounds = { x: -10, y: -10, width: 20, height: 20 };
+      obj.glide({ x: 1, y: 0 }, { friction: 0.99, bounds });
+      for (let i = 0; i < 100; ++i) {
+        advance(20);
+        expect(obj.x).toBeGreaterThanOrEqual(-10);
+        expect(obj.x).toBeLessThanOrEqual(10);
+      }
+    });
+
+    test('Is cancelled by locking', () => {
+      const done = obj.glide({ x: 1, y: 0 });
+      obj.lock({});
+      return expect(done).resolves.toBe(false);
+    });
+  });
+
+  describe('cancelAnimation()', () => {
+    test('Stops the animation where it is', () => {
+      const done = obj.animateTo({ x: 100 }, { duration: 100 });
+      advance(50);
+      obj.cancelAnimation();
+      const { x } = obj;
+      advance(100);
+      expect(obj.x).toBe(x);
+      expect(obj.isAnimating()).toBe(false);
+      return expect(done).resolves.toBe(false);
+    });
+
+    test('Does nothing if not animating', () => {
+      expect(() => obj.cancelAnimation()).not.toThrow();
+    });
+  });
+
+  describe('lock(locker)', () => {
+    test('Cancels the animation', () => {
+      const done = obj.animateTo({ x: 100 }, { duration: 100 });
+      obj.lock({});
+      expect(obj.isLocked()).toBe(true);
+      expect(obj.isAnimating()).toBe(false);
+      return expect(done).resolves.toBe(false);
+    });
+  });
+});
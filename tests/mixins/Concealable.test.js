@@ -0,0 +1,68 @@
+/*
+ * Test suite for the Concealable mixin.
+ */
+
+'use strict';
+
+const Concealable = require('mixins/Concealable.js');
+
+class Base {
+  constructor(values = {}) {
+    Object.assign(this, values);
+  }
+}
+
+class TestConcealable extends Concealable(Base) {}
+
+describe('Concealable', () => {
+  const owner = { id: 1 };
+  const other = { id: 2 };
+
+  test('"instanceof" operator works', () => {
+    expect(getPrototypeChainNamesOf(new TestConcealable()))
+      .toContain('Concealable');
+  });
+
+  describe('isVisibleTo(view)', () => {
+    test('Every view may see an item that is not concealed', () => {
+      const obj = new TestConcealable();
+      expect(obj.isConcealed()).toBe(false);
+      expect(obj.isVisibleTo(other)).toBe(true);
+    });
+
+    test('Only the listed views may see the item', () => {
+      const obj = new TestConcealable({ visibleTo: [owner.id] });
+      expect(obj.isConcealed()).toBe(true);
+      expect(obj.isVisibleTo(owner)).toBe(true);
+      expect(obj.isVisibleTo(other)).toBe(false);
+    });
+
+    test('Asks the predicate which views may see the item', () => {
+      const visibleTo = jest.fn(view => view === other);
+      const obj = new TestConcealable({ visibleTo });
+      expect(obj.isVisibleTo(owner)).toBe(false);
+      expect(obj.isVisibleTo(other)).toBe(true);
+      expect(visibleTo).toHaveBeenCalledWith(other);
+    });
+  });
+
+  describe('appearanceTo(view)', () => {
+    test('Is private to views which may see the item', () => {
+      const obj = new TestConcealable({ visibleTo: [owner.id] });
+      expect(obj.appearanceTo(owner)).toBe('private');
+    });
+
+    test('Is hidden from other views', () => {
+      const obj = new TestConcealable({ visibleTo: [owner.id] });
+      expect(obj.appearanceTo(other)).toBeNull();
+    });
+
+    test('Is public to other views if there is a public image', () => {
+      const obj = new TestConcealable({
+        visibleTo: [owner.id],
+        publicSrc: 'back.png',
+      });
+      expect(obj.appearanceTo(other)).toBe('public');
+    });
+  });
+});
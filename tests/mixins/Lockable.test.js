@@ -60,6 +60,54 @@ describe('Lockable', () => {
       });
     });
   });
+
+  describe('Shared locks', () => {
+    let tarr, a, b;
+    beforeEach(() => {
+      tarr = new TestArray();
+      a = { clearLockedItem: jest.fn() };
+      b = { clearLockedItem: jest.fn() };
+    });
+
+    test('Only one holder can lock an item normally', () => {
+      tarr.lock(a);
+      expect(tarr.isFreeFor(b)).toBe(false);
+      tarr.lock(b);
+      expect(tarr.lockHolders).toEqual([b]);
+    });
+
+    test('Several holders can lock an item with a shared lock', () => {
+      tarr.sharedLock = true;
+      tarr.lock(a);
+      expect(tarr.isFreeFor(a)).toBe(false);
+      expect(tarr.isFreeFor(b)).toBe(true);
+      tarr.lock(b);
+      expect(tarr.lockHolders).toEqual([a, b]);
+      expect(tarr.lockHolder).toBe(a);
+    });
+
+    test('Stays locked until every holder lets go', () => {
+      tarr.sharedLock = true;
+      tarr.lock(a);
+      tarr.lock(b);
+      a.lockedItem = tarr;
+      tarr.unlock(a);
+      expect(a.clearLockedItem).toHaveBeenCalled();
+      expect(tarr.isLocked()).toBe(true);
+      expect(tarr.lockHolders).toEqual([b]);
+      tarr.unlock(b);
+      expect(tarr.isLocked()).toBe(false);
+    });
+
+    test('Unlocking without a holder releases every holder', () => {
+      tarr.sharedLock = true;
+      tarr.lock(a);
+      tarr.lock(b);
+      tarr.unlock();
+      expect(tarr.isLocked()).toBe(false);
+      expect(tarr.lockHolders).toEqual([]);
+    });
+  });
 });
 
 
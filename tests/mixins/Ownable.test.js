@@ -0,0 +1,121 @@
+/*
+ * Test suite for the Ownable mixin.
+ */
+
+'use strict';
+
+const Ownable = require('mixins/Ownable.js');
+
+class Base {
+  constructor(values = {}) {
+    Object.assign(this, values);
+  }
+}
+
+class TestOwnable extends Ownable(Base) {}
+
+describe('Ownable', () => {
+  const owner = { id: 1, role: null };
+  const dealer = { id: 2, role: 'dealer' };
+  const other = { id: 3, role: null };
+
+  test('"instanceof" operator works', () => {
+    expect(getPrototypeChainNamesOf(new TestOwnable())).toContain('Ownable');
+  });
+
+  describe('isOwnedBy(view)', () => {
+    test('Is owned by the view with the owner id', () => {
+      const obj = new TestOwnable({ owner: owner.id });
+      expect(obj.isOwnedBy(owner)).toBe(true);
+      expect(obj.isOwnedBy(other)).toBe(false);
+    });
+
+    test('Is owned by views with the owner role', () => {
+      const obj = new TestOwnable({ owner: 'dealer' });
+      expect(obj.isOwnedBy(dealer)).toBe(true);
+      expect(obj.isOwnedBy(other)).toBe(false);
+    });
+
+    test('Is not owned by anyone without an owner', () => {
+      expect(new TestOwnable().isOwnedBy(other)).toBe(false);
+    });
+  });
+
+  describe('permits(view, action)', () => {
+    test('Permits anyone anything if there is no owner', () => {
+      const obj = new TestOwnable();
+      expect(obj.permits(other, 'move')).toBe(true);
+      expect(obj.permits(other, 'remove')).toBe(true);
+    });
+
+    test('Permits only the owner by default if there is an owner', () => {
+      const obj = new TestOwnable({ owner: owner.id });
+      expect(obj.permits(owner, 'move')).toBe(true);
+      expect(obj.permits(other, 'move')).toBe(false);
+    });
+
+    test('Follows the rule given for each action', () => {
+      const obj = new TestOwnable({
+        owner:       owner.id,
+        permissions: { click: 'anyone', remove: 'nobody' },
+      });
+      expect(obj.permits(other, 'click')).toBe(true);
+      expect(obj.permits(owner, 'remove')).toBe(false);
+      expect(obj.permits(other, 'scale')).toBe(false);
+    });
+
+    test('Uses a single rule for every action', () => {
+      const obj = new TestOwnable({ owner: owner.id, permissions: 'anyone' });
+      expect(obj.permits(other, 'rotate')).toBe(true);
+    });
+
+    test('Asks a predicate', () => {
+      const rule = jest.fn(view => view.role === 'dealer');
+      const obj = new TestOwnable({ permissions: { move: rule } });
+      expect(obj.permits(dealer, 'move')).toBe(true);
+      expect(obj.permits(other, 'move')).toBe(false);
+      expect(rule).toHaveBeenCalledWith(other, 'move', obj);
+    });
+
+    test('Throws on an unknown action', () => {
+      const obj = new TestOwnable();
+      expect(() => obj.permits(other, 'fly')).toThrow(TypeError);
+    });
+
+    test('Denies everyone if the rule is unknown', () => {
+      const obj = new TestOwnable();
+      obj.permissions = { move: 'everyone' };
+      expect(obj.permits(owner, 'move')).toBe(false);
+      expect(obj.permits(other, 'move')).toBe(false);
+    });
+  });
+
+  describe('permissions', () => {
+    test('Are checked when the item is constructed', () => {
+      const make = permissions => () => new TestOwnable({ permissions });
+      expect(make('everyone')).toThrow(TypeError);
+      expect(make(['anyone'])).toThrow(TypeError);
+      expect(make({ fly: 'anyone' })).toThrow(TypeError);
+      expect(make({ move: 'everyone' })).toThrow(TypeError);
+      expect(make({ move: 'owner', click: () => true })).not.toThrow();
+    });
+
+    test('Are checked when set', () => {
+      const obj = new TestOwnable({ permissions: 'anyone' });
+      expect(() => obj.setPermissions({ move: 5 })).toThrow(TypeError);
+      expect(obj.permissions).toBe('anyone');
+      obj.setPermissions({ move: 'nobody' });
+      expect(obj.permits(other, 'move')).toBe(false);
+    });
+  });
+
+  describe('deny(view, action)', () => {
+    test('Calls the ondenied handler', () => {
+      const obj = new TestOwnable({ ondenied: jest.fn() });
+      obj.deny(other, 'move');
+      expect(obj.ondenied).toHaveBeenCalledWith({
+        target: obj, view: other, action: 'move',
+      });
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/*
+ * Test suite for the Snappable mixin.
+ */
+
+'use strict';
+
+const Lockable = require('mixins/Lockable.js');
+const Snappable = require('mixins/Snappable.js');
+const Transformable2D = require('mixins/Transformable2D.js');
+
+class Base {
+  constructor(x = 0, y = 0) {
+    this.x = x;
+    this.y = y;
+  }
+}
+
+class TestSnappable extends Snappable(Lockable(Transformable2D(Base))) {}
+
+describe('Snappable', () => {
+  let obj;
+  beforeEach(() => {
+    obj = new TestSnappable(70, 100);
+  });
+
+  test('"instanceof" operator works', () => {
+    expect(getPrototypeChainNamesOf(obj)).toContain('Snappable');
+  });
+
+  describe('findSnapTarget()', () => {
+    test('Returns null if the item does not snap', () => {
+      expect(obj.findSnapTarget()).toBeNull();
+    });
+
+    test('Finds the nearest point of the grid', () => {
+      obj.snap = { grid: 64 };
+      expect(obj.findSnapTarget()).toEqual({ x: 64, y: 128 });
+    });
+
+    test('Respects the origin of the grid', () => {
+      obj.snap = { grid: 64, origin: { x: 10, y: 10 } };
+      expect(obj.findSnapTarget()).toEqual({ x: 74, y: 74 });
+    });
+
+    test('Finds the nearest target', () => {
+      const a = { x: 0, y: 0 };
+      const b = { x: 100, y: 100 };
+      obj.snap = { targets: [a, b] };
+      expect(obj.findSnapTarget()).toBe(b);
+    });
+
+    test('Ignores targets outside the radius', () => {
+      obj.snap = { targets: [{ x: 100, y: 100 }], radius: 10 };
+      expect(obj.findSnapTarget()).toBeNull();
+    });
+
+    test('Never snaps to itself', () => {
+      obj.snap = { targets: [obj] };
+      expect(obj.findSnapTarget()).toBeNull();
+    });
+  });
+
+  describe('snapIntoPlace(notify)', () => {
+    test('Moves onto the snap target', () => {
+      obj.snap = { grid: 64 };
+      expect(obj.snapIntoPlace()).toEqual({ x: 64, y: 128 });
+      expect(obj).toMatchObject({ x: 64, y: 128 });
+    });
+
+    test('Calls the onsnap handler with the snap target', () => {
+      const target = { x: 100, y: 100 };
+      obj.snap = { targets: [target] };
+      obj.onsnap = jest.fn();
+      obj.snapIntoPlace();
+      expect(obj.onsnap).toHaveBeenCalledWith({
+        target:     obj,
+        snapTarget: target,
+        x:          100,
+        y:          100,
+      });
+    });
+
+    test('Does not call the onsnap handler if asked not to', () => {
+      obj.snap = { grid: 64 };
+      obj.onsnap = jest.fn();
+      obj.snapIntoPlace(false);
+      expect(obj.onsnap).not.toHaveBeenCalled();
+    });
+
+    test('Does nothing without a snap target', () => {
+      obj.onsnap = jest.fn();
+      expect(obj.snapIntoPlace()).toBeNull();
+      expect(obj).toMatchObject({ x: 70, y: 100 });
+      expect(obj.onsnap).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('moveSnapped(fn)', () => {
+    test('Can be dragged out of place a little at a time', () => {
+      obj.snap = { grid: 64, live: true };
+      obj.lock({});
+      for (let i = 0; i < 4; ++i) obj.moveSnapped(() => obj.moveBy(10, 0));
+      expect(obj).toMatchObject({ x: 128, y: 128 });
+    });
+
+    test('Starts afresh when grabbed again', () => {
+      obj.snap = { grid: 64, live: true };
+      obj.moveSnapped(() => obj.moveBy(10, 0));
+      obj.lock({});
+      obj.moveSnapped(() => obj.moveBy(10, 0));
+      expect(obj).toMatchObject({ x: 64, y: 128 });
+    });
+  });
+});
@@ -0,0 +1,210 @@
+/*
+ * Test suite for the History class.
+ */
+
+'use strict';
+
+const History = require('server/History.js');
+
+describe('History', () => {
+  let history, target, apply;
+  beforeEach(() => {
+    history = new History();
+    target = { value: 0 };
+    apply = jest.fn(value => {
+      target.value = value;
+    });
+  });
+
+  function change(actor, value) {
+    history.perform(actor, () => {
+      const before = target.value;
+      target.value = value;
+      history.record(target, 'value', before, value, apply);
+    });
+  }
+
+  describe('constructor(limit)', () => {
+    test('Uses the default limit if none provided', () => {
+      expect(new History().limit).toBe(History.DEFAULTS.limit);
+    });
+
+    test('Starts out empty', () => {
+      expect(history.done).toEqual([]);
+      expect(history.undone).toEqual([]);
+    });
+  });
+
+  describe('record(target, key, before, after, apply)', () => {
+    test('Ignores changes that do not change anything', () => {
+      history.record(target, 'value', 1, 1, apply);
+      expect(history.done).toHaveLength(0);
+    });
+
+    test('Merges consecutive changes to the same target and key', () => {
+      change('a', 1);
+      change('a', 2);
+      expect(history.done).toHaveLength(1);
+      expect(history.done[0].changes).toHaveLength(1);
+      expect(history.done[0].changes[0]).toMatchObject({ before: 0, after: 2 });
+    });
+
+    test('Groups changes by actor within a turn of the event loop', () => {
+      change('a', 1);
+      change('b', 2);
+      expect(history.done.map(g => g.actor)).toEqual(['a', 'b']);
+    });
+
+    test('Starts a new group in the next turn of the event loop', done => {
+      change('a', 1);
+      setImmediate(() => {
+        change('a', 2);
+        expect(history.done).toHaveLength(2);
+        done();
+      });
+    });
+
+    test('Forgets the oldest groups once the limit is reached', () => {
+      history = new History(2);
+      ['a', 'b', 'a', 'b', 'a'].forEach((actor, i) => {
+        history.beginGroup(actor);
+        change(actor, i + 1);
+        history.endGroup(actor);
+      });
+      expect(history.done.map(g => g.actor)).toEqual(['b', 'a', 'b', 'a']);
+    });
+
+    test('Applies the limit to each actor separately', () => {
+      history = new History(2);
+      change('a', 1);
+      ['b', 'b', 'b', 'b'].forEach((actor, i) => {
+        history.beginGroup(actor);
+        change(actor, i + 2);
+        history.endGroup(actor);
+      });
+      expect(history.done.map(g => g.actor)).toEqual(['a', 'b', 'b']);
+    });
+  });
+
+  describe('forget(actor)', () => {
+    test('Drops every group belonging to the actor', () => {
+      change('a', 1);
+      change('b', 2);
+      history.undo('b');
+      history.beginGroup('a');
+      history.forget('b');
+      history.forget('a');
+      expect(history.done).toEqual([]);
+      expect(history.undone).toEqual([]);
+      expect(history.open.has('a')).toBe(false);
+      expect(history.pending).toBeNull();
+    });
+
+    test('Keeps the groups of other actors', () => {
+      change('a', 1);
+      change('b', 2);
+      history.forget('a');
+      expect(history.done.map(g => g.actor)).toEqual(['b']);
+    });
+  });
+
+  describe('beginGroup(actor) and endGroup(actor)', () => {
+    test('Collects all changes by the actor into one group', done => {
+      history.beginGroup('a');
+      change('a', 1);
+      setImmediate(() => {
+        change('a', 2);
+        history.endGroup('a');
+        expect(history.done).toHaveLength(1);
+        history.undo('a');
+        expect(target.value).toBe(0);
+        done();
+      });
+    });
+
+    test('Does not store empty groups', () => {
+      history.beginGroup('a');
+      history.endGroup('a');
+      expect(history.done).toHaveLength(0);
+    });
+  });
+
+  describe('capture() and resume(context, fn)', () => {
+    function later(context, value) {
+      history.resume(context, () => {
+        history.record(target, 'value', target.value, value, apply);
+      });
+    }
+
+    test('Records later changes in the group that was open', done => {
+      history.beginGroup('a');
+      change('a', 1);
+      const context = history.perform('a', () => history.capture());
+      history.endGroup('a');
+      change('b', 2);
+      setImmediate(() => {
+        later(context, 3);
+        expect(history.done.map(g => g.actor)).toEqual(['a', 'b']);
+        expect(history.done[0].changes[0]).toMatchObject({ after: 3 });
+        done();
+      });
+    });
+
+    test('Attributes the changes to the actor if its group is gone', () => {
+      history.beginGroup('a');
+      change('a', 1);
+      const context = history.perform('a', () => history.capture());
+      history.endGroup('a');
+      history.undo('a');
+      later(context, 3);
+      expect(history.done.map(g => g.actor)).toEqual(['a']);
+      expect(history.done[0].changes[0]).toMatchObject({ before: 0 });
+    });
+  });
+
+  describe('undo(actor) and redo(actor)', () => {
+    test('Restores the state before and after the changes', () => {
+      change('a', 5);
+      expect(history.undo()).toBe(true);
+      expect(target.value).toBe(0);
+      expect(history.redo()).toBe(true);
+      expect(target.value).toBe(5);
+    });
+
+    test('Returns false if there is nothing to undo or redo', () => {
+      expect(history.undo()).toBe(false);
+      expect(history.redo()).toBe(false);
+    });
+
+    test('Only undoes changes made by the given actor', () => {
+      const other = { value: 0 };
+      change('a', 1);
+      history.perform('b', () => {
+        other.value = 7;
+        history.record(other, 'value', 0, 7, v => {
+          other.value = v;
+        });
+      });
+      expect(history.undo('a')).toBe(true);
+      expect(target.value).toBe(0);
+      expect(other.value).toBe(7);
+      expect(history.undo('a')).toBe(false);
+    });
+
+    test('Does not record the changes made while undoing', () => {
+      change('a', 1);
+      history.undo();
+      expect(history.done).toHaveLength(0);
+      expect(history.undone).toHaveLength(1);
+    });
+
+    test('New changes by an actor discard what they could redo', () => {
+      change('a', 1);
+      history.undo('a');
+      history.pending = null;
+      change('a', 2);
+      expect(history.redo('a')).toBe(false);
+      expect(target.value).toBe(2);
+    });
+  });
+});
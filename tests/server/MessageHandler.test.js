@@ -0,0 +1,593 @@
+/*
+ * Test suite for the MessageHandler class.
+ */
+
+'use strict';
+
+const { Rectangle } = require('shared.js');
+const MessageHandler = require('server/MessageHandler.js');
+const ServerView = require('server/ServerView.js');
+const WorkSpace = require('server/WorkSpace.js');
+
+describe('MessageHandler', () => {
+  describe('inertia', () => {
+    let ws, handler, view, transform, now;
+    beforeEach(() => {
+      jest.useFakeTimers();
+      now = 0;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      ws = new WorkSpace({ bounds: { x: 0, y: 0, width: 500, height: 500 } });
+      ws.namespace = { emit: jest.fn() };
+      handler = new MessageHandler(ws);
+      view = new ServerView({ emit: jest.fn(), broadcast: { emit: jest.fn() } });
+      transform = handler.handle('transform', view);
+    });
+
+    afterEach(() => {
+      Date.now.mockRestore();
+    });
+
+    function spawn(inertia) {
+      return ws.spawnItem({
+        x:      10,
+        y:      10,
+        hitbox: new Rectangle(50, 50),
+        ondrag: (event) => event.target.moveBy(event.dx, event.dy),
+        inertia,
+      });
+    }
+
+    function flick(item, steps, end = 'now') {
+      const centroid = { x: item.x + 1, y: item.y + 1 };
+      handler.track({ active: [centroid], centroid, phase: 'start' }, view);
+      for (let i = 0; i < steps; ++i) {
+        now += 10;
+        transform({ data: { centroid, delta: { translation: { x: 5, y: 0 } } } });
+      }
+      if (end === 'later') now += 500;
+      handler.track({ active: [], centroid, phase: 'end' }, view);
+    }
+
+    test('Items without inertia stop dead on release', () => {
+      const item = spawn();
+      flick(item, 5);
+      expect(item.isAnimating()).toBe(false);
+    });
+
+    test('Items with inertia glide at their release velocity', () => {
+      const item = spawn(true);
+      const glide = jest.spyOn(item, 'glide');
+      flick(item, 5);
+      expect(view.lockedItem).toBeNull();
+      expect(glide).toHaveBeenCalledWith(
+        { x: 0.5, y: 0 },
+        { friction: undefined, bounds: null }
+      );
+      expect(item.isAnimating()).toBe(true);
+    });
+
+    test('Items held still before release do not glide', () => {
+      const item = spawn(true);
+      flick(item, 5, 'later');
+      expect(item.isAnimating()).toBe(false);
+    });
+
+    test('Uses the friction and bounds requested by the item', () => {
+      const item = spawn({ friction: 0.8, bounce: true });
+      const glide = jest.spyOn(item, 'glide');
+      flick(item, 5);
+      expect(glide).toHaveBeenCalledWith(expect.anything(), {
+        friction: 0.8,
+        bounds:   ws.settings.bounds,
+      });
+    });
+
+    test('Items that snap do so once they stop gliding', () => {
+      const item = spawn(true);
+      item.snap = { grid: 100 };
+      const done = handler.glide(item, { x: 1, y: 0 });
+      for (let i = 0; i < 500; ++i) {
+        now += 20;
+        jest.advanceTimersByTime(20);
+      }
+      return done.then(() => {
+        expect(item.x % 100).toBe(0);
+      });
+    });
+
+    test('Undoing a throw undoes the glide and the snap too', () => {
+      const item = spawn(true);
+      item.snap = { grid: 100 };
+      const glide = jest.spyOn(handler, 'glide');
+      flick(item, 5);
+      for (let i = 0; i < 500; ++i) {
+        now += 20;
+        jest.advanceTimersByTime(20);
+      }
+      return glide.mock.results[0].value.then(() => {
+        expect(item.x % 100).toBe(0);
+        expect(ws.history.undo(view)).toBe(true);
+        expect(item).toMatchObject({ x: 10, y: 10 });
+        expect(ws.history.done.map(g => g.actor)).toEqual([null]);
+      });
+    });
+
+    test('Grabbing a gliding item stops it', () => {
+      const item = spawn(true);
+      flick(item, 5);
+      const centroid = { x: item.x + 1, y: item.y + 1 };
+      handler.track({ active: [centroid], centroid, phase: 'start' }, view);
+      expect(view.lockedItem).toBe(item);
+      expect(item.isAnimating()).toBe(false);
+    });
+  });
+
+  describe('snapping', () => {
+    let ws, handler, view, transform;
+    beforeEach(() => {
+      ws = new WorkSpace();
+      ws.namespace = { emit: jest.fn() };
+      handler = new MessageHandler(ws);
+      view = new ServerView({ emit: jest.fn(), broadcast: { emit: jest.fn() } });
+      transform = handler.handle('transform', view);
+    });
+
+    function drag(item, dx) {
+      const centroid = { x: item.x + 1, y: item.y + 1 };
+      handler.track({ active: [centroid], centroid, phase: 'start' }, view);
+      transform({ data: { centroid, delta: { translation: { x: dx, y: 0 } } } });
+      const { x } = item;
+      handler.track({ active: [], centroid, phase: 'end' }, view);
+      return x;
+    }
+
+    function spawn(snap) {
+      return ws.spawnItem({
+        x:      0,
+        y:      0,
+        hitbox: new Rectangle(50, 50),
+        ondrag: (event) => event.target.moveBy(event.dx, event.dy),
+        onsnap: jest.fn(),
+        snap,
+      });
+    }
+
+    test('Snaps dropped items into place', () => {
+      const item = spawn({ grid: 64 });
+      expect(drag(item, 40)).toBe(40);
+      expect(item.x).toBe(64);
+      expect(item.onsnap).toHaveBeenCalled();
+    });
+
+    test('Snaps while dragging if live', () => {
+      const item = spawn({ grid: 64, live: true });
+      expect(drag(item, 40)).toBe(64);
+      expect(item.onsnap).toHaveBeenCalledTimes(1);
+    });
+
+    test('Undoes the drag and the snap together', () => {
+      const item = spawn({ grid: 64 });
+      ws.history.pending = null;
+      drag(item, 40);
+      ws.undo(view);
+      expect(item.x).toBe(0);
+    });
+  });
+
+  describe('drag and drop', () => {
+    let ws, handler, view, transform, item, bin, other;
+    beforeEach(() => {
+      ws = new WorkSpace();
+      ws.namespace = { emit: jest.fn() };
+      handler = new MessageHandler(ws);
+      view = new ServerView({ emit: jest.fn(), broadcast: { emit: jest.fn() } });
+      transform = handler.handle('transform', view);
+
+      const handlers = () => ({
+        ondragenter: jest.fn(),
+        ondragleave: jest.fn(),
+        ondrop:      jest.fn(),
+      });
+      bin = ws.spawnItem({
+        x: 200, y: 0, hitbox: new Rectangle(100, 100), dropTarget: true,
+        ...handlers(),
+      });
+      other = ws.spawnItem({
+        x: 400, y: 0, hitbox: new Rectangle(100, 100), dropTarget: true,
+        ...handlers(),
+      });
+      item = ws.spawnItem({
+        x:           0,
+        y:           0,
+        hitbox:      new Rectangle(50, 50),
+        ondrag:      (event) => event.target.moveBy(event.dx, event.dy),
+        ondragstart: jest.fn(),
+        ondragend:   jest.fn(),
+        ondrop:      jest.fn(),
+      });
+    });
+
+    function start() {
+      const centroid = { x: 10, y: 10 };
+      handler.track({ active: [centroid], centroid, phase: 'start' }, view);
+    }
+
+    function moveTo(x) {
+      const centroid = { x, y: 10 };
+      transform({ data: { centroid, delta: { translation: { x: 0, y: 0 } } } });
+    }
+
+    function end() {
+      handler.track({ active: [], centroid: {}, phase: 'end' }, view);
+    }
+
+    test('Calls ondragstart when an item is grabbed', () => {
+      start();
+      expect(item.ondragstart).toHaveBeenCalledWith(expect.objectContaining({
+        target: item, item, view, x: 10, y: 10,
+      }));
+    });
+
+    test('Does not treat grabbing the background as a drag', () => {
+      const centroid = { x: 1000, y: 1000 };
+      handler.track({ active: [centroid], centroid, phase: 'start' }, view);
+      handler.track({ active: [], centroid, phase: 'end' }, view);
+      expect(handler.drags.size).toBe(0);
+    });
+
+    test('Informs drop targets as items enter and leave them', () => {
+      start();
+      moveTo(250);
+      expect(bin.ondragenter).toHaveBeenCalledWith(expect.objectContaining({
+        target: bin, item,
+      }));
+      moveTo(260);
+      expect(bin.ondragenter).toHaveBeenCalledTimes(1);
+      moveTo(450);
+      expect(bin.ondragleave).toHaveBeenCalledTimes(1);
+      expect(other.ondragenter).toHaveBeenCalledTimes(1);
+    });
+
+    test('Drops the item onto the target it was released over', () => {
+      start();
+      moveTo(250);
+      end();
+      const expected = expect.objectContaining({ item, dropTarget: bin });
+      expect(bin.ondrop).toHaveBeenCalledWith(expected);
+      expect(item.ondrop).toHaveBeenCalledWith(expected);
+      expect(item.ondragend).toHaveBeenCalledWith(expected);
+      expect(other.ondrop).not.toHaveBeenCalled();
+    });
+
+    test('Ends the drag without a drop if not over a target', () => {
+      start();
+      moveTo(250);
+      moveTo(350);
+      end();
+      expect(bin.ondrop).not.toHaveBeenCalled();
+      expect(item.ondrop).not.toHaveBeenCalled();
+      expect(item.ondragend).toHaveBeenCalledWith(expect.objectContaining({
+        dropTarget: null,
+      }));
+    });
+
+    test('Cancels the drag of a view that disconnects', () => {
+      start();
+      moveTo(250);
+      handler.cleanup(view);
+      expect(bin.ondragleave).toHaveBeenCalledTimes(1);
+      expect(bin.ondrop).not.toHaveBeenCalled();
+      expect(item.ondrop).not.toHaveBeenCalled();
+      expect(item.ondragend).toHaveBeenCalledWith(expect.objectContaining({
+        item, view, dropTarget: null,
+      }));
+      expect(handler.drags.has(view)).toBe(false);
+      expect(handler.motion.has(view)).toBe(false);
+      expect(handler.denials.has(view)).toBe(false);
+      expect(handler.holds.has(view)).toBe(false);
+    });
+
+    test('Records changes made on drop as part of the gesture', () => {
+      bin.ondrop = ({ item }) => ws.removeItem(item);
+      ws.history.pending = null;
+      start();
+      moveTo(250);
+      end();
+      expect(ws.items).not.toContain(item);
+      ws.undo(view);
+      expect(ws.items).toContain(item);
+    });
+  });
+
+  describe('shared locks', () => {
+    let ws, handler, a, b, item;
+    beforeEach(() => {
+      ws = new WorkSpace();
+      ws.namespace = { emit: jest.fn() };
+      handler = new MessageHandler(ws);
+      a = new ServerView({ emit: jest.fn(), broadcast: { emit: jest.fn() } });
+      b = new ServerView({ emit: jest.fn(), broadcast: { emit: jest.fn() } });
+      item = ws.spawnItem({
+        x:          0,
+        y:          0,
+        hitbox:     new Rectangle(100, 100),
+        ondrag:     (event) => event.target.moveBy(event.dx, event.dy),
+        onscale:    jest.fn(e => e.target.scaleBy(e.scale, e.x, e.y)),
+        onrotate:   jest.fn(),
+        sharedLock: true,
+      });
+    });
+
+    function grab(view, centroid) {
+      handler.track({ active: [centroid], centroid, phase: 'start' }, view);
+    }
+
+    function move(view, from, to) {
+      const translation = { x: to.x - from.x, y: to.y - from.y };
+      handler.handle('transform', view)({
+        data: { centroid: to, delta: { translation } },
+      });
+    }
+
+    function release(view) {
+      handler.track({ active: [], centroid: {}, phase: 'end' }, view);
+    }
+
+    test('Lets several views hold the item at once', () => {
+      grab(a, { x: 10, y: 50 });
+      grab(b, { x: 90, y: 50 });
+      expect(a.lockedItem).toBe(item);
+      expect(b.lockedItem).toBe(item);
+      release(a);
+      expect(item.isLocked()).toBe(true);
+      release(b);
+      expect(item.isLocked()).toBe(false);
+    });
+
+    test('Moves the item by the sum of the holders\' shares', () => {
+      grab(a, { x: 10, y: 50 });
+      grab(b, { x: 90, y: 50 });
+      move(a, { x: 10, y: 50 }, { x: 10, y: 60 });
+      move(b, { x: 90, y: 50 }, { x: 90, y: 60 });
+      expect(item).toMatchObject({ x: 0, y: 10, scale: 1 });
+    });
+
+    test('Stretches the item between the holders', () => {
+      grab(a, { x: 10, y: 50 });
+      grab(b, { x: 90, y: 50 });
+      move(b, { x: 90, y: 50 }, { x: 170, y: 50 });
+      expect(item.onscale).toHaveBeenCalledWith(expect.objectContaining({
+        scale: 2, x: 50, y: 50,
+      }));
+      expect(item).toMatchObject({ x: -10, y: -50, scale: 2 });
+    });
+
+    test('Rotates the item about the holders', () => {
+      grab(a, { x: 10, y: 50 });
+      grab(b, { x: 90, y: 50 });
+      move(b, { x: 90, y: 50 }, { x: 50, y: 90 });
+      const [[event]] = item.onrotate.mock.calls;
+      expect(event.rotation).toBeCloseTo(Math.PI / 4);
+      expect(item.onscale.mock.calls[0][0].scale).toBeCloseTo(Math.SQRT1_2);
+    });
+
+    test('Moves the item normally once only one holder remains', () => {
+      grab(a, { x: 10, y: 50 });
+      grab(b, { x: 90, y: 50 });
+      release(a);
+      move(b, { x: 90, y: 50 }, { x: 100, y: 50 });
+      expect(item).toMatchObject({ x: 10, y: 0, scale: 1 });
+    });
+  });
+
+  describe('selection', () => {
+    let ws, handler, view, transform, a, b, c;
+    beforeEach(() => {
+      ws = new WorkSpace();
+      ws.namespace = { emit: jest.fn() };
+      handler = new MessageHandler(ws);
+      view = new ServerView({ emit: jest.fn(), broadcast: { emit: jest.fn() } });
+      transform = handler.handle('transform', view);
+      const spawn = (x, y) => ws.spawnItem({
+        x,
+        y,
+        hitbox:   new Rectangle(20, 20),
+        ondrag:   (event) => event.target.moveBy(event.dx, event.dy),
+        onscale:  (e) => e.target.scaleBy(e.scale, e.x, e.y),
+        onrotate: jest.fn(),
+      });
+      a = spawn(0, 0);
+      b = spawn(100, 0);
+      c = spawn(300, 300);
+    });
+
+    function gesture(item, delta) {
+      const centroid = { x: item.x + 1, y: item.y + 1 };
+      handler.track({ active: [centroid], centroid, phase: 'start' }, view);
+      transform({ data: { centroid, delta } });
+      handler.track({ active: [], centroid, phase: 'end' }, view);
+    }
+
+    test('Selects the items within the rectangle drawn by the view', () => {
+      const onselect = jest.fn();
+      ws.events.on('select', onselect);
+      handler.select({ from: { x: 150, y: 50 }, to: { x: -10, y: -10 } }, view);
+      expect(view.selection).toHaveLength(2);
+      expect(view.selection).toEqual(expect.arrayContaining([a, b]));
+      expect(onselect).toHaveBeenCalledWith(view.selection, view);
+    });
+
+    test('Moves the whole selection together', () => {
+      view.select([a, b]);
+      gesture(a, { translation: { x: 5, y: 10 } });
+      expect(a).toMatchObject({ x: 5, y: 10 });
+      expect(b).toMatchObject({ x: 105, y: 10 });
+      expect(c).toMatchObject({ x: 300, y: 300 });
+    });
+
+    test('Scales and rotates the selection around its centre', () => {
+      view.select([a, b]);
+      gesture(b, { scale: 2, rotation: 0.5 });
+      expect(a).toMatchObject({ x: -60, y: -10, scale: 2 });
+      expect(b).toMatchObject({ x: 140, y: -10, scale: 2 });
+      expect(a.onrotate).toHaveBeenCalledWith(expect.objectContaining({
+        target: a, rotation: 0.5, x: 60, y: 10,
+      }));
+      expect(b.onrotate).toHaveBeenCalledWith(expect.objectContaining({
+        target: b, rotation: 0.5, x: 60, y: 10,
+      }));
+    });
+
+    test('Moves unselected items on their own', () => {
+      view.select([a, b]);
+      gesture(c, { translation: { x: 5, y: 0 } });
+      expect(c).toMatchObject({ x: 305, y: 300 });
+      expect(a).toMatchObject({ x: 0, y: 0 });
+    });
+
+    test('Does not grab the item where a selection is started', () => {
+      a.ondragstart = jest.fn();
+      a.snap = { grid: 100 };
+      a.moveTo(1, 1);
+      const centroid = { x: 2, y: 2 };
+      const selecting = true;
+      handler.track({ active: [centroid], centroid, phase: 'start', selecting },
+        view);
+      expect(view.lockedItem).toBeNull();
+      handler.select({ from: centroid, to: { x: 150, y: 50 } }, view);
+      handler.track({ active: [], centroid, phase: 'end' }, view);
+      expect(a.ondragstart).not.toHaveBeenCalled();
+      expect(a).toMatchObject({ x: 1, y: 1 });
+    });
+
+    test('Lets go of the item once a gesture becomes a selection', () => {
+      a.ondragend = jest.fn();
+      a.snap = { grid: 100 };
+      a.moveTo(1, 1);
+      const centroid = { x: 2, y: 2 };
+      handler.track({ active: [centroid], centroid, phase: 'start' }, view);
+      expect(view.lockedItem).toBe(a);
+      handler.select({ from: centroid, to: { x: 150, y: 50 } }, view);
+      expect(view.lockedItem).toBeNull();
+      expect(a.isLocked()).toBe(false);
+      expect(a.ondragend).toHaveBeenCalledTimes(1);
+      handler.track({ active: [], centroid, phase: 'end' }, view);
+      expect(a.ondragend).toHaveBeenCalledTimes(1);
+      expect(a).toMatchObject({ x: 1, y: 1 });
+    });
+  });
+
+  describe('permissions', () => {
+    let ws, handler, view, transform, click, item;
+    beforeEach(() => {
+      ws = new WorkSpace();
+      ws.namespace = { emit: jest.fn() };
+      handler = new MessageHandler(ws);
+      view = new ServerView({ emit: jest.fn(), broadcast: { emit: jest.fn() } });
+      transform = handler.handle('transform', view);
+      click = handler.handle('click', view);
+      item = ws.spawnItem({
+        x:        0,
+        y:        0,
+        hitbox:   new Rectangle(50, 50),
+        ondrag:   jest.fn(),
+        onrotate: jest.fn(),
+        onclick:  jest.fn(),
+        ondenied: jest.fn(),
+        owner:    'dealer',
+      });
+    });
+
+    function gesture(delta) {
+      const centroid = { x: 10, y: 10 };
+      handler.track({ active: [centroid], centroid, phase: 'start' }, view);
+      transform({ data: { centroid, delta } });
+      transform({ data: { centroid, delta } });
+      handler.track({ active: [], centroid, phase: 'end' }, view);
+    }
+
+    test('Lets the owner manipulate the item', () => {
+      view.role = 'dealer';
+      gesture({ translation: { x: 1, y: 0 }, rotation: 0.1 });
+      expect(item.ondrag).toHaveBeenCalledTimes(2);
+      expect(item.onrotate).toHaveBeenCalledTimes(2);
+      expect(item.ondenied).not.toHaveBeenCalled();
+    });
+
+    test('Only applies the permitted actions', () => {
+      item.permissions = { rotate: 'anyone' };
+      gesture({ translation: { x: 1, y: 0 }, rotation: 0.1 });
+      expect(item.onrotate).toHaveBeenCalledTimes(2);
+      expect(item.ondrag).not.toHaveBeenCalled();
+    });
+
+    test('Calls ondenied once per action per gesture', () => {
+      item.permissions = { rotate: 'anyone' };
+      gesture({ translation: { x: 1, y: 0 } });
+      gesture({ translation: { x: 1, y: 0 } });
+      expect(item.ondenied).toHaveBeenCalledTimes(2);
+      expect(item.ondenied).toHaveBeenCalledWith({
+        target: item, view, action: 'move',
+      });
+    });
+
+    test('Only clicks on behalf of permitted views', () => {
+      item.permissions = { click: (v) => v.id === view.id + 1 };
+      click({ data: { centroid: { x: 10, y: 10 } } });
+      view.obtainLockOnItem(view);
+      click({ data: { centroid: { x: 10, y: 10 } } });
+      expect(item.onclick).not.toHaveBeenCalled();
+      expect(item.ondenied).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'click',
+      }));
+    });
+  });
+
+  describe('concealed items', () => {
+    let ws, handler, a, b, card;
+    beforeEach(() => {
+      ws = new WorkSpace();
+      ws.namespace = { emit: jest.fn() };
+      handler = new MessageHandler(ws);
+      const socket = () => ({ emit: jest.fn(), broadcast: { emit: jest.fn() } });
+      a = new ServerView(socket());
+      b = new ServerView(socket());
+      card = ws.spawnItem({
+        x:          0,
+        y:          0,
+        hitbox:     new Rectangle(100, 100),
+        visibleTo:  [a.id],
+        onclick:    jest.fn(),
+        dropTarget: true,
+        ondrop:     jest.fn(),
+      });
+    });
+
+    function click(view) {
+      view.obtainLockOnItem(view);
+      handler.handle('click', view)({ data: { centroid: { x: 50, y: 50 } } });
+      view.releaseLockedItem();
+    }
+
+    test('Are only clicked on behalf of the views that may see them', () => {
+      click(b);
+      expect(card.onclick).not.toHaveBeenCalled();
+      click(a);
+      expect(card.onclick).toHaveBeenCalledWith(expect.objectContaining({
+        target: card, view: a,
+      }));
+    });
+
+    test('Cannot be grabbed by the views they are hidden from', () => {
+      ws.obtainLock(50, 50, b);
+      expect(b.lockedItem).toBe(b);
+      expect(card.isLocked()).toBeFalsy();
+    });
+
+    test('Are not drop targets for the views they are hidden from', () => {
+      const item = ws.spawnItem({ x: 0, y: 0, hitbox: new Rectangle(10, 10) });
+      expect(ws.findDropTarget(50, 50, item, b)).toBeUndefined();
+      expect(ws.findDropTarget(50, 50, item, a)).toBe(card);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/*
+ * Test suite for the MessageValidator class.
+ */
+
+'use strict';
+
+const { Message, TouchReporter, View } = require('shared.js');
+const MessageValidator = require('server/MessageValidator.js');
+
+describe('MessageValidator', () => {
+  let validator;
+  beforeEach(() => {
+    validator = new MessageValidator();
+  });
+
+  describe('constructor(schemas)', () => {
+    test('Uses the default schemas if none provided', () => {
+      expect(validator.schemas).toBe(MessageValidator.SCHEMAS);
+    });
+
+    test('Uses the given schemas, if provided', () => {
+      const schemas = { [Message.BLUR]: { type: 'any' } };
+      validator = new MessageValidator(schemas);
+      expect(validator.validate(Message.BLUR, 5)).toEqual({
+        data:     5,
+        problems: [],
+      });
+      expect(validator.validate(Message.CLICK, {}).data).toBeNull();
+    });
+  });
+
+  describe('validate(type, data)', () => {
+    test('Accepts the messages that clients send', () => {
+      const view = new View({ width: 800, height: 600 }).report();
+      expect(validator.validate(Message.LAYOUT, view)).toEqual({
+        data:     { width: 800, height: 600 },
+        problems: [],
+      });
+
+      const treport = new TouchReporter({ type: 'pointerdown' });
+      treport.changedTouches = [{ identifier: 1, clientX: 5, clientY: 6 }];
+      const pointer = validator.validate(Message.POINTER, treport.report());
+      expect(pointer.problems).toEqual([]);
+      expect(pointer.data.changedTouches).toEqual(treport.changedTouches);
+    });
+
+    test('Removes properties which are not in the schema', () => {
+      const data = { width: 10, height: 20, extra: { id: 1 } };
+      expect(validator.validate(Message.RESIZE, data).data).toEqual({
+        width:  10,
+        height: 20,
+      });
+    });
+
+    test('Leaves out optional values which are missing', () => {
+      const data = { centroid: { x: 0, y: 0 }, delta: { scale: 2 } };
+      const result = validator.validate(Message.TRANSFORM, { data });
+      expect(result.problems).toEqual([]);
+      expect(result.data.data.delta).toEqual({ scale: 2 });
+      expect(result.data.data.delta.hasOwnProperty('rotation')).toBe(false);
+    });
+
+    test('Clamps numbers which are out of range', () => {
+      const result = validator.validate(Message.RESIZE, {
+        width:  -5,
+        height: 1e9,
+      });
+      expect(result.data).toEqual({ width: 0, height: 1e6 });
+      expect(result.problems).toEqual([
+        'data.width is out of range',
+        'data.height is out of range',
+      ]);
+    });
+
+    test('Returns corrected data along with the problems', () => {
+      const data = { active: [], centroid: { x: 5e6, y: 0 }, phase: 'end' };
+      expect(validator.validate(Message.TRACK, { data })).toEqual({
+        data:     { data: { ...data, centroid: { x: 1e6, y: 0 } } },
+        problems: ['data.data.centroid.x is out of range'],
+      });
+    });
+
+    test('Rejects values of the wrong type', () => {
+      expect(validator.validate(Message.LAYOUT, { width: '5', height: 5 }))
+        .toEqual({ data: null, problems: ['data.width is not a number'] });
+      expect(validator.validate(Message.LAYOUT, { width: NaN, height: 5 }))
+        .toEqual({ data: null, problems: ['data.width is not finite'] });
+      expect(validator.validate(Message.LAYOUT, [])).toEqual({
+        data:     null,
+        problems: ['data is not an object'],
+      });
+    });
+
+    test('Rejects missing values which are not optional', () => {
+      expect(validator.validate(Message.LAYOUT, { width: 5 })).toEqual({
+        data:     null,
+        problems: ['data.height is missing'],
+      });
+      expect(validator.validate(Message.LAYOUT).data).toBeNull();
+    });
+
+    test('Decides whether some values are optional from the data', () => {
+      const data = { active: [], phase: 'start' };
+      expect(validator.validate(Message.TRACK, { data })).toEqual({
+        data:     null,
+        problems: ['data.data.centroid is missing'],
+      });
+      data.phase = 'end';
+      expect(validator.validate(Message.TRACK, { data })).toEqual({
+        data:     { data },
+        problems: [],
+      });
+    });
+
+    test('Rejects arrays which are too long', () => {
+      const active = Array.from({ length: 100 }, () => ({ x: 0, y: 0 }));
+      const data = { active, phase: 'move' };
+      expect(validator.validate(Message.TRACK, { data })).toEqual({
+        data:     null,
+        problems: ['data.data.active is too long'],
+      });
+    });
+
+    test('Rejects strings which are not accepted', () => {
+      const treport = new TouchReporter({ type: 'keydown' });
+      expect(validator.validate(Message.POINTER, treport.report())).toEqual({
+        data:     null,
+        problems: ['data.type is not an accepted value'],
+      });
+      const event = 'a'.repeat(1000);
+      expect(validator.validate(Message.DISPATCH, { event }).problems)
+        .toEqual(['data.event is too long']);
+    });
+
+    test('Checks the elements of arrays', () => {
+      const treport = new TouchReporter({ type: 'touchmove' });
+      treport.changedTouches = [
+        { identifier: 0, clientX: 5, clientY: 5 },
+        { identifier: 1, clientX: 5 },
+      ];
+      expect(validator.validate(Message.POINTER, treport.report())).toEqual({
+        data:     null,
+        problems: ['data.changedTouches[1].clientY is missing'],
+      });
+    });
+
+    test('Passes the payload of custom messages through', () => {
+      const payload = { any: ['thing'] };
+      expect(validator.validate(Message.DISPATCH, { event: 'a', payload }))
+        .toEqual({ data: { event: 'a', payload }, problems: [] });
+    });
+
+    test('Rejects messages which clients should not send', () => {
+      expect(validator.validate(Message.UD_ITEM, { id: 1 })).toEqual({
+        data:     null,
+        problems: [`${Message.UD_ITEM} is not accepted from clients`],
+      });
+    });
+  });
+});
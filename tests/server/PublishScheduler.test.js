@@ -0,0 +1,217 @@
+/*
+ * Test suite for the PublishScheduler class.
+ */
+
+'use strict';
+
+const http = require('http');
+const io = require('socket.io');
+const ioClient = require('socket.io-client');
+
+const {
+  BinaryCodec,
+  DataReporter,
+  Message,
+  Rectangle,
+} = require('shared.js');
+const PublishScheduler = require('server/PublishScheduler.js');
+const ServerView = require('server/ServerView.js');
+const WorkSpace = require('server/WorkSpace.js');
+
+describe('PublishScheduler', () => {
+  let namespace, views, scheduler;
+  beforeEach(() => {
+    namespace = { emit: jest.fn() };
+    views = [1, 2, 3].map(() => {
+      const socket = { emit: jest.fn(), broadcast: { emit: jest.fn() } };
+      return new ServerView(socket);
+    });
+    scheduler = new PublishScheduler(namespace, views);
+  });
+
+  function message(value) {
+    return new Message(Message.SET_RENDER, new DataReporter({ data: value }));
+  }
+
+  function batches(view) {
+    return view.socket.emit.mock.calls
+      .filter(([type]) => type === Message.BATCH)
+      .map(([, { data }]) => data.map(m => m.data.data));
+  }
+
+  describe('emit(message, emitter)', () => {
+    test('Sends namespace messages to every view', () => {
+      scheduler.emit(message('a'), namespace);
+      scheduler.flush();
+      views.forEach(v => expect(batches(v)).toEqual([['a']]));
+      expect(namespace.emit).not.toHaveBeenCalled();
+    });
+
+    test('Sends socket messages to that view only', () => {
+      scheduler.emit(message('a'), views[1].socket);
+      scheduler.flush();
+      expect(batches(views[0])).toEqual([]);
+      expect(batches(views[1])).toEqual([['a']]);
+      expect(batches(views[2])).toEqual([]);
+    });
+
+    test('Keeps the messages for each view in order', () => {
+      scheduler.emit(message('a'), namespace);
+      scheduler.emit(message('b'), views[0].socket);
+      scheduler.broadcast(message('c'), views[0]);
+      scheduler.emit(message('d'), namespace);
+      scheduler.flush();
+      expect(batches(views[0])).toEqual([['a', 'b', 'd']]);
+      expect(batches(views[1])).toEqual([['a', 'c', 'd']]);
+    });
+
+    test('Decides the recipients when the message is emitted', () => {
+      scheduler.emit(message('a'), namespace);
+      const late = new ServerView({ emit: jest.fn(), broadcast: {} });
+      views.push(late);
+      scheduler.flush();
+      expect(batches(late)).toEqual([]);
+    });
+
+    test('Emits messages for other emitters straight away', () => {
+      const emitter = { emit: jest.fn() };
+      scheduler.emit(message('a'), emitter);
+      expect(emitter.emit).toHaveBeenCalledWith(Message.SET_RENDER, {
+        data: 'a',
+      });
+    });
+  });
+
+  describe('broadcast(message, sender)', () => {
+    test('Sends the message to every other view', () => {
+      scheduler.broadcast(message('a'), views[1]);
+      scheduler.flush();
+      expect(batches(views[0])).toEqual([['a']]);
+      expect(batches(views[1])).toEqual([]);
+      expect(batches(views[2])).toEqual([['a']]);
+    });
+  });
+
+  describe('flush()', () => {
+    test('Happens by itself at the end of the turn of the event loop', () => {
+      scheduler.emit(message('a'), namespace);
+      expect(batches(views[0])).toEqual([]);
+      return new Promise(resolve => setImmediate(resolve)).then(() => {
+        expect(batches(views[0])).toEqual([['a']]);
+      });
+    });
+
+    test('Encodes each batch with the codec', () => {
+      scheduler = new PublishScheduler(namespace, views, BinaryCodec);
+      scheduler.emit(message('a'), namespace);
+      scheduler.flush();
+      const [type, data] = views[0].socket.emit.mock.calls[0];
+      expect(type).toBe(Message.BATCH);
+      expect(data).toBeInstanceOf(ArrayBuffer);
+      expect(BinaryCodec.decode(data)).toEqual({
+        data: [{ type: Message.SET_RENDER, data: { data: 'a' } }],
+      });
+    });
+
+    test('Does not send anything if nothing is waiting', () => {
+      scheduler.flush();
+      views.forEach(v => expect(v.socket.emit).not.toHaveBeenCalled());
+    });
+  });
+
+  describe('with socket.io', () => {
+    let server, clients, ws;
+    beforeEach(done => {
+      const httpServer = http.createServer();
+      server = io(httpServer);
+      ws = new WorkSpace({}, server.of('/'));
+      clients = [];
+      let pending = 4;
+      const connected = () => {
+        if (--pending === 0) done();
+      };
+      server.on('connection', socket => {
+        ws.addView(new ServerView(socket));
+        connected();
+      });
+      httpServer.listen(0, '127.0.0.1', () => {
+        const { port } = httpServer.address();
+        [1, 2].forEach(() => {
+          const url = `http://127.0.0.1:${port}`;
+          const client = ioClient(url, { reconnection: false });
+          client.on('connect', connected);
+          clients.push(client);
+        });
+      });
+    });
+
+    afterEach(done => {
+      clients.forEach(client => client.close());
+      server.close(done);
+    });
+
+    function client(view) {
+      return clients.find(c => c.id === view.socket.id);
+    }
+
+    test('Sends the shadow of a view to the other clients only', done => {
+      const [a, b] = ws.views;
+      const received = new Map();
+      [a, b].forEach(view => {
+        client(view).on(Message.BATCH, ({ data }) => {
+          received.set(view, data.map(m => m.type));
+          if (received.size < 2) return;
+          expect(received.get(a)).toEqual([Message.UD_VIEW]);
+          expect(received.get(b)).toEqual([Message.UD_SHADOW]);
+          done();
+        });
+      });
+      a.moveBy(10, 10);
+      a.emitPublication();
+      ws.scheduler.flush();
+    });
+
+    test('Sends batches encoded with the binary codec as binary', done => {
+      const [a, b] = ws.views;
+      ws.scheduler.codec = BinaryCodec;
+      client(b).on(Message.BATCH, data => {
+        expect(ArrayBuffer.isView(data) || data instanceof ArrayBuffer)
+          .toBe(true);
+        const [message] = BinaryCodec.decode(data).data;
+        expect(message.type).toBe(Message.UD_SHADOW);
+        expect(message.data).toMatchObject({ id: a.id, x: a.x, y: a.y });
+        done();
+      });
+      a.moveBy(10, 10);
+      a.emitPublication();
+      ws.scheduler.flush();
+    });
+  });
+
+  describe('in a workspace', () => {
+    test('Sends a group drag of many items as one message per client', () => {
+      const ws = new WorkSpace({}, namespace);
+      views.forEach(v => ws.addView(v));
+      const items = Array.from({ length: 50 }, (_, i) => {
+        return ws.spawnItem({ x: i, y: 0, hitbox: new Rectangle(1, 1) });
+      });
+      items.forEach(item => item.emitPublication());
+      ws.scheduler.flush();
+      views.forEach(view => view.socket.emit.mockClear());
+      items.forEach(item => item.moveBy(10, 10));
+      items.forEach(item => item.emitPublication());
+      ws.scheduler.flush();
+
+      views.forEach(view => {
+        expect(view.socket.emit).toHaveBeenCalledTimes(1);
+        const [type, { data }] = view.socket.emit.mock.calls[0];
+        expect(type).toBe(Message.BATCH);
+        expect(data).toHaveLength(50);
+        expect(data[49]).toEqual({
+          type: Message.UD_ITEM,
+          data: { id: items[49].id, x: 59, y: 10 },
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,241 @@
+/*
+ * Test suite for the REST API.
+ */
+
+'use strict';
+
+const http = require('http');
+
+const Application = require('server/Application.js');
+
+describe('RestApi', () => {
+  let app, port;
+  beforeAll(done => {
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    app = new Application();
+    app.createRoom('lobby');
+    app.serveRestApi('secret');
+    app.server.listen(0, '127.0.0.1', () => {
+      port = app.server.address().port;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    console.info.mockRestore();
+    app.io.close(done);
+  });
+
+  function request(method, path, body, token = 'secret') {
+    return new Promise((resolve, reject) => {
+      const data = body == null ? '' : JSON.stringify(body);
+      const req = http.request({
+        host:    '127.0.0.1',
+        port,
+        method,
+        path,
+        headers: {
+          'Content-Type':   'application/json',
+          'Content-Length': Buffer.byteLength(data),
+          'Authorization':  `Bearer ${token}`,
+        },
+      }, res => {
+        let text = '';
+        res.on('data', chunk => {
+          text += chunk;
+        });
+        res.on('end', () => {
+          resolve({ status: res.statusCode, body: text && JSON.parse(text) });
+        });
+      });
+      req.on('error', reject);
+      req.end(data);
+    });
+  }
+
+  test('Refuses requests without the token', async () => {
+    const wrong = await request('GET', '/api/items', null, 'guess');
+    expect(wrong.status).toBe(401);
+    const missing = await request('GET', '/api/items', null, '');
+    expect(missing.status).toBe(401);
+  });
+
+  test('Is not served without a token', () => {
+    jest.spyOn(console, 'warn').mockImplementationOnce(() => {});
+    const other = new Application();
+    const use = jest.spyOn(other.router, 'use');
+    other.serveRestApi();
+    expect(use).not.toHaveBeenCalled();
+  });
+
+  test('Spawns items from predefined factories', async () => {
+    const res = await request('POST', '/api/items', {
+      factory: 'square',
+      args:    [0, 0, 100, 'red'],
+    });
+    expect(res.status).toBe(201);
+    expect(app.workspace.findItemById(res.body.id)).toBeDefined();
+  });
+
+  test('Spawns images and elements with the right routine', async () => {
+    const image = await request('POST', '/api/items', {
+      factory: 'image',
+      args:    ['cards/ace.png', { width: 10, height: 10 }],
+    });
+    expect(image.body.src).toBe('cards/ace.png');
+    const element = await request('POST', '/api/items', {
+      factory: 'element',
+      args:    [0, 0, 10, 10, { attributes: { id: 'panel' } }],
+    });
+    expect(element.body.attributes).toEqual({ id: 'panel' });
+  });
+
+  test('Rejects unknown factories', async () => {
+    const res = await request('POST', '/api/items', { factory: 'eval' });
+    expect(res.status).toBe(400);
+    const html = await request('POST', '/api/items', {
+      factory: 'wrappedElement',
+      args:    ['<img src=x onerror=alert(1)>', 10, 10],
+    });
+    expect(html.status).toBe(400);
+  });
+
+  test('Rejects elements that could inject script', async () => {
+    const spawn = (properties) => request('POST', '/api/items', {
+      factory: 'element',
+      args:    [0, 0, 10, 10, properties],
+    });
+    const count = app.workspace.items.length;
+    expect((await spawn({ tagname: 'script' })).status).toBe(400);
+    expect((await spawn({ attributes: { innerHTML: '<b>' } })).status)
+      .toBe(400);
+    expect((await spawn({ attributes: { onload: 'alert(1)' } })).status)
+      .toBe(400);
+    expect((await spawn({ attributes: { src: 'javascript:alert(1)' } })).status)
+      .toBe(400);
+    expect(app.workspace.items).toHaveLength(count);
+  });
+
+  test('Rejects images with unsafe sources', async () => {
+    const spawn = (properties) => request('POST', '/api/items', {
+      factory: 'image',
+      args:    ['a.png', properties],
+    });
+    const count = app.workspace.items.length;
+    expect((await spawn({ privateSrc: 'javascript:alert(1)' })).status)
+      .toBe(400);
+    expect((await spawn({ publicSrc: 'data:text/html,<b>' })).status)
+      .toBe(400);
+    expect((await spawn({ publicSrc: 5 })).status).toBe(400);
+    expect(app.workspace.items).toHaveLength(count);
+
+    const ok = await spawn({ privateSrc: 'b.png', publicSrc: 'c.png' });
+    expect(ok.status).toBe(201);
+  });
+
+  test('Rejects descriptors with keys the factory does not allow', async () => {
+    const spawn = (properties) => request('POST', '/api/items', {
+      factory: 'square',
+      args:    [0, 0, 10, 'red', properties],
+    });
+    const count = app.workspace.items.length;
+    expect((await spawn({ visibleTo: [1] })).status).toBe(400);
+    expect((await spawn({ owner: 1 })).status).toBe(400);
+    expect((await spawn({ permissions: { move: 'owner' } })).status).toBe(400);
+    expect((await spawn({ id: 1 })).status).toBe(400);
+    expect(app.workspace.items).toHaveLength(count);
+
+    const ok = await spawn({ rotation: 1 });
+    expect(ok.status).toBe(201);
+  });
+
+  test('Rejects arguments that make the factory throw', async () => {
+    const res = await request('POST', '/api/items', {
+      factory: 'polygon',
+      args:    [5, 'red'],
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid arguments for polygon.');
+  });
+
+  test('Rejects unsafe or mistyped attributes and sources', async () => {
+    const element = app.spawnElement({ attributes: { id: 'a' } });
+    const image = app.spawnImage({ src: 'a.png' });
+    const patch = (item, body) => request('PATCH', `/api/items/${item.id}`, body);
+    expect((await patch(element, { attributes: { onclick: 'x' } })).status)
+      .toBe(400);
+    expect((await patch(element, { attributes: 'id' })).status).toBe(400);
+    expect((await patch(element, { src: 'b.png' })).status).toBe(400);
+    expect((await patch(image, { src: 5 })).status).toBe(400);
+    expect((await patch(image, { src: 'javascript:alert(1)' })).status)
+      .toBe(400);
+    expect(element.attributes).toEqual({ id: 'a' });
+    expect(image.src).toBe('a.png');
+
+    const ok = await patch(element, { attributes: { title: 'b' } });
+    expect(ok.status).toBe(200);
+    expect(element.attributes).toEqual({ id: 'a', title: 'b' });
+  });
+
+  test('Lists items and views', async () => {
+    const items = await request('GET', '/api/items');
+    expect(items.body).toHaveLength(app.workspace.items.length);
+    const views = await request('GET', '/api/views');
+    expect(views.body).toEqual([]);
+  });
+
+  test('Reports a single item', async () => {
+    const item = app.spawnItem({ x: 7 });
+    const res = await request('GET', `/api/items/${item.id}`);
+    expect(res.body).toMatchObject({ id: item.id, x: 7 });
+    const missing = await request('GET', '/api/items/99999');
+    expect(missing.status).toBe(404);
+  });
+
+  test('Changes items with absolute values', async () => {
+    const item = app.spawnItem({});
+    const res = await request('PATCH', `/api/items/${item.id}`, {
+      x:        50,
+      y:        60,
+      rotation: 1,
+      scale:    2,
+    });
+    expect(res.status).toBe(200);
+    expect(item.x).toBeCloseTo(50);
+    expect(item.y).toBeCloseTo(60);
+    expect(item.rotation).toBeCloseTo(1);
+    expect(item.scale).toBeCloseTo(2);
+  });
+
+  test('Rejects invalid changes', async () => {
+    const item = app.spawnItem({});
+    const res = await request('PATCH', `/api/items/${item.id}`, { x: 'a' });
+    expect(res.status).toBe(400);
+    expect(item.x).toBe(0);
+  });
+
+  test('Removes items', async () => {
+    const item = app.spawnItem({});
+    const res = await request('DELETE', `/api/items/${item.id}`);
+    expect(res.status).toBe(204);
+    expect(app.workspace.items).not.toContain(item);
+  });
+
+  test('Reports items which could not be removed', async () => {
+    const item = app.spawnItem({});
+    jest.spyOn(app.workspace, 'removeItem').mockReturnValueOnce(false);
+    const res = await request('DELETE', `/api/items/${item.id}`);
+    expect(res.status).toBe(404);
+  });
+
+  test('Acts on the room given in the query', async () => {
+    const res = await request('POST', '/api/items?room=lobby', {
+      factory: 'square',
+      args:    [0, 0, 10],
+    });
+    const lobby = app.getRoom('lobby');
+    expect(lobby.workspace.findItemById(res.body.id)).toBeDefined();
+    const missing = await request('GET', '/api/items?room=nowhere');
+    expect(missing.status).toBe(404);
+  });
+});
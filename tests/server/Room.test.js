@@ -0,0 +1,280 @@
+/*
+ * Test suite for the Room class, and the creation of rooms by the Application.
+ */
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const ioClient = require('socket.io-client');
+
+const { Message } = require('shared.js');
+
+const Application = require('server/Application.js');
+const Room = require('server/Room.js');
+
+function fakeNamespace() {
+  return { on: jest.fn(), emit: jest.fn() };
+}
+
+describe('Room', () => {
+  describe('constructor(name, namespace, settings)', () => {
+    test('Creates an isolated workspace, handler, and switchboard', () => {
+      const a = new Room('a', fakeNamespace());
+      const b = new Room('b', fakeNamespace());
+      expect(a.workspace).not.toBe(b.workspace);
+      expect(a.messageHandler).not.toBe(b.messageHandler);
+      expect(a.switchboard.group).not.toBe(b.switchboard.group);
+      expect(a.messageHandler.workspace).toBe(a.workspace);
+    });
+
+    test('Forwards settings to the workspace', () => {
+      const room = new Room('a', fakeNamespace(), { color: 'red' });
+      expect(room.workspace.settings.color).toBe('red');
+    });
+  });
+
+  describe('spawnItem(values)', () => {
+    test('Only informs the clients of this room', () => {
+      const a = new Room('a', fakeNamespace());
+      const b = new Room('b', fakeNamespace());
+      const va = { socket: { emit: jest.fn() } };
+      const vb = { socket: { emit: jest.fn() } };
+      a.workspace.addView(va);
+      b.workspace.addView(vb);
+      const item = a.spawnItem({});
+      a.workspace.scheduler.flush();
+      b.workspace.scheduler.flush();
+      expect(a.workspace.items).toContain(item);
+      expect(b.workspace.items).toHaveLength(0);
+      expect(va.socket.emit).toHaveBeenCalledWith(Message.BATCH, expect.anything());
+      expect(vb.socket.emit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('onlayout(callback)', () => {
+    test('Registers the layout handler for this room only', () => {
+      const a = new Room('a', fakeNamespace());
+      const b = new Room('b', fakeNamespace());
+      const layout = jest.fn();
+      a.onlayout(layout);
+      expect(a.messageHandler.onlayout).toBe(layout);
+      expect(b.messageHandler.onlayout).toBeNull();
+    });
+  });
+
+  describe('ontick(callback)', () => {
+    test('Runs the handler with the workspace of this room', () => {
+      const room = new Room('a', fakeNamespace(), { tickRate: 20 });
+      const tick = jest.fn();
+      room.ticker.pause();
+      room.ontick(tick);
+      room.ticker.step();
+      expect(tick).toHaveBeenCalledWith(50, room.workspace);
+    });
+  });
+
+  describe('events', () => {
+    let room;
+    beforeEach(() => {
+      room = new Room('a', fakeNamespace());
+    });
+
+    test('Emits item-spawned and item-removed', () => {
+      const spawned = jest.fn();
+      const removed = jest.fn();
+      room.on('item-spawned', spawned);
+      room.on('item-removed', removed);
+      const item = room.spawnItem({});
+      expect(spawned).toHaveBeenCalledWith(item);
+      room.removeItem(item);
+      expect(removed).toHaveBeenCalledWith(item);
+    });
+
+    test('Emits item-spawned when a removal is undone', () => {
+      const item = room.spawnItem({});
+      room.workspace.history.pending = null;
+      room.removeItem(item);
+      const spawned = jest.fn();
+      room.on('item-spawned', spawned);
+      room.undo();
+      expect(spawned).toHaveBeenCalledWith(item);
+    });
+  });
+
+  describe('broadcast(event, payload)', () => {
+    test('Sends a custom message to all the clients in the room', () => {
+      const room = new Room('a', fakeNamespace());
+      room.broadcast('round-over', [1, 2]);
+      expect(room.namespace.emit).toHaveBeenCalledWith('wams-dispatch', {
+        event:   'round-over',
+        payload: [1, 2],
+      });
+    });
+
+    test('Throws if the message has no valid name', () => {
+      const room = new Room('a', fakeNamespace());
+      expect(() => room.broadcast()).toThrow(TypeError);
+    });
+  });
+
+  describe('close()', () => {
+    test('Stops the loop and discards the suspended sessions', () => {
+      const room = new Room('a', fakeNamespace());
+      room.ontick(jest.fn());
+      const expired = jest.fn();
+      const timer = setTimeout(expired, 0);
+      const socket = { connected: false };
+      const controller = { index: 0, view: {}, socket };
+      room.switchboard.connections = [controller];
+      room.switchboard.suspended.set('s', { controller, timer });
+      room.close();
+      expect(room.ticker.timer).toBeNull();
+      expect(room.switchboard.suspended.size).toBe(0);
+      expect(room.switchboard.connections).toEqual([null]);
+      return new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+        expect(expired).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('report()', () => {
+    test('Reports the name and number of clients', () => {
+      const room = new Room('a', fakeNamespace());
+      room.switchboard.connections = [{}, null, {}];
+      expect(room.report()).toEqual({ name: 'a', clients: 2 });
+    });
+  });
+});
+
+describe('Application', () => {
+  let app;
+  beforeEach(() => {
+    app = new Application({ color: 'blue' });
+  });
+
+  afterEach(() => {
+    app.io.close();
+  });
+
+  test('Is the default room', () => {
+    expect(app).toBeInstanceOf(Room);
+    expect(app.name).toBeNull();
+    expect(app.namespace.name).toBe('/wams');
+  });
+
+  describe('createRoom(name, settings)', () => {
+    test('Creates a room in its own namespace', () => {
+      const room = app.createRoom('lobby');
+      expect(room).toBeInstanceOf(Room);
+      expect(room.namespace.name).toBe('/wams/lobby');
+      expect(room.workspace).not.toBe(app.workspace);
+      expect(app.getRoom('lobby')).toBe(room);
+    });
+
+    test('Uses the application settings as defaults', () => {
+      const room = app.createRoom('lobby', { clientLimit: 2 });
+      expect(room.workspace.settings.color).toBe('blue');
+      expect(room.switchboard.clientLimit).toBe(2);
+    });
+
+    test('Rejects invalid or duplicate names', () => {
+      app.createRoom('lobby');
+      expect(() => app.createRoom('lobby')).toThrow();
+      expect(() => app.createRoom('a/b')).toThrow(TypeError);
+      expect(() => app.createRoom()).toThrow(TypeError);
+    });
+  });
+
+  describe('getRoom(name)', () => {
+    test('Returns null for unknown rooms', () => {
+      expect(app.getRoom('nowhere')).toBeNull();
+    });
+  });
+
+  describe('unknown rooms', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'info').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.info.mockRestore();
+    });
+
+    function connect(room, callback) {
+      app.server.listen(0, '127.0.0.1', () => {
+        const { port } = app.server.address();
+        const url = `http://127.0.0.1:${port}/wams/${room}`;
+        callback(ioClient(url, { reconnection: false }));
+      });
+    }
+
+    test('Tells clients of unknown rooms that there is no such room', done => {
+      connect('nowhere', socket => {
+        socket.on(Message.INITIALIZE, () => done.fail('Accepted'));
+        socket.on('error', error => {
+          expect(error).toBe('Invalid namespace');
+          expect(app.io.nsps).not.toHaveProperty(['/wams/nowhere']);
+          socket.close();
+          done();
+        });
+      });
+    });
+
+    test('Lets clients into rooms which exist', done => {
+      app.createRoom('lobby', { sessionTimeout: 0 });
+      connect('lobby', socket => {
+        socket.on('error', error => {
+          if (error === 'Invalid namespace') done.fail('Rejected');
+        });
+        socket.on(Message.INITIALIZE, () => {
+          socket.close();
+          done();
+        });
+      });
+    });
+  });
+
+  describe('HTTPS', () => {
+    test('Uses HTTP by default', () => {
+      expect(app.server).toBeInstanceOf(http.Server);
+      expect(app.server).not.toBeInstanceOf(https.Server);
+    });
+
+    test('Generates a self-signed certificate if requested', () => {
+      const secure = new Application({ https: true });
+      expect(secure.server).toBeInstanceOf(https.Server);
+      secure.io.close();
+    });
+
+    test('Redirects HTTP requests if requested', done => {
+      jest.spyOn(console, 'info').mockImplementation(() => {});
+      const secure = new Application({ https: true, redirectPort: 0 });
+      secure.listen(0, '127.0.0.1');
+      secure.redirectServer.on('listening', () => {
+        const { port } = secure.redirectServer.address();
+        http.get({ host: '127.0.0.1', port, path: '/abc' }, res => {
+          expect(res.statusCode).toBe(301);
+          expect(res.headers.location).toBe('https://127.0.0.1:0/abc');
+          res.resume();
+          secure.redirectServer.close();
+          secure.io.close(() => {
+            console.info.mockRestore();
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('reportRooms()', () => {
+    test('Lists the created rooms', () => {
+      app.createRoom('a');
+      app.createRoom('b');
+      expect(app.reportRooms()).toEqual([
+        { name: 'a', clients: 0 },
+        { name: 'b', clients: 0 },
+      ]);
+    });
+  });
+});
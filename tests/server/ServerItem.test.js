@@ -7,7 +7,7 @@
 
 'use strict';
 
-const { Item, Rectangle } = require('shared.js');
+const { Item, Message, NOP, Polygon2D, Rectangle } = require('shared.js');
 const ServerItem = require('server/ServerItem.js');
 
 let item, namespace;
@@ -89,6 +89,123 @@ describe('ServerItem', () => {
       });
     });
 
+    describe('emitPublication()', () => {
+      let other;
+      beforeEach(() => {
+        other = new ServerItem(namespace, { x: 10, y: 20, type: 'token' });
+      });
+
+      function updates() {
+        return namespace.emit.mock.calls
+          .filter(([type]) => type === Message.UD_ITEM)
+          .map(([, data]) => data);
+      }
+
+      test('Reports the whole item the first time', () => {
+        other.emitPublication();
+        expect(updates()).toEqual([other.report()]);
+      });
+
+      test('Afterwards reports only the properties which changed', () => {
+        other.emitPublication();
+        other.moveBy(5, 0);
+        other.emitPublication();
+        expect(updates()[1]).toEqual({ id: other.id, x: 15 });
+      });
+
+      test('Reports nothing if nothing changed', () => {
+        other.emitPublication();
+        other.emitPublication();
+        expect(updates()).toHaveLength(1);
+      });
+
+      test('Reports properties which were changed and changed back', () => {
+        other.emitPublication();
+        other.moveBy(5, 0);
+        other.moveBy(-5, 0);
+        other.emitPublication();
+        expect(updates()[1]).toEqual({ id: other.id, x: 10 });
+      });
+
+      test('Uses much less bandwidth for small changes', () => {
+        other.emitPublication();
+        other.moveBy(5, 0);
+        other.emitPublication();
+        const [full, delta] = updates().map(u => JSON.stringify(u).length);
+        expect(delta).toBeLessThan(full / 2);
+      });
+    });
+
+    describe('getHitboxBounds()', () => {
+      test('Finds the bounds of a rectangular hitbox', () => {
+        expect(item.getHitboxBounds()).toEqual({
+          x: 0, y: 0, width: 100, height: 100,
+        });
+      });
+
+      test('Finds the bounds of a polygonal hitbox', () => {
+        const tri = new ServerItem(namespace, {
+          hitbox: new Polygon2D([{ x: -5, y: 0 }, { x: 5, y: 0 }, { x: 0, y: 8 }]),
+        });
+        expect(tri.getHitboxBounds()).toEqual({
+          x: -5, y: 0, width: 10, height: 8,
+        });
+      });
+
+      test('Returns null without a hitbox', () => {
+        expect(new ServerItem(namespace).getHitboxBounds()).toBeNull();
+      });
+    });
+
+    describe('getBounds()', () => {
+      test('Finds the bounds of the hitbox in workspace coordinates', () => {
+        expect(item.getBounds()).toEqual({
+          x: 50, y: 50, width: 100, height: 100,
+        });
+      });
+
+      test('Accounts for scale and rotation', () => {
+        const other = new ServerItem(namespace, {
+          ...props, scale: 2, rotation: -Math.PI / 2,
+        });
+        const bounds = other.getBounds();
+        expect(bounds.x).toBeCloseTo(-150);
+        expect(bounds.y).toBeCloseTo(50);
+        expect(bounds.width).toBeCloseTo(200);
+        expect(bounds.height).toBeCloseTo(200);
+      });
+
+      test('Is an empty box at the position of an item without a hitbox', () => {
+        const other = new ServerItem(namespace, { x: 3, y: 4 });
+        expect(other.getBounds()).toEqual({ x: 3, y: 4, width: 0, height: 0 });
+      });
+
+      test('Returns null if the bounds of the hitbox are not known', () => {
+        const other = new ServerItem(namespace, { hitbox: { contains: NOP } });
+        expect(other.getBounds()).toBeNull();
+      });
+    });
+
+    describe('getCentre()', () => {
+      test('Finds the centre of the hitbox in workspace coordinates', () => {
+        expect(item.getCentre()).toMatchObject({ x: 100, y: 100 });
+      });
+
+      test('Accounts for scale and rotation', () => {
+        const other = new ServerItem(namespace, {
+          ...props, scale: 2, rotation: -Math.PI / 2,
+        });
+        const centre = other.getCentre();
+        expect(centre.x).toBeCloseTo(-50);
+        expect(centre.y).toBeCloseTo(150);
+      });
+
+      test('Uses the position of an item without a hitbox', () => {
+        const other = new ServerItem(namespace, { x: 3, y: 4 });
+        expect(other.getCentre()).toMatchObject({ x: 3, y: 4 });
+      });
+    });
+
     describe('moveTo(x, y)', () => {
       test('Has no effect if parameters left out', () => {
         expect(item.x).toBe(50);
@@ -49,6 +49,10 @@ describe('ServerView', () => {
       expect(view).toHaveImmutableProperty('id');
       expect(view.id).toBeGreaterThanOrEqual(0);
     });
+
+    test('Starts without any violations', () => {
+      expect(view.violations).toBe(0);
+    });
   });
 
   describe('Methods', () => {
@@ -115,6 +119,172 @@ describe('ServerView', () => {
         expect(view.y).toBe(0);
       });
     });
+
+    describe('getViewport()', () => {
+      test('Covers the region of the workspace shown by the view', () => {
+        const values = { x: 10, y: 20, width: 100, height: 50 };
+        const v = new ServerView(socket, values);
+        expect(v.getViewport()).toEqual(values);
+      });
+
+      test('Shrinks as the view is scaled up', () => {
+        const v = new ServerView(socket, { width: 100, height: 50, scale: 2 });
+        expect(v.getViewport()).toMatchObject({ width: 50, height: 25 });
+      });
+
+      test('Covers the whole of a rotated view', () => {
+        const v = new ServerView(socket, {
+          width:    100,
+          height:   50,
+          rotation: Math.PI / 2,
+        });
+        const viewport = v.getViewport();
+        expect(viewport.width).toBeCloseTo(50);
+        expect(viewport.height).toBeCloseTo(100);
+      });
+    });
+
+    describe('canSee(bounds)', () => {
+      test('Sees the bounds which overlap the viewport', () => {
+        const v = new ServerView(socket, { width: 100, height: 100 });
+        expect(v.canSee({ x: 50, y: 50, width: 10, height: 10 })).toBe(true);
+        expect(v.canSee({ x: -5, y: -5, width: 10, height: 10 })).toBe(true);
+        expect(v.canSee({ x: 200, y: 50, width: 10, height: 10 })).toBe(false);
+      });
+
+      test('Assumes that unknown bounds can be seen', () => {
+        expect(new ServerView(socket).canSee(null)).toBe(true);
+      });
+    });
+
+    describe('send(event, payload)', () => {
+      test('Sends a custom message to the client of this view', () => {
+        socket.emit.mockClear();
+        view.send('your-turn', { round: 2 });
+        expect(socket.emit).toHaveBeenCalledWith('wams-dispatch', {
+          event:   'your-turn',
+          payload: { round: 2 },
+        });
+        expect(socket.broadcast.emit).not.toHaveBeenCalledWith(
+          'wams-dispatch',
+          expect.anything()
+        );
+      });
+
+      test('Throws if the message has no valid name', () => {
+        expect(() => view.send()).toThrow(TypeError);
+        expect(() => view.send('')).toThrow(TypeError);
+        expect(() => view.send(5)).toThrow(TypeError);
+      });
+    });
+
+    describe('select(items)', () => {
+      const items = [
+        {
+          id:              1,
+          getHitboxBounds: () => ({ x: 0, y: 0, width: 5, height: 5 }),
+          isVisibleTo:     () => true,
+        },
+        { id: 2, getHitboxBounds: () => null, isVisibleTo: () => true },
+      ];
+
+      beforeEach(() => {
+        socket.emit.mockClear();
+        socket.broadcast.emit.mockClear();
+      });
+
+      test('Replaces the selection', () => {
+        view.select(items);
+        view.select([items[1], items[1]]);
+        expect(view.selection).toEqual([items[1]]);
+      });
+
+      test('Tells the client of the view about the selection', () => {
+        view.select(items);
+        const report = {
+          data: {
+            id:    view.id,
+            items: [
+              { id: 1, bounds: { x: 0, y: 0, width: 5, height: 5 } },
+              { id: 2, bounds: null },
+            ],
+          },
+        };
+        expect(socket.emit)
+          .toHaveBeenCalledWith('wams-update-selection', report);
+      });
+
+      test('Only tells each client about the items it may see', () => {
+        const other = new ServerView({ emit: jest.fn() });
+        view.workspace = { views: [view, other] };
+        const hidden = {
+          id:              3,
+          getHitboxBounds: () => null,
+          isVisibleTo:     v => v === view,
+        };
+        view.select([items[1], hidden]);
+        view.workspace = null;
+        expect(socket.emit).toHaveBeenCalledWith('wams-update-selection', {
+          data: {
+            id:    view.id,
+            items: [{ id: 2, bounds: null }, { id: 3, bounds: null }],
+          },
+        });
+        expect(other.socket.emit).toHaveBeenCalledWith('wams-update-selection', {
+          data: { id: view.id, items: [{ id: 2, bounds: null }] },
+        });
+      });
+
+      test('Can be cleared', () => {
+        view.select(items);
+        view.clearSelection();
+        expect(view.selection).toEqual([]);
+        expect(socket.emit).toHaveBeenLastCalledWith('wams-update-selection', {
+          data: { id: view.id, items: [] },
+        });
+      });
+    });
+
+    describe('updatePointers(points)', () => {
+      beforeEach(() => {
+        jest.useFakeTimers();
+        socket.broadcast.emit.mockClear();
+      });
+
+      function published() {
+        return socket.broadcast.emit.mock.calls
+          .filter(([type]) => type === 'wams-update-pointers')
+          .map(([, report]) => report.data);
+      }
+
+      test('Tells the other views where the view is pointing', () => {
+        view.updatePointers([{ x: 1, y: 2 }]);
+        expect(published()).toEqual([
+          { id: view.id, points: [{ x: 1, y: 2 }] },
+        ]);
+        jest.runAllTimers();
+      });
+
+      test('Throttles publication, but sends the latest pointers', () => {
+        view.updatePointers([{ x: 1, y: 2 }]);
+        view.updatePointers([{ x: 3, y: 4 }]);
+        view.updatePointers([{ x: 5, y: 6 }]);
+        expect(published()).toHaveLength(1);
+        jest.runAllTimers();
+        expect(published()).toHaveLength(2);
+        expect(published()[1].points).toEqual([{ x: 5, y: 6 }]);
+      });
+
+      test('Stops a pending publication once the view stops pointing', () => {
+        view.updatePointers([{ x: 1, y: 2 }]);
+        view.updatePointers([{ x: 3, y: 4 }]);
+        view.stopPointing();
+        expect(view.pointers).toEqual([]);
+        expect(jest.getTimerCount()).toBe(0);
+        jest.runAllTimers();
+        expect(published()).toHaveLength(1);
+      });
+    });
   });
 });
 
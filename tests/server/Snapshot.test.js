@@ -0,0 +1,200 @@
+/*
+ * Test suite for the Snapshot module.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CanvasSequence } = require('canvas-sequencer');
+
+const { Polygon2D, Rectangle } = require('shared.js');
+const Snapshot = require('server/Snapshot.js');
+const ServerElement = require('server/ServerElement.js');
+const ServerImage = require('server/ServerImage.js');
+const ServerItem = require('server/ServerItem.js');
+const WorkSpace = require('server/WorkSpace.js');
+
+describe('Snapshot', () => {
+  let ws, item, image, element;
+  beforeEach(() => {
+    ws = new WorkSpace({}, { emit: jest.fn() });
+
+    const sequence = new CanvasSequence();
+    sequence.fillStyle = 'red';
+    sequence.fillRect(0, 0, 10, 10);
+    item = ws.spawnItem({
+      x:       10,
+      y:       20,
+      hitbox:  new Polygon2D([{ x: 0, y: 0 }, { x: 5, y: 0 }, { x: 0, y: 5 }]),
+      sequence,
+      owner:   'alice',
+      onclick: jest.fn(),
+    });
+    image = ws.spawnImage({
+      src:      'cards/back.png',
+      rotation: 1.5,
+      hitbox:   new Rectangle(140, 190),
+      face:     'cards/ace.png',
+    });
+    element = ws.spawnElement({
+      tagname:    'iframe',
+      scale:      2,
+      attributes: { src: 'https://example.com' },
+    });
+  });
+
+  describe('capture(workspace)', () => {
+    test('Captures every item, from back to front', () => {
+      const snapshot = Snapshot.capture(ws);
+      expect(snapshot.version).toBe(Snapshot.VERSION);
+      expect(snapshot.items.map(i => i.kind))
+        .toEqual(['item', 'image', 'element']);
+    });
+
+    test('Captures reported values and custom properties', () => {
+      const [i, m, e] = Snapshot.capture(ws).items.map(i => i.values);
+      expect(i).toMatchObject({ x: 10, y: 20, owner: 'alice' });
+      expect(m).toMatchObject({ src: 'cards/back.png', face: 'cards/ace.png' });
+      expect(m.rotation).toBe(1.5);
+      expect(e).toMatchObject({
+        tagname:    'iframe',
+        scale:      2,
+        attributes: { src: 'https://example.com' },
+      });
+    });
+
+    test('Does not capture functions or internal references', () => {
+      const [i] = Snapshot.capture(ws).items.map(i => i.values);
+      expect(i).not.toHaveProperty('onclick');
+      expect(i).not.toHaveProperty('id');
+      expect(i).not.toHaveProperty('namespace');
+      expect(i).not.toHaveProperty('workspace');
+    });
+
+    test('Captures references to other items as their ids', () => {
+      item.snap = { targets: [image, { x: 5, y: 5 }] };
+      const [i] = Snapshot.capture(ws).items.map(i => i.values);
+      expect(i.snap.targets).toEqual([{ $item: image.id }, { x: 5, y: 5 }]);
+    });
+
+    test('Captures function access rules as denying everyone', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      item.visibleTo = () => true;
+      item.permissions = { move: () => true, click: 'anyone' };
+      const [i] = Snapshot.capture(ws).items.map(i => i.values);
+      expect(i.visibleTo).toEqual([]);
+      expect(i.permissions).toEqual({ move: 'nobody', click: 'anyone' });
+      expect(warn).toHaveBeenCalledTimes(2);
+      warn.mockRestore();
+    });
+
+    test('Captures hitboxes as plain data', () => {
+      const [i, m, e] = Snapshot.capture(ws).items.map(i => i.values);
+      expect(i.hitbox.type).toBe('Polygon2D');
+      expect(i.hitbox.points).toHaveLength(3);
+      expect(m.hitbox).toEqual({
+        type: 'Rectangle', width: 140, height: 190, x: 0, y: 0,
+      });
+      expect(e.hitbox).toBeNull();
+    });
+  });
+
+  describe('restore(workspace, snapshot, reviver)', () => {
+    let snapshot;
+    beforeEach(() => {
+      snapshot = JSON.parse(JSON.stringify(Snapshot.capture(ws)));
+    });
+
+    test('Replaces the items in the workspace', () => {
+      const old = Array.from(ws.items);
+      const items = Snapshot.restore(ws, snapshot);
+      expect(items).toHaveLength(3);
+      old.forEach(o => expect(ws.items).not.toContain(o));
+      expect(ws.items).toEqual(Array.from(items).reverse());
+    });
+
+    test('Respawns items of the correct types', () => {
+      const [i, m, e] = Snapshot.restore(ws, snapshot);
+      expect(i).toBeInstanceOf(ServerItem);
+      expect(m).toBeInstanceOf(ServerImage);
+      expect(e).toBeInstanceOf(ServerElement);
+    });
+
+    test('Restores values, sequences, and hitboxes', () => {
+      const [i, m, e] = Snapshot.restore(ws, snapshot);
+      expect(i).toMatchObject({ x: 10, y: 20, owner: 'alice' });
+      expect(i.sequence).toBeInstanceOf(CanvasSequence);
+      expect(i.containsPoint(11, 21)).toBe(true);
+      expect(m.src).toBe('cards/back.png');
+      expect(m.hitbox).toBeInstanceOf(Rectangle);
+      expect(e.attributes).toEqual({ src: 'https://example.com' });
+    });
+
+    test('Informs the clients of the changes', () => {
+      const view = { socket: { emit: jest.fn() }, selection: [] };
+      ws.addView(view);
+      ws.scheduler.flush();
+      Snapshot.restore(ws, snapshot);
+      ws.scheduler.flush();
+      const [[, { data }]] = view.socket.emit.mock.calls;
+      const types = data.map(({ type }) => type);
+      expect(types.filter(t => t === 'wams-remove-item')).toHaveLength(3);
+      expect(types).toContain('wams-add-item');
+      expect(types).toContain('wams-add-image');
+      expect(types).toContain('wams-add-element');
+    });
+
+    test('Passes item values through the reviver', () => {
+      const onclick = jest.fn();
+      const [i] = Snapshot.restore(ws, snapshot, (values) => {
+        return { ...values, onclick };
+      });
+      expect(i.onclick).toBe(onclick);
+    });
+
+    test('Points references at the respawned items', () => {
+      item.snap = { targets: [image, { x: 5, y: 5 }] };
+      snapshot = JSON.parse(JSON.stringify(Snapshot.capture(ws)));
+      const [i, m] = Snapshot.restore(ws, snapshot);
+      expect(i.snap.targets[0]).toBe(m);
+      expect(i.snap.targets[1]).toEqual({ x: 5, y: 5 });
+    });
+
+    test('Rejects unrecognized snapshots', () => {
+      expect(() => Snapshot.restore(ws, {})).toThrow();
+      expect(() => Snapshot.restore(ws, { version: 999 })).toThrow();
+    });
+  });
+
+  describe('save(workspace, path) and load(workspace, path)', () => {
+    let file;
+    beforeAll(() => {
+      file = path.join(os.tmpdir(), `wams-snapshot-${process.pid}.json`);
+    });
+
+    afterAll(() => {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    });
+
+    test('Round trips the workspace through the file system', () => {
+      return ws.saveSnapshot(file)
+        .then(() => {
+          const other = new WorkSpace({}, { emit: jest.fn() });
+          return other.loadSnapshot(file);
+        })
+        .then(items => {
+          expect(items).toHaveLength(3);
+          expect(items[1]).toMatchObject({ src: 'cards/back.png' });
+        });
+    });
+
+    test('Rejects if the workspace cannot be captured', () => {
+      const cycle = {};
+      cycle.self = cycle;
+      item.data = cycle;
+      return expect(ws.saveSnapshot(file)).rejects.toThrow();
+    });
+  });
+});
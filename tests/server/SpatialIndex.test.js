@@ -0,0 +1,110 @@
+/*
+ * Test suite for the SpatialIndex class.
+ */
+
+'use strict';
+
+const SpatialIndex = require('server/SpatialIndex.js');
+
+describe('SpatialIndex', () => {
+  let index;
+  beforeEach(() => {
+    index = new SpatialIndex(100, 4);
+  });
+
+  function box(x, y, width, height) {
+    return { x, y, width, height };
+  }
+
+  describe('constructor(cellSize, maxCells)', () => {
+    test('Uses the defaults if none provided', () => {
+      expect(new SpatialIndex()).toMatchObject(SpatialIndex.DEFAULTS);
+    });
+  });
+
+  describe('update(item, bounds)', () => {
+    test('Lists the item in every cell its bounds overlap', () => {
+      index.update('a', box(50, 50, 100, 20));
+      expect(index.cells.get('0,0')).toEqual(new Set(['a']));
+      expect(index.cells.get('1,0')).toEqual(new Set(['a']));
+      expect(index.cells.size).toBe(2);
+    });
+
+    test('Moves the item out of the cells it no longer overlaps', () => {
+      index.update('a', box(50, 50, 10, 10));
+      index.update('a', box(550, 50, 10, 10));
+      expect(index.cells.has('0,0')).toBe(false);
+      expect(index.cells.get('5,0')).toEqual(new Set(['a']));
+    });
+
+    test('Sets aside items with unknown or very large bounds', () => {
+      index.update('a', null);
+      index.update('b', box(0, 0, 1000, 1000));
+      expect(index.cells.size).toBe(0);
+      expect(index.unlisted).toEqual(new Set(['a', 'b']));
+    });
+  });
+
+  describe('queryPoint(x, y)', () => {
+    beforeEach(() => {
+      index.update('a', box(0, 0, 100, 100));
+      index.update('b', box(90, 90, 20, 20));
+      index.update('c', box(300, 300, 10, 10));
+    });
+
+    test('Finds the items whose bounds contain the point', () => {
+      expect(index.queryPoint(50, 50)).toEqual(new Set(['a']));
+      expect(index.queryPoint(95, 95)).toEqual(new Set(['a', 'b']));
+      expect(index.queryPoint(105, 105)).toEqual(new Set(['b']));
+      expect(index.queryPoint(200, 200)).toEqual(new Set());
+    });
+
+    test('Always finds items which are set aside', () => {
+      index.update('d', null);
+      expect(index.queryPoint(200, 200)).toEqual(new Set(['d']));
+    });
+  });
+
+  describe('queryRegion(rect)', () => {
+    beforeEach(() => {
+      index.update('a', box(0, 0, 100, 100));
+      index.update('b', box(90, 90, 20, 20));
+      index.update('c', box(300, 300, 10, 10));
+    });
+
+    test('Finds the items whose bounds overlap the region', () => {
+      expect(index.queryRegion(box(150, 150, 200, 200)))
+        .toEqual(new Set(['c']));
+      expect(index.queryRegion(box(100, 100, 200, 200)))
+        .toEqual(new Set(['a', 'b', 'c']));
+    });
+
+    test('Handles regions much larger than the occupied cells', () => {
+      expect(index.queryRegion(box(-1e6, -1e6, 2e6, 2e6)))
+        .toEqual(new Set(['a', 'b', 'c']));
+    });
+  });
+
+  describe('overlaps(a, b)', () => {
+    test('Checks whether two rectangles overlap, including their edges', () => {
+      const a = box(0, 0, 10, 10);
+      expect(SpatialIndex.overlaps(a, box(5, 5, 10, 10))).toBe(true);
+      expect(SpatialIndex.overlaps(a, box(10, 0, 10, 10))).toBe(true);
+      expect(SpatialIndex.overlaps(a, box(11, 0, 10, 10))).toBe(false);
+      expect(SpatialIndex.overlaps(a, box(0, -11, 10, 10))).toBe(false);
+    });
+  });
+
+  describe('remove(item)', () => {
+    test('Forgets about the item', () => {
+      index.update('a', box(0, 0, 10, 10));
+      index.update('b', null);
+      index.remove('a');
+      index.remove('b');
+      expect(index.has('a')).toBe(false);
+      expect(index.has('b')).toBe(false);
+      expect(index.cells.size).toBe(0);
+      expect(index.queryPoint(5, 5)).toEqual(new Set());
+    });
+  });
+});
@@ -0,0 +1,352 @@
+/**
+ * Test suite for the Switchboard class.
+ *
+ * @jest-environment node
+ */
+
+'use strict';
+
+const MessageHandler = require('server/MessageHandler.js');
+const Switchboard = require('server/Switchboard.js');
+const WorkSpace = require('server/WorkSpace.js');
+
+function fakeSocket(session) {
+  const handlers = {};
+  return {
+    handlers,
+    handshake:  { query: { session } },
+    broadcast:  { emit: jest.fn() },
+    emit:       jest.fn(),
+    disconnect: jest.fn(),
+    on:         jest.fn((event, handler) => {
+      handlers[event] = handler;
+    }),
+  };
+}
+
+function initialization(socket) {
+  const [, data] = socket.emit.mock.calls.find(([t]) => t === 'wams-initialize');
+  return data;
+}
+
+describe('Switchboard', () => {
+  let namespace, workspace, handler, switchboard;
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    namespace = {
+      on:      jest.fn(),
+      emit:    jest.fn(),
+      clients: jest.fn(cb => cb(null, [])),
+    };
+    workspace = new WorkSpace({}, namespace);
+    handler = new MessageHandler(workspace);
+    switchboard = new Switchboard(workspace, handler, namespace);
+  });
+
+  afterEach(() => {
+    console.info.mockRestore();
+    jest.useRealTimers();
+  });
+
+  describe('connect(socket)', () => {
+    test('Issues a session token to new connections', () => {
+      const socket = fakeSocket();
+      switchboard.connect(socket);
+      const controller = switchboard.connections[0];
+      expect(typeof controller.session).toBe('string');
+      expect(initialization(socket).session).toBe(controller.session);
+    });
+
+    test('Resumes a suspended session when given its token', () => {
+      const first = fakeSocket();
+      switchboard.connect(first);
+      const old = switchboard.connections[0];
+      old.view.moveTo(100, 200);
+      first.handlers.disconnect();
+
+      switchboard.connect(fakeSocket());
+      const second = fakeSocket(old.session);
+      switchboard.connect(second);
+      const resumed = switchboard.connections[0];
+      expect(resumed).not.toBe(old);
+      expect(resumed.index).toBe(old.index);
+      expect(resumed.view).toBe(old.view);
+      expect(resumed.device).toBe(old.device);
+      expect(resumed.view.socket).toBe(second);
+      expect(resumed.view).toMatchObject({ x: 100, y: 200 });
+      expect(switchboard.group.views).toContain(resumed.view);
+      expect(initialization(second).id).toBe(old.view.id);
+    });
+
+    test('Forgets the gestures of disconnected views', () => {
+      const cleanup = jest.spyOn(handler, 'cleanup');
+      const socket = fakeSocket();
+      switchboard.connect(socket);
+      const { view } = switchboard.connections[0];
+      socket.handlers.disconnect();
+      expect(cleanup).toHaveBeenCalledWith(view);
+    });
+
+    test('Does not trigger the layout handler for resumed sessions', () => {
+      handler.onlayout = jest.fn();
+      const first = fakeSocket();
+      switchboard.connect(first);
+      first.handlers['wams-layout']({ width: 10, height: 10 });
+      expect(handler.onlayout).toHaveBeenCalledTimes(1);
+
+      const { session } = switchboard.connections[0];
+      first.handlers.disconnect();
+      const second = fakeSocket(session);
+      switchboard.connect(second);
+      second.handlers['wams-layout']({ width: 10, height: 10 });
+      expect(handler.onlayout).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('events', () => {
+    test('Emits connect for new connections only', () => {
+      const connect = jest.fn();
+      workspace.events.on('connect', connect);
+      const socket = fakeSocket();
+      switchboard.connect(socket);
+      const { view, session } = switchboard.connections[0];
+      expect(connect).toHaveBeenCalledWith(view, 0);
+
+      socket.handlers.disconnect();
+      switchboard.connect(fakeSocket(session));
+      expect(connect).toHaveBeenCalledTimes(1);
+    });
+
+    test('Emits disconnect once the session is discarded', () => {
+      const disconnect = jest.fn();
+      workspace.events.on('disconnect', disconnect);
+      const socket = fakeSocket();
+      switchboard.connect(socket);
+      const { view } = switchboard.connections[0];
+      socket.handlers.disconnect();
+      expect(disconnect).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(Switchboard.DEFAULTS.sessionTimeout);
+      expect(disconnect).toHaveBeenCalledWith(view, 0);
+    });
+
+    test('Emits layout and resize', () => {
+      const layout = jest.fn();
+      const resize = jest.fn();
+      workspace.events.on('layout', layout);
+      workspace.events.on('resize', resize);
+      const socket = fakeSocket();
+      switchboard.connect(socket);
+      const { view, device } = switchboard.connections[0];
+      socket.handlers['wams-layout']({ width: 10, height: 10 });
+      expect(layout).toHaveBeenCalledWith(view, 0, device, switchboard.group);
+      socket.handlers['wams-resize']({ width: 20, height: 20 });
+      expect(resize).toHaveBeenCalledWith(view);
+    });
+
+    test('Emits unlock when a disconnecting view holds a lock', () => {
+      const unlock = jest.fn();
+      workspace.events.on('unlock', unlock);
+      const item = workspace.spawnItem({});
+      const socket = fakeSocket();
+      switchboard.connect(socket);
+      const { view } = switchboard.connections[0];
+      view.obtainLockOnItem(item);
+      socket.handlers.disconnect();
+      expect(unlock).toHaveBeenCalledWith(item, view);
+    });
+  });
+
+  describe('telepointers', () => {
+    let socket, controller;
+    beforeEach(() => {
+      workspace.settings.telepointers = true;
+      socket = fakeSocket();
+      switchboard.connect(socket);
+      controller = switchboard.connections[0];
+      jest.spyOn(controller.group.gestureController, 'process')
+        .mockImplementation(() => {});
+    });
+
+    function pointer(type) {
+      controller.pointerEvent({
+        type,
+        changedTouches: [{ identifier: 1, clientX: 5, clientY: 6 }],
+      });
+    }
+
+    test('Stops showing pointers that are lifted or cancelled', () => {
+      ['pointerup', 'pointercancel', 'touchcancel'].forEach(type => {
+        pointer('pointerdown');
+        expect(controller.view.pointers).toHaveLength(1);
+        pointer(type);
+        expect(controller.view.pointers).toEqual([]);
+      });
+    });
+
+    test('Stops showing pointers once the client disconnects', () => {
+      const stop = jest.spyOn(controller.view, 'stopPointing');
+      pointer('pointerdown');
+      socket.handlers.disconnect();
+      expect(stop).toHaveBeenCalled();
+      expect(controller.pointers.size).toBe(0);
+    });
+  });
+
+  describe('custom messages', () => {
+    test('Emits client:<name> with the payload and view', () => {
+      const press = jest.fn();
+      workspace.events.on('client:button', press);
+      const socket = fakeSocket();
+      switchboard.connect(socket);
+      const { view } = switchboard.connections[0];
+      socket.handlers['wams-dispatch']({ event: 'button', payload: 'A' });
+      expect(press).toHaveBeenCalledWith('A', view);
+    });
+
+    test('Ignores messages without a valid name', () => {
+      const emit = jest.spyOn(workspace.events, 'emit');
+      const socket = fakeSocket();
+      switchboard.connect(socket);
+      emit.mockClear();
+      socket.handlers['wams-dispatch']({ event: '', payload: 'A' });
+      socket.handlers['wams-dispatch'](null);
+      const events = emit.mock.calls.map(([event]) => event);
+      expect(events).toEqual(['violation']);
+    });
+  });
+
+  describe('malformed messages', () => {
+    let socket, view, violation, kick;
+    beforeEach(() => {
+      violation = jest.fn();
+      kick = jest.fn();
+      workspace.events.on('violation', violation);
+      workspace.events.on('kick', kick);
+      socket = fakeSocket();
+      switchboard.connect(socket);
+      view = switchboard.connections[0].view;
+    });
+
+    function track(data) {
+      socket.handlers['wams-track'](workspace.codec.encode({ data }));
+    }
+
+    test('Emit violation with the problems found', () => {
+      track({ active: [], phase: 'start' });
+      expect(violation).toHaveBeenCalledWith(view, [
+        'data.data.centroid is missing',
+      ]);
+      expect(view.violations).toBe(1);
+    });
+
+    test('Log errors from their handler without counting them', () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const oops = new TypeError('oops');
+      jest.spyOn(handler, 'track').mockImplementation(() => {
+        throw oops;
+      });
+      const data = { active: [], centroid: { x: 0, y: 0 }, phase: 'start' };
+      expect(() => track(data)).not.toThrow();
+      expect(error).toHaveBeenCalledWith('Error while handling wams-track:', oops);
+      expect(violation).not.toHaveBeenCalled();
+      expect(view.violations).toBe(0);
+      error.mockRestore();
+    });
+
+    test('Emit kick and disconnect the client past the limit', () => {
+      workspace.settings.maxViolations = 1;
+      track({ active: [], phase: 'start' });
+      expect(kick).not.toHaveBeenCalled();
+      expect(socket.disconnect).not.toHaveBeenCalled();
+      track({ active: [], phase: 'start' });
+      expect(kick).toHaveBeenCalledWith(view, [
+        'data.data.centroid is missing',
+      ]);
+      expect(socket.disconnect).toHaveBeenCalledWith(true);
+    });
+  });
+
+  describe('disconnect(controller)', () => {
+    test('Keeps the position of the connection during the timeout', () => {
+      const socket = fakeSocket();
+      switchboard.connect(socket);
+      socket.handlers.disconnect();
+      expect(switchboard.group.views).toHaveLength(0);
+      expect(switchboard.connections[0]).not.toBeNull();
+      switchboard.connect(fakeSocket());
+      expect(switchboard.connections[1]).toBeDefined();
+    });
+
+    test('Discards the session once the timeout expires', () => {
+      const socket = fakeSocket();
+      switchboard.connect(socket);
+      const { session } = switchboard.connections[0];
+      socket.handlers.disconnect();
+      jest.advanceTimersByTime(Switchboard.DEFAULTS.sessionTimeout);
+      expect(switchboard.connections[0]).toBeNull();
+      expect(switchboard.suspended.has(session)).toBe(false);
+
+      const again = fakeSocket(session);
+      switchboard.connect(again);
+      expect(initialization(again).session).not.toBe(session);
+    });
+
+    test('Forgets the history of the view along with its session', () => {
+      const socket = fakeSocket();
+      switchboard.connect(socket);
+      const { view } = switchboard.connections[0];
+      workspace.history.perform(view, () => workspace.spawnItem({}));
+      socket.handlers.disconnect();
+      expect(workspace.history.done).toHaveLength(1);
+      jest.advanceTimersByTime(Switchboard.DEFAULTS.sessionTimeout);
+      expect(workspace.history.done).toHaveLength(0);
+    });
+
+    test('Does not keep the process alive while the session waits', () => {
+      jest.useRealTimers();
+      const socket = fakeSocket();
+      switchboard.connect(socket);
+      const { session } = switchboard.connections[0];
+      socket.handlers.disconnect();
+      const { timer } = switchboard.suspended.get(session);
+      expect(timer.hasRef()).toBe(false);
+      switchboard.close();
+    });
+
+    test('Discards the session immediately if resuming is disabled', () => {
+      switchboard = new Switchboard(workspace, handler, namespace, {
+        sessionTimeout: 0,
+      });
+      const socket = fakeSocket();
+      switchboard.connect(socket);
+      socket.handlers.disconnect();
+      expect(switchboard.connections[0]).toBeNull();
+      expect(switchboard.suspended.size).toBe(0);
+    });
+  });
+
+  describe('close()', () => {
+    test('Disconnects every client and discards every session', () => {
+      const sockets = [fakeSocket(), fakeSocket()];
+      sockets.forEach(socket => {
+        socket.connected = true;
+        socket.disconnect.mockImplementation(() => {
+          if (!socket.connected) return;
+          socket.connected = false;
+          socket.handlers.disconnect();
+        });
+        switchboard.connect(socket);
+      });
+      sockets[0].disconnect();
+      const ondisconnect = jest.fn();
+      workspace.events.on('disconnect', ondisconnect);
+
+      switchboard.close();
+      expect(sockets[1].disconnect).toHaveBeenCalledWith(true);
+      expect(switchboard.suspended.size).toBe(0);
+      expect(switchboard.connections).toEqual([null, null]);
+      expect(ondisconnect).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/*
+ * Test suite for the Ticker class.
+ */
+
+'use strict';
+
+const History = require('server/History.js');
+const Ticker = require('server/Ticker.js');
+
+describe('Ticker', () => {
+  let ticker, workspace, handler, now;
+  beforeEach(() => {
+    jest.useFakeTimers();
+    now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    workspace = { history: new History() };
+    handler = jest.fn();
+    ticker = new Ticker(workspace, { tickRate: 10 });
+  });
+
+  afterEach(() => {
+    ticker.stop();
+    Date.now.mockRestore();
+  });
+
+  function advance(ms) {
+    now += ms;
+    jest.advanceTimersByTime(ms);
+  }
+
+  describe('constructor(workspace, settings)', () => {
+    test('Uses the default tick rate if none provided', () => {
+      expect(new Ticker(workspace).interval)
+        .toBe(1000 / Ticker.DEFAULTS.tickRate);
+    });
+
+    test('Does not start until a handler is added', () => {
+      expect(ticker.timer).toBeNull();
+    });
+  });
+
+  describe('add(handler)', () => {
+    test('Starts the loop', () => {
+      ticker.add(handler);
+      advance(100);
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith(100, workspace);
+    });
+
+    test('Does not start the loop while paused', () => {
+      ticker.pause();
+      ticker.add(handler);
+      advance(300);
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('catchUp()', () => {
+    test('Runs extra steps if the timer fires late', () => {
+      ticker.add(handler);
+      now += 250;
+      ticker.catchUp();
+      expect(handler).toHaveBeenCalledTimes(2);
+      now += 50;
+      ticker.catchUp();
+      expect(handler).toHaveBeenCalledTimes(3);
+    });
+
+    test('Passes the same step length every time', () => {
+      ticker.add(handler);
+      now += 350;
+      ticker.catchUp();
+      handler.mock.calls.forEach(([dt]) => expect(dt).toBe(100));
+    });
+
+    test('Gives up on catching up after falling far behind', () => {
+      ticker.add(handler);
+      now += 10000;
+      ticker.catchUp();
+      expect(handler.mock.calls.length).toBeLessThan(10);
+      expect(ticker.lag).toBe(0);
+    });
+  });
+
+  describe('pause() and resume()', () => {
+    test('Stop and restart the loop', () => {
+      ticker.add(handler);
+      ticker.pause();
+      advance(300);
+      expect(handler).not.toHaveBeenCalled();
+      ticker.resume();
+      advance(100);
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('step(count)', () => {
+    test('Runs steps immediately, even while paused', () => {
+      ticker.add(handler);
+      ticker.pause();
+      ticker.step();
+      ticker.step(2);
+      expect(handler).toHaveBeenCalledTimes(3);
+      expect(ticker.ticks).toBe(3);
+    });
+
+    test('Calls the handlers in the order they were added', () => {
+      const order = [];
+      ticker.pause();
+      ticker.add(() => order.push('a'));
+      ticker.add(() => order.push('b'));
+      ticker.step();
+      expect(order).toEqual(['a', 'b']);
+    });
+
+    test('Does not record changes made by the handlers', () => {
+      const target = { value: 0 };
+      ticker.pause();
+      ticker.add(() => {
+        workspace.history.record(target, 'value', 0, 1, jest.fn());
+      });
+      ticker.step();
+      expect(workspace.history.done).toHaveLength(0);
+    });
+  });
+});
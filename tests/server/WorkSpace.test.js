@@ -7,7 +7,14 @@
 
 'use strict';
 
-const { Item, NOP, Rectangle } = require('shared.js');
+const {
+  BinaryCodec,
+  Item,
+  JsonCodec,
+  Message,
+  NOP,
+  Rectangle,
+} = require('shared.js');
 const WorkSpace = require('server/WorkSpace.js');
 const ServerItem = require('server/ServerItem.js');
 const ServerView = require('server/ServerView.js');
@@ -19,6 +26,25 @@ beforeAll(() => {
   ic = { x: 220, y: 240, hitbox: new Rectangle(50,  50)  };
 });
 
+/*
+ * Find the data of the messages of the given type which the workspace has sent
+ * to the given view, whether on their own or in a batch.
+ */
+function sentTo(ws, view, type) {
+  ws.scheduler.flush();
+  const messages = [];
+  view.socket.emit.mock.calls.forEach(([t, data]) => {
+    if (t === Message.BATCH) {
+      data.data.forEach(m => messages.push([m.type, m.data]));
+    } else {
+      messages.push([t, data]);
+    }
+  });
+  return messages
+    .filter(message => message[0] === type)
+    .map(message => message[1]);
+}
+
 describe('WorkSpace', () => {
   describe('constructor(port, settings)', () => {
     test('constructs correct type of object', () => {
@@ -39,6 +65,12 @@ describe('WorkSpace', () => {
       expect(ws.settings).not.toEqual(WorkSpace.DEFAULTS);
       expect(ws.settings.color).toEqual('a');
     });
+
+    test('Uses the codec named in the settings', () => {
+      expect(new WorkSpace().codec).toBe(JsonCodec);
+      expect(new WorkSpace({ codec: 'binary' }).codec).toBe(BinaryCodec);
+      expect(() => new WorkSpace({ codec: 'nope' })).toThrow(TypeError);
+    });
   });
 
   describe('Methods', () => {
@@ -56,7 +88,9 @@ describe('WorkSpace', () => {
       });
 
       test('Uses default Item values', () => {
-        expect(ws.spawnItem()).toMatchObject(ServerItem.DEFAULTS);
+        // The stackOrder depends on the items already in the workspace.
+        const { stackOrder, ...defaults } = ServerItem.DEFAULTS;
+        expect(ws.spawnItem()).toMatchObject(defaults);
       });
 
       test('Uses user-defined Item values', () => {
@@ -106,6 +140,7 @@ describe('WorkSpace', () => {
     describe('findItemByCoordinates(x,y)', () => {
       beforeAll(() => {
         ws.items = [];
+        ws.spatialIndex.clear();
         a = ws.spawnItem(ia);
         b = ws.spawnItem(ib);
         c = ws.spawnItem(ic);
@@ -140,7 +175,271 @@ describe('WorkSpace', () => {
       });
     });
 
-    describe('removeItem(item)', () => {
+    describe('findItemsInArea(points, view)', () => {
+      function square(x, y, size) {
+        return [
+          { x, y },
+          { x: x + size, y },
+          { x: x + size, y: y + size },
+          { x, y: y + size },
+        ];
+      }
+
+      beforeAll(() => {
+        ws.items = [];
+        ws.spatialIndex.clear();
+        a = ws.spawnItem(ia);
+        b = ws.spawnItem(ib);
+        c = ws.spawnItem(ic);
+      });
+
+      test('Finds the items whose centres are within the area', () => {
+        expect(ws.findItemsInArea(square(0, 0, 100))).toEqual([b, a]);
+        expect(ws.findItemsInArea(square(200, 200, 100))).toEqual([c]);
+        expect(ws.findItemsInArea(square(100, 0, 50))).toEqual([]);
+      });
+
+      test('Leaves out items hidden from the view', () => {
+        const view = new ServerView({ emit: NOP, broadcast: { emit: NOP } });
+        c.visibleTo = [];
+        expect(ws.findItemsInArea(square(200, 200, 100), view)).toEqual([]);
+        expect(ws.findItemsInArea(square(200, 200, 100))).toEqual([c]);
+        c.visibleTo = undefined;
+      });
+    });
+
+    describe('queryRegion(rect)', () => {
+      beforeAll(() => {
+        ws.items = [];
+        ws.spatialIndex.clear();
+        a = ws.spawnItem(ia);
+        b = ws.spawnItem(ib);
+        c = ws.spawnItem(ic);
+      });
+
+      test('Finds the items overlapping the region, front to back', () => {
+        expect(ws.queryRegion({ x: 50, y: 50, width: 10, height: 10 }))
+          .toEqual([b, a]);
+        expect(ws.queryRegion({ x: 200, y: 200, width: 30, height: 50 }))
+          .toEqual([c]);
+        expect(ws.queryRegion({ x: 150, y: 0, width: 10, height: 10 }))
+          .toEqual([]);
+      });
+
+      test('Follows changes to the stacking order', () => {
+        ws.reorderItem(a, Infinity);
+        expect(ws.queryRegion({ x: 50, y: 50, width: 10, height: 10 }))
+          .toEqual([a, b]);
+        expect(ws.itemsNear(55, 55)).toEqual([a, b]);
+        ws.reorderItem(a, 0);
+      });
+    });
+
+    describe('spatial index', () => {
+      let item;
+      beforeEach(() => {
+        ws.items = [];
+        ws.spatialIndex.clear();
+        item = ws.spawnItem({ x: 0, y: 0, hitbox: new Rectangle(10, 10) });
+      });
+
+      test('Follows items as they are transformed', () => {
+        item.moveTo(1000, 1000);
+        expect(ws.findItemByCoordinates(5, 5)).toBeFalsy();
+        expect(ws.findItemByCoordinates(1005, 1005)).toBe(item);
+        item.scaleBy(10, 1000, 1000);
+        expect(ws.findItemByCoordinates(1095, 1095)).toBe(item);
+      });
+
+      test('Follows items as their transformations are undone', () => {
+        ws.history.pending = null;
+        item.moveTo(1000, 1000);
+        ws.undo();
+        expect(ws.findItemByCoordinates(5, 5)).toBe(item);
+        expect(ws.findItemByCoordinates(1005, 1005)).toBeFalsy();
+      });
+
+      test('Forgets about removed items', () => {
+        ws.removeItem(item);
+        expect(ws.spatialIndex.has(item)).toBe(false);
+        item.moveTo(5, 5);
+        expect(ws.spatialIndex.has(item)).toBe(false);
+      });
+
+      test('Can be brought up to date after replacing a hitbox', () => {
+        item.hitbox = new Rectangle(500, 500);
+        ws.reindexItem(item);
+        expect(ws.findItemByCoordinates(400, 400)).toBe(item);
+      });
+    });
+
+    describe('reorderItem(item, z)', () => {
+      beforeEach(() => {
+        ws.items = [];
+        ws.spatialIndex.clear();
+        a = ws.spawnItem(ia);
+        b = ws.spawnItem(ib);
+        c = ws.spawnItem(ic);
+      });
+
+      test('Newly spawned items are at the front', () => {
+        expect(c.z).toBe(2);
+        expect(b.z).toBe(1);
+        expect(a.z).toBe(0);
+      });
+
+      test('Moves the item to the given position', () => {
+        ws.reorderItem(a, 1);
+        expect(ws.items).toEqual([c, a, b]);
+        expect(a.z).toBe(1);
+      });
+
+      test('Clamps the position to the valid range', () => {
+        ws.reorderItem(a, Infinity);
+        expect(ws.items).toEqual([a, c, b]);
+        ws.reorderItem(a, -5);
+        expect(ws.items).toEqual([c, b, a]);
+      });
+
+      test('Keeps the stackOrder of the items in the same order', () => {
+        const orders = () => ws.items.map(item => item.stackOrder);
+        const descending = () => {
+          return orders().every((o, i, all) => i === 0 || o < all[i - 1]);
+        };
+        expect(descending()).toBe(true);
+        ws.reorderItem(a, 1);
+        expect(descending()).toBe(true);
+        ws.reorderItem(c, 0);
+        expect(descending()).toBe(true);
+        for (let i = 0; i < 100; i++) ws.reorderItem(ws.items[2], 1);
+        expect(descending()).toBe(true);
+      });
+
+      test('Only changes the stackOrder of the moved item', () => {
+        const { stackOrder } = b;
+        ws.reorderItem(c, 0);
+        expect(b.stackOrder).toBe(stackOrder);
+        expect(c.stackOrder).toBeLessThan(a.stackOrder);
+      });
+
+      test('Publishes the new stackOrder of the item', () => {
+        const publish = jest.spyOn(c, 'publish');
+        ws.reorderItem(c, 0);
+        expect(publish).toHaveBeenCalled();
+      });
+
+      test('Does not publish anything if nothing changed', () => {
+        const publish = jest.spyOn(c, 'publish');
+        ws.reorderItem(c, 2);
+        expect(publish).not.toHaveBeenCalled();
+      });
+
+      test('Is used by the item stacking methods', () => {
+        a.bringToFront();
+        expect(ws.items).toEqual([a, c, b]);
+        a.lower();
+        expect(ws.items).toEqual([c, a, b]);
+        a.sendToBack();
+        expect(ws.items).toEqual([c, b, a]);
+        a.raise();
+        expect(ws.items).toEqual([c, a, b]);
+      });
+
+      test('Can be set when spawning an item', () => {
+        const d = ws.spawnItem({ ...ia, z: 0 });
+        expect(d.z).toBe(0);
+        expect(ws.items[ws.items.length - 1]).toBe(d);
+      });
+    });
+
+    describe('obtainLock(x, y, view)', () => {
+      let view;
+      beforeEach(() => {
+        ws.items = [];
+        ws.spatialIndex.clear();
+        a = ws.spawnItem(ia);
+        b = ws.spawnItem(ib);
+        view = new ServerView({ emit: jest.fn() });
+      });
+
+      afterEach(() => {
+        view.releaseLockedItem();
+        ws.settings.raiseOnLock = false;
+      });
+
+      test('Does not change the stacking order by default', () => {
+        ws.obtainLock(5, 5, view);
+        expect(view.lockedItem).toBe(a);
+        expect(ws.items).toEqual([b, a]);
+      });
+
+      test('Emits a lock event when an item is locked', () => {
+        const lock = jest.fn();
+        ws.events.on('lock', lock);
+        ws.obtainLock(5, 5, view);
+        expect(lock).toHaveBeenCalledWith(a, view);
+        ws.events.removeListener('lock', lock);
+      });
+
+      test('Does not emit a lock event when the view locks itself', () => {
+        const lock = jest.fn();
+        ws.events.on('lock', lock);
+        ws.obtainLock(-500, -500, view);
+        expect(view.lockedItem).toBe(view);
+        expect(lock).not.toHaveBeenCalled();
+        ws.events.removeListener('lock', lock);
+      });
+
+      test('Raises the locked item if raiseOnLock is set', () => {
+        ws.settings.raiseOnLock = true;
+        ws.obtainLock(5, 5, view);
+        expect(view.lockedItem).toBe(a);
+        expect(ws.items).toEqual([a, b]);
+      });
+
+      test('Does not lock an item the view may not move', () => {
+        a.owner = view.id + 1;
+        a.ondenied = jest.fn();
+        ws.obtainLock(5, 5, view);
+        expect(view.lockedItem).toBe(view);
+        expect(a.ondenied).toHaveBeenCalledWith({
+          target: a, view, action: 'move',
+        });
+      });
+
+      test('Locks an item the view may only rotate', () => {
+        a.owner = view.id + 1;
+        a.permissions = { rotate: 'anyone' };
+        ws.obtainLock(5, 5, view);
+        expect(view.lockedItem).toBe(a);
+      });
+    });
+
+    describe('removeItem(item, view)', () => {
+      test('Only removes on behalf of views that may remove the item', () => {
+        const item = ws.spawnItem({ permissions: { remove: 'nobody' } });
+        const view = new ServerView();
+        item.ondenied = jest.fn();
+        expect(ws.removeItem(item, view)).toBe(false);
+        expect(ws.items).toContain(item);
+        expect(item.ondenied).toHaveBeenCalledWith(expect.objectContaining({
+          action: 'remove',
+        }));
+        expect(ws.removeItem(item)).toBe(true);
+      });
+
+      test('Deselects the item', () => {
+        const item = ws.spawnItem();
+        const other = ws.spawnItem();
+        const view = new ServerView({ emit: NOP, broadcast: { emit: NOP } });
+        ws.addView(view);
+        view.select([item, other]);
+        ws.removeItem(item);
+        expect(view.selection).toEqual([other]);
+        ws.removeView(view);
+      });
+
+
       test('Removes an item if it is found', () => {
         expect(ws.items).toContain(b);
         expect(() => ws.removeItem(b)).not.toThrow();
@@ -157,6 +456,307 @@ describe('WorkSpace', () => {
         expect(() => ws.removeItem()).toThrow();
       });
     });
+
+    describe('undo(view) and redo(view)', () => {
+      let ws, view, other;
+      beforeEach(() => {
+        ws = new WorkSpace();
+        ws.namespace = { emit: jest.fn() };
+        view = new ServerView();
+        other = new ServerView();
+      });
+
+      test('Undoes and redoes the spawning of an item', () => {
+        const item = ws.spawnItem(ia);
+        expect(ws.undo()).toBe(true);
+        expect(ws.items).not.toContain(item);
+        expect(ws.redo()).toBe(true);
+        expect(ws.items).toContain(item);
+        expect(ws.namespace.emit).toHaveBeenLastCalledWith(
+          Message.ADD_ITEM,
+          expect.anything()
+        );
+      });
+
+      test('Restores removed items at their previous depth', () => {
+        const [x, y, z] = [ia, ib, ic].map(v => ws.spawnItem(v));
+        ws.history.pending = null;
+        ws.removeItem(y);
+        ws.undo();
+        expect(ws.items).toEqual([z, y, x]);
+      });
+
+      test('Undoes a whole gesture as a single step', () => {
+        const item = ws.spawnItem(ia);
+        ws.history.pending = null;
+        ws.history.beginGroup(view);
+        ws.history.perform(view, () => item.moveBy(10, 10));
+        ws.history.perform(view, () => item.rotateBy(1));
+        ws.history.perform(view, () => item.scaleBy(2));
+        ws.history.endGroup(view);
+        expect(ws.undo(view)).toBe(true);
+        expect(item).toMatchObject({ x: 0, y: 0, rotation: 0, scale: 1 });
+        expect(ws.redo(view)).toBe(true);
+        expect(item).toMatchObject({ x: 10, y: 10, rotation: -1, scale: 2 });
+      });
+
+      test('Ignores transformations of the views', () => {
+        const item = ws.spawnItem(ia);
+        ws.history.pending = null;
+        view.socket = { emit: jest.fn() };
+        ws.addView(view);
+        ws.history.beginGroup(view);
+        ws.history.perform(view, () => item.moveBy(10, 10));
+        ws.history.perform(view, () => view.moveBy(50, 50));
+        ws.history.perform(view, () => view.scaleBy(2));
+        ws.history.endGroup(view);
+        const { x, y, scale } = view;
+        expect(ws.undo(view)).toBe(true);
+        expect(item).toMatchObject({ x: 0, y: 0 });
+        expect(view).toMatchObject({ x, y, scale });
+        expect(ws.undo(view)).toBe(false);
+        ws.removeView(view);
+      });
+
+      test('Each view undoes only its own changes', () => {
+        const [x, y] = [ia, ib].map(v => ws.spawnItem(v));
+        ws.history.pending = null;
+        ws.history.perform(view, () => x.moveTo(50, 50));
+        ws.history.perform(other, () => y.moveTo(60, 60));
+        expect(ws.undo(view)).toBe(true);
+        expect(x).toMatchObject({ x: 0, y: 0 });
+        expect(y).toMatchObject({ x: 60, y: 60 });
+        expect(ws.undo(view)).toBe(false);
+      });
+
+      test('Undoes an animation as a single step', () => {
+        jest.useFakeTimers();
+        const item = ws.spawnItem(ia);
+        ws.history.pending = null;
+        const done = item.animateTo({ x: 100, rotation: 1 }, { duration: 0 });
+        jest.advanceTimersByTime(20);
+        return done.then(() => {
+          jest.useRealTimers();
+          expect(item).toMatchObject({ x: 100, rotation: 1 });
+          expect(ws.undo()).toBe(true);
+          expect(item).toMatchObject({ x: 0, rotation: 0 });
+          expect(ws.undo()).toBe(true);
+          expect(ws.items).not.toContain(item);
+        });
+      });
+
+      test('Undoes changes to images and elements', () => {
+        const image = ws.spawnImage({ src: 'a.png' });
+        const element = ws.spawnElement({ attributes: { a: 1 } });
+        ws.history.pending = null;
+        image.setImage('b.png');
+        element.setAttributes({ b: 2 });
+        ws.undo();
+        expect(image.src).toBe('a.png');
+        expect(element.attributes).toEqual({ a: 1 });
+      });
+    });
+
+    describe('concealed items', () => {
+      let ws, owner, other;
+      beforeEach(() => {
+        ws = new WorkSpace({}, { emit: jest.fn() });
+        const socket = () => ({ emit: jest.fn(), broadcast: { emit: NOP } });
+        owner = new ServerView(socket());
+        other = new ServerView(socket());
+        ws.addView(owner);
+        ws.addView(other);
+      });
+
+      function sent(view, type) {
+        return sentTo(ws, view, type);
+      }
+
+      test('Are only announced to the views that may see them', () => {
+        const card = ws.spawnItem({ visibleTo: [owner.id] });
+        expect(sent(owner, Message.ADD_ITEM)).toHaveLength(1);
+        expect(sent(other, Message.ADD_ITEM)).toHaveLength(0);
+        expect(ws.namespace.emit).not.toHaveBeenCalledWith(
+          Message.ADD_ITEM,
+          expect.objectContaining({ id: card.id })
+        );
+      });
+
+      test('Are only reported to the views that may see them', () => {
+        const card = ws.spawnItem({ visibleTo: (view) => view === owner });
+        ws.spawnItem();
+        expect(ws.reportItems(owner)).toHaveLength(2);
+        expect(ws.reportItems(other)).toHaveLength(1);
+        expect(ws.reportItems(other)[0].id).not.toBe(card.id);
+      });
+
+      test('Only publish updates to the views that may see them', () => {
+        const card = ws.spawnItem({ visibleTo: [owner.id] });
+        card.emitPublication();
+        expect(sent(owner, Message.UD_ITEM)).toHaveLength(1);
+        expect(sent(other, Message.UD_ITEM)).toHaveLength(0);
+      });
+
+      test('Only publish their stacking to the views that may see them', async () => {
+        const card = ws.spawnItem({ visibleTo: [owner.id] });
+        ws.spawnItem();
+        sent(owner, Message.UD_ITEM);
+        owner.socket.emit.mockClear();
+        other.socket.emit.mockClear();
+        card.bringToFront();
+        await new Promise(setImmediate);
+        expect(sent(owner, Message.UD_ITEM)).toEqual([
+          expect.objectContaining({ id: card.id, stackOrder: 2 }),
+        ]);
+        expect(sent(other, Message.UD_ITEM)).toHaveLength(0);
+      });
+
+      test('Show their public image to the other views', () => {
+        const card = ws.spawnImage({
+          src:        'card.png',
+          publicSrc:  'back.png',
+          privateSrc: 'face.png',
+          visibleTo:  [owner.id],
+        });
+        expect(sent(owner, Message.SET_IMAGE)[0].data.src).toBe('face.png');
+        expect(sent(other, Message.SET_IMAGE)[0].data.src).toBe('back.png');
+        expect(ws.reportItems(other)[0].src).toBe('back.png');
+
+        card.setImage('other.png');
+        expect(sent(other, Message.SET_IMAGE)[1].data.src).toBe('back.png');
+      });
+
+      test('Are added and removed as their visibility changes', () => {
+        const card = ws.spawnItem({ visibleTo: [owner.id] });
+        card.setVisibility([other.id]);
+        expect(sent(owner, Message.RM_ITEM)).toHaveLength(1);
+        expect(sent(other, Message.ADD_ITEM)).toHaveLength(1);
+        card.setVisibility(null);
+        expect(sent(owner, Message.ADD_ITEM)).toHaveLength(2);
+        card.emitPublication();
+        expect(sent(owner, Message.UD_ITEM)).toHaveLength(1);
+        expect(sent(other, Message.UD_ITEM)).toHaveLength(1);
+      });
+
+      test('Send visibility changes in order with their updates', () => {
+        const card = ws.spawnItem({ visibleTo: [owner.id] });
+        ws.scheduler.flush();
+        owner.socket.emit.mockClear();
+        card.moveBy(5, 5);
+        card.emitPublication();
+        card.setVisibility([other.id]);
+        card.setVisibility([owner.id]);
+        ws.scheduler.flush();
+        expect(owner.socket.emit).toHaveBeenCalledTimes(1);
+        const [[type, { data }]] = owner.socket.emit.mock.calls;
+        expect(type).toBe(Message.BATCH);
+        expect(data.map(m => m.type)).toEqual([
+          Message.UD_ITEM,
+          Message.RM_ITEM,
+          Message.ADD_ITEM,
+        ]);
+      });
+
+      test('Are left out of the selections reported to other views', () => {
+        const card = ws.spawnItem({ visibleTo: [owner.id] });
+        const item = ws.spawnItem();
+        owner.select([card, item]);
+        expect(sent(other, Message.UD_SELECTION)[0].data.items)
+          .toEqual([expect.objectContaining({ id: item.id })]);
+        expect(ws.reportSelections(owner)[0].items).toHaveLength(2);
+        expect(ws.reportSelections(other)[0].items).toEqual([
+          expect.objectContaining({ id: item.id }),
+        ]);
+      });
+
+      test('Are only removed from the views that may see them', () => {
+        const card = ws.spawnItem({ visibleTo: [owner.id] });
+        ws.removeItem(card);
+        expect(sent(owner, Message.RM_ITEM)).toHaveLength(1);
+        expect(sent(other, Message.RM_ITEM)).toHaveLength(0);
+      });
+    });
+
+    describe('interest management', () => {
+      let ws, left, right, item;
+      beforeEach(() => {
+        ws = new WorkSpace({ interestManagement: true }, { emit: jest.fn() });
+        const socket = () => ({ emit: jest.fn(), broadcast: { emit: NOP } });
+        left = new ServerView(socket(), { width: 100, height: 100 });
+        right = new ServerView(socket(), { x: 1000, width: 100, height: 100 });
+        ws.addView(left);
+        ws.addView(right);
+        item = ws.spawnItem({ x: 10, y: 10, hitbox: new Rectangle(10, 10) });
+      });
+
+      function sent(view, type) {
+        return sentTo(ws, view, type);
+      }
+
+      test('Only announces items to the views which can see them', () => {
+        expect(sent(left, Message.ADD_ITEM)).toHaveLength(1);
+        expect(sent(right, Message.ADD_ITEM)).toHaveLength(0);
+        expect(ws.namespace.emit).not.toHaveBeenCalled();
+      });
+
+      test('Only reports the items which the view can see', () => {
+        expect(ws.reportItems(left)).toHaveLength(1);
+        expect(ws.reportItems(right)).toHaveLength(0);
+      });
+
+      test('Only publishes updates to the views which can see the item', () => {
+        item.emitPublication();
+        expect(sent(left, Message.UD_ITEM)).toHaveLength(1);
+        expect(sent(right, Message.UD_ITEM)).toHaveLength(0);
+      });
+
+      test('Announces items once they move into view', () => {
+        item.moveTo(1010, 10);
+        item.emitPublication();
+        expect(sent(right, Message.ADD_ITEM)).toHaveLength(1);
+        expect(sent(left, Message.UD_ITEM)).toHaveLength(0);
+        expect(sent(left, Message.RM_ITEM)).toHaveLength(0);
+      });
+
+      test('Announces items once the view moves to them', () => {
+        right.moveTo(0, 0);
+        right.emitPublication();
+        expect(sent(right, Message.ADD_ITEM)).toHaveLength(1);
+        expect(sent(right, Message.ADD_ITEM)[0].id).toBe(item.id);
+      });
+
+      test('Catches up the view with updates missed while out of view', () => {
+        item.emitPublication();
+        left.moveTo(500, 500);
+        left.emitPublication();
+        item.moveBy(5, 0);
+        item.emitPublication();
+        expect(sent(left, Message.UD_ITEM)).toHaveLength(1);
+
+        left.moveTo(0, 0);
+        left.emitPublication();
+        expect(sent(left, Message.UD_ITEM)).toHaveLength(2);
+        expect(sent(left, Message.UD_ITEM)[1]).toEqual(item.report());
+      });
+
+      test('Reports items in full when they come back into view', () => {
+        item.emitPublication();
+        item.moveTo(500, 500);
+        item.emitPublication();
+        item.moveTo(20, 20);
+        item.emitPublication();
+        const updates = sent(left, Message.UD_ITEM);
+        expect(updates).toHaveLength(2);
+        expect(updates[1]).toEqual(item.report());
+      });
+
+      test('Removes items from every view which was told about them', () => {
+        item.moveTo(1010, 10);
+        item.emitPublication();
+        ws.removeItem(item);
+        expect(sent(left, Message.RM_ITEM)).toHaveLength(1);
+        expect(sent(right, Message.RM_ITEM)).toHaveLength(1);
+      });
+    });
   });
 });
-
@@ -10,6 +10,7 @@
 
 const WamsShared = require('shared.js');
 
+const codecs = Object.keys(require('shared/codecs.js'));
 const reporters = Object.keys(require('shared/Reporters.js'));
 const utilities = Object.keys(require('shared/utilities.js'));
 
@@ -23,7 +24,7 @@ const other = [
   'Rectangle',
 ];
 
-const expected = reporters.concat(utilities).concat(other);
+const expected = codecs.concat(reporters).concat(utilities).concat(other);
 
 test('Exports all the proper shared utilities', () => {
   const exported = Object.keys(WamsShared);
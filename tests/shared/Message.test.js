@@ -30,6 +30,19 @@ describe('Message', () => {
     });
   });
 
+  describe('ENCODED', () => {
+    test('Lists the types of messages sent most often', () => {
+      expect(Message.ENCODED).toEqual(expect.arrayContaining([
+        Message.BATCH,
+        Message.POINTER,
+        Message.TRACK,
+        Message.TRANSFORM,
+      ]));
+      expect(Message.ENCODED).not.toContain(Message.INITIALIZE);
+      expect(() => Message.ENCODED.push(Message.LAYOUT)).toThrow();
+    });
+  });
+
   describe('emitWith(emitter)', () => {
     test('Throws exception if invalid emitter provided', () => {
       const msg = new Message(Message.CLICK, reporter);
@@ -45,6 +58,21 @@ describe('Message', () => {
       expect(emitter.emit).toHaveBeenCalledTimes(1);
       expect(emitter.emit).toHaveBeenLastCalledWith(Message.CLICK, 42);
     });
+
+    test('Emits only the given properties of the reporter, if provided', () => {
+      const msg = new Message(Message.UD_ITEM, reporter, ['x']);
+      msg.emitWith(emitter);
+      expect(reporter.report).toHaveBeenLastCalledWith(['x']);
+      expect(emitter.emit).toHaveBeenLastCalledWith(Message.UD_ITEM, 42);
+    });
+
+    test('Encodes the report with the given codec', () => {
+      const codec = { encode: jest.fn(() => 'encoded') };
+      const msg = new Message(Message.UD_ITEM, reporter, ['x']);
+      msg.emitWith(emitter, codec);
+      expect(codec.encode).toHaveBeenLastCalledWith(42);
+      expect(emitter.emit).toHaveBeenLastCalledWith(Message.UD_ITEM, 'encoded');
+    });
   });
 });
 
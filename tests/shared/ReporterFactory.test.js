@@ -96,6 +96,30 @@ describe('ReporterFactory', () => {
         expect(data.id).toBe(1);
         expect(data).toHaveImmutableProperty('id');
       });
+
+      test('reports only the given properties, if provided', () => {
+        vs.id = 1;
+        expect(vs.report(['x', 'height'])).toEqual({
+          id:     1,
+          x:      100,
+          height: 300,
+        });
+      });
+    });
+
+    describe('changedSince(previous)', () => {
+      test('lists the properties which differ from the report', () => {
+        const vs = new View({ x: 1, y: 2 });
+        const before = vs.report();
+        vs.x = 5;
+        vs.height = 7;
+        expect(vs.changedSince(before)).toEqual(['x', 'height']);
+      });
+
+      test('lists every property if there is no report', () => {
+        expect(new View().changedSince(null))
+          .toEqual(['x', 'y', 'width', 'height']);
+      });
     });
   });
 });
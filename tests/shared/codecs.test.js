@@ -0,0 +1,179 @@
+/*
+ * Test suite for the codecs.
+ */
+
+'use strict';
+
+const hasBinary = require('has-binary2');
+const parser = require('socket.io-parser');
+
+const {
+  BinaryCodec,
+  codecs,
+  getCodec,
+  JsonCodec,
+} = require('shared/codecs.js');
+const { Item, TouchReporter } = require('shared/Reporters.js');
+const Message = require('shared/Message.js');
+
+describe('codecs', () => {
+  describe('getCodec(name)', () => {
+    test('Finds the codecs by name', () => {
+      expect(getCodec()).toBe(JsonCodec);
+      expect(getCodec('json')).toBe(JsonCodec);
+      expect(getCodec('binary')).toBe(BinaryCodec);
+    });
+
+    test('Finds codecs added by the application', () => {
+      const custom = { encode: x => x, decode: x => x };
+      codecs.custom = custom;
+      expect(getCodec('custom')).toBe(custom);
+      delete codecs.custom;
+    });
+
+    test('Throws for unknown codecs', () => {
+      expect(() => getCodec('nope')).toThrow(TypeError);
+      expect(() => getCodec('toString')).toThrow(TypeError);
+    });
+  });
+
+  describe('JsonCodec', () => {
+    test('Leaves the data as it is', () => {
+      const data = { x: 1 };
+      expect(JsonCodec.encode(data)).toBe(data);
+      expect(JsonCodec.decode(data)).toBe(data);
+    });
+  });
+
+  describe('BinaryCodec', () => {
+    function roundTrip(value) {
+      return BinaryCodec.decode(BinaryCodec.encode(value));
+    }
+
+    test('Encodes to an ArrayBuffer', () => {
+      expect(BinaryCodec.encode({ x: 1 })).toBeInstanceOf(ArrayBuffer);
+    });
+
+    test('Is sent by socket.io as a binary attachment', done => {
+      const args = [Message.BATCH, BinaryCodec.encode({ x: 1 })];
+      const type = hasBinary(args) ? parser.BINARY_EVENT : parser.EVENT;
+      expect(type).toBe(parser.BINARY_EVENT);
+      new parser.Encoder().encode({ type, nsp: '/', data: args }, encoded => {
+        const decoder = new parser.Decoder();
+        decoder.on('decoded', packet => {
+          expect(BinaryCodec.decode(packet.data[1])).toEqual({ x: 1 });
+          done();
+        });
+        encoded.forEach(chunk => decoder.add(chunk));
+      });
+    });
+
+    test('Round trips simple values', () => {
+      [null, true, false, '', 'hello', 0, 1, -1].forEach(value => {
+        expect(roundTrip(value)).toBe(value);
+      });
+    });
+
+    test('Round trips integers of every size', () => {
+      [
+        127, 128, 255, 256, 65535, 65536, 2 ** 32 - 1,
+        -32, -33, -128, -129, -32768, -32769, -(2 ** 31),
+        2 ** 32, -(2 ** 31) - 1, Number.MAX_SAFE_INTEGER,
+      ].forEach(value => {
+        expect(roundTrip(value)).toBe(value);
+      });
+    });
+
+    test('Round trips fractions without losing precision', () => {
+      [0.5, -1.25, 0.1, Math.PI, 1e-300, Infinity, -Infinity].forEach(v => {
+        expect(roundTrip(v)).toBe(v);
+      });
+      expect(roundTrip(NaN)).toBeNaN();
+    });
+
+    test('Round trips strings of every length', () => {
+      ['a'.repeat(31), 'b'.repeat(32), 'c'.repeat(256), 'd'.repeat(70000)]
+        .forEach(value => {
+          expect(roundTrip(value)).toBe(value);
+        });
+    });
+
+    test('Round trips strings outside of ASCII', () => {
+      const value = 'héllo ✓ ࠀ ߿ 😀';
+      expect(roundTrip(value)).toBe(value);
+    });
+
+    test('Round trips nested arrays and objects', () => {
+      const value = {
+        list:  [1, 'two', [3], { four: 4 }],
+        empty: { array: [], object: {} },
+        long:  Array.from({ length: 70000 }, (_, i) => i),
+        wide:  Array.from({ length: 20 }, (_, i) => [`k${i}`, i])
+          .reduce((obj, [k, v]) => ({ ...obj, [k]: v }), {}),
+      };
+      expect(roundTrip(value)).toEqual(value);
+    });
+
+    test('Treats values the way JSON does', () => {
+      const value = {
+        skip:  undefined,
+        fn:    () => {},
+        list:  [undefined, () => {}],
+        date:  new Date(0),
+      };
+      expect(roundTrip(value)).toEqual(JSON.parse(JSON.stringify(value)));
+    });
+
+    test('Decodes from Buffers and views into larger buffers', () => {
+      const bytes = new Uint8Array(BinaryCodec.encode({ x: 1 }));
+      expect(BinaryCodec.decode(Buffer.from(bytes))).toEqual({ x: 1 });
+
+      const larger = new Uint8Array(bytes.length + 4);
+      larger.set(bytes, 2);
+      const view = larger.subarray(2, 2 + bytes.length);
+      expect(BinaryCodec.decode(view)).toEqual({ x: 1 });
+    });
+
+    test('Throws on data which is not binary', () => {
+      expect(() => BinaryCodec.decode({ x: 1 })).toThrow(TypeError);
+      expect(() => BinaryCodec.decode({ 0: 129, 1: 161 })).toThrow(TypeError);
+      expect(() => BinaryCodec.decode()).toThrow(TypeError);
+    });
+
+    test('Throws on malformed data', () => {
+      const bytes = new Uint8Array(BinaryCodec.encode('hello'));
+      expect(() => BinaryCodec.decode(bytes.subarray(0, 3))).toThrow(TypeError);
+      expect(() => BinaryCodec.decode(new Uint8Array([0xc1])))
+        .toThrow(TypeError);
+      expect(() => BinaryCodec.decode(new Uint8Array([0x81, 0x7f, 0x00])))
+        .toThrow(TypeError);
+    });
+
+    test('Keeps to the whitelisted properties of reports', () => {
+      const item = new Item({ id: 4, x: 10.5, y: -3, rotation: 0.25 });
+      item.secret = 'hidden';
+      const report = item.report(['x', 'y']);
+      expect(roundTrip(report)).toEqual({ id: 4, x: 10.5, y: -3 });
+    });
+
+    test('Is much smaller than JSON for transform updates', () => {
+      const report = new Item({
+        id: 12, x: 503.25, y: 212.5, scale: 1.5, rotation: 0.75,
+      }).report(['x', 'y', 'scale', 'rotation']);
+      const json = JSON.stringify(report).length;
+      expect(BinaryCodec.encode(report).byteLength).toBeLessThan(json / 2);
+    });
+
+    test('Writes the names of reported properties as a single byte', () => {
+      expect(BinaryCodec.encode({ x: 1 }).byteLength).toBe(3);
+      expect(BinaryCodec.encode({ q: 1 }).byteLength).toBe(4);
+    });
+
+    test('Round trips pointer events', () => {
+      const treport = new TouchReporter({ type: 'pointermove' });
+      treport.changedTouches = [{ identifier: 1, clientX: 5, clientY: 7 }];
+      const data = treport.report();
+      expect(roundTrip(data)).toEqual(JSON.parse(JSON.stringify(data)));
+    });
+  });
+});
@@ -6,6 +6,7 @@
 
 const {
   defineOwnImmutableEnumerableProperty,
+  isValidEventName,
   removeById,
 } = require('shared/utilities.js');
 
@@ -70,3 +71,16 @@ describe('removeById(array, item)', () => {
   });
 });
 
+
+describe('isValidEventName(event)', () => {
+  test('Accepts non-empty strings', () => {
+    expect(isValidEventName('your-turn')).toBe(true);
+  });
+
+  test('Rejects anything else', () => {
+    expect(isValidEventName('')).toBe(false);
+    expect(isValidEventName()).toBe(false);
+    expect(isValidEventName(null)).toBe(false);
+    expect(isValidEventName({})).toBe(false);
+  });
+});